@@ -10,6 +10,8 @@ const knowledgeList = document.getElementById('knowledgeList');
 const saveBtn = document.getElementById('saveBtn');
 const addKnowledgeBtn = document.getElementById('addKnowledgeBtn');
 const uploadBtn = document.getElementById('uploadBtn');
+const saveWidgetBtn = document.getElementById('saveWidgetBtn');
+const rotateWidgetKeyBtn = document.getElementById('rotateWidgetKeyBtn');
 
 const showMessage = (text, type = 'success') => {
     msg.className = `message ${type}`;
@@ -173,12 +175,71 @@ async function uploadKnowledgeFile() {
     }
 }
 
+function renderWidgetSettings(settings) {
+    document.getElementById('widgetEnabled').checked = Boolean(settings.enabled);
+    document.getElementById('widgetTitle').value = settings.title || '';
+    document.getElementById('widgetGreeting').value = settings.greeting || '';
+    document.getElementById('widgetColor').value = settings.color || '#128c7e';
+    document.getElementById('widgetOrigins').value = (settings.allowedOrigins || []).join('\n');
+    document.getElementById('widgetSnippet').value = settings.key
+        ? `<script src="${window.location.origin}/widget.js" data-key="${settings.key}" async></script>`
+        : '';
+    rotateWidgetKeyBtn.disabled = !settings.key;
+}
+
+async function loadWidgetSettings() {
+    const res = await authFetch('/api/widget');
+    renderWidgetSettings(await res.json());
+}
+
+async function saveWidgetSettings() {
+    saveWidgetBtn.disabled = true;
+    try {
+        const res = await authFetch('/api/widget', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                enabled: document.getElementById('widgetEnabled').checked,
+                title: document.getElementById('widgetTitle').value.trim(),
+                greeting: document.getElementById('widgetGreeting').value.trim(),
+                color: document.getElementById('widgetColor').value,
+                allowedOrigins: document.getElementById('widgetOrigins').value
+                    .split('\n')
+                    .map((origin) => origin.trim())
+                    .filter(Boolean)
+            })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Save failed');
+
+        renderWidgetSettings(data);
+        showMessage('Widget settings saved.');
+    } catch (error) {
+        showMessage(error.message || 'Failed to save widget settings', 'error');
+    } finally {
+        saveWidgetBtn.disabled = false;
+    }
+}
+
+async function rotateWidgetKey() {
+    if (!confirm('The current embed code will stop working. Continue?')) return;
+    const res = await authFetch('/api/widget/key', { method: 'POST' });
+    if (res.ok) {
+        showMessage('New widget key issued. Update the embed code on your website.');
+        await loadWidgetSettings();
+    } else {
+        showMessage('Failed to issue a new key', 'error');
+    }
+}
+
 saveBtn.addEventListener('click', saveSettings);
+saveWidgetBtn.addEventListener('click', saveWidgetSettings);
+rotateWidgetKeyBtn.addEventListener('click', () => rotateWidgetKey().catch(console.error));
 addKnowledgeBtn.addEventListener('click', addKnowledge);
 uploadBtn.addEventListener('click', uploadKnowledgeFile);
 
 waitForAuth().then(() => {
-    return Promise.all([loadSettings(), loadKnowledge()]);
+    return Promise.all([loadSettings(), loadKnowledge(), loadWidgetSettings()]);
 }).catch((error) => {
     showMessage(error.message || 'Failed to load AI console', 'error');
 });
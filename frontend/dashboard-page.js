@@ -5,11 +5,14 @@ initAppShell({ activePath: 'dashboard.html' });
 
 let currentQR = '';
 let statusInterval = null;
+let statusStream = null;
+let streamRetryTimer = null;
 let statsInterval = null;
 
 const statusText = document.getElementById('connectionStatusText');
 const statusBadge = document.getElementById('connectionStatusBadge');
 const showQrBtn = document.getElementById('showQrBtn');
+const pairPhoneBtn = document.getElementById('pairPhoneBtn');
 const disconnectBtn = document.getElementById('disconnectBtn');
 const clearCredsBtn = document.getElementById('clearCredsBtn');
 
@@ -49,6 +52,7 @@ function setStatusUI(status) {
     const isConnected = status === 'connected';
 
     showQrBtn.style.display = isDisconnected ? 'inline-block' : 'none';
+    pairPhoneBtn.style.display = (isDisconnected || isConnecting) ? 'inline-block' : 'none';
     disconnectBtn.style.display = (isConnected || isConnecting) ? 'inline-block' : 'none';
     disconnectBtn.textContent = isConnected ? 'Disconnect' : 'Stop Connecting';
 }
@@ -82,14 +86,51 @@ async function showQRCode() {
     openQrModal(data.qr);
 }
 
+function openPairingModal(code) {
+    document.getElementById('pairingCode').textContent = code || '...';
+    document.getElementById('pairingModal').style.display = 'flex';
+}
+
+// While linking by phone number the rotating QR shouldn't pop up
+function isPairing() {
+    return document.getElementById('pairingModal').style.display === 'flex';
+}
+
+function closePairingModal() {
+    document.getElementById('pairingModal').style.display = 'none';
+}
+
+async function linkWithPhoneNumber() {
+    const phone = prompt('Enter your WhatsApp number with country code (e.g., 919876543210):');
+    if (!phone) return;
+
+    try {
+        openPairingModal(null);
+        const res = await authFetch('/api/pairing-code', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone })
+        });
+        await ensureOkResponse(res, 'Failed to get pairing code.');
+        const data = await res.json();
+        // 202: the code arrives on the status stream
+        if (data.pairingCode) openPairingModal(data.pairingCode);
+    } catch (error) {
+        closePairingModal();
+        console.error(error);
+        alert(error.message || 'Failed to get pairing code.');
+    }
+}
+
 async function checkStatus() {
     const res = await authFetch('/api/status');
     const data = await res.json();
     const status = data.status || 'disconnected';
 
     setStatusUI(status);
+    if (data.pairingCode) openPairingModal(data.pairingCode);
 
-    if (status === 'scanning') {
+    if (status === 'scanning' && !isPairing()) {
         const qrRes = await authFetch('/api/qr');
         const qrData = await qrRes.json();
         if (qrData.qr && qrData.qr !== currentQR) {
@@ -97,7 +138,55 @@ async function checkStatus() {
         }
     } else if (status === 'connected') {
         closeQrModal();
+        closePairingModal();
+    }
+}
+
+function handleStatusUpdate(data) {
+    const status = data.status || 'disconnected';
+    setStatusUI(status);
+
+    if (status === 'disconnected' && data.reconnecting) {
+        statusText.textContent = `reconnecting (attempt ${data.reconnectAttempt})`;
+    } else if (status === 'disconnected' && data.reason && data.reason !== 'unknown') {
+        statusText.textContent = `disconnected (${data.reason})`;
+    }
+
+    if (status === 'scanning' && data.qr && data.qr !== currentQR && !isPairing()) {
+        openQrModal(data.qr);
+    } else if (status === 'connected') {
+        closeQrModal();
+        closePairingModal();
     }
+    if (data.pairingCode) openPairingModal(data.pairingCode);
+}
+
+function startStatusPolling() {
+    if (statusInterval) return;
+    statusInterval = setInterval(() => checkStatus().catch(console.error), 5000);
+}
+
+function stopStatusPolling() {
+    if (statusInterval) clearInterval(statusInterval);
+    statusInterval = null;
+}
+
+// Live status over server-sent events; falls back to polling while the stream is down
+async function openStatusStream() {
+    const token = await getToken();
+    if (!token) throw new Error('No auth token');
+
+    statusStream = new EventSource(`/api/status/stream?token=${encodeURIComponent(token)}`);
+    statusStream.addEventListener('status', (event) => handleStatusUpdate(JSON.parse(event.data)));
+    statusStream.onopen = stopStatusPolling;
+    statusStream.onerror = () => {
+        // Reopen with a fresh token (ID tokens expire after an hour)
+        statusStream.close();
+        statusStream = null;
+        startStatusPolling();
+        clearTimeout(streamRetryTimer);
+        streamRetryTimer = setTimeout(() => openStatusStream().catch(console.error), 10000);
+    };
 }
 
 async function disconnectWhatsApp() {
@@ -159,10 +248,12 @@ async function fetchStats() {
 
 function bindEvents() {
     showQrBtn.addEventListener('click', () => showQRCode().catch(console.error));
+    pairPhoneBtn.addEventListener('click', () => linkWithPhoneNumber().catch(console.error));
     disconnectBtn.addEventListener('click', () => disconnectWhatsApp().catch(console.error));
     clearCredsBtn.addEventListener('click', () => clearCredentials().catch(console.error));
 
     document.getElementById('closeQrModal').addEventListener('click', closeQrModal);
+    document.getElementById('closePairingModal').addEventListener('click', closePairingModal);
     document.getElementById('qrModal').addEventListener('click', (e) => {
         if (e.target.id === 'qrModal') closeQrModal();
     });
@@ -172,11 +263,17 @@ waitForAuth().then(async () => {
     bindEvents();
     await Promise.all([checkStatus(), fetchStats()]);
 
-    statusInterval = setInterval(() => checkStatus().catch(console.error), 5000);
+    if (window.EventSource) {
+        openStatusStream().catch(() => startStatusPolling());
+    } else {
+        startStatusPolling();
+    }
     statsInterval = setInterval(() => fetchStats().catch(console.error), 30000);
 }).catch(console.error);
 
 window.addEventListener('beforeunload', () => {
-    if (statusInterval) clearInterval(statusInterval);
+    stopStatusPolling();
+    clearTimeout(streamRetryTimer);
+    if (statusStream) statusStream.close();
     if (statsInterval) clearInterval(statsInterval);
 });
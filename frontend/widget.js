@@ -0,0 +1,209 @@
+/**
+ * ConnectSphere website chat widget
+ *
+ * Embed on any page:
+ *   <script src="https://YOUR-CONNECTSPHERE-HOST/widget.js" data-key="wk_..." async></script>
+ *
+ * Plain script (no modules or dependencies) so it runs on any website.
+ */
+(function () {
+    const script = document.currentScript;
+    const tenantKey = script && script.getAttribute('data-key');
+    if (!tenantKey || window.__connectSphereWidget) return;
+    window.__connectSphereWidget = true;
+
+    const apiBase = new URL(script.src).origin;
+    const VISITOR_STORAGE_KEY = 'connectsphere_widget_visitor';
+    const HISTORY_STORAGE_KEY = `connectsphere_widget_history_${tenantKey}`;
+    const MAX_HISTORY = 50;
+
+    function getVisitorId() {
+        let visitorId = null;
+        try {
+            visitorId = localStorage.getItem(VISITOR_STORAGE_KEY);
+            if (!visitorId) {
+                visitorId = `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+                localStorage.setItem(VISITOR_STORAGE_KEY, visitorId);
+            }
+        } catch (e) {
+            // Storage blocked (privacy mode) - the conversation lasts for this page view only
+            visitorId = visitorId || `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+        }
+        return visitorId;
+    }
+
+    // Transcript survives page navigation within the tab
+    function loadHistory() {
+        try {
+            return JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveHistory(history) {
+        try {
+            sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history.slice(-MAX_HISTORY)));
+        } catch (e) {
+            // Ignore storage errors
+        }
+    }
+
+    const visitorId = getVisitorId();
+    const history = loadHistory();
+    let sending = false;
+
+    const styles = `
+        .cs-widget { position: fixed; right: 20px; bottom: 20px; z-index: 2147483000; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; font-size: 14px; }
+        .cs-launcher { width: 56px; height: 56px; border-radius: 50%; border: none; color: #fff; cursor: pointer; box-shadow: 0 4px 14px rgba(0,0,0,.25); font-size: 24px; }
+        .cs-panel { display: none; flex-direction: column; width: 340px; max-width: calc(100vw - 40px); height: 480px; max-height: calc(100vh - 100px); margin-bottom: 12px; background: #fff; border-radius: 12px; box-shadow: 0 8px 30px rgba(0,0,0,.2); overflow: hidden; }
+        .cs-panel.cs-open { display: flex; }
+        .cs-header { padding: 14px 16px; color: #fff; font-weight: 600; display: flex; justify-content: space-between; align-items: center; }
+        .cs-close { background: none; border: none; color: inherit; font-size: 18px; cursor: pointer; }
+        .cs-messages { flex: 1; overflow-y: auto; padding: 12px; background: #f5f6f8; }
+        .cs-msg { max-width: 85%; margin: 0 0 8px; padding: 8px 12px; border-radius: 10px; white-space: pre-wrap; word-wrap: break-word; line-height: 1.4; color: #1f2328; }
+        .cs-bot { background: #fff; border: 1px solid #e3e5e8; }
+        .cs-user { margin-left: auto; color: #fff; }
+        .cs-buttons { display: flex; flex-wrap: wrap; gap: 6px; margin: -2px 0 10px; }
+        .cs-option { background: #fff; border: 1px solid currentColor; border-radius: 16px; padding: 5px 12px; cursor: pointer; font-size: 13px; }
+        .cs-option:disabled { opacity: .5; cursor: default; }
+        .cs-typing { color: #6a737d; font-style: italic; margin: 0 0 8px; }
+        .cs-form { display: flex; border-top: 1px solid #e3e5e8; }
+        .cs-input { flex: 1; border: none; padding: 12px; font: inherit; outline: none; }
+        .cs-send { border: none; background: none; padding: 0 14px; font-weight: 600; cursor: pointer; }
+    `;
+
+    const root = document.createElement('div');
+    root.className = 'cs-widget';
+    root.innerHTML = `
+        <style>${styles}</style>
+        <div class="cs-panel" role="dialog" aria-label="Chat">
+            <div class="cs-header"><span class="cs-title"></span><button class="cs-close" aria-label="Close chat">✕</button></div>
+            <div class="cs-messages" aria-live="polite"></div>
+            <form class="cs-form">
+                <input class="cs-input" type="text" placeholder="Type a message..." maxlength="2000" aria-label="Message">
+                <button class="cs-send" type="submit">Send</button>
+            </form>
+        </div>
+        <button class="cs-launcher" aria-label="Open chat">💬</button>
+    `;
+
+    const panel = root.querySelector('.cs-panel');
+    const messagesEl = root.querySelector('.cs-messages');
+    const form = root.querySelector('.cs-form');
+    const input = root.querySelector('.cs-input');
+    const launcher = root.querySelector('.cs-launcher');
+    let accentColor = '#128c7e';
+
+    function scrollToBottom() {
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+
+    function renderMessage(entry) {
+        const bubble = document.createElement('div');
+        bubble.className = `cs-msg ${entry.from === 'user' ? 'cs-user' : 'cs-bot'}`;
+        if (entry.from === 'user') bubble.style.background = accentColor;
+        bubble.textContent = entry.text;
+        messagesEl.appendChild(bubble);
+
+        if (entry.buttons && entry.buttons.length) {
+            const row = document.createElement('div');
+            row.className = 'cs-buttons';
+            entry.buttons.forEach((button) => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'cs-option';
+                option.style.color = accentColor;
+                option.textContent = button.text;
+                option.addEventListener('click', () => {
+                    row.querySelectorAll('button').forEach((b) => { b.disabled = true; });
+                    sendMessage(button.id, button.text);
+                });
+                row.appendChild(option);
+            });
+            messagesEl.appendChild(row);
+        }
+        scrollToBottom();
+    }
+
+    function addEntry(entry) {
+        history.push(entry);
+        saveHistory(history);
+        renderMessage(entry);
+    }
+
+    function setTyping(visible) {
+        let typing = messagesEl.querySelector('.cs-typing');
+        if (visible && !typing) {
+            typing = document.createElement('div');
+            typing.className = 'cs-typing';
+            typing.textContent = 'Typing...';
+            messagesEl.appendChild(typing);
+            scrollToBottom();
+        } else if (!visible && typing) {
+            typing.remove();
+        }
+    }
+
+    // text: what is sent (a button ID for taps), label: what the visitor sees
+    async function sendMessage(text, label) {
+        if (sending || !text) return;
+        sending = true;
+        addEntry({ from: 'user', text: label || text });
+        setTyping(true);
+
+        try {
+            const res = await fetch(`${apiBase}/api/public/chat/${encodeURIComponent(tenantKey)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ visitorId, text })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || 'Message failed');
+
+            setTyping(false);
+            (data.replies || []).forEach((reply) => addEntry({ from: 'bot', text: reply.text, buttons: reply.buttons }));
+        } catch (error) {
+            setTyping(false);
+            renderMessage({ from: 'bot', text: error.message || 'Sorry, something went wrong. Please try again.' });
+        } finally {
+            sending = false;
+        }
+    }
+
+    function applyConfig(config) {
+        accentColor = config.color || accentColor;
+        root.querySelector('.cs-title').textContent = config.title || 'Chat with us';
+        root.querySelector('.cs-header').style.background = accentColor;
+        root.querySelector('.cs-send').style.color = accentColor;
+        launcher.style.background = accentColor;
+
+        if (!history.length && config.greeting) {
+            addEntry({ from: 'bot', text: config.greeting });
+        } else {
+            history.forEach(renderMessage);
+        }
+    }
+
+    launcher.addEventListener('click', () => {
+        panel.classList.toggle('cs-open');
+        if (panel.classList.contains('cs-open')) input.focus();
+    });
+    root.querySelector('.cs-close').addEventListener('click', () => panel.classList.remove('cs-open'));
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const text = input.value.trim();
+        if (!text) return;
+        input.value = '';
+        sendMessage(text);
+    });
+
+    // Only show the launcher if the widget is enabled for this key and website
+    fetch(`${apiBase}/api/public/widget/${encodeURIComponent(tenantKey)}`)
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`Widget unavailable (${res.status})`))))
+        .then((config) => {
+            applyConfig(config);
+            document.body.appendChild(root);
+        })
+        .catch((error) => console.warn('[ConnectSphere widget]', error.message));
+})();
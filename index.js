@@ -47,6 +47,18 @@ knowledgeService.initialize()
 const autoInitService = require('./src/services/autoInitService')
 autoInitService.autoInitializeUsers()
 
+const broadcastService = require('./src/services/broadcastService')
+broadcastService.resumeCampaigns()
+
+const scheduledMessageService = require('./src/services/scheduledMessageService')
+scheduledMessageService.resumeScheduledMessages()
+
+const contactService = require('./src/services/contactService')
+contactService.start()
+
+const webhookService = require('./src/services/webhookService')
+webhookService.start()
+
 const HOST = process.env.HOST || '0.0.0.0'
 const server = app.listen(PORT, HOST, () => {
     console.log(`Server is running on http://${HOST}:${PORT}`)
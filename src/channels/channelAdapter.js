@@ -0,0 +1,51 @@
+/**
+ * Channel Adapter
+ * The interface the message pipeline uses to talk to a messaging channel (WhatsApp, simulator)
+ *
+ * receive(raw)                                  -> InboundMessage|null  normalize a channel message
+ * sendText(chatId, text, { quoted })            -> Promise              quoted: InboundMessage to reply to
+ * sendButtons(chatId, text, buttons, footer)    -> Promise              buttons: [{ id, text }]
+ * sendList(chatId, text, buttonText, sections)  -> Promise              sections: [{ title, rows: [{ title, rowId, description }] }]
+ * sendMedia(chatId, payload)                    -> Promise              payload: image/document/location/contact (utils/messagePayload)
+ * presence(chatId, state)                       -> void                 'composing' | 'paused', never throws
+ * markRead(message)                             -> Promise              read receipt for an InboundMessage
+ * downloadMedia(message)                        -> Promise<Buffer|null> inbound photo or voice note
+ *
+ * Optional properties: name, usesPhoneNumbers (false skips contact lists and STOP opt-outs, e.g. web chat)
+ *
+ * InboundMessage: {
+ *   id, chatId, senderId (phone), senderName, isGroup, mentionsBot,
+ *   text (text, caption placeholder or button/list selection ID),
+ *   image: { mimeType, caption } | null, audio: { mimeType, seconds } | null,
+ *   count (messages merged into this one), raw (channel-specific original),
+ *   conversationKey (optional; defaults to wa_<senderId> or the group's key)
+ * }
+ */
+
+const CHANNEL_METHODS = [
+    'receive',
+    'sendText',
+    'sendButtons',
+    'sendList',
+    'sendMedia',
+    'presence',
+    'markRead',
+    'downloadMedia'
+];
+
+/**
+ * Check that an object implements the channel adapter interface
+ * @throws {Error} Listing the missing methods
+ */
+const assertChannel = (channel) => {
+    const missing = CHANNEL_METHODS.filter(method => typeof channel?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Channel adapter is missing: ${missing.join(', ')}`);
+    }
+    return channel;
+};
+
+module.exports = {
+    CHANNEL_METHODS,
+    assertChannel
+};
@@ -0,0 +1,96 @@
+/**
+ * Simulator Channel
+ * In-process channel adapter for exercising the message pipeline without a phone (tests, local runs)
+ * Outbound messages are recorded in an outbox instead of being sent anywhere
+ */
+
+const messagePayload = require('../utils/messagePayload');
+const { assertChannel } = require('./channelAdapter');
+
+let messageCounter = 0;
+
+/**
+ * Create a simulator channel
+ * Inbound messages are plain objects: { from, name, text, group, mentionsBot, image, audio }
+ *   group: group ID (the message is posted in that group by `from`)
+ *   image: { mimeType, caption, data: Buffer }, audio: { mimeType, seconds, data: Buffer }
+ */
+const createSimulatorChannel = () => {
+    const outbox = [];
+    const presence = [];
+    const read = [];
+
+    const record = async (chatId, entry) => {
+        outbox.push({ chatId, ...entry });
+        return { key: { id: `sim-out-${outbox.length}` } };
+    };
+
+    return assertChannel({
+        name: 'simulator',
+        outbox,
+        presenceUpdates: presence,
+        readMessages: read,
+
+        receive: (raw) => {
+            const image = raw.image
+                ? { mimeType: raw.image.mimeType || 'image/jpeg', caption: raw.image.caption || '' }
+                : null;
+            const audio = raw.audio
+                ? { mimeType: raw.audio.mimeType || 'audio/ogg', seconds: raw.audio.seconds || 0 }
+                : null;
+            const text = raw.text ||
+                (image ? messagePayload.describeContent({ image: true, caption: image.caption }) : null) ||
+                (audio ? '[Voice note]' : null);
+            if (!text) return null;
+
+            const from = String(raw.from || 'unknown');
+            return {
+                id: raw.id || `sim-in-${++messageCounter}`,
+                chatId: raw.group ? `${raw.group}@g.us` : `${from}@sim`,
+                senderId: from,
+                senderName: raw.name || null,
+                isGroup: Boolean(raw.group),
+                mentionsBot: Boolean(raw.mentionsBot),
+                text,
+                image,
+                audio,
+                count: raw.count || 1,
+                raw
+            };
+        },
+
+        sendText: (chatId, text, options = {}) => record(chatId, {
+            type: 'text',
+            text,
+            quoted: options.quoted ? options.quoted.id : null
+        }),
+
+        sendButtons: (chatId, text, buttons, footer = '') => record(chatId, { type: 'buttons', text, buttons, footer }),
+
+        sendList: (chatId, text, buttonText, sections) => record(chatId, { type: 'list', text, buttonText, sections }),
+
+        sendMedia: (chatId, payload) => record(chatId, { type: 'media', payload }),
+
+        presence: (chatId, state) => {
+            presence.push({ chatId, state });
+        },
+
+        markRead: async (message) => {
+            read.push(message.id);
+        },
+
+        downloadMedia: async (message) => {
+            const media = message.raw.image || message.raw.audio;
+            return media?.data || null;
+        },
+
+        /**
+         * Outbound messages recorded since the last call
+         */
+        takeOutbox: () => outbox.splice(0, outbox.length)
+    });
+};
+
+module.exports = {
+    createSimulatorChannel
+};
@@ -0,0 +1,73 @@
+/**
+ * Web Channel
+ * Channel adapter for the website chat widget: one adapter per HTTP request,
+ * outbound messages are collected and returned in the response
+ */
+
+const messagePayload = require('../utils/messagePayload');
+const listMenu = require('../utils/listMenu');
+const widgetService = require('../services/widgetService');
+const { assertChannel } = require('./channelAdapter');
+
+/**
+ * Create the adapter for one widget request
+ * Inbound messages: { visitorId, name, text } (text may be a button ID the visitor tapped)
+ * @returns {object} Channel adapter with `replies`: [{ text, buttons: [{ id, text }] }]
+ */
+const createWebChannel = () => {
+    const replies = [];
+
+    return assertChannel({
+        name: 'web',
+        usesPhoneNumbers: false,
+        replies,
+
+        receive: (raw) => {
+            const conversationKey = widgetService.getVisitorConversationKey(raw.visitorId);
+            const text = String(raw.text || '').trim().slice(0, 2000);
+            if (!conversationKey || !text) return null;
+
+            return {
+                id: null,
+                chatId: conversationKey,
+                conversationKey,
+                senderId: conversationKey,
+                senderName: raw.name ? String(raw.name).trim().slice(0, 60) : null,
+                isGroup: false,
+                mentionsBot: false,
+                text,
+                image: null,
+                audio: null,
+                count: 1,
+                raw
+            };
+        },
+
+        sendText: async (chatId, text) => {
+            replies.push({ text, buttons: [] });
+        },
+
+        sendButtons: async (chatId, text, buttons) => {
+            replies.push({ text, buttons: buttons.map(({ id, text: label }) => ({ id, text: label })) });
+        },
+
+        // No list UI on the web - rows become buttons
+        sendList: async (chatId, text, buttonText, sections) => {
+            replies.push({ text, buttons: listMenu.getSectionOptions(sections) });
+        },
+
+        sendMedia: async (chatId, payload) => {
+            replies.push({ text: messagePayload.describeContent(messagePayload.buildMessageContent(payload)), buttons: [] });
+        },
+
+        presence: () => {},
+
+        markRead: async () => {},
+
+        downloadMedia: async () => null
+    });
+};
+
+module.exports = {
+    createWebChannel
+};
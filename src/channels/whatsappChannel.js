@@ -0,0 +1,149 @@
+/**
+ * WhatsApp Channel
+ * Channel adapter over a Baileys socket (see channels/channelAdapter)
+ */
+
+const pino = require('pino');
+const eventBus = require('../services/eventBus');
+const groupPolicyService = require('../services/groupPolicyService');
+const { getConversationKey } = require('../services/messagePipeline');
+const messagePayload = require('../utils/messagePayload');
+const listMenu = require('../utils/listMenu');
+const { assertChannel } = require('./channelAdapter');
+
+const ENABLE_PRESENCE_UPDATES = process.env.WHATSAPP_PRESENCE_UPDATES === 'true';
+const MAX_INBOUND_MEDIA_BYTES = 5 * 1024 * 1024; // Keep inline media parts within Gemini request limits
+
+const getJidPhone = (jid) => String(jid || '')
+    .replace('@s.whatsapp.net', '')
+    .replace('@lid', '')
+    .split('@')[0];
+
+/**
+ * Normalize a Baileys message (or a merged batch from messageAggregator)
+ * @param {object} botUser - sock.user, for group @mention detection
+ */
+const parseMessage = (msg, botUser) => {
+    const buttonResponse = msg.message?.buttonsResponseMessage?.selectedButtonId;
+    const listResponse = msg.message?.listResponseMessage?.singleSelectReply?.selectedRowId;
+    const imageMessage = msg.message?.imageMessage;
+    const audioMessage = msg.message?.audioMessage;
+
+    const text =
+        buttonResponse ||
+        listResponse ||
+        msg.message?.conversation ||
+        msg.message?.extendedTextMessage?.text ||
+        (imageMessage ? messagePayload.describeContent({ image: true, caption: imageMessage.caption }) : null) ||
+        (audioMessage ? '[Voice note]' : null);
+
+    if (!text) return null;
+
+    const chatId = msg.key.remoteJid || '';
+    const isGroup = groupPolicyService.isGroupJid(chatId);
+
+    return {
+        id: msg.key.id,
+        chatId,
+        senderId: getJidPhone(msg.key.participant || chatId) || 'Unknown',
+        senderName: msg.pushName || msg.message?.extendedTextMessage?.contextInfo?.participant || null,
+        isGroup,
+        mentionsBot: isGroup && groupPolicyService.isBotAddressed(msg, botUser),
+        text,
+        image: imageMessage
+            ? { mimeType: imageMessage.mimetype || 'image/jpeg', caption: imageMessage.caption || '', fileLength: imageMessage.fileLength }
+            : null,
+        audio: audioMessage
+            ? { mimeType: audioMessage.mimetype, seconds: audioMessage.seconds || 0, fileLength: audioMessage.fileLength }
+            : null,
+        count: msg.aggregatedKeys?.length || 1,
+        raw: msg
+    };
+};
+
+/**
+ * Create the adapter for one connected socket
+ * Every outbound message is published to the live inbox stream
+ */
+const createWhatsAppChannel = (sock, userId, sessionId) => {
+    const send = async (jid, content, options) => {
+        const sent = await sock.sendMessage(jid, content, options);
+        const phone = String(jid).split('@')[0];
+        eventBus.publish(userId, 'message.sent', {
+            conversationId: groupPolicyService.isGroupJid(jid)
+                ? groupPolicyService.getGroupConversationKey(jid)
+                : getConversationKey(phone),
+            phone,
+            sessionId,
+            content: messagePayload.describeContent(content)
+        });
+        return sent;
+    };
+
+    return assertChannel({
+        name: 'whatsapp',
+
+        receive: (msg) => parseMessage(msg, sock.user),
+
+        sendText: (jid, text, options = {}) => send(jid, {
+            text,
+            ...(options.quoted ? { quoted: options.quoted.raw } : {})
+        }),
+
+        // Buttons and lists also carry a numbered text version for clients that don't render them
+        sendButtons: (jid, text, buttons, footer = '') => send(jid, {
+            text: listMenu.formatNumberedMenu(text, buttons),
+            footer,
+            buttons: messagePayload.formatButtons(buttons),
+            headerType: 1
+        }),
+
+        sendList: (jid, text, buttonText, sections) => send(jid, {
+            text: listMenu.formatNumberedMenu(text, listMenu.getSectionOptions(sections)),
+            buttonText,
+            sections,
+            footer: 'ConnectSphere Bot'
+        }),
+
+        sendMedia: (jid, payload) => send(jid, messagePayload.buildMessageContent(payload)),
+
+        presence: (jid, state) => {
+            if (!ENABLE_PRESENCE_UPDATES) return;
+            // Presence updates are optional; ignore failures
+            Promise.resolve()
+                .then(() => sock.sendPresenceUpdate(state, jid))
+                .catch(() => {});
+        },
+
+        markRead: (message) => sock.readMessages(message.raw.aggregatedKeys || [message.raw.key]),
+
+        /**
+         * Download inbound media (photo, voice note) into a buffer
+         * Returns null if the file is too large or the download fails
+         */
+        downloadMedia: async (message) => {
+            const media = message.image || message.audio;
+            if (!media) return null;
+            if (Number(media.fileLength || 0) > MAX_INBOUND_MEDIA_BYTES) {
+                console.log(`User ${userId}: Inbound media too large (${media.fileLength} bytes), skipping download`);
+                return null;
+            }
+
+            try {
+                const { downloadMediaMessage } = require('@kelvdra/baileys');
+                return await downloadMediaMessage(message.raw, 'buffer', {}, {
+                    logger: pino({ level: 'silent' }),
+                    reuploadRequest: sock.updateMediaMessage
+                });
+            } catch (error) {
+                console.error('Error downloading inbound media:', error);
+                return null;
+            }
+        }
+    });
+};
+
+module.exports = {
+    parseMessage,
+    createWhatsAppChannel
+};
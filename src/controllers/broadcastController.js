@@ -0,0 +1,128 @@
+/**
+ * Broadcast Controller
+ * API endpoints for broadcast campaigns
+ */
+
+const broadcastService = require('../services/broadcastService');
+
+/**
+ * POST /api/broadcasts
+ * Create a campaign (JSON body, or multipart with a CSV/Excel "file" for source=csv)
+ * Body: { name, template | templateId, source, sendAt, ratePerMinute, sessionId }
+ */
+const createCampaign = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { name, template, templateId, source, sendAt, ratePerMinute, sessionId } = req.body || {};
+
+        if (!templateId && (!template || !String(template).trim())) {
+            return res.status(400).json({ error: 'Template is required' });
+        }
+
+        let recipients = [];
+        if (source === 'csv') {
+            if (!req.file) {
+                return res.status(400).json({ error: 'A CSV file is required for source=csv' });
+            }
+            recipients = broadcastService.parseRecipientsFile(req.file.buffer);
+        }
+
+        const result = await broadcastService.createCampaign(userId, {
+            name,
+            template: template ? String(template).trim() : null,
+            templateId,
+            source,
+            sendAt,
+            ratePerMinute,
+            sessionId,
+            recipients
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+};
+
+/**
+ * GET /api/broadcasts
+ * List campaigns with delivery counts
+ */
+const listCampaigns = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const campaigns = await broadcastService.listCampaigns(userId);
+        res.json({ campaigns });
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({ error: 'Failed to list campaigns' });
+    }
+};
+
+/**
+ * GET /api/broadcasts/:id
+ * Campaign status with delivery counts
+ */
+const getCampaign = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const campaign = await broadcastService.getCampaign(userId, req.params.id);
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        res.json(campaign);
+    } catch (error) {
+        console.error('Error fetching campaign:', error);
+        res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+};
+
+/**
+ * GET /api/broadcasts/:id/recipients
+ * Per-recipient delivery status
+ * Query params: status
+ */
+const getRecipients = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const recipients = await broadcastService.getRecipients(userId, req.params.id, req.query.status || null);
+        res.json({ recipients });
+    } catch (error) {
+        console.error('Error fetching campaign recipients:', error);
+        res.status(500).json({ error: 'Failed to fetch recipients' });
+    }
+};
+
+/**
+ * POST /api/broadcasts/:id/cancel
+ * Stop a scheduled or sending campaign
+ */
+const cancelCampaign = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const result = await broadcastService.cancelCampaign(userId, req.params.id);
+
+        if (result.success) {
+            res.json({ message: 'Campaign cancelled' });
+        } else {
+            res.status(400).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        res.status(500).json({ error: 'Failed to cancel campaign' });
+    }
+};
+
+module.exports = {
+    createCampaign,
+    listCampaigns,
+    getCampaign,
+    getRecipients,
+    cancelCampaign
+};
@@ -0,0 +1,129 @@
+/**
+ * Contact Controller
+ * API endpoints for the customer directory
+ */
+
+const contactService = require('../services/contactService');
+
+const getStaffId = (req) => req.user.email || req.user.uid;
+
+const getErrorStatus = (error) => {
+    if (error.endsWith('not found')) return 404;
+    return error.startsWith('Failed') ? 500 : 400;
+};
+
+/**
+ * GET /api/contacts
+ * Query params: search (phone, name, tag or field value), tag, limit, offset
+ */
+const listContacts = async (req, res) => {
+    try {
+        const { search, tag, limit, offset } = req.query;
+        const result = await contactService.listContacts(req.user.uid, {
+            search,
+            tag,
+            limit: parseInt(limit, 10) || undefined,
+            offset: parseInt(offset, 10) || 0
+        });
+        res.json(result);
+    } catch (error) {
+        console.error('Error listing contacts:', error);
+        res.status(500).json({ error: 'Failed to list contacts' });
+    }
+};
+
+/**
+ * GET /api/contacts/:phone
+ */
+const getContact = async (req, res) => {
+    try {
+        const contact = await contactService.getContact(req.user.uid, req.params.phone);
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.json(contact);
+    } catch (error) {
+        console.error('Error fetching contact:', error);
+        res.status(500).json({ error: 'Failed to fetch contact' });
+    }
+};
+
+/**
+ * GET /api/contacts/:phone/history
+ * Contact details with the WhatsApp conversation, bookings and scheduled messages
+ */
+const getContactHistory = async (req, res) => {
+    try {
+        const history = await contactService.getContactHistory(req.user.uid, req.params.phone);
+        if (!history) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching contact history:', error);
+        res.status(500).json({ error: 'Failed to fetch contact history' });
+    }
+};
+
+/**
+ * PUT /api/contacts/:phone
+ * Body: { displayName, tags, fields } - tags and fields replace the saved values
+ */
+const updateContact = async (req, res) => {
+    try {
+        const { displayName, tags, fields } = req.body || {};
+        const result = await contactService.updateContact(req.user.uid, req.params.phone, { displayName, tags, fields });
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.json(result.contact);
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).json({ error: 'Failed to update contact' });
+    }
+};
+
+/**
+ * POST /api/contacts/:phone/notes
+ * Body: { text }
+ */
+const addNote = async (req, res) => {
+    try {
+        const result = await contactService.addNote(req.user.uid, req.params.phone, req.body?.text, getStaffId(req));
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.status(201).json(result.note);
+    } catch (error) {
+        console.error('Error adding contact note:', error);
+        res.status(500).json({ error: 'Failed to add note' });
+    }
+};
+
+/**
+ * DELETE /api/contacts/:phone/notes/:noteId
+ */
+const deleteNote = async (req, res) => {
+    try {
+        const result = await contactService.deleteNote(req.user.uid, req.params.phone, req.params.noteId);
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.json({ message: 'Note deleted' });
+    } catch (error) {
+        console.error('Error deleting contact note:', error);
+        res.status(500).json({ error: 'Failed to delete note' });
+    }
+};
+
+module.exports = {
+    listContacts,
+    getContact,
+    getContactHistory,
+    updateContact,
+    addNote,
+    deleteNote
+};
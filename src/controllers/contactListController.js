@@ -0,0 +1,101 @@
+/**
+ * Contact List Controller
+ * API endpoints for the blocklist, allowlist and sandbox mode
+ */
+
+const contactListService = require('../services/contactListService');
+
+/**
+ * GET /api/contact-lists?list=block|allow
+ */
+const listEntries = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { list } = req.query;
+
+        if (list && !contactListService.LIST_TYPES.includes(list)) {
+            return res.status(400).json({ error: `Invalid list. Must be: ${contactListService.LIST_TYPES.join(', ')}` });
+        }
+
+        const [entries, settings] = await Promise.all([
+            contactListService.listEntries(userId, list || null),
+            contactListService.getSettings(userId)
+        ]);
+        res.json({ entries, sandboxMode: settings.sandboxMode });
+    } catch (error) {
+        console.error('Error listing contact lists:', error);
+        res.status(500).json({ error: 'Failed to list contact lists' });
+    }
+};
+
+/**
+ * POST /api/contact-lists
+ * Body: { phone, list: 'block' | 'allow', note }
+ */
+const addEntry = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { phone, list, note } = req.body;
+
+        const result = await contactListService.addEntry(userId, phone, list, note);
+        if (!result.success) {
+            const status = result.error.startsWith('Failed') ? 500 : 400;
+            return res.status(status).json({ error: result.error });
+        }
+        res.status(201).json(result.entry);
+    } catch (error) {
+        console.error('Error adding contact list entry:', error);
+        res.status(500).json({ error: 'Failed to save contact list entry' });
+    }
+};
+
+/**
+ * DELETE /api/contact-lists/:phone
+ */
+const removeEntry = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const success = await contactListService.removeEntry(userId, req.params.phone);
+
+        if (success) {
+            res.json({ message: 'Contact removed from list' });
+        } else {
+            res.status(500).json({ error: 'Failed to remove contact list entry' });
+        }
+    } catch (error) {
+        console.error('Error removing contact list entry:', error);
+        res.status(500).json({ error: 'Failed to remove contact list entry' });
+    }
+};
+
+/**
+ * POST /api/contact-lists/sandbox
+ * Body: { enabled: boolean } - when on, only allowlisted numbers get replies
+ */
+const setSandboxMode = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+
+        const success = await contactListService.updateSettings(userId, { sandboxMode: enabled });
+        if (success) {
+            res.json({ message: `Sandbox mode ${enabled ? 'enabled' : 'disabled'}`, sandboxMode: enabled });
+        } else {
+            res.status(500).json({ error: 'Failed to update sandbox mode' });
+        }
+    } catch (error) {
+        console.error('Error updating sandbox mode:', error);
+        res.status(500).json({ error: 'Failed to update sandbox mode' });
+    }
+};
+
+module.exports = {
+    listEntries,
+    addEntry,
+    removeEntry,
+    setSandboxMode
+};
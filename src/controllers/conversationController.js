@@ -0,0 +1,183 @@
+/**
+ * Conversation Controller
+ * Live inbox and staff takeover endpoints for WhatsApp conversations
+ */
+
+const firebaseService = require('../services/firebaseService');
+const whatsappService = require('../services/whatsappService');
+const takeoverService = require('../services/takeoverService');
+const businessHoursService = require('../services/businessHoursService');
+const eventBus = require('../services/eventBus');
+const { openEventStream } = require('../utils/sse');
+
+const MESSAGE_EVENTS = ['message.received', 'message.sent'];
+
+const getStaffId = (req) => req.user.email || req.user.uid;
+
+/**
+ * GET /api/conversations
+ * List conversations sorted by last update
+ * Query params: limit (1-100), cursor (last conversation ID of the previous page)
+ */
+const listConversations = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const pageSize = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const cursor = req.query.cursor || null;
+
+        const result = await firebaseService.listConversations(userId, { pageSize, cursor });
+        res.json(result);
+    } catch (error) {
+        console.error('Error listing conversations:', error);
+        res.status(500).json({ error: 'Failed to list conversations' });
+    }
+};
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with its message history
+ */
+const getConversation = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const conversation = await firebaseService.getConversation(userId, req.params.id);
+
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json(conversation);
+    } catch (error) {
+        console.error('Error fetching conversation:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+};
+
+/**
+ * GET /api/conversations/stream
+ * Server-sent events for inbound and outbound messages
+ */
+const streamConversations = (req, res) => {
+    const userId = req.user.uid;
+    const stream = openEventStream(req, res);
+
+    const unsubscribe = eventBus.subscribe(userId, (event) => {
+        if (!MESSAGE_EVENTS.includes(event.type)) return;
+        stream.send(event.type, {
+            direction: event.type === 'message.received' ? 'inbound' : 'outbound',
+            ...event.data,
+            timestamp: event.timestamp
+        });
+    });
+
+    stream.onClose(unsubscribe);
+};
+
+/**
+ * POST /api/conversations/:id/claim
+ * Pause the bot and hand the conversation to staff
+ * Body: { idleMinutes } - optional, minutes of staff inactivity before the bot resumes
+ */
+const claimConversation = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { id } = req.params;
+        const { idleMinutes } = req.body || {};
+
+        const handoff = await takeoverService.claim(userId, id, getStaffId(req), idleMinutes);
+        res.json({ message: 'Conversation claimed', handoff });
+    } catch (error) {
+        console.error('Error claiming conversation:', error);
+        res.status(500).json({ error: 'Failed to claim conversation' });
+    }
+};
+
+/**
+ * POST /api/conversations/:id/release
+ * Hand the conversation back to the bot
+ */
+const releaseConversation = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { id } = req.params;
+
+        const handoff = await takeoverService.release(userId, id, getStaffId(req));
+        res.json({ message: 'Conversation released to bot', handoff });
+    } catch (error) {
+        console.error('Error releasing conversation:', error);
+        res.status(500).json({ error: 'Failed to release conversation' });
+    }
+};
+
+/**
+ * POST /api/conversations/:id/reply
+ * Send a staff reply (claims the conversation if the bot is still handling it)
+ */
+const replyToConversation = async (req, res) => {
+    const userId = req.user.uid;
+    const { id } = req.params;
+    const { text } = req.body || {};
+
+    if (!text || !String(text).trim()) {
+        return res.status(400).json({ error: 'Reply text is required' });
+    }
+
+    try {
+        const staffId = getStaffId(req);
+        const paused = await takeoverService.isPaused(userId, id);
+
+        await whatsappService.sendStaffReply(userId, id, String(text).trim(), staffId);
+        // Claimed once the reply is out, so a failed send leaves the bot in charge
+        if (!paused) {
+            await takeoverService.claim(userId, id, staffId);
+        }
+        res.json({ message: 'Reply sent' });
+    } catch (error) {
+        console.error('Error sending staff reply:', error);
+        res.status(500).json({ error: error.message || 'Failed to send reply' });
+    }
+};
+
+/**
+ * GET /api/conversations/follow-ups
+ * Conversations flagged for staff follow-up (e.g., messages received after hours)
+ */
+const listFollowUps = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const conversations = await firebaseService.listFollowUpConversations(userId);
+        res.json({ conversations });
+    } catch (error) {
+        console.error('Error listing follow-ups:', error);
+        res.status(500).json({ error: 'Failed to list follow-ups' });
+    }
+};
+
+/**
+ * POST /api/conversations/:id/follow-up/resolve
+ */
+const resolveFollowUp = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const success = await businessHoursService.resolveFollowUp(userId, req.params.id, getStaffId(req));
+
+        if (success) {
+            res.json({ message: 'Follow-up resolved' });
+        } else {
+            res.status(500).json({ error: 'Failed to resolve follow-up' });
+        }
+    } catch (error) {
+        console.error('Error resolving follow-up:', error);
+        res.status(500).json({ error: 'Failed to resolve follow-up' });
+    }
+};
+
+module.exports = {
+    listConversations,
+    getConversation,
+    streamConversations,
+    claimConversation,
+    releaseConversation,
+    replyToConversation,
+    listFollowUps,
+    resolveFollowUp
+};
@@ -0,0 +1,44 @@
+/**
+ * Message Controller
+ * Outbound WhatsApp messages sent from the dashboard or API clients
+ */
+
+const whatsappService = require('../services/whatsappService');
+const messagePayload = require('../utils/messagePayload');
+const { resolveSessionId } = require('../services/whatsappSessionService');
+
+/**
+ * POST /api/messages/send
+ * Body: { phone, type, sessionId?, ...payload }
+ * Types: text, image, document, location, contact, buttons
+ * sessionId picks which of the account's WhatsApp numbers sends it (default if omitted)
+ */
+const sendMessage = async (req, res) => {
+    const userId = req.user.uid;
+    const { phone, sessionId: requestedSessionId, ...payload } = req.body || {};
+    const sessionId = resolveSessionId(requestedSessionId);
+
+    if (!messagePayload.normalizePhone(phone)) {
+        return res.status(400).json({ error: 'Phone number required' });
+    }
+    if (!sessionId) {
+        return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const validationError = messagePayload.validatePayload(payload);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await whatsappService.sendOutboundMessage(userId, phone, payload, sessionId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/messages/send - Error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = {
+    sendMessage
+};
@@ -0,0 +1,50 @@
+/**
+ * Rate Limit Controller
+ * API endpoints for blocked contacts and rate limit events
+ */
+
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * GET /api/rate-limits/events?limit=50
+ * Recent blocked events and currently muted contacts
+ */
+const getEvents = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const events = await rateLimitService.getEvents(userId, pageSize);
+        res.json({
+            events,
+            muted: rateLimitService.getMutedContacts(userId)
+        });
+    } catch (error) {
+        console.error('Error fetching rate limit events:', error);
+        res.status(500).json({ error: 'Failed to fetch rate limit events' });
+    }
+};
+
+/**
+ * POST /api/rate-limits/:phone/unmute
+ * Lift a mute early
+ */
+const unmuteContact = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const phone = String(req.params.phone || '').replace(/\D/g, '');
+
+        if (!rateLimitService.unmute(userId, phone)) {
+            return res.status(404).json({ error: 'Contact is not muted' });
+        }
+        res.json({ message: 'Contact unmuted' });
+    } catch (error) {
+        console.error('Error unmuting contact:', error);
+        res.status(500).json({ error: 'Failed to unmute contact' });
+    }
+};
+
+module.exports = {
+    getEvents,
+    unmuteContact
+};
@@ -0,0 +1,87 @@
+/**
+ * Scheduled Message Controller
+ * API endpoints for scheduled and delayed outbound messages
+ */
+
+const scheduledMessageService = require('../services/scheduledMessageService');
+
+/**
+ * POST /api/scheduled-messages
+ * Body: { phone, sendAt | delayMinutes, sessionId?, templateId + variables | type + payload (as /api/messages/send) }
+ */
+const createScheduledMessage = async (req, res) => {
+    try {
+        const result = await scheduledMessageService.createScheduledMessage(req.user.uid, req.body || {});
+
+        if (result.success) {
+            res.status(201).json(result.message);
+        } else {
+            res.status(result.error.startsWith('Failed') ? 500 : 400).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        res.status(500).json({ error: 'Failed to schedule message' });
+    }
+};
+
+/**
+ * GET /api/scheduled-messages
+ * Query params: status
+ */
+const listScheduledMessages = async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !scheduledMessageService.MESSAGE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${scheduledMessageService.MESSAGE_STATUSES.join(', ')}` });
+        }
+
+        const messages = await scheduledMessageService.listScheduledMessages(req.user.uid, status || null);
+        res.json({ messages });
+    } catch (error) {
+        console.error('Error listing scheduled messages:', error);
+        res.status(500).json({ error: 'Failed to list scheduled messages' });
+    }
+};
+
+/**
+ * GET /api/scheduled-messages/:id
+ */
+const getScheduledMessage = async (req, res) => {
+    try {
+        const message = await scheduledMessageService.getScheduledMessage(req.user.uid, req.params.id);
+
+        if (!message) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        res.json(message);
+    } catch (error) {
+        console.error('Error fetching scheduled message:', error);
+        res.status(500).json({ error: 'Failed to fetch scheduled message' });
+    }
+};
+
+/**
+ * POST /api/scheduled-messages/:id/cancel
+ * Cancel a message that hasn't been sent yet
+ */
+const cancelScheduledMessage = async (req, res) => {
+    try {
+        const result = await scheduledMessageService.cancelScheduledMessage(req.user.uid, req.params.id);
+
+        if (result.success) {
+            res.json({ message: 'Scheduled message cancelled' });
+        } else {
+            res.status(result.error === 'Scheduled message not found' ? 404 : 400).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled message' });
+    }
+};
+
+module.exports = {
+    createScheduledMessage,
+    listScheduledMessages,
+    getScheduledMessage,
+    cancelScheduledMessage
+};
@@ -1,6 +1,11 @@
 const firebaseService = require('../services/firebaseService');
 const knowledgeService = require('../services/knowledgeService');
 const aiService = require('../services/aiService');
+const groupPolicyService = require('../services/groupPolicyService');
+const rateLimitService = require('../services/rateLimitService');
+const businessHoursService = require('../services/businessHoursService');
+const messageQueueService = require('../services/messageQueueService');
+const optOutService = require('../services/optOutService');
 const fileParser = require('../utils/fileParser');
 
 const getSettings = async (req, res) => {
@@ -19,6 +24,7 @@ const getSettings = async (req, res) => {
 
         if (settings) {
             res.json({
+                imageUnderstanding: true,
                 ...settings,
                 availableModels
             });
@@ -27,7 +33,8 @@ const getSettings = async (req, res) => {
             res.json({
                 availableModels,
                 model: 'gemini-3-flash-preview',
-                context: ''
+                context: '',
+                imageUnderstanding: true
             });
         }
     } catch (error) {
@@ -39,12 +46,13 @@ const getSettings = async (req, res) => {
 const updateSettings = async (req, res) => {
     try {
         const userId = req.user.uid;
-        const { context, model } = req.body;
+        const { context, model, imageUnderstanding } = req.body;
 
         // Allow empty context for RAG-only mode
         const success = await firebaseService.updateAISettings(userId, {
             context: context || '',
-            model: model || 'gemini-3-flash-preview'
+            model: model || 'gemini-3-flash-preview',
+            imageUnderstanding: typeof imageUnderstanding === 'boolean' ? imageUnderstanding : undefined
         });
 
         if (success) {
@@ -212,6 +220,181 @@ const clearAllData = async (req, res) => {
     }
 };
 
+/**
+ * Get group chat policy
+ */
+const getGroupSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const settings = await groupPolicyService.getSettings(userId);
+        res.json({ ...settings, availablePolicies: groupPolicyService.GROUP_POLICIES });
+    } catch (error) {
+        console.error('Error fetching group settings:', error);
+        res.status(500).json({ error: 'Failed to fetch group settings' });
+    }
+};
+
+/**
+ * Update group chat policy
+ * Body: { policy: 'ignore' | 'mention' | 'allowlist', allowedGroups: [groupJid] }
+ */
+const updateGroupSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { policy, allowedGroups } = req.body;
+
+        if (policy && !groupPolicyService.GROUP_POLICIES.includes(policy)) {
+            return res.status(400).json({ error: `Invalid policy. Must be: ${groupPolicyService.GROUP_POLICIES.join(', ')}` });
+        }
+
+        const success = await groupPolicyService.updateSettings(userId, { policy, allowedGroups });
+        if (success) {
+            res.json({ message: 'Group settings updated successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to update group settings' });
+        }
+    } catch (error) {
+        console.error('Error updating group settings:', error);
+        res.status(500).json({ error: 'Failed to update group settings' });
+    }
+};
+
+/**
+ * Get per-contact rate limits
+ */
+const getRateLimitSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const settings = await rateLimitService.getSettings(userId);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching rate limit settings:', error);
+        res.status(500).json({ error: 'Failed to fetch rate limit settings' });
+    }
+};
+
+/**
+ * Update per-contact rate limits
+ * Body: { enabled, perMinute, perDay, muteMinutes }
+ */
+const updateRateLimitSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { enabled, perMinute, perDay, muteMinutes } = req.body;
+
+        const success = await rateLimitService.updateSettings(userId, { enabled, perMinute, perDay, muteMinutes });
+        if (success) {
+            res.json({ message: 'Rate limit settings updated successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to update rate limit settings' });
+        }
+    } catch (error) {
+        console.error('Error updating rate limit settings:', error);
+        res.status(500).json({ error: 'Failed to update rate limit settings' });
+    }
+};
+
+/**
+ * Get business hours / away mode settings
+ */
+const getBusinessHoursSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const settings = await businessHoursService.getSettings(userId);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching business hours:', error);
+        res.status(500).json({ error: 'Failed to fetch business hours' });
+    }
+};
+
+/**
+ * Update business hours / away mode settings
+ * Body: { enabled, schedule: { monday: { enabled, start, end, breakStart, breakEnd }, ... },
+ *         awayMessage ({{nextOpen}} placeholder), answerFromKnowledge, flagFollowUp }
+ */
+const updateBusinessHoursSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const result = await businessHoursService.updateSettings(userId, req.body || {});
+
+        if (result.success) {
+            res.json({ message: 'Business hours updated successfully' });
+        } else {
+            const status = result.error.startsWith('Invalid') ? 400 : 500;
+            res.status(status).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error updating business hours:', error);
+        res.status(500).json({ error: 'Failed to update business hours' });
+    }
+};
+
+/**
+ * Get opt-out/opt-in keywords
+ */
+const getOptOutSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const settings = await optOutService.getSettings(userId);
+        res.json({ ...settings, defaults: optOutService.DEFAULT_SETTINGS });
+    } catch (error) {
+        console.error('Error fetching opt-out settings:', error);
+        res.status(500).json({ error: 'Failed to fetch opt-out settings' });
+    }
+};
+
+/**
+ * Update opt-out/opt-in keywords (whole-message, case-insensitive matches)
+ * Body: { optOutKeywords: ['stop', ...], optInKeywords: ['start', ...] }
+ */
+const updateOptOutSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { optOutKeywords, optInKeywords } = req.body || {};
+
+        if ((optOutKeywords !== undefined && !Array.isArray(optOutKeywords)) ||
+            (optInKeywords !== undefined && !Array.isArray(optInKeywords))) {
+            return res.status(400).json({ error: 'optOutKeywords and optInKeywords must be arrays' });
+        }
+
+        const success = await optOutService.updateSettings(userId, { optOutKeywords, optInKeywords });
+        if (success) {
+            res.json({ message: 'Opt-out settings updated successfully', ...(await optOutService.getSettings(userId)) });
+        } else {
+            res.status(500).json({ error: 'Failed to update opt-out settings' });
+        }
+    } catch (error) {
+        console.error('Error updating opt-out settings:', error);
+        res.status(500).json({ error: 'Failed to update opt-out settings' });
+    }
+};
+
+/**
+ * Update offline queue replay policy
+ * Body: { maxAgeMinutes, stalePolicy: 'preface' | 'drop', stalePreface, maxPerContact }
+ */
+const updateQueueSettings = async (req, res) => {
+    try {
+        const userId = req.user.uid;
+        const { maxAgeMinutes, stalePolicy, stalePreface, maxPerContact } = req.body;
+
+        if (stalePolicy && !messageQueueService.STALE_POLICIES.includes(stalePolicy)) {
+            return res.status(400).json({ error: `Invalid stalePolicy. Must be: ${messageQueueService.STALE_POLICIES.join(', ')}` });
+        }
+
+        const success = await messageQueueService.updateSettings(userId, { maxAgeMinutes, stalePolicy, stalePreface, maxPerContact });
+        if (success) {
+            res.json({ message: 'Queue settings updated successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to update queue settings' });
+        }
+    } catch (error) {
+        console.error('Error updating queue settings:', error);
+        res.status(500).json({ error: 'Failed to update queue settings' });
+    }
+};
+
 module.exports = {
     getSettings,
     updateSettings,
@@ -220,5 +403,14 @@ module.exports = {
     addKnowledge,
     listKnowledge,
     deleteKnowledge,
-    clearAllData
+    clearAllData,
+    getGroupSettings,
+    updateGroupSettings,
+    getRateLimitSettings,
+    updateRateLimitSettings,
+    getBusinessHoursSettings,
+    updateBusinessHoursSettings,
+    getOptOutSettings,
+    updateOptOutSettings,
+    updateQueueSettings
 };
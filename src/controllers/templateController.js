@@ -0,0 +1,112 @@
+/**
+ * Template Controller
+ * API endpoints for the message template library
+ */
+
+const templateService = require('../services/templateService');
+
+const getErrorStatus = (error) => {
+    if (error === 'Template not found') return 404;
+    return error.startsWith('Failed') ? 500 : 400;
+};
+
+/**
+ * GET /api/templates
+ */
+const listTemplates = async (req, res) => {
+    try {
+        const templates = await templateService.listTemplates(req.user.uid);
+        res.json({ templates, variables: templateService.TEMPLATE_VARIABLES });
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({ error: 'Failed to list templates' });
+    }
+};
+
+/**
+ * GET /api/templates/:id
+ */
+const getTemplate = async (req, res) => {
+    try {
+        const template = await templateService.getTemplate(req.user.uid, req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+};
+
+/**
+ * POST /api/templates (new custom template) and PUT /api/templates/:id (create, update or customize)
+ * Body: { id (POST only), body, description }
+ */
+const saveTemplate = async (req, res) => {
+    try {
+        const { id, body, description } = req.body || {};
+        const templateId = req.params.id || id;
+
+        if (!req.params.id && (await templateService.getTemplate(req.user.uid, templateId))) {
+            return res.status(409).json({ error: 'A template with this ID already exists' });
+        }
+
+        const result = await templateService.saveTemplate(req.user.uid, templateId, { body, description });
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.status(req.params.id ? 200 : 201).json(result.template);
+    } catch (error) {
+        console.error('Error saving template:', error);
+        res.status(500).json({ error: 'Failed to save template' });
+    }
+};
+
+/**
+ * DELETE /api/templates/:id
+ * Custom templates are deleted; system templates go back to their default text
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        const result = await templateService.deleteTemplate(req.user.uid, req.params.id);
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.json({ message: 'Template deleted' });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+};
+
+/**
+ * POST /api/templates/preview
+ * Body: { templateId } or { body }, optional { variables } (sample values are used for the rest)
+ */
+const previewTemplate = async (req, res) => {
+    try {
+        const { templateId, body, variables } = req.body || {};
+        if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables) || variables === null)) {
+            return res.status(400).json({ error: 'variables must be an object' });
+        }
+
+        const result = await templateService.previewTemplate(req.user.uid, { templateId, body, variables });
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        const { success, ...preview } = result;
+        res.json(preview);
+    } catch (error) {
+        console.error('Error previewing template:', error);
+        res.status(500).json({ error: 'Failed to preview template' });
+    }
+};
+
+module.exports = {
+    listTemplates,
+    getTemplate,
+    saveTemplate,
+    deleteTemplate,
+    previewTemplate
+};
@@ -0,0 +1,122 @@
+/**
+ * Webhook Controller
+ * API endpoints for outbound webhooks and their delivery log
+ */
+
+const webhookService = require('../services/webhookService');
+
+const getErrorStatus = (error) => {
+    if (error === 'Webhook not found') return 404;
+    return error.startsWith('Failed') ? 500 : 400;
+};
+
+/**
+ * GET /api/webhooks
+ */
+const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.listWebhooks(req.user.uid);
+        res.json({ webhooks, eventTypes: webhookService.EVENT_TYPES });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+};
+
+/**
+ * POST /api/webhooks
+ * Body: { url, events: [...] (empty = all events), description }
+ * The signing secret is only returned in this response
+ */
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events, description } = req.body || {};
+        const result = await webhookService.createWebhook(req.user.uid, { url, events, description });
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.status(201).json(result.webhook);
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+};
+
+/**
+ * PUT /api/webhooks/:id
+ * Body: { url, events, description, enabled }
+ */
+const updateWebhook = async (req, res) => {
+    try {
+        const { url, events, description, enabled } = req.body || {};
+        const result = await webhookService.updateWebhook(req.user.uid, req.params.id, { url, events, description, enabled });
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.json({ message: 'Webhook updated' });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+};
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+    try {
+        const success = await webhookService.deleteWebhook(req.user.uid, req.params.id);
+
+        if (success) {
+            res.json({ message: 'Webhook deleted' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete webhook' });
+        }
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+};
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a signed webhook.test event once (no retries)
+ */
+const testWebhook = async (req, res) => {
+    try {
+        const result = await webhookService.sendTestEvent(req.user.uid, req.params.id);
+
+        if (!result.success) {
+            return res.status(getErrorStatus(result.error)).json({ error: result.error });
+        }
+        res.json(result.result);
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+};
+
+/**
+ * GET /api/webhooks/deliveries?webhookId=&limit=
+ */
+const getDeliveries = async (req, res) => {
+    try {
+        const { webhookId, limit } = req.query;
+        const deliveries = await webhookService.getDeliveries(req.user.uid, { webhookId, limit });
+        res.json({ deliveries });
+    } catch (error) {
+        console.error('Error getting webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+};
+
+module.exports = {
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    testWebhook,
+    getDeliveries
+};
@@ -1,14 +1,29 @@
 const whatsappService = require('../services/whatsappService')
+const messageQueueService = require('../services/messageQueueService')
+const whatsappSessionService = require('../services/whatsappSessionService')
+const messagePayload = require('../utils/messagePayload')
+const eventBus = require('../services/eventBus')
+const { openEventStream } = require('../utils/sse')
+
+// Which WhatsApp number a request targets (/sessions/:sessionId/... or ?sessionId=), default if omitted
+const getRequestSessionId = (req) =>
+    whatsappSessionService.resolveSessionId(req.params.sessionId || req.query.sessionId || req.body?.sessionId)
+
+const INVALID_SESSION_ERROR = 'Invalid session ID (use 1-32 lowercase letters, numbers or -)'
 
 const getQR = async (req, res) => {
     const startTime = Date.now();
     const userId = req.user.uid;
-    console.log(`[${new Date().toISOString()}] 🔄 /api/qr - Request from user: ${userId}`);
+    const sessionId = getRequestSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ error: INVALID_SESSION_ERROR });
+    }
+    console.log(`[${new Date().toISOString()}] 🔄 /api/qr - Request from user: ${userId} (session: ${sessionId})`);
 
     // Ensure session is initialized
-    await whatsappService.initialize(userId);
+    await whatsappService.initialize(userId, sessionId);
 
-    const qr = whatsappService.getQR(userId);
+    const qr = whatsappService.getQR(userId, sessionId);
     const elapsedTime = Date.now() - startTime;
 
     if (qr) {
@@ -25,21 +40,78 @@ const getQR = async (req, res) => {
 const getStatus = (req, res) => {
     const startTime = Date.now();
     const userId = req.user.uid;
-    const status = whatsappService.getStatus(userId);
+    const sessionId = getRequestSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ error: INVALID_SESSION_ERROR });
+    }
+    const { status, pairingCode } = whatsappService.getConnectionState(userId, sessionId);
     const elapsedTime = Date.now() - startTime;
 
-    console.log(`[${new Date().toISOString()}] 📊 /api/status - User: ${userId}, Status: ${status} (${elapsedTime}ms)`);
+    console.log(`[${new Date().toISOString()}] 📊 /api/status - User: ${userId}, Session: ${sessionId}, Status: ${status} (${elapsedTime}ms)`);
+
+    res.json({ status, sessionId, pairingCode });
+}
+
+// Link by phone number instead of scanning the QR (for tenants using the dashboard on the same phone)
+// POST /api/pairing-code { phone, sessionId? } - WhatsApp > Linked Devices > Link with phone number
+const requestPairingCode = async (req, res) => {
+    const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+    const phone = messagePayload.normalizePhone(req.body?.phone);
+
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
+    if (phone.length < 8 || phone.length > 15) {
+        return res.status(400).json({ success: false, error: 'Phone number with country code required (e.g., 919876543210)' });
+    }
 
-    res.json({ status });
+    try {
+        console.log(`[${new Date().toISOString()}] 🔢 /api/pairing-code - User: ${userId} (session: ${sessionId})`);
+        const result = await whatsappService.requestPairingCode(userId, phone, sessionId);
+        // Still pending: the code arrives on /api/status and the status stream
+        res.status(result.pairingCode ? 200 : 202).json({ success: true, sessionId, ...result });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/pairing-code - Error:`, error);
+        const status = error.message === 'WhatsApp is already connected' ? 409 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+}
+
+// Live connection updates (status changes, new QR codes, disconnect reasons, reconnect attempts)
+// GET /api/status/stream?sessionId= - the first "status" event is the current state
+const streamStatus = (req, res) => {
+    const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ error: INVALID_SESSION_ERROR });
+    }
+
+    const stream = openEventStream(req, res);
+    stream.send('status', {
+        ...whatsappService.getConnectionState(userId, sessionId),
+        timestamp: new Date().toISOString()
+    });
+
+    const unsubscribe = eventBus.subscribe(userId, (event) => {
+        if (event.type !== 'session.status' || event.data.sessionId !== sessionId) return;
+        stream.send('status', { ...event.data, timestamp: event.timestamp });
+    });
+
+    stream.onClose(unsubscribe);
 }
 
 const disconnect = async (req, res) => {
     const startTime = Date.now();
     const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
 
     try {
-        console.log(`[${new Date().toISOString()}] 🔌 /api/disconnect - User: ${userId} requesting disconnect`);
-        await whatsappService.disconnect(userId);
+        console.log(`[${new Date().toISOString()}] 🔌 /api/disconnect - User: ${userId} requesting disconnect (session: ${sessionId})`);
+        await whatsappService.disconnect(userId, sessionId);
         const elapsedTime = Date.now() - startTime;
         console.log(`[${new Date().toISOString()}] ✅ /api/disconnect - User: ${userId} disconnected (${elapsedTime}ms)`);
         res.json({ success: true, message: 'WhatsApp disconnected' });
@@ -52,10 +124,14 @@ const disconnect = async (req, res) => {
 const clearCredentials = async (req, res) => {
     const startTime = Date.now();
     const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
 
     try {
-        console.log(`[${new Date().toISOString()}] 🗑️ /api/credentials - User: ${userId} clearing credentials`);
-        const result = await whatsappService.clearCredentials(userId);
+        console.log(`[${new Date().toISOString()}] 🗑️ /api/credentials - User: ${userId} clearing credentials (session: ${sessionId})`);
+        const result = await whatsappService.clearCredentials(userId, sessionId);
         const elapsedTime = Date.now() - startTime;
         console.log(`[${new Date().toISOString()}] ✅ /api/credentials - User: ${userId} cleared ${result.deleted} docs (${elapsedTime}ms)`);
         res.json({ success: true, message: 'Credentials cleared', ...result });
@@ -68,14 +144,18 @@ const clearCredentials = async (req, res) => {
 const sendTestButtons = async (req, res) => {
     const userId = req.user.uid;
     const { phone } = req.body;
+    const sessionId = getRequestSessionId(req);
 
     if (!phone) {
         return res.status(400).json({ success: false, error: 'Phone number required' });
     }
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
 
     try {
         console.log(`[${new Date().toISOString()}] 🔘 /api/test-buttons - Sending to: ${phone}`);
-        await whatsappService.sendTestButtons(userId, phone);
+        await whatsappService.sendTestButtons(userId, phone, sessionId);
         res.json({ success: true, message: 'Test buttons sent' });
     } catch (error) {
         console.error(`[${new Date().toISOString()}] ❌ /api/test-buttons - Error:`, error);
@@ -83,10 +163,90 @@ const sendTestButtons = async (req, res) => {
     }
 }
 
+// Messages waiting to be replayed (queued while WhatsApp was offline), for every number or ?sessionId=
+const getQueue = async (req, res) => {
+    const userId = req.user.uid;
+    const sessionId = req.query.sessionId ? getRequestSessionId(req) : null;
+    if (req.query.sessionId && !sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
+
+    try {
+        const [queue, settings] = await Promise.all([
+            messageQueueService.getQueueDepth(userId, sessionId),
+            messageQueueService.getSettings(userId)
+        ]);
+        res.json({ ...queue, settings });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/queue - Error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// All WhatsApp numbers on the account with their settings and live status
+const listSessions = async (req, res) => {
+    const userId = req.user.uid;
+
+    try {
+        const sessions = await whatsappService.listSessions(userId);
+        res.json({ sessions });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/sessions - Error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// Create (POST /sessions with sessionId in the body) or update (PUT /sessions/:sessionId) a number's settings
+const saveSession = async (req, res) => {
+    const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+    const { label, persona, bookingEnabled } = req.body || {};
+
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
+
+    try {
+        const session = await whatsappSessionService.saveSessionConfig(userId, sessionId, { label, persona, bookingEnabled });
+        if (!session) {
+            return res.status(500).json({ success: false, error: 'Failed to save session' });
+        }
+        res.json({ success: true, session: { sessionId, ...session } });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/sessions - Error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// Log out a number and remove its credentials and settings
+const deleteSession = async (req, res) => {
+    const userId = req.user.uid;
+    const sessionId = getRequestSessionId(req);
+
+    if (!sessionId) {
+        return res.status(400).json({ success: false, error: INVALID_SESSION_ERROR });
+    }
+
+    try {
+        const result = await whatsappService.clearCredentials(userId, sessionId);
+        await whatsappSessionService.deleteSessionConfig(userId, sessionId);
+        res.json({ success: true, message: 'Session removed', ...result });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ /api/sessions - Error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
 module.exports = {
     getQR,
     getStatus,
+    streamStatus,
+    requestPairingCode,
     disconnect,
     clearCredentials,
-    sendTestButtons
+    sendTestButtons,
+    getQueue,
+    listSessions,
+    saveSession,
+    deleteSession
 }
@@ -0,0 +1,150 @@
+/**
+ * Widget Controller
+ * Website chat widget: tenant settings (authenticated) and the public chat endpoint used by frontend/widget.js
+ */
+
+const widgetService = require('../services/widgetService');
+const messagePipeline = require('../services/messagePipeline');
+const { createWebChannel } = require('../channels/webChannel');
+
+/**
+ * CORS for the public widget routes - the widget runs on the tenant's own website
+ * (per-tenant origin restrictions are checked in the handlers)
+ */
+const allowCors = (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+};
+
+/**
+ * Resolve the tenant key and check the calling website
+ * Sends the error response and returns null if the request can't proceed
+ */
+const resolveTenant = async (req, res) => {
+    const tenant = await widgetService.resolveKey(req.params.tenantKey);
+    if (!tenant) {
+        res.status(404).json({ error: 'Chat widget not found' });
+        return null;
+    }
+    if (!widgetService.isOriginAllowed(tenant.settings, req.get('origin'))) {
+        res.status(403).json({ error: 'This website is not allowed to use the chat widget' });
+        return null;
+    }
+    return tenant;
+};
+
+/**
+ * GET /api/public/widget/:tenantKey
+ * Appearance settings the widget loads on start
+ */
+const getPublicConfig = async (req, res) => {
+    try {
+        const tenant = await resolveTenant(req, res);
+        if (!tenant) return;
+
+        const { title, greeting, color } = tenant.settings;
+        res.json({ title, greeting, color });
+    } catch (error) {
+        console.error('Error fetching widget config:', error);
+        res.status(500).json({ error: 'Failed to load chat widget' });
+    }
+};
+
+/**
+ * POST /api/public/chat/:tenantKey
+ * Body: { visitorId, text, name }
+ * text is the visitor's message, or the ID of a button they tapped
+ * Returns { conversationId, replies: [{ text, buttons: [{ id, text }] }] }
+ */
+const chat = async (req, res) => {
+    try {
+        if (!widgetService.checkRequestRate(req.ip)) {
+            return res.status(429).json({ error: 'Too many messages. Please wait a moment.' });
+        }
+
+        const tenant = await resolveTenant(req, res);
+        if (!tenant) return;
+
+        const { visitorId, text, name } = req.body || {};
+        const conversationId = widgetService.getVisitorConversationKey(visitorId);
+        if (!conversationId) {
+            return res.status(400).json({ error: 'visitorId is required (letters, numbers, - and _, up to 64 characters)' });
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ error: 'text is required' });
+        }
+
+        const channel = createWebChannel();
+        await messagePipeline.processMessage(channel, { visitorId, text, name }, tenant.userId);
+
+        res.json({ conversationId, replies: channel.replies });
+    } catch (error) {
+        console.error('Error handling widget chat:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+};
+
+/**
+ * GET /api/widget
+ */
+const getSettings = async (req, res) => {
+    try {
+        const settings = await widgetService.getSettings(req.user.uid);
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching widget settings:', error);
+        res.status(500).json({ error: 'Failed to fetch widget settings' });
+    }
+};
+
+/**
+ * POST /api/widget
+ * Body: { enabled, title, greeting, color, allowedOrigins: [origin] (empty = any website) }
+ */
+const updateSettings = async (req, res) => {
+    try {
+        const { enabled, title, greeting, color, allowedOrigins } = req.body || {};
+
+        if (allowedOrigins !== undefined && !Array.isArray(allowedOrigins)) {
+            return res.status(400).json({ error: 'allowedOrigins must be an array' });
+        }
+
+        const success = await widgetService.updateSettings(req.user.uid, { enabled, title, greeting, color, allowedOrigins });
+        if (!success) {
+            return res.status(500).json({ error: 'Failed to update widget settings' });
+        }
+        res.json(await widgetService.getSettings(req.user.uid));
+    } catch (error) {
+        console.error('Error updating widget settings:', error);
+        res.status(500).json({ error: 'Failed to update widget settings' });
+    }
+};
+
+/**
+ * POST /api/widget/key
+ * Issue a new widget key; the old one stops working immediately
+ */
+const rotateKey = async (req, res) => {
+    try {
+        const key = await widgetService.rotateKey(req.user.uid);
+        if (!key) {
+            return res.status(500).json({ error: 'Failed to rotate widget key' });
+        }
+        res.json({ key });
+    } catch (error) {
+        console.error('Error rotating widget key:', error);
+        res.status(500).json({ error: 'Failed to rotate widget key' });
+    }
+};
+
+module.exports = {
+    allowCors,
+    getPublicConfig,
+    chat,
+    getSettings,
+    updateSettings,
+    rotateKey
+};
@@ -85,11 +85,18 @@ const verifyToken = async (req, res, next) => {
     }
 
     const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Unauthorized: No token provided' });
+    let token = null;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        token = authHeader.split('Bearer ')[1];
+    } else if (typeof req.query?.token === 'string' && (req.headers.accept || '').includes('text/event-stream')) {
+        // EventSource cannot set headers - SSE streams pass the token as a query param
+        token = req.query.token;
     }
 
-    const token = authHeader.split('Bearer ')[1];
+    if (!token) {
+        return res.status(401).json({ error: 'Unauthorized: No token provided' });
+    }
 
     try {
         const decodedToken = await admin.auth().verifyIdToken(token);
@@ -5,6 +5,7 @@ const multer = require('multer');
 const whatsappController = require('../controllers/whatsappController');
 const dashboardController = require('../controllers/dashboardController');
 const settingsController = require('../controllers/settingsController');
+const messageController = require('../controllers/messageController');
 const verifyToken = require('../middleware/authMiddleware');
 
 // Configure Multer for memory storage
@@ -15,7 +16,8 @@ const upload = multer({
 });
 
 // Middleware to parse JSON body for POST requests
-router.use(express.json());
+// Raised limit allows base64 media in /messages/send
+router.use(express.json({ limit: '10mb' }));
 
 // Public Config Route
 router.get('/config/firebase', (req, res) => {
@@ -23,18 +25,48 @@ router.get('/config/firebase', (req, res) => {
     res.json(firebaseConfig);
 });
 
+// Public Website Chat Widget Routes (authenticated by the tenant's widget key)
+const widgetController = require('../controllers/widgetController');
+router.use('/public', widgetController.allowCors);
+router.get('/public/widget/:tenantKey', widgetController.getPublicConfig);
+router.post('/public/chat/:tenantKey', widgetController.chat);
+
 // Protected Routes
 router.use(verifyToken);
 
 router.get('/qr', whatsappController.getQR);
 router.get('/status', whatsappController.getStatus);
+router.get('/status/stream', whatsappController.streamStatus);
+router.post('/pairing-code', whatsappController.requestPairingCode);
 router.post('/disconnect', whatsappController.disconnect);
 router.post('/test-buttons', whatsappController.sendTestButtons);
+router.post('/messages/send', messageController.sendMessage);
+router.get('/queue', whatsappController.getQueue);
+
+// Multiple WhatsApp numbers per account (the routes above use the "default" session unless ?sessionId= is set)
+router.get('/sessions', whatsappController.listSessions);
+router.post('/sessions', whatsappController.saveSession);
+router.put('/sessions/:sessionId', whatsappController.saveSession);
+router.get('/sessions/:sessionId/qr', whatsappController.getQR);
+router.get('/sessions/:sessionId/status', whatsappController.getStatus);
+router.get('/sessions/:sessionId/status/stream', whatsappController.streamStatus);
+router.post('/sessions/:sessionId/pairing-code', whatsappController.requestPairingCode);
+router.post('/sessions/:sessionId/disconnect', whatsappController.disconnect);
+router.delete('/sessions/:sessionId', whatsappController.deleteSession);
 router.delete('/credentials', whatsappController.clearCredentials);
 router.get('/dashboard/stats', dashboardController.getDashboardStats);
 
 router.get('/settings/ai', settingsController.getSettings);
 router.post('/settings/ai', settingsController.updateSettings);
+router.get('/settings/groups', settingsController.getGroupSettings);
+router.post('/settings/groups', settingsController.updateGroupSettings);
+router.get('/settings/rate-limits', settingsController.getRateLimitSettings);
+router.post('/settings/rate-limits', settingsController.updateRateLimitSettings);
+router.get('/settings/business-hours', settingsController.getBusinessHoursSettings);
+router.post('/settings/business-hours', settingsController.updateBusinessHoursSettings);
+router.get('/settings/opt-out', settingsController.getOptOutSettings);
+router.post('/settings/opt-out', settingsController.updateOptOutSettings);
+router.post('/settings/queue', settingsController.updateQueueSettings);
 
 const consultantController = require('../controllers/consultantController');
 
@@ -66,6 +98,76 @@ router.post('/user/profile', userController.updateProfile);
 router.get('/user/onboarding', userController.getOnboardingStatus);
 router.post('/user/onboarding', userController.updateOnboardingStatus);
 
+// Conversation Inbox & Takeover Routes
+const conversationController = require('../controllers/conversationController');
+router.get('/conversations', conversationController.listConversations);
+router.get('/conversations/stream', conversationController.streamConversations);
+router.get('/conversations/follow-ups', conversationController.listFollowUps);
+router.get('/conversations/:id', conversationController.getConversation);
+router.post('/conversations/:id/claim', conversationController.claimConversation);
+router.post('/conversations/:id/release', conversationController.releaseConversation);
+router.post('/conversations/:id/reply', conversationController.replyToConversation);
+router.post('/conversations/:id/follow-up/resolve', conversationController.resolveFollowUp);
+
+// Broadcast Campaign Routes
+const broadcastController = require('../controllers/broadcastController');
+router.post('/broadcasts', upload.single('file'), broadcastController.createCampaign);
+router.get('/broadcasts', broadcastController.listCampaigns);
+router.get('/broadcasts/:id', broadcastController.getCampaign);
+router.get('/broadcasts/:id/recipients', broadcastController.getRecipients);
+router.post('/broadcasts/:id/cancel', broadcastController.cancelCampaign);
+
+// Scheduled Message Routes
+const scheduledMessageController = require('../controllers/scheduledMessageController');
+router.post('/scheduled-messages', scheduledMessageController.createScheduledMessage);
+router.get('/scheduled-messages', scheduledMessageController.listScheduledMessages);
+router.get('/scheduled-messages/:id', scheduledMessageController.getScheduledMessage);
+router.post('/scheduled-messages/:id/cancel', scheduledMessageController.cancelScheduledMessage);
+
+// Contact Directory Routes
+const contactController = require('../controllers/contactController');
+router.get('/contacts', contactController.listContacts);
+router.get('/contacts/:phone', contactController.getContact);
+router.get('/contacts/:phone/history', contactController.getContactHistory);
+router.put('/contacts/:phone', contactController.updateContact);
+router.post('/contacts/:phone/notes', contactController.addNote);
+router.delete('/contacts/:phone/notes/:noteId', contactController.deleteNote);
+
+// Rate Limit Routes
+const rateLimitController = require('../controllers/rateLimitController');
+router.get('/rate-limits/events', rateLimitController.getEvents);
+router.post('/rate-limits/:phone/unmute', rateLimitController.unmuteContact);
+
+// Blocklist / Allowlist Routes
+const contactListController = require('../controllers/contactListController');
+router.get('/contact-lists', contactListController.listEntries);
+router.post('/contact-lists', contactListController.addEntry);
+router.post('/contact-lists/sandbox', contactListController.setSandboxMode);
+router.delete('/contact-lists/:phone', contactListController.removeEntry);
+
+// Outbound Webhook Routes
+const webhookController = require('../controllers/webhookController');
+router.get('/webhooks', webhookController.listWebhooks);
+router.post('/webhooks', webhookController.createWebhook);
+router.get('/webhooks/deliveries', webhookController.getDeliveries);
+router.put('/webhooks/:id', webhookController.updateWebhook);
+router.delete('/webhooks/:id', webhookController.deleteWebhook);
+router.post('/webhooks/:id/test', webhookController.testWebhook);
+
+// Message Template Routes
+const templateController = require('../controllers/templateController');
+router.get('/templates', templateController.listTemplates);
+router.post('/templates', templateController.saveTemplate);
+router.post('/templates/preview', templateController.previewTemplate);
+router.get('/templates/:id', templateController.getTemplate);
+router.put('/templates/:id', templateController.saveTemplate);
+router.delete('/templates/:id', templateController.deleteTemplate);
+
+// Website Chat Widget Settings
+router.get('/widget', widgetController.getSettings);
+router.post('/widget', widgetController.updateSettings);
+router.post('/widget/key', widgetController.rotateKey);
+
 module.exports = router;
 
 
@@ -3,9 +3,13 @@ const contextData = require('../config/context');
 const firebaseService = require('./firebaseService');
 const knowledgeService = require('./knowledgeService');
 
-let ai = null;
+// Model provider: anything with generateContent(request) - the Gemini SDK by default, a mock in tests
+let modelProvider = null;
 const modelName = 'gemini-3-flash-preview';
 
+// Added to both the simple and full system prompts when the customer sent a photo
+const PHOTO_INSTRUCTION = 'PHOTOS: The customer attached a photo. Describe what matters (device, damage, label text) and help based on it.';
+
 // ==================== PRE-BUILT RESPONSES ====================
 // Common greetings that don't need AI processing - saves API calls & reads
 const GREETING_PATTERNS = [
@@ -147,14 +151,25 @@ const getPrebuiltResponse = (message, isInBookingFlow = false) => {
 
 const initialize = () => {
     if (process.env.GEMINI_API_KEY) {
-        ai = new GoogleGenAI({
+        const ai = new GoogleGenAI({
             apiKey: process.env.GEMINI_API_KEY,
         });
+        modelProvider = {
+            generateContent: (request) => ai.models.generateContent(request)
+        };
     } else {
         console.warn('GEMINI_API_KEY is not set. AI features will be disabled.');
     }
 };
 
+/**
+ * Replace the model provider (e.g., a mock in tests)
+ * @param {{ generateContent: Function }|null} provider
+ */
+const setModelProvider = (provider) => {
+    modelProvider = provider;
+};
+
 const shouldReplyToMessage = (userMessage) => {
     // Smart detection - only reply/quote when contextually appropriate
     const replyTriggers = [
@@ -201,20 +216,33 @@ const clearUserCache = (userId) => {
     console.log(`Cleared cache for user ${userId}`);
 };
 
-const generateResponse = async (userMessage, userId, senderPhone = 'Unknown', senderName = null, conversationId = null) => {
+/**
+ * Generate a reply for a customer message
+ * @param {object} options - { userMeta, images, afterHours, persona, bookingEnabled }
+ *   userMeta: extra fields stored on the user message (group participant attribution)
+ *   images: [{ mimeType, data }] base64 images sent inline to the model
+ *   afterHours: { nextOpening } when the business is closed (staff offline)
+ *   persona: extra instructions for the WhatsApp number that received the message
+ *   bookingEnabled: false disables booking for this number
+ */
+const generateResponse = async (userMessage, userId, senderPhone = 'Unknown', senderName = null, conversationId = null, options = {}) => {
+    const userMeta = options.userMeta || {};
+    const images = options.images || [];
+    const afterHours = options.afterHours || null;
+    const persona = options.persona || '';
     const startTime = Date.now();
     const timings = {};
 
     // ==================== PRE-BUILT RESPONSE CHECK ====================
     // Check for common greetings/phrases BEFORE any expensive operations
     // This saves: AI API call, Firestore reads, RAG search, etc.
-    const prebuiltResponse = getPrebuiltResponse(userMessage);
+    const prebuiltResponse = images.length === 0 ? getPrebuiltResponse(userMessage) : null;
     if (prebuiltResponse) {
         console.log(`[AI] Pre-built response for: "${userMessage.substring(0, 20)}..." (${Date.now() - startTime}ms)`);
         
         // Save the conversation exchange (1 write instead of 2)
         if (userId) {
-            firebaseService.saveConversationExchange(userId, userMessage, prebuiltResponse, conversationId)
+            firebaseService.saveConversationExchange(userId, userMessage, prebuiltResponse, conversationId, userMeta)
                 .catch(err => console.error('Error saving prebuilt exchange:', err));
         }
         
@@ -222,13 +250,14 @@ const generateResponse = async (userMessage, userId, senderPhone = 'Unknown', se
     }
     // ==================================================================
 
-    if (!ai) {
+    if (!modelProvider) {
         return "I'm currently offline. Please try again later.";
     }
 
     // ==================== SMART CONTEXT LOADING ====================
     // Analyze message to determine what context is actually needed
     const intent = analyzeMessageIntent(userMessage);
+    if (options.bookingEnabled === false) intent.needsBooking = false;
     console.log(`[AI] Intent: RAG=${intent.needsRAG}, Booking=${intent.needsBooking}, Simple=${intent.isSimple}, History=${intent.historyLimit}`);
     // ===============================================================
 
@@ -388,7 +417,7 @@ User: "Hi, tell me about your services"
         // ~100 tokens vs ~500 tokens for full prompt
         systemPrompt = `You are a friendly WhatsApp business assistant.
 Keep responses SHORT (1-2 sentences max). Be warm and conversational.
-Context: ${baseContext.substring(0, 200)}`;
+Context: ${baseContext.substring(0, 200)}${images.length > 0 ? `\n${PHOTO_INSTRUCTION}` : ''}`;
     } else {
         // Full prompt for complex queries
         systemPrompt = `You are 'ConnectSphere', a 2026-grade WhatsApp business assistant.
@@ -399,10 +428,16 @@ RULES:
 1. KNOWLEDGE FIRST: Use RAG knowledge as truth. Don't invent prices/policies.
 2. WHATSAPP STYLE: Short sentences, friendly tone, *bold* for emphasis.
 3. ONE STEP AT A TIME: Give one step, ask "Done?", then continue.
-
+${images.length > 0 ? `4. ${PHOTO_INSTRUCTION}\n` : ''}
 ${fullContext ? `\nKNOWLEDGE:\n${fullContext}` : ''}
 ${consultantInstructions}`;
     }
+    if (afterHours) {
+        systemPrompt += `\n\nAFTER HOURS: The business is closed. Staff are offline and will be back ${afterHours.nextOpening}. Answer from the knowledge above only. Never promise a call back or say someone will reply now.`;
+    }
+    if (persona) {
+        systemPrompt += `\n\nPERSONA FOR THIS NUMBER:\n${persona}`;
+    }
     // ===============================================================
 
     const config = {
@@ -421,8 +456,14 @@ ${consultantInstructions}`;
             role: 'user',
             parts: [
                 {
-                    text: userMessage,
+                    text: firebaseService.formatAttributedContent({ ...userMeta, role: 'user', content: userMessage }),
                 },
+                ...images.map(image => ({
+                    inlineData: {
+                        mimeType: image.mimeType,
+                        data: image.data,
+                    },
+                })),
             ],
         },
     ];
@@ -430,7 +471,7 @@ ${consultantInstructions}`;
     // AI generation timing
     const genStart = Date.now();
     try {
-        let result = await ai.models.generateContent({
+        let result = await modelProvider.generateContent({
             model: currentModel,
             config,
             contents,
@@ -499,7 +540,7 @@ ${consultantInstructions}`;
                         }
                     ];
 
-                    const followUpResult = await ai.models.generateContent({
+                    const followUpResult = await modelProvider.generateContent({
                         model: currentModel,
                         config: { ...config, tools: [] }, // Remove tools for follow-up to get text response
                         contents: functionResponseContents,
@@ -555,7 +596,7 @@ ${consultantInstructions}`;
         // NEW: Single write for both user message + AI response
         if (userId && responseText) {
             Promise.all([
-                firebaseService.saveConversationExchange(userId, userMessage, responseText, conversationId),
+                firebaseService.saveConversationExchange(userId, userMessage, responseText, conversationId, userMeta),
                 firebaseService.logTokenUsage(userId, inputTokens, outputTokens)
             ]).catch(err => console.error('Error saving conversation/tokens:', err));
         }
@@ -571,6 +612,7 @@ ${consultantInstructions}`;
 
 module.exports = {
     initialize,
+    setModelProvider,
     generateResponse,
     shouldReplyToMessage,
     clearUserCache,
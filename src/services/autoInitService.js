@@ -6,6 +6,7 @@
 const { db } = require('../config/firebase');
 const { collection, getDocs } = require('firebase/firestore');
 const dns = require('dns').promises;
+const { getSessionIdFromCredsDoc } = require('./whatsappSessionService');
 
 const INITIAL_DELAY_MS = Number(process.env.WHATSAPP_AUTO_INIT_DELAY_MS || 3000);
 const USER_INIT_TIMEOUT_MS = Number(process.env.WHATSAPP_USER_INIT_TIMEOUT_MS || 10000);
@@ -44,6 +45,33 @@ const getUsersWithCredentials = async () => {
     }
 };
 
+/**
+ * Get every stored WhatsApp session (a user can have several named numbers)
+ * @returns {Promise<{ userId: string, sessionId: string }[]>}
+ */
+const getSessionsWithCredentials = async () => {
+    try {
+        const usersSnapshot = await getDocs(collection(db, 'users'));
+        const storedSessions = [];
+
+        for (const userDoc of usersSnapshot.docs) {
+            const userId = userDoc.id;
+            const credsSnapshot = await getDocs(collection(db, 'users', userId, 'whatsapp_creds'));
+            const sessionIds = new Set();
+
+            credsSnapshot.forEach((credsDoc) => {
+                sessionIds.add(getSessionIdFromCredsDoc(credsDoc.id));
+            });
+            sessionIds.forEach(sessionId => storedSessions.push({ userId, sessionId }));
+        }
+
+        return storedSessions;
+    } catch (error) {
+        console.error('[AutoInit] Error getting sessions with credentials:', error);
+        return [];
+    }
+};
+
 /**
  * Delay helper
  */
@@ -66,37 +94,37 @@ const syncSessionsForStoredUsers = async (reason = 'manual') => {
     syncInProgress = true;
 
     try {
-        const userIds = await getUsersWithCredentials();
+        const storedSessions = await getSessionsWithCredentials();
 
-        if (userIds.length === 0) {
+        if (storedSessions.length === 0) {
             if (reason === 'startup') {
                 console.log('[AutoInit] No users with stored credentials found');
             }
             return;
         }
 
-        console.log(`[AutoInit] Sync trigger (${reason}) for ${userIds.length} user(s)`);
+        console.log(`[AutoInit] Sync trigger (${reason}) for ${storedSessions.length} session(s)`);
 
         // Lazy load whatsappService to avoid circular dependencies
         const whatsappService = require('./whatsappService');
 
-        for (const userId of userIds) {
+        for (const { userId, sessionId } of storedSessions) {
             try {
-                const status = whatsappService.getStatus(userId);
+                const status = whatsappService.getStatus(userId, sessionId);
                 if (['connected', 'connecting', 'scanning'].includes(status)) {
                     continue;
                 }
 
-                console.log(`[AutoInit] Initializing WhatsApp for user: ${userId} (status: ${status})`);
+                console.log(`[AutoInit] Initializing WhatsApp for user: ${userId}, session: ${sessionId} (status: ${status})`);
 
                 await Promise.race([
-                    whatsappService.initialize(userId),
+                    whatsappService.initialize(userId, sessionId),
                     delay(USER_INIT_TIMEOUT_MS)
                 ]);
 
                 await delay(USER_INIT_GAP_MS);
             } catch (error) {
-                console.log(`[AutoInit] Skipped user ${userId}: ${error.message || 'Connection failed'}`);
+                console.log(`[AutoInit] Skipped user ${userId} (${sessionId}): ${error.message || 'Connection failed'}`);
             }
         }
     } catch (error) {
@@ -164,5 +192,6 @@ const autoInitializeUsers = async () => {
 
 module.exports = {
     autoInitializeUsers,
-    getUsersWithCredentials
+    getUsersWithCredentials,
+    getSessionsWithCredentials
 };
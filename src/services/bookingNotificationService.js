@@ -5,6 +5,7 @@
 
 const QRCode = require('qrcode');
 const whatsappService = require('./whatsappService');
+const templateService = require('./templateService');
 
 /**
  * Generate QR code as base64 buffer for booking
@@ -36,6 +37,17 @@ const generateBookingQR = async (bookingData) => {
     return qrBuffer;
 };
 
+/**
+ * Number to notify from: the one the booking came in on while it's connected, otherwise any connected one
+ * @returns {string|null} null if no number is connected
+ */
+const getNotificationSessionId = (userId, booking) => {
+    if (booking.sessionId && whatsappService.getSession(userId, booking.sessionId)?.status === 'connected') {
+        return booking.sessionId;
+    }
+    return whatsappService.getConnectedSessionId(userId);
+};
+
 /**
  * Send booking confirmation notification with QR code
  */
@@ -43,20 +55,18 @@ const sendConfirmationNotification = async (userId, booking) => {
     try {
         const { phone, name, date, timeSlot, reason, tokenNumber, id } = booking;
 
+        // Web chat bookings have no number to notify
         if (!phone) {
             console.error('No phone number for booking notification');
             return { success: false, error: 'No phone number' };
         }
 
-        // Get WhatsApp session
-        const session = whatsappService.getSession(userId);
-        if (!session || session.status !== 'connected') {
+        const sessionId = getNotificationSessionId(userId, booking);
+        if (!sessionId) {
             console.error('WhatsApp not connected for notification');
             return { success: false, error: 'WhatsApp not connected' };
         }
 
-        const jid = `${phone}@s.whatsapp.net`;
-
         // Generate QR code
         const qrBuffer = await generateBookingQR({
             bookingId: id,
@@ -68,27 +78,23 @@ const sendConfirmationNotification = async (userId, booking) => {
         });
 
         // Send confirmation message with QR code image
-        const confirmationMessage = `✅ *BOOKING CONFIRMED!*
-
-━━━━━━━━━━━━━━━━━━━━━
-🎫 *Token:* #${tokenNumber}
-👤 *Name:* ${name || 'Customer'}
-📅 *Date:* ${date}
-⏰ *Time:* ${timeSlot}
-📝 *Reason:* ${reason || 'General Consultation'}
-━━━━━━━━━━━━━━━━━━━━━
-
-Please show this QR code at check-in.
-_Thank you for booking with us!_`;
+        const confirmationMessage = await templateService.render(userId, 'booking_confirmed_notification', {
+            token: tokenNumber,
+            name: name || 'Customer',
+            date,
+            time: timeSlot,
+            reason: reason || 'General Consultation'
+        });
 
         // Send message first
-        await session.sock.sendMessage(jid, { text: confirmationMessage });
+        await whatsappService.sendOutboundMessage(userId, phone, { type: 'text', text: confirmationMessage }, sessionId);
 
         // Send QR code image
-        await session.sock.sendMessage(jid, {
-            image: qrBuffer,
-            caption: '📱 *Your Booking QR Code*\nShow this at check-in'
-        });
+        await whatsappService.sendOutboundMessage(userId, phone, {
+            type: 'image',
+            base64: qrBuffer.toString('base64'),
+            caption: await templateService.render(userId, 'booking_qr_caption')
+        }, sessionId);
 
         console.log(`✅ Confirmation notification sent to ${phone}`);
         return { success: true };
@@ -108,26 +114,20 @@ const sendRejectionNotification = async (userId, booking, staffNote) => {
 
         if (!phone) return { success: false, error: 'No phone number' };
 
-        const session = whatsappService.getSession(userId);
-        if (!session || session.status !== 'connected') {
+        const sessionId = getNotificationSessionId(userId, booking);
+        if (!sessionId) {
             return { success: false, error: 'WhatsApp not connected' };
         }
 
-        const jid = `${phone}@s.whatsapp.net`;
-
-        const message = `❌ *BOOKING UPDATE*
-
-Sorry ${name || 'there'}, your booking request could not be confirmed.
-
-📅 Date: ${date}
-⏰ Time: ${timeSlot}
-🎫 Token: #${tokenNumber}
-
-${staffNote ? `📝 *Note:* ${staffNote}` : ''}
-
-Please try booking another slot or contact us for assistance.`;
+        const message = await templateService.render(userId, 'booking_rejected_notification', {
+            name: name || 'there',
+            date,
+            time: timeSlot,
+            token: tokenNumber,
+            note: staffNote ? `📝 *Note:* ${staffNote}` : ''
+        });
 
-        await session.sock.sendMessage(jid, { text: message });
+        await whatsappService.sendOutboundMessage(userId, phone, { type: 'text', text: message }, sessionId);
 
         console.log(`✅ Rejection notification sent to ${phone}`);
         return { success: true };
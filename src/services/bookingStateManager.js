@@ -151,6 +151,31 @@ const parseButtonAction = (buttonId) => {
     return null;
 };
 
+const normalizeReply = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}:\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Map a typed reply to the last menu shown ("2", "Tuesday", "14:30") back to its button/row ID
+ * For customers whose WhatsApp client doesn't render buttons or lists
+ * @returns {string|null} ID for parseButtonAction, or null if the reply doesn't pick exactly one option
+ */
+const resolveMenuReply = (phone, text) => {
+    const { menu } = getState(phone);
+    const reply = normalizeReply(text);
+    if (!menu?.length || !reply) return null;
+
+    if (/^\d{1,2}$/.test(reply)) {
+        return menu[Number(reply) - 1]?.id || null;
+    }
+    if (reply.length < 3) return null;
+
+    const matches = menu.filter(option => normalizeReply(option.text).includes(reply));
+    return matches.length === 1 ? matches[0].id : null;
+};
+
 /**
  * Clean up stale booking states (older than 30 minutes)
  */
@@ -216,6 +241,7 @@ module.exports = {
     setName,
     isBookingAction,
     parseButtonAction,
+    resolveMenuReply,
     isInBookingFlow,
     extractReasonFromMessage,
     canSkipReasonStep,
@@ -0,0 +1,486 @@
+/**
+ * Broadcast Service
+ * Throttled, scheduled WhatsApp campaigns with per-recipient delivery status
+ */
+
+const xlsx = require('xlsx');
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, updateDoc, collection, addDoc, getDocs,
+    query, where, increment, serverTimestamp, writeBatch, Timestamp
+} = require('firebase/firestore');
+const optOutService = require('./optOutService');
+const templateService = require('./templateService');
+const { resolveSessionId } = require('./whatsappSessionService');
+
+const DEFAULT_RATE_PER_MINUTE = Number(process.env.BROADCAST_RATE_PER_MINUTE || 20);
+const MAX_RATE_PER_MINUTE = 60;
+const SESSION_RETRY_MS = 60 * 1000; // Wait before retrying when WhatsApp is offline
+const RECIPIENT_SOURCES = ['conversations', 'bookings', 'csv'];
+const ACTIVE_STATUSES = ['scheduled', 'sending'];
+
+// userId::campaignId -> timeout handle
+const campaignTimers = new Map();
+const cancelledCampaigns = new Set();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getTimerKey = (userId, campaignId) => `${userId}::${campaignId}`;
+
+const getCampaignRef = (userId, campaignId) => doc(db, 'users', userId, 'broadcasts', campaignId);
+
+const getRecipientsCollection = (userId, campaignId) =>
+    collection(db, 'users', userId, 'broadcasts', campaignId, 'recipients');
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+const clampRate = (rate) => {
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) return DEFAULT_RATE_PER_MINUTE;
+    return Math.min(MAX_RATE_PER_MINUTE, Math.max(1, Math.floor(value)));
+};
+
+const toMillis = (value) => value?.toMillis?.() || (value ? new Date(value).getTime() : 0);
+
+/**
+ * Render a campaign message for one recipient through the template library
+ * {{name}} falls back to "there" for recipients without a name; {{phone}} and {{businessName}} also work
+ * @param {object} campaign - { templateId } for a saved template, or { template } with the message text
+ */
+const renderCampaignMessage = (userId, campaign, recipient = {}) => {
+    const variables = { name: recipient.name || 'there', phone: recipient.phone || '' };
+    return campaign.templateId
+        ? templateService.render(userId, campaign.templateId, variables)
+        : templateService.renderText(userId, campaign.template, variables);
+};
+
+/**
+ * Parse an uploaded CSV/Excel recipient list
+ * Uses a "phone" header column when present, otherwise phone is column 1 and name column 2
+ * @returns {Array<{phone: string, name: string|null}>}
+ */
+const parseRecipientsFile = (buffer) => {
+    const workbook = xlsx.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => String(cell).trim().toLowerCase());
+    const hasHeader = header.includes('phone');
+    const phoneIndex = hasHeader ? header.indexOf('phone') : 0;
+    const nameIndex = hasHeader ? header.indexOf('name') : 1;
+
+    return (hasHeader ? rows.slice(1) : rows)
+        .map(row => ({
+            phone: normalizePhone(row[phoneIndex]),
+            name: nameIndex >= 0 && row[nameIndex] ? String(row[nameIndex]).trim() : null
+        }))
+        .filter(recipient => recipient.phone.length >= 8);
+};
+
+/**
+ * Collect recipients from past WhatsApp conversations
+ */
+const getConversationRecipients = async (userId) => {
+    const snapshot = await getDocs(collection(db, 'users', userId, 'conversations'));
+    const recipients = [];
+    snapshot.forEach((convDoc) => {
+        if (!convDoc.id.startsWith('wa_') || convDoc.id.startsWith('wa_group_')) return;
+        recipients.push({ phone: normalizePhone(convDoc.id.replace(/^wa_/, '')), name: null });
+    });
+    return recipients;
+};
+
+/**
+ * Collect recipients from bookings (uses the booking name)
+ */
+const getBookingRecipients = async (userId) => {
+    const consultantService = require('./consultantService');
+    const bookings = await consultantService.getBookings(userId);
+    return bookings.map(booking => ({
+        phone: normalizePhone(booking.phone),
+        name: booking.name && booking.name !== 'Unknown' ? booking.name : null
+    }));
+};
+
+const dedupeRecipients = (recipients) => {
+    const byPhone = new Map();
+    for (const recipient of recipients) {
+        if (!recipient.phone) continue;
+        const existing = byPhone.get(recipient.phone);
+        if (!existing || (!existing.name && recipient.name)) {
+            byPhone.set(recipient.phone, recipient);
+        }
+    }
+    return [...byPhone.values()];
+};
+
+const writeRecipients = async (userId, campaignId, recipients) => {
+    const recipientsRef = getRecipientsCollection(userId, campaignId);
+    let batch = writeBatch(db);
+    let batchCount = 0;
+
+    for (const recipient of recipients) {
+        batch.set(doc(recipientsRef, recipient.phone), {
+            phone: recipient.phone,
+            name: recipient.name,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            sentAt: null
+        });
+        batchCount++;
+
+        // Firestore batch limit is 500
+        if (batchCount >= 450) {
+            await batch.commit();
+            batch = writeBatch(db);
+            batchCount = 0;
+        }
+    }
+
+    if (batchCount > 0) {
+        await batch.commit();
+    }
+};
+
+/**
+ * Create a campaign and schedule it
+ * @param {object} data - { name, template | templateId, source, sendAt, ratePerMinute, sessionId, recipients (for csv) }
+ *   templateId: saved template to send instead of the template text
+ *   sessionId: number to send from; when omitted, any connected number is used
+ */
+const createCampaign = async (userId, data) => {
+    const { name, template, templateId, source, sendAt, ratePerMinute } = data;
+
+    if (!RECIPIENT_SOURCES.includes(source)) {
+        return { success: false, error: `Invalid source. Must be one of: ${RECIPIENT_SOURCES.join(', ')}` };
+    }
+
+    if (templateId) {
+        if (!(await templateService.getTemplate(userId, templateId))) {
+            return { success: false, error: 'Template not found' };
+        }
+    } else if (!template) {
+        return { success: false, error: 'Template is required' };
+    }
+
+    const sessionId = data.sessionId ? resolveSessionId(data.sessionId) : null;
+    if (data.sessionId && !sessionId) {
+        return { success: false, error: 'Invalid session ID' };
+    }
+
+    let recipients = [];
+    if (source === 'conversations') {
+        recipients = await getConversationRecipients(userId);
+    } else if (source === 'bookings') {
+        recipients = await getBookingRecipients(userId);
+    } else {
+        recipients = data.recipients || [];
+    }
+
+    recipients = dedupeRecipients(recipients);
+    if (recipients.length === 0) {
+        return { success: false, error: 'No recipients found for this campaign' };
+    }
+
+    const sendAtDate = sendAt ? new Date(sendAt) : new Date();
+    if (Number.isNaN(sendAtDate.getTime())) {
+        return { success: false, error: 'Invalid sendAt date' };
+    }
+
+    const campaign = {
+        name: name || 'Untitled campaign',
+        template: templateId ? null : template,
+        templateId: templateId || null,
+        source,
+        sendAt: Timestamp.fromDate(sendAtDate),
+        ratePerMinute: clampRate(ratePerMinute),
+        sessionId,
+        status: 'scheduled',
+        counts: {
+            total: recipients.length,
+            sent: 0,
+            failed: 0,
+            skipped: 0
+        },
+        createdAt: serverTimestamp(),
+        startedAt: null,
+        completedAt: null
+    };
+
+    const campaignRef = await addDoc(collection(db, 'users', userId, 'broadcasts'), campaign);
+    await writeRecipients(userId, campaignRef.id, recipients);
+
+    scheduleCampaign(userId, campaignRef.id, sendAtDate.getTime());
+    console.log(`[Broadcast] User ${userId}: Campaign ${campaignRef.id} scheduled for ${sendAtDate.toISOString()} (${recipients.length} recipients)`);
+
+    return { success: true, campaignId: campaignRef.id, recipients: recipients.length };
+};
+
+const updateRecipient = async (userId, campaignId, phone, update) => {
+    await updateDoc(doc(getRecipientsCollection(userId, campaignId), phone), update);
+};
+
+/**
+ * The connected session a campaign sends from: its own number, or any connected one if it didn't name one
+ * @returns {string|null} Session ID, or null while offline
+ */
+const getCampaignSessionId = (whatsappService, userId, campaign) => {
+    if (!campaign.sessionId) return whatsappService.getConnectedSessionId(userId);
+    const session = whatsappService.getSession(userId, campaign.sessionId);
+    return session && session.status === 'connected' ? campaign.sessionId : null;
+};
+
+/**
+ * Stop a run whose campaign was cancelled while it was sending
+ * The status is written again so a cancel that raced the last send still ends as cancelled
+ */
+const stopIfCancelled = async (userId, campaignId, campaignRef) => {
+    if (!cancelledCampaigns.delete(getTimerKey(userId, campaignId))) return false;
+
+    await updateDoc(campaignRef, { status: 'cancelled', completedAt: serverTimestamp() });
+    console.log(`[Broadcast] User ${userId}: Campaign ${campaignId} cancelled`);
+    return true;
+};
+
+/**
+ * Send a campaign to all pending recipients at the configured rate
+ */
+const runCampaign = async (userId, campaignId) => {
+    const whatsappService = require('./whatsappService');
+    const timerKey = getTimerKey(userId, campaignId);
+    campaignTimers.delete(timerKey);
+
+    const campaignRef = getCampaignRef(userId, campaignId);
+    const campaignSnap = await getDoc(campaignRef);
+    if (!campaignSnap.exists()) return;
+
+    const campaign = campaignSnap.data();
+    if (!ACTIVE_STATUSES.includes(campaign.status)) return;
+
+    if (!getCampaignSessionId(whatsappService, userId, campaign)) {
+        console.log(`[Broadcast] User ${userId}: WhatsApp offline, retrying campaign ${campaignId} later`);
+        scheduleCampaign(userId, campaignId, Date.now() + SESSION_RETRY_MS);
+        return;
+    }
+
+    if (campaign.status === 'scheduled') {
+        await updateDoc(campaignRef, { status: 'sending', startedAt: serverTimestamp() });
+    }
+
+    const pendingSnapshot = await getDocs(query(getRecipientsCollection(userId, campaignId), where('status', '==', 'pending')));
+    const pending = [];
+    pendingSnapshot.forEach((recipientDoc) => pending.push(recipientDoc.data()));
+
+    const intervalMs = Math.ceil(60000 / clampRate(campaign.ratePerMinute));
+
+    for (const recipient of pending) {
+        if (await stopIfCancelled(userId, campaignId, campaignRef)) return;
+
+        // Checked just before each send, so a STOP that arrives mid-campaign still applies
+        let optedOut;
+        try {
+            optedOut = await optOutService.isOptedOut(userId, recipient.phone);
+        } catch (error) {
+            // Remaining recipients stay pending and are picked up on retry
+            console.error(`[Broadcast] User ${userId}: Could not check opt-outs for campaign ${campaignId}, pausing:`, error.message);
+            scheduleCampaign(userId, campaignId, Date.now() + SESSION_RETRY_MS);
+            return;
+        }
+        if (optedOut) {
+            await updateRecipient(userId, campaignId, recipient.phone, { status: 'skipped', error: 'Opted out' });
+            await updateDoc(campaignRef, { 'counts.skipped': increment(1) });
+            continue;
+        }
+
+        const sessionId = getCampaignSessionId(whatsappService, userId, campaign);
+        if (!sessionId) {
+            // Remaining recipients stay pending and are picked up on retry
+            console.log(`[Broadcast] User ${userId}: WhatsApp disconnected mid-campaign ${campaignId}, pausing`);
+            scheduleCampaign(userId, campaignId, Date.now() + SESSION_RETRY_MS);
+            return;
+        }
+
+        try {
+            await whatsappService.sendOutboundMessage(userId, recipient.phone, {
+                type: 'text',
+                text: await renderCampaignMessage(userId, campaign, recipient)
+            }, sessionId);
+            await updateRecipient(userId, campaignId, recipient.phone, {
+                status: 'sent',
+                attempts: increment(1),
+                sentAt: serverTimestamp()
+            });
+            await updateDoc(campaignRef, { 'counts.sent': increment(1) });
+        } catch (error) {
+            console.error(`[Broadcast] User ${userId}: Failed to send to ${recipient.phone}:`, error.message);
+            await updateRecipient(userId, campaignId, recipient.phone, {
+                status: 'failed',
+                attempts: increment(1),
+                error: error.message
+            });
+            await updateDoc(campaignRef, { 'counts.failed': increment(1) });
+        }
+
+        await delay(intervalMs);
+    }
+
+    if (await stopIfCancelled(userId, campaignId, campaignRef)) return;
+
+    await updateDoc(campaignRef, { status: 'completed', completedAt: serverTimestamp() });
+    console.log(`[Broadcast] User ${userId}: Campaign ${campaignId} completed`);
+};
+
+/**
+ * Schedule a campaign run at a given time (runs immediately if due)
+ */
+const scheduleCampaign = (userId, campaignId, runAtMs) => {
+    const timerKey = getTimerKey(userId, campaignId);
+    if (campaignTimers.has(timerKey)) {
+        clearTimeout(campaignTimers.get(timerKey));
+    }
+
+    // setTimeout overflows past ~24.8 days, so re-check long waits daily
+    const waitMs = Math.max(0, runAtMs - Date.now());
+    const timer = waitMs > 24 * 60 * 60 * 1000
+        ? setTimeout(() => scheduleCampaign(userId, campaignId, runAtMs), 24 * 60 * 60 * 1000)
+        : setTimeout(() => {
+            runCampaign(userId, campaignId).catch(error => {
+                console.error(`[Broadcast] User ${userId}: Campaign ${campaignId} failed:`, error);
+            });
+        }, waitMs);
+
+    campaignTimers.set(timerKey, timer);
+};
+
+/**
+ * Cancel a scheduled or sending campaign
+ */
+const cancelCampaign = async (userId, campaignId) => {
+    try {
+        const campaignRef = getCampaignRef(userId, campaignId);
+        const snapshot = await getDoc(campaignRef);
+        if (!snapshot.exists()) return { success: false, error: 'Campaign not found' };
+        if (!ACTIVE_STATUSES.includes(snapshot.data().status)) {
+            return { success: false, error: `Campaign is already ${snapshot.data().status}` };
+        }
+
+        const timerKey = getTimerKey(userId, campaignId);
+        if (campaignTimers.has(timerKey)) {
+            clearTimeout(campaignTimers.get(timerKey));
+            campaignTimers.delete(timerKey);
+        } else {
+            cancelledCampaigns.add(timerKey);
+        }
+
+        await updateDoc(campaignRef, { status: 'cancelled', completedAt: serverTimestamp() });
+        return { success: true };
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        return { success: false, error: 'Failed to cancel campaign' };
+    }
+};
+
+const formatCampaign = (campaignDoc) => {
+    const data = campaignDoc.data();
+    const counts = data.counts || {};
+    return {
+        id: campaignDoc.id,
+        ...data,
+        counts: {
+            ...counts,
+            pending: Math.max(0, (counts.total || 0) - (counts.sent || 0) - (counts.failed || 0) - (counts.skipped || 0))
+        },
+        sendAt: data.sendAt?.toDate?.().toISOString() || null,
+        createdAt: data.createdAt?.toDate?.().toISOString() || null,
+        startedAt: data.startedAt?.toDate?.().toISOString() || null,
+        completedAt: data.completedAt?.toDate?.().toISOString() || null
+    };
+};
+
+/**
+ * Get campaign status with delivery counts
+ */
+const getCampaign = async (userId, campaignId) => {
+    try {
+        const snapshot = await getDoc(getCampaignRef(userId, campaignId));
+        return snapshot.exists() ? formatCampaign(snapshot) : null;
+    } catch (error) {
+        console.error('Error getting campaign:', error);
+        return null;
+    }
+};
+
+/**
+ * List campaigns, newest first
+ */
+const listCampaigns = async (userId) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'users', userId, 'broadcasts'));
+        const campaigns = [];
+        snapshot.forEach((campaignDoc) => campaigns.push(formatCampaign(campaignDoc)));
+        return campaigns.sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        return [];
+    }
+};
+
+/**
+ * Get per-recipient delivery status
+ * @param {string|null} status - Optional filter (pending, sent, failed, skipped)
+ */
+const getRecipients = async (userId, campaignId, status = null) => {
+    try {
+        const recipientsRef = getRecipientsCollection(userId, campaignId);
+        const snapshot = await getDocs(status ? query(recipientsRef, where('status', '==', status)) : recipientsRef);
+        const recipients = [];
+        snapshot.forEach((recipientDoc) => {
+            const data = recipientDoc.data();
+            recipients.push({ ...data, sentAt: data.sentAt?.toDate?.().toISOString() || null });
+        });
+        return recipients;
+    } catch (error) {
+        console.error('Error getting campaign recipients:', error);
+        return [];
+    }
+};
+
+/**
+ * Re-schedule active campaigns after a restart
+ */
+const resumeCampaigns = async () => {
+    try {
+        const usersSnapshot = await getDocs(collection(db, 'users'));
+        let resumed = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            const broadcastsRef = collection(db, 'users', userDoc.id, 'broadcasts');
+            const snapshot = await getDocs(query(broadcastsRef, where('status', 'in', ACTIVE_STATUSES)));
+            snapshot.forEach((campaignDoc) => {
+                scheduleCampaign(userDoc.id, campaignDoc.id, toMillis(campaignDoc.data().sendAt));
+                resumed++;
+            });
+        }
+
+        if (resumed > 0) {
+            console.log(`[Broadcast] Resumed ${resumed} active campaign(s)`);
+        }
+    } catch (error) {
+        console.error('[Broadcast] Error resuming campaigns:', error);
+    }
+};
+
+module.exports = {
+    RECIPIENT_SOURCES,
+    renderCampaignMessage,
+    parseRecipientsFile,
+    createCampaign,
+    runCampaign,
+    cancelCampaign,
+    getCampaign,
+    listCampaigns,
+    getRecipients,
+    resumeCampaigns
+};
@@ -0,0 +1,207 @@
+/**
+ * Business Hours Service
+ * Away mode outside the tenant's opening hours (same day/time model as consultant bookings)
+ */
+
+const { db } = require('../config/firebase');
+const { doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
+const firebaseService = require('./firebaseService');
+const {
+    DAYS, DEFAULT_SCHEDULE, normalizeDaySchedule, timeToMinutes, minutesToTime, getKolkataTime
+} = require('./consultantService');
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']; // Date#getDay order
+const DEFAULT_AWAY_MESSAGE = "Thanks for your message! We're closed right now and will get back to you {{nextOpen}}.";
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    schedule: DEFAULT_SCHEDULE,
+    awayMessage: DEFAULT_AWAY_MESSAGE,
+    answerFromKnowledge: true, // Still let the AI answer from the knowledge base after hours
+    flagFollowUp: true // Mark the conversation for staff follow-up at the next opening
+};
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+// userId::conversationKey -> closed period already handled (away message sent once per period)
+const handledPeriods = new Map();
+
+/**
+ * @throws {Error} On an invalid schedule (same validation as consultant schedules)
+ */
+const sanitizeSettings = (settings = {}) => {
+    const inputSchedule = settings.schedule || {};
+    const schedule = {};
+    for (const day of DAYS) {
+        schedule[day] = normalizeDaySchedule(day, inputSchedule[day] || DEFAULT_SCHEDULE[day]);
+    }
+
+    const awayMessage = typeof settings.awayMessage === 'string' && settings.awayMessage.trim()
+        ? settings.awayMessage.trim().slice(0, 1000)
+        : DEFAULT_AWAY_MESSAGE;
+
+    return {
+        enabled: Boolean(settings.enabled),
+        schedule,
+        awayMessage,
+        answerFromKnowledge: settings.answerFromKnowledge !== false,
+        flagFollowUp: settings.flagFollowUp !== false
+    };
+};
+
+/**
+ * Get business hours settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'business_hours'));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting business hours settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update business hours settings (fields left undefined keep their current value)
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const updateSettings = async (userId, settings = {}) => {
+    const current = await getSettings(userId);
+    const changes = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+
+    let sanitized;
+    try {
+        sanitized = sanitizeSettings({ ...current, ...changes });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    try {
+        await setDoc(doc(db, 'users', userId, 'settings', 'business_hours'), {
+            ...sanitized,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error updating business hours settings:', error);
+        return { success: false, error: 'Failed to update business hours' };
+    }
+};
+
+const getMinutes = (date) => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * Check if the business is open at a given (Kolkata) time
+ */
+const isOpenAt = (schedule, now) => {
+    const day = schedule[WEEK_DAYS[now.getDay()]];
+    if (!day?.enabled) return false;
+
+    const minutes = getMinutes(now);
+    if (minutes < timeToMinutes(day.start) || minutes >= timeToMinutes(day.end)) return false;
+    if (day.breakStart && day.breakEnd &&
+        minutes >= timeToMinutes(day.breakStart) && minutes < timeToMinutes(day.breakEnd)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Find the next opening time after a given (Kolkata) time
+ * @returns {{ date: string, day: string, time: string, daysAhead: number }|null}
+ */
+const getNextOpening = (schedule, now) => {
+    for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+        const date = new Date(now);
+        date.setDate(now.getDate() + daysAhead);
+        const day = schedule[WEEK_DAYS[date.getDay()]];
+        if (!day?.enabled) continue;
+
+        const openings = [day.start, day.breakStart && day.breakEnd].filter(Boolean).map(timeToMinutes);
+        const after = daysAhead === 0 ? getMinutes(now) : -1;
+        const next = openings.filter(minutes => minutes > after).sort((a, b) => a - b)[0];
+        if (next === undefined) continue;
+
+        const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return { date: dateStr, day: WEEK_DAYS[date.getDay()], time: minutesToTime(next), daysAhead };
+    }
+    return null;
+};
+
+/**
+ * Human-readable opening time for messages ("today at 13:00", "tomorrow at 09:00", "on Monday at 09:00")
+ */
+const describeOpening = (opening) => {
+    if (!opening) return 'as soon as we can';
+    if (opening.daysAhead === 0) return `today at ${opening.time}`;
+    if (opening.daysAhead === 1) return `tomorrow at ${opening.time}`;
+    return `on ${opening.day.charAt(0).toUpperCase()}${opening.day.slice(1)} at ${opening.time}`;
+};
+
+/**
+ * Check away mode for an inbound message
+ * Sends nothing itself - returns what the caller should do, and flags the conversation for follow-up
+ * @returns {Promise<null|{ message: string|null, answerFromKnowledge: boolean, nextOpening: string }>}
+ *   null when open (or away mode is off); message is null if the away reply was already sent this closed period
+ */
+const checkAway = async (userId, conversationKey, now = getKolkataTime()) => {
+    const settings = await getSettings(userId);
+    if (!settings.enabled || isOpenAt(settings.schedule, now)) return null;
+
+    const opening = getNextOpening(settings.schedule, now);
+    const nextOpening = describeOpening(opening);
+    const periodId = opening ? `${opening.date}T${opening.time}` : 'closed';
+    const key = `${userId}::${conversationKey}`;
+    const firstInPeriod = handledPeriods.get(key) !== periodId;
+
+    if (firstInPeriod) {
+        handledPeriods.set(key, periodId);
+        if (settings.flagFollowUp) {
+            await firebaseService.updateConversationFollowUp(userId, conversationKey, {
+                pending: true,
+                reason: 'after_hours',
+                requestedAt: new Date().toISOString(),
+                dueAt: periodId
+            });
+        }
+    }
+
+    return {
+        message: firstInPeriod ? settings.awayMessage.replace(/\{\{\s*nextOpen\s*\}\}/g, nextOpening) : null,
+        answerFromKnowledge: settings.answerFromKnowledge,
+        nextOpening
+    };
+};
+
+/**
+ * Mark a conversation's follow-up as done
+ */
+const resolveFollowUp = (userId, conversationKey, resolvedBy) =>
+    firebaseService.updateConversationFollowUp(userId, conversationKey, {
+        pending: false,
+        resolvedBy,
+        resolvedAt: new Date().toISOString()
+    });
+
+module.exports = {
+    DEFAULT_AWAY_MESSAGE,
+    getSettings,
+    updateSettings,
+    isOpenAt,
+    getNextOpening,
+    describeOpening,
+    checkAway,
+    resolveFollowUp
+};
@@ -8,6 +8,7 @@ const {
     doc, getDoc, setDoc, collection, addDoc, getDocs,
     query, where, updateDoc, serverTimestamp, writeBatch
 } = require('firebase/firestore');
+const eventBus = require('./eventBus');
 
 // ==================== CACHING LAYER ====================
 const settingsCache = new Map();
@@ -364,7 +365,7 @@ const getAvailableSlots = async (userId, dateStr) => {
  * Create a booking with transaction for concurrency safety
  */
 const createBooking = async (userId, bookingData) => {
-    const { phone, name, reason, date, timeSlot } = bookingData;
+    const { phone, name, reason, date, timeSlot, sessionId, channel, visitorKey } = bookingData;
 
     try {
         // Verify slot is still available (double-check)
@@ -411,6 +412,9 @@ const createBooking = async (userId, bookingData) => {
             date: date,
             timeSlot: timeSlot,
             tokenNumber: tokenNumber,
+            sessionId: sessionId || null, // WhatsApp number the booking came in on (notifications reply from it)
+            channel: channel || 'whatsapp',
+            visitorKey: visitorKey || null, // Web chat conversation for bookings without a phone number
             status: 'pending',
             createdAt: serverTimestamp(),
             confirmedAt: null,
@@ -418,6 +422,17 @@ const createBooking = async (userId, bookingData) => {
         };
 
         const docRef = await addDoc(bookingsRef, booking);
+        eventBus.publish(userId, 'booking.created', {
+            bookingId: docRef.id,
+            phone: booking.phone,
+            channel: booking.channel,
+            name: booking.name,
+            reason: booking.reason,
+            date,
+            timeSlot,
+            tokenNumber,
+            status: booking.status
+        });
 
         return {
             success: true,
@@ -491,6 +506,7 @@ const updateBookingStatus = async (userId, bookingId, status, staffNote = null)
         }
 
         await updateDoc(bookingRef, updateData);
+        eventBus.publish(userId, 'booking.status_changed', { bookingId, status, staffNote });
         return { success: true };
     } catch (error) {
         console.error('Error updating booking status:', error);
@@ -538,5 +554,11 @@ module.exports = {
     getNextAvailableDates,
     isDateAvailable,
     getKolkataTime,
-    TIMEZONE
+    TIMEZONE,
+    // Schedule model (shared with businessHoursService)
+    DAYS,
+    DEFAULT_SCHEDULE,
+    normalizeDaySchedule,
+    timeToMinutes,
+    minutesToTime
 };
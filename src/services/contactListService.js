@@ -0,0 +1,163 @@
+/**
+ * Contact List Service
+ * Blocklist/allowlist of phone numbers and allowlist-only sandbox mode
+ */
+
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, setDoc, getDocs, deleteDoc, collection, serverTimestamp
+} = require('firebase/firestore');
+
+const LIST_TYPES = ['block', 'allow'];
+const DEFAULT_SETTINGS = {
+    sandboxMode: false // Only allowlisted numbers get replies (for tenants still setting up)
+};
+
+// ==================== CACHING LAYER ====================
+const entriesCache = new Map(); // userId -> { data: Map(phone -> list), timestamp }
+const settingsCache = new Map();
+const CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+const getCached = (cache, userId) => {
+    const cached = cache.get(userId);
+    return cached && Date.now() - cached.timestamp < CACHE_TTL ? cached.data : null;
+};
+
+/**
+ * Get sandbox settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = getCached(settingsCache, userId);
+    if (cached) return cached;
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'contact_list_config'));
+        const settings = {
+            ...DEFAULT_SETTINGS,
+            ...(snapshot.exists() ? { sandboxMode: snapshot.data().sandboxMode === true } : {})
+        };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting contact list settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update sandbox settings
+ */
+const updateSettings = async (userId, { sandboxMode }) => {
+    try {
+        await setDoc(doc(db, 'users', userId, 'settings', 'contact_list_config'), {
+            sandboxMode: sandboxMode === true,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error updating contact list settings:', error);
+        return false;
+    }
+};
+
+/**
+ * List blocklist/allowlist entries
+ * @param {string|null} list - Optional filter ('block' or 'allow')
+ */
+const listEntries = async (userId, list = null) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'users', userId, 'contact_lists'));
+        const entries = [];
+        snapshot.forEach((entryDoc) => {
+            const data = entryDoc.data();
+            if (list && data.list !== list) return;
+            entries.push({
+                phone: entryDoc.id,
+                list: data.list,
+                note: data.note || '',
+                createdAt: data.createdAt?.toDate?.().toISOString() || null
+            });
+        });
+        return entries;
+    } catch (error) {
+        console.error('Error listing contact lists:', error);
+        return [];
+    }
+};
+
+/**
+ * Phone -> list lookup (cached)
+ */
+const getEntryMap = async (userId) => {
+    const cached = getCached(entriesCache, userId);
+    if (cached) return cached;
+
+    const entries = await listEntries(userId);
+    const map = new Map(entries.map(entry => [entry.phone, entry.list]));
+    entriesCache.set(userId, { data: map, timestamp: Date.now() });
+    return map;
+};
+
+/**
+ * Add a number to the blocklist or allowlist (moves it if already on the other list)
+ * @returns {Promise<{ success: boolean, entry?: object, error?: string }>}
+ */
+const addEntry = async (userId, phone, list, note = '') => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return { success: false, error: 'phone is required' };
+    if (!LIST_TYPES.includes(list)) return { success: false, error: `list must be one of: ${LIST_TYPES.join(', ')}` };
+
+    try {
+        const entry = { phone: cleanPhone, list, note: String(note || '').trim() };
+        await setDoc(doc(db, 'users', userId, 'contact_lists', cleanPhone), {
+            ...entry,
+            createdAt: serverTimestamp()
+        });
+        entriesCache.delete(userId);
+        return { success: true, entry };
+    } catch (error) {
+        console.error('Error adding contact list entry:', error);
+        return { success: false, error: 'Failed to save contact list entry' };
+    }
+};
+
+/**
+ * Remove a number from whichever list it is on
+ */
+const removeEntry = async (userId, phone) => {
+    try {
+        await deleteDoc(doc(db, 'users', userId, 'contact_lists', normalizePhone(phone)));
+        entriesCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error removing contact list entry:', error);
+        return false;
+    }
+};
+
+/**
+ * Decide whether the bot may interact with a number at all
+ * @returns {Promise<{ allowed: boolean, reason?: 'blocked' | 'sandbox' }>}
+ */
+const checkContact = async (userId, phone) => {
+    const [entries, settings] = await Promise.all([getEntryMap(userId), getSettings(userId)]);
+    const list = entries.get(normalizePhone(phone));
+
+    if (list === 'block') return { allowed: false, reason: 'blocked' };
+    if (settings.sandboxMode && list !== 'allow') return { allowed: false, reason: 'sandbox' };
+    return { allowed: true };
+};
+
+module.exports = {
+    LIST_TYPES,
+    getSettings,
+    updateSettings,
+    listEntries,
+    addEntry,
+    removeEntry,
+    checkContact
+};
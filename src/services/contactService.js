@@ -0,0 +1,401 @@
+/**
+ * Contact Service
+ * Customer directory keyed by phone number: activity counters kept up to date from inbound
+ * messages and bookings, plus staff-managed tags, custom fields and notes
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, setDoc, updateDoc, getDocs, collection, increment, serverTimestamp
+} = require('firebase/firestore');
+const firebaseService = require('./firebaseService');
+const consultantService = require('./consultantService');
+const scheduledMessageService = require('./scheduledMessageService');
+const eventBus = require('./eventBus');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_FIELDS = 30;
+const MAX_FIELD_VALUE_LENGTH = 500;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTES = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+let unsubscribe = null;
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+const getContactRef = (userId, phone) => doc(db, 'users', userId, 'contacts', phone);
+
+const toISOString = (value) => value?.toDate?.().toISOString() || value || null;
+
+const toMillis = (value) => (value ? new Date(value).getTime() || 0 : 0);
+
+const formatContact = (phone, data = {}) => ({
+    phone,
+    name: data.name || null,
+    displayName: data.displayName || null,
+    tags: data.tags || [],
+    fields: data.fields || {},
+    notes: data.notes || [],
+    messageCount: data.messageCount || 0,
+    bookingCount: data.bookingCount || 0,
+    firstSeenAt: toISOString(data.firstSeenAt),
+    lastSeenAt: toISOString(data.lastSeenAt),
+    lastBookingAt: toISOString(data.lastBookingAt),
+    consent: data.consent
+        ? { ...data.consent, updatedAt: toISOString(data.consent.updatedAt) }
+        : { status: 'unknown', keyword: null, updatedAt: null },
+    updatedAt: toISOString(data.updatedAt)
+});
+
+/**
+ * Apply counters to an existing contact, creating it on first contact
+ * (an update is one write, so the common case doesn't need a read first)
+ */
+const upsertActivity = async (userId, phone, update, initial) => {
+    const contactRef = getContactRef(userId, phone);
+    try {
+        await updateDoc(contactRef, update);
+    } catch (error) {
+        if (error?.code !== 'not-found') throw error;
+        await setDoc(contactRef, {
+            phone,
+            tags: [],
+            fields: {},
+            notes: [],
+            messageCount: 0,
+            bookingCount: 0,
+            firstSeenAt: serverTimestamp(),
+            ...initial
+        }, { merge: true });
+    }
+};
+
+/**
+ * Record an inbound message from a contact
+ * @param {number} count - Messages merged into this one by the aggregator
+ */
+const recordMessage = async (userId, phone, name = null, count = 1) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return false;
+
+    try {
+        const update = {
+            messageCount: increment(count || 1),
+            lastSeenAt: serverTimestamp(),
+            ...(name ? { name } : {})
+        };
+        await upsertActivity(userId, cleanPhone, update, {
+            name: name || null,
+            messageCount: count || 1,
+            lastSeenAt: serverTimestamp()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error recording contact message:', error);
+        return false;
+    }
+};
+
+/**
+ * Record a booking made by (or for) a contact
+ */
+const recordBooking = async (userId, phone, name = null) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return false;
+
+    try {
+        await upsertActivity(userId, cleanPhone, {
+            bookingCount: increment(1),
+            lastBookingAt: serverTimestamp()
+        }, {
+            name: name && name !== 'Unknown' ? name : null,
+            bookingCount: 1,
+            lastBookingAt: serverTimestamp()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error recording contact booking:', error);
+        return false;
+    }
+};
+
+/**
+ * Record the contact's messaging consent (from an opt-out/opt-in keyword)
+ * @param {object} consent - { status: 'opted_out' | 'opted_in', keyword }
+ */
+const setConsent = async (userId, phone, { status, keyword = null }) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return false;
+
+    const consent = { status, keyword, updatedAt: serverTimestamp() };
+    await upsertActivity(userId, cleanPhone, { consent }, { consent });
+    return true;
+};
+
+/**
+ * Get one contact
+ * @returns {Promise<object|null>}
+ */
+const getContact = async (userId, phone) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return null;
+
+    try {
+        const snapshot = await getDoc(getContactRef(userId, cleanPhone));
+        return snapshot.exists() ? formatContact(cleanPhone, snapshot.data()) : null;
+    } catch (error) {
+        console.error('Error getting contact:', error);
+        return null;
+    }
+};
+
+const matchesSearch = (contact, term) => {
+    if (!term) return true;
+    const values = [
+        contact.phone,
+        contact.name,
+        contact.displayName,
+        ...contact.tags,
+        ...Object.values(contact.fields)
+    ];
+    return values.some(value => value && String(value).toLowerCase().includes(term));
+};
+
+/**
+ * Search contacts, most recently active first
+ * Firestore has no text search, so matching is done in memory on the tenant's contacts
+ * @param {object} options - { search (phone, name, tag or field value), tag, limit, offset }
+ * @returns {Promise<{ contacts: object[], total: number }>}
+ */
+const listContacts = async (userId, { search = '', tag = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'users', userId, 'contacts'));
+        const term = String(search || '').trim().toLowerCase();
+        const tagFilter = tag ? String(tag).trim().toLowerCase() : null;
+
+        const contacts = [];
+        snapshot.forEach((contactDoc) => {
+            const contact = formatContact(contactDoc.id, contactDoc.data());
+            if (tagFilter && !contact.tags.includes(tagFilter)) return;
+            if (!matchesSearch(contact, term)) return;
+            contacts.push(contact);
+        });
+        contacts.sort((a, b) => toMillis(b.lastSeenAt || b.updatedAt) - toMillis(a.lastSeenAt || a.updatedAt));
+
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE));
+        const start = Math.max(0, Number(offset) || 0);
+        return { contacts: contacts.slice(start, start + pageSize), total: contacts.length };
+    } catch (error) {
+        console.error('Error listing contacts:', error);
+        return { contacts: [], total: 0 };
+    }
+};
+
+const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) return { error: 'tags must be an array' };
+    const clean = [...new Set(tags.map(tag => String(tag || '').trim().toLowerCase()).filter(Boolean))];
+    if (clean.length > MAX_TAGS) return { error: `A contact can have at most ${MAX_TAGS} tags` };
+    if (clean.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    return { value: clean };
+};
+
+const normalizeFields = (fields) => {
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+        return { error: 'fields must be an object' };
+    }
+    const entries = Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (entries.length > MAX_FIELDS) return { error: `A contact can have at most ${MAX_FIELDS} custom fields` };
+    if (entries.some(([key]) => !FIELD_KEY_PATTERN.test(key))) {
+        return { error: 'Field names must start with a letter and use only letters, numbers or underscores' };
+    }
+    if (entries.some(([, value]) => typeof value === 'object')) return { error: 'Field values must be text or numbers' };
+    if (entries.some(([, value]) => String(value).length > MAX_FIELD_VALUE_LENGTH)) {
+        return { error: `Field values must be at most ${MAX_FIELD_VALUE_LENGTH} characters` };
+    }
+    return { value: Object.fromEntries(entries.map(([key, value]) => [key, String(value).trim()])) };
+};
+
+/**
+ * Update staff-managed details (creates the contact if it hasn't messaged yet)
+ * Tags and fields replace the saved values; omitted properties are left unchanged
+ * @param {object} data - { displayName, tags, fields }
+ * @returns {Promise<{ success: boolean, contact?: object, error?: string }>}
+ */
+const updateContact = async (userId, phone, { displayName, tags, fields } = {}) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return { success: false, error: 'Phone number required' };
+
+    const update = { phone: cleanPhone };
+    if (displayName !== undefined) {
+        update.displayName = String(displayName || '').trim().slice(0, 100) || null;
+    }
+    if (tags !== undefined) {
+        const result = normalizeTags(tags);
+        if (result.error) return { success: false, error: result.error };
+        update.tags = result.value;
+    }
+    if (fields !== undefined) {
+        const result = normalizeFields(fields);
+        if (result.error) return { success: false, error: result.error };
+        update.fields = result.value;
+    }
+
+    try {
+        const contactRef = getContactRef(userId, cleanPhone);
+        const snapshot = await getDoc(contactRef);
+
+        // updateDoc replaces the fields map as a whole (a merged setDoc would keep removed keys)
+        if (snapshot.exists()) {
+            await updateDoc(contactRef, { ...update, updatedAt: serverTimestamp() });
+        } else {
+            await setDoc(contactRef, {
+                tags: [],
+                fields: {},
+                notes: [],
+                messageCount: 0,
+                bookingCount: 0,
+                firstSeenAt: null,
+                ...update,
+                updatedAt: serverTimestamp()
+            });
+        }
+
+        return { success: true, contact: await getContact(userId, cleanPhone) };
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        return { success: false, error: 'Failed to update contact' };
+    }
+};
+
+/**
+ * Add a staff note to a contact
+ * @returns {Promise<{ success: boolean, note?: object, error?: string }>}
+ */
+const addNote = async (userId, phone, text, author) => {
+    const cleanPhone = normalizePhone(phone);
+    const noteText = String(text || '').trim();
+    if (!cleanPhone) return { success: false, error: 'Phone number required' };
+    if (!noteText) return { success: false, error: 'Note text is required' };
+    if (noteText.length > MAX_NOTE_LENGTH) {
+        return { success: false, error: `Notes must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+
+    try {
+        const contact = await getContact(userId, cleanPhone);
+        if (!contact) return { success: false, error: 'Contact not found' };
+        if (contact.notes.length >= MAX_NOTES) {
+            return { success: false, error: `A contact can have at most ${MAX_NOTES} notes` };
+        }
+
+        // Stored in an array on the contact, which can't hold server timestamps
+        const note = {
+            id: crypto.randomBytes(6).toString('hex'),
+            text: noteText,
+            author: author || null,
+            createdAt: new Date().toISOString()
+        };
+        await updateDoc(getContactRef(userId, cleanPhone), {
+            notes: [...contact.notes, note],
+            updatedAt: serverTimestamp()
+        });
+        return { success: true, note };
+    } catch (error) {
+        console.error('Error adding contact note:', error);
+        return { success: false, error: 'Failed to add note' };
+    }
+};
+
+/**
+ * Delete a staff note
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const deleteNote = async (userId, phone, noteId) => {
+    try {
+        const contact = await getContact(userId, phone);
+        if (!contact) return { success: false, error: 'Contact not found' };
+
+        const notes = contact.notes.filter(note => note.id !== noteId);
+        if (notes.length === contact.notes.length) return { success: false, error: 'Note not found' };
+
+        await updateDoc(getContactRef(userId, contact.phone), { notes, updatedAt: serverTimestamp() });
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting contact note:', error);
+        return { success: false, error: 'Failed to delete note' };
+    }
+};
+
+/**
+ * Everything about a customer in one place: contact details, WhatsApp conversation,
+ * bookings and scheduled messages
+ * @returns {Promise<object|null>} Null if the number has no contact, conversation or bookings
+ */
+const getContactHistory = async (userId, phone) => {
+    const cleanPhone = normalizePhone(phone);
+    if (!cleanPhone) return null;
+
+    const [contact, conversation, bookings, scheduledMessages] = await Promise.all([
+        getContact(userId, cleanPhone),
+        firebaseService.getConversation(userId, `wa_${cleanPhone}`),
+        consultantService.getBookings(userId),
+        scheduledMessageService.listScheduledMessages(userId)
+    ]);
+
+    const contactBookings = bookings.filter(booking => normalizePhone(booking.phone) === cleanPhone);
+    if (!contact && !conversation && contactBookings.length === 0) return null;
+
+    return {
+        contact: contact || formatContact(cleanPhone),
+        conversation: conversation
+            ? {
+                id: conversation.id,
+                messages: conversation.messages || [],
+                handoff: conversation.handoff || null,
+                followUp: conversation.followUp || null,
+                updatedAt: conversation.updatedAt
+            }
+            : null,
+        bookings: contactBookings.map(booking => ({
+            ...booking,
+            createdAt: toISOString(booking.createdAt),
+            confirmedAt: toISOString(booking.confirmedAt),
+            updatedAt: toISOString(booking.updatedAt)
+        })),
+        scheduledMessages: scheduledMessages.filter(message => message.phone === cleanPhone)
+    };
+};
+
+/**
+ * Count bookings on the contact, whether made over WhatsApp or added by staff
+ */
+const start = () => {
+    if (unsubscribe) return;
+    unsubscribe = eventBus.subscribeAll((event) => {
+        if (event.type !== 'booking.created') return;
+        recordBooking(event.userId, event.data.phone, event.data.name);
+    });
+};
+
+const stop = () => {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+};
+
+module.exports = {
+    recordMessage,
+    recordBooking,
+    setConsent,
+    getContact,
+    listContacts,
+    updateContact,
+    addNote,
+    deleteNote,
+    getContactHistory,
+    start,
+    stop
+};
@@ -0,0 +1,54 @@
+/**
+ * Event Bus
+ * In-process pub/sub for per-user platform events (messages, sessions, bookings)
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open dashboard stream
+
+const ALL_EVENTS = '*';
+
+/**
+ * Publish an event for a user
+ * @param {string} type - Event type (e.g., 'message.received')
+ * @param {object} data - Event payload
+ */
+const publish = (userId, type, data = {}) => {
+    const event = {
+        type,
+        userId,
+        data,
+        timestamp: new Date().toISOString()
+    };
+
+    emitter.emit(`user:${userId}`, event);
+    emitter.emit(ALL_EVENTS, event);
+    return event;
+};
+
+/**
+ * Subscribe to all events of one user
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (userId, listener) => {
+    const channel = `user:${userId}`;
+    emitter.on(channel, listener);
+    return () => emitter.off(channel, listener);
+};
+
+/**
+ * Subscribe to events of every user (for server-side integrations)
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeAll = (listener) => {
+    emitter.on(ALL_EVENTS, listener);
+    return () => emitter.off(ALL_EVENTS, listener);
+};
+
+module.exports = {
+    publish,
+    subscribe,
+    subscribeAll
+};
@@ -1,19 +1,24 @@
 const { db } = require('../config/firebase');
 const { doc, getDoc, setDoc, deleteDoc } = require('firebase/firestore');
 const { BufferJSON, initAuthCreds } = require('@kelvdra/baileys');
+const { getCredsPrefix } = require('./whatsappSessionService');
 
-const useFirebaseAuthState = async (userId) => {
+/**
+ * Baileys auth state stored in Firestore
+ * @param {string} sessionId - Named sessions keep their docs apart with an ID prefix ("sales__creds")
+ */
+const useFirebaseAuthState = async (userId, sessionId) => {
     const collectionName = 'whatsapp_creds';
-    const userCredsRef = doc(db, 'users', userId, collectionName, 'creds');
+    const prefix = getCredsPrefix(sessionId);
 
     const writeData = async (data, id) => {
-        const ref = doc(db, 'users', userId, collectionName, id);
+        const ref = doc(db, 'users', userId, collectionName, `${prefix}${id}`);
         await setDoc(ref, { value: JSON.stringify(data, BufferJSON.replacer) }, { merge: true });
     };
 
     const readData = async (id) => {
         try {
-            const ref = doc(db, 'users', userId, collectionName, id);
+            const ref = doc(db, 'users', userId, collectionName, `${prefix}${id}`);
             const snapshot = await getDoc(ref);
             if (snapshot.exists()) {
                 const data = snapshot.data();
@@ -27,7 +32,7 @@ const useFirebaseAuthState = async (userId) => {
 
     const removeData = async (id) => {
         try {
-            const ref = doc(db, 'users', userId, collectionName, id);
+            const ref = doc(db, 'users', userId, collectionName, `${prefix}${id}`);
             await deleteDoc(ref);
         } catch (error) {
             // ignore
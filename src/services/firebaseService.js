@@ -6,6 +6,7 @@ const {
     where,
     orderBy,
     limit,
+    startAfter,
     getDocs,
     serverTimestamp,
     setDoc,
@@ -15,6 +16,7 @@ const {
     getDoc,
     deleteDoc,
     writeBatch,
+    arrayUnion,
     Timestamp
 } = require('firebase/firestore');
 
@@ -68,6 +70,13 @@ const normalizeConversationId = (conversationId = '') => {
     return clean.replace(/[^a-zA-Z0-9_-]/g, '_');
 };
 
+// wa_ = WhatsApp, web_ = website chat widget, anything else = in-app chat
+const getConversationChannel = (conversationId) => {
+    if (conversationId.startsWith('wa_')) return 'whatsapp';
+    if (conversationId.startsWith('web_')) return 'web';
+    return 'app';
+};
+
 const getConversationDocRef = (userId, conversationId = null) => {
     const safeConversationId = normalizeConversationId(conversationId);
     return doc(db, 'users', userId, 'conversations', safeConversationId);
@@ -92,8 +101,9 @@ const MAX_MESSAGES_PER_CONVERSATION = 100; // Keep last 100 messages
  * @param {string} userMessage - User's message
  * @param {string} modelResponse - AI's response
  * @param {string} conversationId - Conversation ID (e.g., wa_1234567890)
+ * @param {object} userMeta - Extra fields for the user message (e.g., group participant attribution)
  */
-const saveConversationExchange = async (userId, userMessage, modelResponse, conversationId = null) => {
+const saveConversationExchange = async (userId, userMessage, modelResponse, conversationId = null, userMeta = {}) => {
     try {
         const safeConversationId = normalizeConversationId(conversationId);
         const conversationRef = getConversationDocRef(userId, safeConversationId);
@@ -109,7 +119,7 @@ const saveConversationExchange = async (userId, userMessage, modelResponse, conv
         // Add new exchange
         const timestamp = new Date().toISOString();
         messages.push(
-            { role: 'user', content: userMessage, timestamp },
+            { ...userMeta, role: 'user', content: userMessage, timestamp },
             { role: 'model', content: modelResponse, timestamp }
         );
         
@@ -121,7 +131,7 @@ const saveConversationExchange = async (userId, userMessage, modelResponse, conv
         // Save conversation with updated messages
         await setDoc(conversationRef, {
             conversationId: safeConversationId,
-            channel: safeConversationId.startsWith('wa_') ? 'whatsapp' : 'app',
+            channel: getConversationChannel(safeConversationId),
             participantKey: safeConversationId,
             messages,
             messageCount: messages.length,
@@ -140,10 +150,10 @@ const saveConversationExchange = async (userId, userMessage, modelResponse, conv
 };
 
 /**
- * Legacy: Save individual message (for backward compatibility)
+ * Save an individual message (staff replies, messages received while the bot is paused)
+ * @param {object} meta - Extra fields stored on the message entry (e.g., { source: 'staff' })
  */
-const saveMessage = async (userId, role, content, conversationId = null) => {
-    // This is kept for backward compatibility but new code should use saveConversationExchange
+const saveMessage = async (userId, role, content, conversationId = null, meta = {}) => {
     try {
         const safeConversationId = normalizeConversationId(conversationId);
         const conversationRef = getConversationDocRef(userId, safeConversationId);
@@ -158,6 +168,7 @@ const saveMessage = async (userId, role, content, conversationId = null) => {
         
         // Add new message
         messages.push({
+            ...meta,
             role,
             content,
             timestamp: new Date().toISOString()
@@ -171,7 +182,7 @@ const saveMessage = async (userId, role, content, conversationId = null) => {
         // Save conversation
         await setDoc(conversationRef, {
             conversationId: safeConversationId,
-            channel: safeConversationId.startsWith('wa_') ? 'whatsapp' : 'app',
+            channel: getConversationChannel(safeConversationId),
             participantKey: safeConversationId,
             messages,
             messageCount: messages.length,
@@ -185,6 +196,136 @@ const saveMessage = async (userId, role, content, conversationId = null) => {
         console.error('Error saving message:', error);
     }
 };
+
+const toISOString = (value) => value?.toDate?.().toISOString() || value || null;
+
+/**
+ * Get a single conversation document
+ * @returns {Promise<object|null>} Conversation data with id, or null if missing
+ */
+const getConversation = async (userId, conversationId) => {
+    try {
+        const conversationRef = getConversationDocRef(userId, conversationId);
+        const conversationSnap = await getDoc(conversationRef);
+        if (!conversationSnap.exists()) return null;
+        const data = conversationSnap.data();
+        return { id: conversationSnap.id, ...data, updatedAt: toISOString(data.updatedAt) };
+    } catch (error) {
+        console.error('Error getting conversation:', error);
+        return null;
+    }
+};
+
+const formatConversationSummary = (convDoc) => {
+    const data = convDoc.data();
+    const messages = data.messages || [];
+    return {
+        id: convDoc.id,
+        channel: data.channel || null,
+        participantKey: data.participantKey || convDoc.id,
+        messageCount: data.messageCount || messages.length,
+        lastMessage: messages[messages.length - 1] || null,
+        handoff: data.handoff || null,
+        followUp: data.followUp || null,
+        updatedAt: toISOString(data.updatedAt)
+    };
+};
+
+/**
+ * List conversations, most recently updated first
+ * @param {object} options - { pageSize, cursor } where cursor is the last conversation ID of the previous page
+ * @returns {Promise<{conversations: object[], nextCursor: string|null}>}
+ */
+const listConversations = async (userId, { pageSize = 20, cursor = null } = {}) => {
+    try {
+        const conversationsRef = collection(db, 'users', userId, 'conversations');
+        const constraints = [orderBy('updatedAt', 'desc')];
+
+        if (cursor) {
+            const cursorSnap = await getDoc(getConversationDocRef(userId, cursor));
+            if (cursorSnap.exists()) {
+                constraints.push(startAfter(cursorSnap));
+            }
+        }
+        constraints.push(limit(pageSize + 1));
+
+        const snapshot = await getDocs(query(conversationsRef, ...constraints));
+        const conversations = [];
+        snapshot.forEach((convDoc) => conversations.push(formatConversationSummary(convDoc)));
+
+        const hasMore = conversations.length > pageSize;
+        const page = conversations.slice(0, pageSize);
+        return {
+            conversations: page,
+            nextCursor: hasMore ? page[page.length - 1].id : null
+        };
+    } catch (error) {
+        console.error('Error listing conversations:', error);
+        return { conversations: [], nextCursor: null };
+    }
+};
+
+/**
+ * Update the human handoff state of a conversation and append to its handoff log
+ * @param {object} handoff - Current handoff state ({ active, claimedBy, ... })
+ * @param {object|null} logEntry - Entry appended to handoffLog ({ event, by, at })
+ */
+const updateConversationHandoff = async (userId, conversationId, handoff, logEntry = null) => {
+    try {
+        const safeConversationId = normalizeConversationId(conversationId);
+        const conversationRef = getConversationDocRef(userId, safeConversationId);
+        const update = {
+            conversationId: safeConversationId,
+            handoff,
+            updatedAt: serverTimestamp()
+        };
+        if (logEntry) {
+            update.handoffLog = arrayUnion(logEntry);
+        }
+        await setDoc(conversationRef, update, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error updating conversation handoff:', error);
+        return false;
+    }
+};
+
+/**
+ * Set or clear the staff follow-up flag on a conversation
+ * @param {object} followUp - { pending, reason, requestedAt, dueAt, resolvedBy, resolvedAt }
+ */
+const updateConversationFollowUp = async (userId, conversationId, followUp) => {
+    try {
+        const safeConversationId = normalizeConversationId(conversationId);
+        await setDoc(getConversationDocRef(userId, safeConversationId), {
+            conversationId: safeConversationId,
+            followUp
+        }, { merge: true });
+        return true;
+    } catch (error) {
+        console.error('Error updating conversation follow-up:', error);
+        return false;
+    }
+};
+
+/**
+ * Conversations waiting for staff follow-up, oldest request first
+ */
+const listFollowUpConversations = async (userId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'users', userId, 'conversations'),
+            where('followUp.pending', '==', true)
+        ));
+        const conversations = [];
+        snapshot.forEach((convDoc) => conversations.push(formatConversationSummary(convDoc)));
+        return conversations.sort((a, b) =>
+            String(a.followUp.requestedAt).localeCompare(String(b.followUp.requestedAt)));
+    } catch (error) {
+        console.error('Error listing follow-up conversations:', error);
+        return [];
+    }
+};
 // ================================================================
 
 const updateUserStats = async (userId) => {
@@ -226,6 +367,14 @@ const logTokenUsage = async (userId, inputTokens, outputTokens) => {
     }
 };
 
+/**
+ * Prefix group messages with the participant so the AI knows who said what
+ */
+const formatAttributedContent = (msg) => {
+    if (msg.role !== 'user' || !msg.participant) return msg.content;
+    return `${msg.senderName || msg.participant}: ${msg.content}`;
+};
+
 // Track if user has legacy messages (check once per session)
 const legacyMigrationChecked = new Set();
 
@@ -250,7 +399,7 @@ const getConversationHistory = async (userId, messageLimit = 10, conversationId
             const recentMessages = messages.slice(-messageLimit);
             const history = recentMessages.map(msg => ({
                 role: msg.role,
-                parts: [{ text: msg.content }]
+                parts: [{ text: formatAttributedContent(msg) }]
             }));
             
             if (history.length > 0) {
@@ -419,6 +568,7 @@ const updateAISettings = async (userId, settings) => {
         const nextSettings = {};
         if (typeof settings.context === 'string') nextSettings.context = settings.context;
         if (typeof settings.model === 'string') nextSettings.model = settings.model;
+        if (typeof settings.imageUnderstanding === 'boolean') nextSettings.imageUnderstanding = settings.imageUnderstanding;
         nextSettings.updatedAt = serverTimestamp();
         await setDoc(docRef, nextSettings, { merge: true });
         
@@ -479,14 +629,24 @@ const removeFileContent = async (userId, fileId) => {
     }
 };
 
+/**
+ * Queue a message received while the bot is offline
+ * The WhatsApp message ID is the doc ID, so a redelivered message doesn't create a second entry
+ */
 const queueMessage = async (userId, messageData) => {
     try {
         const queueRef = collection(db, 'users', userId, 'messageQueue');
-        await addDoc(queueRef, {
+        const entry = {
             ...messageData,
             queuedAt: serverTimestamp(),
             processed: false
-        });
+        };
+        const messageId = messageData.message?.key?.id;
+        if (messageId) {
+            await setDoc(doc(queueRef, String(messageId)), entry);
+        } else {
+            await addDoc(queueRef, entry);
+        }
         return true;
     } catch (error) {
         console.error('Error queuing message:', error);
@@ -524,10 +684,15 @@ const getQueuedMessages = async (userId) => {
     }
 };
 
-const clearQueuedMessage = async (userId, messageId) => {
+/**
+ * Mark a queued message as handled
+ * @param {object} extra - Additional fields (e.g., { dropped: true } when no reply was sent)
+ */
+const clearQueuedMessage = async (userId, messageId, extra = {}) => {
     try {
         const messageRef = doc(db, 'users', userId, 'messageQueue', messageId);
         await updateDoc(messageRef, {
+            ...extra,
             processed: true,
             processedAt: serverTimestamp()
         });
@@ -900,6 +1065,12 @@ module.exports = {
     saveMessage,
     saveConversationExchange,
     getConversationHistory,
+    formatAttributedContent,
+    getConversation,
+    listConversations,
+    updateConversationHandoff,
+    updateConversationFollowUp,
+    listFollowUpConversations,
     updateUserStats,
     logTokenUsage,
     getDashboardStats,
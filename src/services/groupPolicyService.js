@@ -0,0 +1,142 @@
+/**
+ * Group Policy Service
+ * Decides whether the bot replies to WhatsApp group messages
+ */
+
+const { db } = require('../config/firebase');
+const { doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
+
+const GROUP_POLICIES = ['ignore', 'mention', 'allowlist'];
+const DEFAULT_SETTINGS = {
+    policy: 'mention',
+    allowedGroups: []
+};
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const isGroupJid = (jid) => String(jid || '').endsWith('@g.us');
+
+/**
+ * Conversation key for a group (one conversation per group, not per participant)
+ */
+const getGroupConversationKey = (groupJid) =>
+    `wa_group_${String(groupJid || '').split('@')[0].replace(/[^0-9a-zA-Z_-]/g, '')}`;
+
+// "919876543210:12@s.whatsapp.net" -> "919876543210"
+const getJidUser = (jid) => String(jid || '').split('@')[0].split(':')[0];
+
+const getContextInfo = (msg) => {
+    const message = msg.message || {};
+    return message.extendedTextMessage?.contextInfo ||
+        message.imageMessage?.contextInfo ||
+        message.audioMessage?.contextInfo ||
+        message.buttonsResponseMessage?.contextInfo ||
+        message.listResponseMessage?.contextInfo ||
+        null;
+};
+
+/**
+ * Check if the bot was @mentioned or quoted in a group message
+ * @param {object} botUser - sock.user ({ id, lid })
+ */
+const isBotAddressed = (msg, botUser = {}) => {
+    const botIds = [botUser.id, botUser.lid].filter(Boolean).map(getJidUser);
+    if (botIds.length === 0) return false;
+
+    const contextInfo = getContextInfo(msg);
+    if (!contextInfo) return false;
+
+    const mentioned = (contextInfo.mentionedJid || []).map(getJidUser);
+    if (mentioned.some(id => botIds.includes(id))) return true;
+
+    return Boolean(contextInfo.quotedMessage) && botIds.includes(getJidUser(contextInfo.participant));
+};
+
+/**
+ * Decide whether to reply to a channel message ({ chatId, mentionsBot }) under the tenant's policy
+ */
+const shouldRespondToMessage = (message, settings) => {
+    const { policy, allowedGroups } = { ...DEFAULT_SETTINGS, ...settings };
+
+    if (policy === 'ignore') return false;
+    if (policy === 'allowlist') return allowedGroups.includes(message.chatId);
+    return Boolean(message.mentionsBot);
+};
+
+/**
+ * Decide whether to reply to a (Baileys) group message under the tenant's policy
+ */
+const shouldRespond = (msg, settings, botUser) => shouldRespondToMessage({
+    chatId: msg.key?.remoteJid,
+    mentionsBot: isBotAddressed(msg, botUser)
+}, settings);
+
+/**
+ * Remove @number mention tokens so the AI sees the actual question
+ */
+const stripMentions = (text) => String(text || '').replace(/@\d{5,}/g, '').replace(/\s{2,}/g, ' ').trim();
+
+const sanitizeSettings = (settings = {}) => ({
+    policy: GROUP_POLICIES.includes(settings.policy) ? settings.policy : DEFAULT_SETTINGS.policy,
+    allowedGroups: Array.isArray(settings.allowedGroups)
+        ? [...new Set(settings.allowedGroups
+            .map(jid => String(jid).trim())
+            .filter(Boolean)
+            .map(jid => (jid.includes('@') ? jid : `${jid}@g.us`)))]
+        : []
+});
+
+/**
+ * Get group policy settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'group_config'));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting group settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update group policy settings (fields left undefined keep their current value)
+ */
+const updateSettings = async (userId, settings = {}) => {
+    try {
+        const current = await getSettings(userId);
+        const changes = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+        const sanitized = sanitizeSettings({ ...current, ...changes });
+        await setDoc(doc(db, 'users', userId, 'settings', 'group_config'), {
+            ...sanitized,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error updating group settings:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    GROUP_POLICIES,
+    isGroupJid,
+    getGroupConversationKey,
+    isBotAddressed,
+    shouldRespond,
+    shouldRespondToMessage,
+    stripMentions,
+    getSettings,
+    updateSettings
+};
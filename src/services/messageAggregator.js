@@ -0,0 +1,102 @@
+/**
+ * Message Aggregator
+ * Debounces rapid text messages per conversation so fragments like
+ * "hi" / "i need" / "price of ssd upgrade" reach the AI as one turn
+ */
+
+const DEFAULT_WINDOW_MS = Number(process.env.MESSAGE_AGGREGATION_WINDOW_SECONDS ?? 4) * 1000;
+const MAX_BUFFERED_MESSAGES = 10; // Flush early so a long burst still gets a timely reply
+
+// conversation key -> { messages, handler, timer }
+const buffers = new Map();
+
+const getText = (msg) => msg.message?.conversation || msg.message?.extendedTextMessage?.text || '';
+
+/**
+ * Only plain text is buffered - button/list replies and media bypass the window
+ */
+const isAggregatable = (msg) => {
+    const message = msg.message || {};
+    if (message.buttonsResponseMessage || message.listResponseMessage) return false;
+    return Boolean(getText(msg));
+};
+
+/**
+ * Merge buffered messages into one, keeping the last message's key and sender
+ * aggregatedKeys lists every original key (for read receipts)
+ */
+const mergeMessages = (messages) => {
+    if (messages.length === 1) return messages[0];
+
+    const last = messages[messages.length - 1];
+    const contextInfo = messages.map(msg => msg.message?.extendedTextMessage?.contextInfo).find(Boolean);
+
+    return {
+        ...last,
+        message: {
+            extendedTextMessage: {
+                text: messages.map(getText).filter(Boolean).join('\n'),
+                ...(contextInfo ? { contextInfo } : {})
+            }
+        },
+        aggregatedKeys: messages.map(msg => msg.key)
+    };
+};
+
+/**
+ * Process buffered messages for a conversation immediately
+ */
+const flush = async (key) => {
+    const buffer = buffers.get(key);
+    if (!buffer) return;
+
+    buffers.delete(key);
+    clearTimeout(buffer.timer);
+
+    if (buffer.messages.length > 1) {
+        console.log(`[Aggregator] ${key}: merged ${buffer.messages.length} messages`);
+    }
+    await buffer.handler(mergeMessages(buffer.messages));
+};
+
+/**
+ * Buffer a message, or hand it straight to the handler if it can't be aggregated
+ * @param {string} key - Conversation key (one buffer per sender per chat)
+ * @param {Function} handler - async (msg) => void, called with the merged message
+ * @param {number} windowMs - Quiet period before the buffer is flushed (0 disables)
+ */
+const enqueue = async (key, msg, handler, windowMs = DEFAULT_WINDOW_MS) => {
+    if (windowMs <= 0 || !isAggregatable(msg)) {
+        // Keep order: anything already buffered goes first
+        await flush(key);
+        return handler(msg);
+    }
+
+    const buffer = buffers.get(key) || { messages: [], handler, timer: null };
+    buffer.messages.push(msg);
+    buffer.handler = handler;
+    clearTimeout(buffer.timer);
+    buffers.set(key, buffer);
+
+    if (buffer.messages.length >= MAX_BUFFERED_MESSAGES) {
+        return flush(key);
+    }
+
+    buffer.timer = setTimeout(() => {
+        flush(key).catch(error => console.error('Error flushing aggregated messages:', error));
+    }, windowMs);
+};
+
+/**
+ * Number of conversations with buffered messages
+ */
+const getPendingCount = () => buffers.size;
+
+module.exports = {
+    DEFAULT_WINDOW_MS,
+    isAggregatable,
+    mergeMessages,
+    enqueue,
+    flush,
+    getPendingCount
+};
@@ -0,0 +1,124 @@
+/**
+ * Message Dedupe Service
+ * Remembers processed WhatsApp message IDs so redelivered messages (after a crash or
+ * redeploy) and replayed queue entries are never answered twice
+ *
+ * A store is any object with claim(userId, messageId) -> Promise<boolean>,
+ * resolving true only for the first claim of an ID within the TTL.
+ */
+
+const { db } = require('../config/firebase');
+const { doc, runTransaction, serverTimestamp, Timestamp } = require('firebase/firestore');
+
+const DEDUPE_TTL_MS = Number(process.env.MESSAGE_DEDUPE_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MEMORY_TTL_MS = 10 * 60 * 1000; // Short-lived front cache for rapid redeliveries
+
+/**
+ * In-memory store (single process, lost on restart)
+ */
+const createMemoryStore = (ttlMs = MEMORY_TTL_MS) => {
+    const seen = new Map(); // userId::messageId -> timestamp
+
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, timestamp] of seen) {
+            if (now - timestamp > ttlMs) seen.delete(key);
+        }
+    };
+    setInterval(sweep, 60 * 1000);
+
+    return {
+        claim: async (userId, messageId) => {
+            const key = `${userId}::${messageId}`;
+            const timestamp = seen.get(key);
+            if (timestamp && Date.now() - timestamp <= ttlMs) return false;
+            seen.set(key, Date.now());
+            return true;
+        }
+    };
+};
+
+/**
+ * Firestore store - one doc per message ID in users/{uid}/processed_messages
+ * expiresAt can back a Firestore TTL policy so old IDs are cleaned up automatically
+ */
+const createFirestoreStore = (ttlMs = DEDUPE_TTL_MS) => ({
+    claim: async (userId, messageId) => {
+        const messageRef = doc(db, 'users', userId, 'processed_messages', String(messageId));
+
+        return runTransaction(db, async (transaction) => {
+            const snapshot = await transaction.get(messageRef);
+            const expiresAt = snapshot.exists() ? snapshot.data().expiresAt?.toMillis?.() || 0 : 0;
+            if (expiresAt > Date.now()) return false;
+
+            transaction.set(messageRef, {
+                messageId: String(messageId),
+                processedAt: serverTimestamp(),
+                expiresAt: Timestamp.fromDate(new Date(Date.now() + ttlMs))
+            });
+            return true;
+        });
+    }
+});
+
+/**
+ * Memory in front of a durable store - repeats within the process never hit Firestore
+ */
+const createLayeredStore = (front, durable) => ({
+    claim: async (userId, messageId) => {
+        if (!(await front.claim(userId, messageId))) return false;
+        return durable.claim(userId, messageId);
+    }
+});
+
+const createDefaultStore = () => (process.env.MESSAGE_DEDUPE_STORE === 'memory'
+    ? createMemoryStore(DEDUPE_TTL_MS)
+    : createLayeredStore(createMemoryStore(), createFirestoreStore()));
+
+let store = null;
+let receivedStore = null;
+
+/**
+ * Replace the dedupe store (e.g., Redis, or memory in tests)
+ */
+const setStore = (nextStore) => {
+    store = nextStore;
+};
+
+/**
+ * Claim a message ID for processing
+ * @returns {Promise<boolean>} true if this is the first time the ID is seen
+ */
+const claim = async (userId, messageId) => {
+    if (!messageId) return true;
+    if (!store) store = createDefaultStore();
+
+    try {
+        return await store.claim(userId, messageId);
+    } catch (error) {
+        // Fail open: a rare duplicate reply is better than dropping a customer message
+        console.error('Error checking processed message:', error?.message || error);
+        return true;
+    }
+};
+
+/**
+ * Note a delivered message ID in this process only, without claiming it
+ * Catches rapid redeliveries while a message waits to be processed; the persistent claim
+ * is made at processing time, so a crash before then doesn't lose the message
+ * @returns {Promise<boolean>} true if this is the first delivery of the ID in this process
+ */
+const markReceived = async (userId, messageId) => {
+    if (!messageId) return true;
+    if (!receivedStore) receivedStore = createMemoryStore();
+    return receivedStore.claim(userId, messageId);
+};
+
+module.exports = {
+    createMemoryStore,
+    createFirestoreStore,
+    createLayeredStore,
+    setStore,
+    claim,
+    markReceived
+};
@@ -0,0 +1,554 @@
+/**
+ * Message Pipeline
+ * Channel-independent handling of inbound messages: contact rules, group policy, rate limits,
+ * takeover, away mode, booking flows and AI replies (see channels/channelAdapter)
+ */
+
+const aiService = require('./aiService');
+const firebaseService = require('./firebaseService');
+const bookingState = require('./bookingStateManager');
+const takeoverService = require('./takeoverService');
+const whatsappSessionService = require('./whatsappSessionService');
+const transcriptionService = require('./transcriptionService');
+const optOutService = require('./optOutService');
+const businessHoursService = require('./businessHoursService');
+const contactListService = require('./contactListService');
+const contactService = require('./contactService');
+const rateLimitService = require('./rateLimitService');
+const groupPolicyService = require('./groupPolicyService');
+const templateService = require('./templateService');
+const eventBus = require('./eventBus');
+const listMenu = require('../utils/listMenu');
+
+const { DEFAULT_SESSION_ID } = whatsappSessionService;
+
+const getConversationKey = (senderPhone) => `wa_${String(senderPhone || 'unknown').replace(/[^0-9a-zA-Z_-]/g, '')}`;
+const getBookingKey = (userId, senderPhone) => `${userId}::${getConversationKey(senderPhone)}`;
+
+/**
+ * Send a booking menu as a list message, falling back to a plain numbered text menu if it fails
+ * The options are kept in the booking state so a typed reply maps back to the same row
+ */
+const sendBookingMenu = async (channel, jid, bookingKey, text, buttonText, sections) => {
+    const options = listMenu.getSectionOptions(sections);
+    bookingState.setState(bookingKey, { menu: options });
+
+    try {
+        await channel.sendList(jid, text, buttonText, sections);
+    } catch (error) {
+        console.error('Error sending list message, using numbered menu:', error?.message || error);
+        await channel.sendText(jid, listMenu.formatNumberedMenu(text, options));
+    }
+};
+
+/**
+ * Send date selection list
+ */
+const sendDateList = async (channel, jid, userId, bookingKey) => {
+    const consultantService = require('./consultantService');
+    const dates = await consultantService.getNextAvailableDates(userId, 7);
+
+    if (dates.length === 0) {
+        await channel.sendText(jid, await templateService.render(userId, 'booking_no_dates'));
+        return;
+    }
+
+    await sendBookingMenu(channel, jid, bookingKey,
+        await templateService.render(userId, 'booking_select_date'),
+        'Choose date',
+        listMenu.buildDateSections(dates)
+    );
+};
+
+/**
+ * Send time slot list for a date (grouped into morning/afternoon/evening)
+ */
+const sendTimeSlotList = async (channel, jid, userId, bookingKey, date) => {
+    const consultantService = require('./consultantService');
+    const result = await consultantService.getAvailableSlots(userId, date);
+
+    if (!result.available || result.slots.length === 0) {
+        await channel.sendText(jid, await templateService.render(userId, 'booking_no_slots'));
+        await sendDateList(channel, jid, userId, bookingKey);
+        return;
+    }
+
+    const sections = listMenu.buildSlotSections(result.slots);
+    const shown = listMenu.getSectionOptions(sections).length;
+    const summary = shown < result.slots.length
+        ? `Showing ${shown} of ${result.slots.length} slots`
+        : `${result.slots.length} slot${result.slots.length === 1 ? '' : 's'} available`;
+
+    await sendBookingMenu(channel, jid, bookingKey,
+        await templateService.render(userId, 'booking_select_time', { date, summary }),
+        'Choose time',
+        sections
+    );
+};
+
+/**
+ * Send booking confirmation buttons
+ */
+const sendConfirmationButtons = async (channel, jid, userId, bookingKey, date, timeSlot, reason, name) => {
+    const buttons = [
+        { id: `confirm_yes`, text: '✅ Confirm Booking' },
+        { id: `cancel_booking`, text: '❌ Cancel' }
+    ];
+    bookingState.setState(bookingKey, {
+        step: bookingState.BOOKING_STEPS.AWAITING_CONFIRM,
+        menu: buttons
+    });
+
+    await channel.sendButtons(jid,
+        await templateService.render(userId, 'booking_confirm_prompt', { name, date, time: timeSlot, reason: reason || 'General' }),
+        buttons,
+        'Tap to confirm or cancel'
+    );
+};
+
+/**
+ * Handle booking button interactions
+ */
+const handleBookingButton = async (channel, jid, userId, bookingKey, phone, buttonId, sessionId = DEFAULT_SESSION_ID) => {
+    const action = bookingState.parseButtonAction(buttonId);
+    if (!action) return false;
+
+    const consultantService = require('./consultantService');
+    const state = bookingState.getState(bookingKey);
+
+    switch (action.type) {
+        case 'date':
+            bookingState.setDate(bookingKey, action.value);
+            await sendTimeSlotList(channel, jid, userId, bookingKey, action.value);
+            return true;
+
+        case 'slot':
+            bookingState.setTimeSlot(bookingKey, action.value);
+            
+            // SMART: Check if we already have the name from WhatsApp
+            const slotState = bookingState.getState(bookingKey);
+            if (slotState.name) {
+                // We have name, check if we have reason too
+                if (slotState.reason) {
+                    // We have everything! Show confirmation directly
+                    await sendConfirmationButtons(channel, jid, userId, bookingKey, slotState.date, action.value, slotState.reason, slotState.name);
+                } else {
+                    // Need reason
+                    bookingState.setState(bookingKey, {
+                        step: bookingState.BOOKING_STEPS.AWAITING_REASON
+                    });
+                    await channel.sendText(jid, await templateService.render(userId, 'booking_ask_reason_followup'));
+                }
+            } else {
+                // Need name
+                await channel.sendText(jid, await templateService.render(userId, 'booking_ask_name'));
+            }
+            return true;
+
+        case 'confirm':
+            const currentState = bookingState.getState(bookingKey);
+            if (!currentState.name) {
+                await channel.sendText(jid, await templateService.render(userId, 'booking_name_required'));
+                return true;
+            }
+            if (!currentState.reason) {
+                await channel.sendText(jid, await templateService.render(userId, 'booking_reason_required'));
+                return true;
+            }
+            // Web visitors have no phone number: the booking keeps their conversation instead,
+            // so no WhatsApp notification or contact record is made for it
+            const bookingContact = channel.usesPhoneNumbers === false
+                ? { phone: null, channel: channel.name, visitorKey: phone }
+                : { phone, sessionId };
+            const result = await consultantService.createBooking(userId, {
+                ...bookingContact,
+                name: currentState.name || 'WhatsApp Customer',
+                reason: currentState.reason,
+                date: currentState.date,
+                timeSlot: currentState.timeSlot
+            });
+
+            if (result.success) {
+                await channel.sendText(jid, await templateService.render(userId, 'booking_created', {
+                    name: currentState.name,
+                    token: result.tokenNumber,
+                    date: currentState.date,
+                    time: currentState.timeSlot,
+                    reason: currentState.reason
+                }));
+            } else {
+                await channel.sendText(jid, await templateService.render(userId, 'booking_failed', { error: result.error }));
+            }
+            bookingState.clearState(bookingKey);
+            return true;
+
+        case 'cancel':
+            bookingState.clearState(bookingKey);
+            await channel.sendText(jid, await templateService.render(userId, 'booking_cancelled'));
+            return true;
+    }
+
+    return false;
+};
+
+/**
+ * Handle text input during booking flow (e.g., name entry)
+ */
+const handleBookingTextInput = async (channel, jid, userId, bookingKey, phone, text, sessionId = DEFAULT_SESSION_ID) => {
+    const state = bookingState.getState(bookingKey);
+
+    // Typed reply to the last menu ("2", "Tuesday", "14:30") - same as tapping the button or row
+    const menuSteps = [
+        bookingState.BOOKING_STEPS.AWAITING_DATE,
+        bookingState.BOOKING_STEPS.AWAITING_SLOT,
+        bookingState.BOOKING_STEPS.AWAITING_CONFIRM
+    ];
+    const actionId = menuSteps.includes(state.step) ? bookingState.resolveMenuReply(bookingKey, text) : null;
+    if (actionId) {
+        return handleBookingButton(channel, jid, userId, bookingKey, phone, actionId, sessionId);
+    }
+
+    if (state.step === bookingState.BOOKING_STEPS.AWAITING_REASON) {
+        const reason = text.trim();
+        if (reason.length < 3) {
+            await channel.sendText(jid, await templateService.render(userId, 'booking_reason_too_short'));
+            return true;
+        }
+        bookingState.setState(bookingKey, {
+            step: bookingState.BOOKING_STEPS.AWAITING_DATE,
+            reason
+        });
+        await sendDateList(channel, jid, userId, bookingKey);
+        return true;
+    }
+
+    if (state.step === bookingState.BOOKING_STEPS.AWAITING_NAME) {
+        // User entered their name
+        bookingState.setName(bookingKey, text.trim());
+        const updatedState = bookingState.getState(bookingKey);
+
+        if (!updatedState.reason) {
+            bookingState.setState(bookingKey, {
+                step: bookingState.BOOKING_STEPS.AWAITING_REASON
+            });
+            await channel.sendText(jid, await templateService.render(userId, 'booking_ask_reason_followup'));
+            return true;
+        }
+
+        // Show confirmation with name
+        await sendConfirmationButtons(channel, jid, userId, bookingKey, updatedState.date, updatedState.timeSlot, updatedState.reason, updatedState.name);
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Download an inbound photo as an inline image part for the AI
+ * Returns [] when image understanding is disabled or the download fails
+ */
+const getInboundImages = async (channel, message, userId) => {
+    if (!message.image) return [];
+
+    const aiSettings = await firebaseService.getAISettings(userId);
+    if (aiSettings?.imageUnderstanding === false) return [];
+
+    const buffer = await channel.downloadMedia(message);
+    if (!buffer) return [];
+
+    return [{
+        mimeType: message.image.mimeType,
+        data: buffer.toString('base64')
+    }];
+};
+
+/**
+ * Download and transcribe an inbound voice note
+ * @returns {Promise<string|null>} Transcript, or null if unavailable
+ */
+const transcribeVoiceNote = async (channel, message, userId) => {
+    const buffer = await channel.downloadMedia(message);
+    if (!buffer) return null;
+
+    const transcript = await transcriptionService.transcribe(buffer, {
+        mimeType: message.audio.mimeType,
+        seconds: message.audio.seconds
+    });
+    console.log(`User ${userId}: Voice note (${message.audio.seconds}s) transcribed: ${transcript ? 'yes' : 'no'}`);
+    return transcript;
+};
+
+/**
+ * Opt a contact out of (or back into) broadcasts and scheduled messages and confirm it
+ * The confirmation names the keyword that reverses it, e.g. "Reply START to subscribe again";
+ * if the change can't be saved the customer is asked to send the keyword again instead
+ * Blocked numbers are updated silently, like every other message from them
+ */
+const handleConsentKeyword = async (channel, message, userId, { action, keyword }, { sessionId, conversationKey, userMeta }) => {
+    const optingOut = action === 'opt_out';
+    const record = () => (optingOut
+        ? optOutService.recordOptOut(userId, message.senderId, keyword)
+        : optOutService.recordOptIn(userId, message.senderId, keyword));
+
+    // One retry for a transient write failure; the customer is only told it worked if it did
+    const recorded = (await record()) || (await record());
+    if (!recorded) {
+        console.error(`User ${userId}: Could not record ${action} from ${message.senderId}`);
+    }
+
+    const contactCheck = await contactListService.checkContact(userId, message.senderId);
+    if (!contactCheck.allowed) {
+        console.log(`User ${userId}: Recorded ${action} from ${message.senderId} without replying (${contactCheck.reason})`);
+        return;
+    }
+
+    eventBus.publish(userId, 'message.received', {
+        conversationId: conversationKey,
+        phone: message.senderId,
+        sessionId,
+        senderName: message.senderName,
+        content: message.text
+    });
+    channel.markRead(message).catch(() => {});
+
+    let reply;
+    if (recorded) {
+        const settings = await optOutService.getSettings(userId);
+        reply = await templateService.render(userId, optingOut ? 'opt_out_confirmation' : 'opt_in_confirmation', {
+            keyword: ((optingOut ? settings.optInKeywords : settings.optOutKeywords)[0] || '').toUpperCase()
+        });
+    } else {
+        reply = await templateService.render(userId, 'consent_update_failed', { keyword: keyword.toUpperCase() });
+    }
+
+    await firebaseService.saveMessage(userId, 'user', message.text, conversationKey, userMeta);
+    await channel.sendText(message.chatId, reply);
+    await firebaseService.saveMessage(userId, 'model', reply, conversationKey, { source: 'opt_out' });
+};
+
+/**
+ * Handle one inbound message (or a merged batch) end to end
+ * @param {object} channel - Channel adapter the message arrived on
+ * @param {object} rawMessage - Channel-specific message, normalized by channel.receive
+ * @param {object} options - { sessionId, replyPreface }
+ *   sessionId: which of the account's numbers received the message
+ *   replyPreface: text prepended to the AI reply (e.g., an apology for replayed messages)
+ */
+const processMessage = async (channel, rawMessage, userId, options = {}) => {
+    const sessionId = options.sessionId || DEFAULT_SESSION_ID;
+    const message = channel.receive(rawMessage);
+    if (!message) return;
+
+    const { chatId, senderId: senderPhone, senderName, isGroup } = message;
+    let messageContent = message.text;
+
+    // Channels with their own conversations (web chat) provide the key
+    const conversationKey = message.conversationKey || (isGroup
+        ? groupPolicyService.getGroupConversationKey(chatId)
+        : getConversationKey(senderPhone));
+    const bookingKey = message.conversationKey
+        ? `${userId}::${message.conversationKey}`
+        : getBookingKey(userId, senderPhone);
+    const sessionMeta = sessionId !== DEFAULT_SESSION_ID ? { sessionId } : {};
+
+    try {
+        // Opt-out/opt-in keywords (STOP/START by default) always take effect: checked before the
+        // blocklist, rate limits and staff takeover can drop the message
+        const consentKeyword = !isGroup && channel.usesPhoneNumbers !== false
+            ? await optOutService.matchKeyword(userId, messageContent)
+            : null;
+        if (consentKeyword) {
+            await handleConsentKeyword(channel, message, userId, consentKeyword, { sessionId, conversationKey, userMeta: sessionMeta });
+            return;
+        }
+
+        // Blocklist / sandbox mode: no reply, read receipt or presence for these numbers
+        const contactCheck = channel.usesPhoneNumbers === false
+            ? { allowed: true }
+            : await contactListService.checkContact(userId, senderPhone);
+        if (!contactCheck.allowed) {
+            console.log(`User ${userId}: Ignoring ${senderPhone} (${contactCheck.reason})`);
+            return;
+        }
+
+        // Groups: reply only as allowed by the tenant's group policy
+        if (isGroup) {
+            const groupSettings = await groupPolicyService.getSettings(userId);
+            if (!groupPolicyService.shouldRespondToMessage(message, groupSettings)) return;
+            messageContent = groupPolicyService.stripMentions(messageContent);
+            if (!messageContent) return;
+        }
+
+        // Contact directory: first/last seen and message count (not for web visitors or group chats)
+        if (!isGroup && channel.usesPhoneNumbers !== false) {
+            contactService.recordMessage(userId, senderPhone, senderName, message.count);
+        }
+
+        // Per-contact limits: one throttle notice, then muted (checked before any AI/transcription work)
+        const rateLimit = await rateLimitService.checkMessage(userId, senderPhone, message.count);
+        if (!rateLimit.allowed) {
+            if (rateLimit.notify) {
+                await channel.sendText(chatId, await templateService.render(userId, 'rate_limit_notice'))
+                    .catch(error => console.error('Error sending throttle notice:', error));
+            }
+            return;
+        }
+
+        // Voice notes: transcribe and continue as if the customer had typed it
+        const transcript = message.audio ? await transcribeVoiceNote(channel, message, userId) : null;
+        if (transcript) messageContent = transcript;
+
+        // Extra fields on the stored user message: group participant, voice note details
+        const userMeta = {
+            ...sessionMeta,
+            ...(isGroup ? { participant: senderPhone, senderName } : {}),
+            ...(message.audio ? { type: 'voice', transcribed: Boolean(transcript), durationSeconds: message.audio.seconds } : {})
+        };
+
+        eventBus.publish(userId, 'message.received', {
+            conversationId: conversationKey,
+            phone: senderPhone,
+            sessionId,
+            senderName,
+            content: messageContent
+        });
+
+        // Staff has taken over this conversation - store the message for them, skip the bot
+        if (await takeoverService.isPaused(userId, conversationKey)) {
+            channel.markRead(message).catch(() => {});
+            await firebaseService.saveMessage(userId, 'user', messageContent, conversationKey, userMeta);
+            console.log(`User ${userId}: ${conversationKey} is handled by staff, skipping AI`);
+            return;
+        }
+
+        // Photos: pass the image itself to the AI (caption-only if disabled or unavailable)
+        const images = message.image ? await getInboundImages(channel, message, userId) : [];
+        if (message.image && images.length === 0 && !message.image.caption) {
+            console.log(`User ${userId}: Skipping image without caption from ${senderPhone}`);
+            return;
+        }
+
+        // Fire-and-forget: read messages and show composing immediately (non-blocking)
+        channel.markRead(message).catch(() => {});
+        channel.presence(chatId, 'composing');
+
+        if (message.audio && !transcript) {
+            await firebaseService.saveMessage(userId, 'user', messageContent, conversationKey, userMeta);
+            await channel.sendText(chatId, await templateService.render(userId, 'voice_note_failed'));
+            channel.presence(chatId, 'paused');
+            return;
+        }
+
+        // Per-number settings: AI persona and whether this number takes bookings
+        const sessionConfig = await whatsappSessionService.getSessionConfig(userId, sessionId);
+
+        // Check if this is a booking button response
+        if (sessionConfig.bookingEnabled && bookingState.isBookingAction(messageContent)) {
+            const handled = await handleBookingButton(channel, chatId, userId, bookingKey, senderPhone, messageContent, sessionId);
+            if (handled) {
+                channel.presence(chatId, 'paused');
+                return;
+            }
+        }
+
+        // Check if user is in a booking flow and typing text (e.g., name)
+        const textHandled = sessionConfig.bookingEnabled && !message.image &&
+            await handleBookingTextInput(channel, chatId, userId, bookingKey, senderPhone, messageContent, sessionId);
+        if (textHandled) {
+            channel.presence(chatId, 'paused');
+            return;
+        }
+
+        // Away mode: after-hours reply once per closed period, conversation flagged for staff follow-up
+        const away = await businessHoursService.checkAway(userId, conversationKey);
+        if (away?.message) {
+            await channel.sendText(chatId, away.message);
+            await firebaseService.saveMessage(userId, 'model', away.message, conversationKey, { source: 'away' });
+        }
+        if (away && !away.answerFromKnowledge) {
+            await firebaseService.saveMessage(userId, 'user', messageContent, conversationKey, userMeta);
+            channel.presence(chatId, 'paused');
+            return;
+        }
+
+        // Generate AI response
+        const aiResponse = await aiService.generateResponse(messageContent, userId, senderPhone, senderName, conversationKey, {
+            userMeta,
+            images,
+            afterHours: away ? { nextOpening: away.nextOpening } : null,
+            persona: sessionConfig.persona,
+            bookingEnabled: sessionConfig.bookingEnabled
+        });
+        const response = options.replyPreface ? `${options.replyPreface}\n\n${aiResponse}` : aiResponse;
+
+        // Check for booking trigger in AI response
+        // Format: [BOOKING:start] or [BOOKING:dates]
+        const bookingMatch = response.match(/\[BOOKING:(\w+)\]/);
+
+        if (bookingMatch) {
+            const action = bookingMatch[1];
+            const cleanText = response.replace(/\[BOOKING:\w+\]/, '').trim();
+
+            if (cleanText) {
+                await channel.sendText(chatId, cleanText);
+            }
+
+            if (action === 'dates') {
+                // SMART BOOKING: Try to extract reason from the original message
+                const extractedReason = bookingState.extractReasonFromMessage(messageContent);
+                
+                // Use the sender's profile name as default name if available
+                const defaultName = senderName && senderName.length >= 2 ? senderName : null;
+                
+                // Start booking with whatever info we already have
+                bookingState.startBooking(bookingKey, extractedReason, defaultName);
+                
+                const state = bookingState.getState(bookingKey);
+                
+                if (!state.reason) {
+                    // Need to ask for reason
+                    await channel.sendText(chatId, await templateService.render(userId, 'booking_ask_reason'));
+                } else {
+                    // We have reason, show dates directly
+                    console.log(`[Booking] Auto-extracted reason: "${state.reason}"${defaultName ? `, name: "${defaultName}"` : ''}`);
+                    await sendDateList(channel, chatId, userId, bookingKey);
+                }
+            }
+
+            channel.presence(chatId, 'paused');
+            return;
+        }
+
+        // Check for button markers
+        const buttonMatch = response.match(/\[BUTTONS:(.+?)\]/);
+
+        if (buttonMatch) {
+            const buttonTexts = buttonMatch[1].split('|');
+            const cleanText = response.replace(/\[BUTTONS:.+?\]/, '').trim();
+
+            const buttons = buttonTexts.map((text, i) => ({
+                id: `option_${i + 1}`,
+                text: text.trim()
+            }));
+
+            await channel.sendButtons(chatId, cleanText, buttons, 'ConnectSphere');
+        } else {
+            // Send regular text message
+            // Always quote in groups so participants can tell who the reply is for
+            const shouldQuote = isGroup || aiService.shouldReplyToMessage(messageContent);
+            await channel.sendText(chatId, response, shouldQuote ? { quoted: message } : {});
+        }
+
+        channel.presence(chatId, 'paused');
+
+    } catch (error) {
+        console.error(`User ${userId}: Error processing message:`, error);
+        channel.presence(chatId, 'paused');
+    }
+};
+
+module.exports = {
+    getConversationKey,
+    getBookingKey,
+    processMessage
+};
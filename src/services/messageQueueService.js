@@ -0,0 +1,199 @@
+/**
+ * Message Queue Service
+ * Replay policy for messages queued while WhatsApp was offline:
+ * oldest-first per conversation, consecutive messages merged, per-contact cap and stale-message handling
+ */
+
+const { db } = require('../config/firebase');
+const { doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
+const firebaseService = require('./firebaseService');
+const { isAggregatable, mergeMessages } = require('./messageAggregator');
+const { DEFAULT_SESSION_ID } = require('./whatsappSessionService');
+
+const STALE_POLICIES = ['preface', 'drop'];
+const DEFAULT_SETTINGS = {
+    maxAgeMinutes: 720, // Older than this is "stale"
+    stalePolicy: 'preface', // preface: reply with an apology first, drop: don't reply at all
+    stalePreface: 'Sorry for the delay in getting back to you!',
+    maxPerContact: 5 // Only the latest N queued messages per contact are replayed
+};
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const toPositiveInt = (value, fallback) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const sanitizeSettings = (settings = {}) => ({
+    maxAgeMinutes: toPositiveInt(settings.maxAgeMinutes, DEFAULT_SETTINGS.maxAgeMinutes),
+    stalePolicy: STALE_POLICIES.includes(settings.stalePolicy) ? settings.stalePolicy : DEFAULT_SETTINGS.stalePolicy,
+    stalePreface: typeof settings.stalePreface === 'string' && settings.stalePreface.trim()
+        ? settings.stalePreface.trim().slice(0, 500)
+        : DEFAULT_SETTINGS.stalePreface,
+    maxPerContact: Math.min(toPositiveInt(settings.maxPerContact, DEFAULT_SETTINGS.maxPerContact), 50)
+});
+
+/**
+ * Get queue replay settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'queue_config'));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting queue settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update queue replay settings (fields left undefined keep their current value)
+ */
+const updateSettings = async (userId, settings = {}) => {
+    try {
+        const current = await getSettings(userId);
+        const changes = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+        const sanitized = sanitizeSettings({ ...current, ...changes });
+        await setDoc(doc(db, 'users', userId, 'settings', 'queue_config'), {
+            ...sanitized,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error updating queue settings:', error);
+        return false;
+    }
+};
+
+/**
+ * When the customer sent a queued message (ms)
+ * messageTimestamp is in seconds - a number, or a Long ({ low, high }) once stored in Firestore
+ */
+const getMessageTime = (entry) => {
+    const timestamp = entry.message?.messageTimestamp;
+    const seconds = typeof timestamp === 'object' && timestamp !== null ? timestamp.low : Number(timestamp);
+    if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+    return entry.queuedAt?.toMillis?.() || 0;
+};
+
+const getContactKey = (entry) => `${entry.message.key.remoteJid}::${entry.message.key.participant || ''}`;
+
+/**
+ * Plan how queued messages are replayed
+ * @param {object[]} entries - Queue docs ({ id, message, queuedAt })
+ * @returns {{ batches: { ids: string[], message: object, stale: boolean }[], dropped: string[] }}
+ *   batches in replay order; dropped are queue doc IDs that get no reply
+ */
+const planReplay = (entries, settings = DEFAULT_SETTINGS, now = Date.now()) => {
+    const { maxAgeMinutes, stalePolicy, maxPerContact } = { ...DEFAULT_SETTINGS, ...settings };
+    const maxAgeMs = maxAgeMinutes * 60 * 1000;
+    const dropped = [];
+    const contacts = new Map();
+
+    for (const entry of entries) {
+        if (!entry.message?.key?.remoteJid) {
+            dropped.push(entry.id);
+            continue;
+        }
+        const key = getContactKey(entry);
+        if (!contacts.has(key)) contacts.set(key, []);
+        contacts.get(key).push({ entry, time: getMessageTime(entry) });
+    }
+
+    const contactBatches = [];
+    for (const items of contacts.values()) {
+        items.sort((a, b) => a.time - b.time);
+
+        // Per-contact cap: keep the latest messages
+        const overflow = items.splice(0, Math.max(0, items.length - maxPerContact));
+        dropped.push(...overflow.map(item => item.entry.id));
+
+        const batches = [];
+        let run = [];
+        const closeRun = () => {
+            if (run.length === 0) return;
+            batches.push(run);
+            run = [];
+        };
+        for (const item of items) {
+            if (isAggregatable(item.entry.message)) {
+                run.push(item);
+            } else {
+                closeRun();
+                batches.push([item]);
+            }
+        }
+        closeRun();
+
+        contactBatches.push({ oldest: items[0]?.time || 0, batches });
+    }
+
+    const batches = [];
+    contactBatches.sort((a, b) => a.oldest - b.oldest);
+    for (const { batches: runs } of contactBatches) {
+        for (const run of runs) {
+            const ids = run.map(item => item.entry.id);
+            const stale = now - run[run.length - 1].time > maxAgeMs;
+
+            if (stale && stalePolicy === 'drop') {
+                dropped.push(...ids);
+                continue;
+            }
+            batches.push({ ids, message: mergeMessages(run.map(item => item.entry.message)), stale });
+        }
+    }
+
+    return { batches, dropped };
+};
+
+/**
+ * Queue depth for the dashboard - total and per contact on each number
+ * @param {string|null} sessionId - Only count messages queued for this number (all numbers if omitted)
+ */
+const getQueueDepth = async (userId, sessionId = null) => {
+    const entries = (await firebaseService.getQueuedMessages(userId))
+        .filter(entry => !sessionId || (entry.sessionId || DEFAULT_SESSION_ID) === sessionId);
+    const contacts = new Map();
+
+    for (const entry of entries) {
+        const entrySessionId = entry.sessionId || DEFAULT_SESSION_ID;
+        const remoteJid = entry.message?.key?.remoteJid || entry.remoteJid || 'unknown';
+        const key = `${entrySessionId}::${remoteJid}`;
+        const time = getMessageTime(entry);
+        const contact = contacts.get(key) || { sessionId: entrySessionId, remoteJid, count: 0, oldestAt: time };
+        contact.count += 1;
+        contact.oldestAt = Math.min(contact.oldestAt, time);
+        contacts.set(key, contact);
+    }
+
+    return {
+        depth: entries.length,
+        contacts: [...contacts.values()]
+            .sort((a, b) => a.oldestAt - b.oldestAt)
+            .map(contact => ({
+                ...contact,
+                oldestAt: contact.oldestAt ? new Date(contact.oldestAt).toISOString() : null
+            }))
+    };
+};
+
+module.exports = {
+    STALE_POLICIES,
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings,
+    planReplay,
+    getQueueDepth
+};
@@ -0,0 +1,182 @@
+/**
+ * Opt-Out Service
+ * Tenant-configurable opt-out/opt-in keywords (STOP/START by default)
+ * Opted-out numbers are skipped by broadcasts and scheduled messages until they opt back in
+ */
+
+const { db } = require('../config/firebase');
+const { doc, getDoc, setDoc, deleteDoc, getDocs, collection, serverTimestamp } = require('firebase/firestore');
+
+const DEFAULT_SETTINGS = {
+    optOutKeywords: ['stop', 'unsubscribe'],
+    optInKeywords: ['start', 'subscribe']
+};
+const MAX_KEYWORDS = 10;
+const MAX_KEYWORD_LENGTH = 30;
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * Lowercase, collapse spaces and drop surrounding punctuation ("Stop!" matches "stop")
+ */
+const normalizeKeyword = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .replace(/\s+/g, ' ');
+
+const sanitizeKeywords = (keywords, fallback) => {
+    if (!Array.isArray(keywords)) return fallback;
+    const clean = [...new Set(keywords.map(normalizeKeyword).filter(Boolean))]
+        .filter(keyword => keyword.length <= MAX_KEYWORD_LENGTH)
+        .slice(0, MAX_KEYWORDS);
+    return clean.length > 0 ? clean : fallback;
+};
+
+const sanitizeSettings = (settings = {}) => {
+    const optOutKeywords = sanitizeKeywords(settings.optOutKeywords, DEFAULT_SETTINGS.optOutKeywords);
+    // A word can't mean both; opting out wins
+    const optInKeywords = sanitizeKeywords(settings.optInKeywords, DEFAULT_SETTINGS.optInKeywords)
+        .filter(keyword => !optOutKeywords.includes(keyword));
+    return { optOutKeywords, optInKeywords };
+};
+
+/**
+ * Get opt-out keyword settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'opt_out_config'));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting opt-out settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update opt-out keyword settings (an empty or missing list keeps the current keywords)
+ */
+const updateSettings = async (userId, settings) => {
+    try {
+        const current = await getSettings(userId);
+        const sanitized = sanitizeSettings({
+            optOutKeywords: sanitizeKeywords(settings.optOutKeywords, current.optOutKeywords),
+            optInKeywords: sanitizeKeywords(settings.optInKeywords, current.optInKeywords)
+        });
+        await setDoc(doc(db, 'users', userId, 'settings', 'opt_out_config'), {
+            ...sanitized,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error updating opt-out settings:', error);
+        return false;
+    }
+};
+
+/**
+ * Check if an inbound message is exactly one of the tenant's opt-out or opt-in keywords
+ * @returns {Promise<{ action: 'opt_out'|'opt_in', keyword: string }|null>}
+ */
+const matchKeyword = async (userId, text) => {
+    const normalized = normalizeKeyword(text);
+    if (!normalized || normalized.length > MAX_KEYWORD_LENGTH) return null;
+
+    const settings = await getSettings(userId);
+    if (settings.optOutKeywords.includes(normalized)) return { action: 'opt_out', keyword: normalized };
+    if (settings.optInKeywords.includes(normalized)) return { action: 'opt_in', keyword: normalized };
+    return null;
+};
+
+/**
+ * Record consent on the contact (lazy-loaded: contactService depends on services that use this one)
+ */
+const setContactConsent = (userId, phone, status, keyword) => {
+    const contactService = require('./contactService');
+    return contactService.setConsent(userId, phone, { status, keyword });
+};
+
+/**
+ * Record an opt-out for a phone number
+ */
+const recordOptOut = async (userId, phone, keyword = 'stop') => {
+    try {
+        const cleanPhone = normalizePhone(phone);
+        await setDoc(doc(db, 'users', userId, 'opt_outs', cleanPhone), {
+            phone: cleanPhone,
+            keyword,
+            optedOutAt: serverTimestamp()
+        });
+        await setContactConsent(userId, cleanPhone, 'opted_out', keyword);
+        console.log(`[OptOut] User ${userId}: ${cleanPhone} opted out`);
+        return true;
+    } catch (error) {
+        console.error('Error recording opt-out:', error);
+        return false;
+    }
+};
+
+/**
+ * Record an opt-in, lifting an earlier opt-out
+ */
+const recordOptIn = async (userId, phone, keyword = 'start') => {
+    try {
+        const cleanPhone = normalizePhone(phone);
+        await deleteDoc(doc(db, 'users', userId, 'opt_outs', cleanPhone));
+        await setContactConsent(userId, cleanPhone, 'opted_in', keyword);
+        console.log(`[OptOut] User ${userId}: ${cleanPhone} opted back in`);
+        return true;
+    } catch (error) {
+        console.error('Error recording opt-in:', error);
+        return false;
+    }
+};
+
+/**
+ * Check if a phone number has opted out
+ * @throws {Error} If the suppression list can't be read - callers hold the send rather than risk it
+ */
+const isOptedOut = async (userId, phone) => {
+    const snapshot = await getDoc(doc(db, 'users', userId, 'opt_outs', normalizePhone(phone)));
+    return snapshot.exists();
+};
+
+/**
+ * Get all opted-out phone numbers for a user
+ * @returns {Promise<Set<string>>}
+ */
+const getOptedOutPhones = async (userId) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'users', userId, 'opt_outs'));
+        const phones = new Set();
+        snapshot.forEach((optOutDoc) => phones.add(optOutDoc.id));
+        return phones;
+    } catch (error) {
+        console.error('Error getting opted-out phones:', error);
+        return new Set();
+    }
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings,
+    matchKeyword,
+    recordOptOut,
+    recordOptIn,
+    isOptedOut,
+    getOptedOutPhones
+};
@@ -0,0 +1,226 @@
+/**
+ * Rate Limit Service
+ * Per-contact message limits so one number can't flood the bot and burn AI quota
+ */
+
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, setDoc, addDoc, getDocs, collection, query, orderBy, limit, serverTimestamp
+} = require('firebase/firestore');
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    perMinute: 10,
+    perDay: 200,
+    muteMinutes: 30
+};
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+// userId::phone -> { minute: [timestamps], day, dayCount, mutedUntil, lastSeen }
+const counters = new Map();
+
+const getCounterKey = (userId, phone) => `${userId}::${phone}`;
+const getDayKey = (now) => new Date(now).toISOString().split('T')[0];
+const getNextDayStart = (now) => Date.parse(`${getDayKey(now)}T00:00:00.000Z`) + 24 * 60 * 60 * 1000;
+
+const toPositiveInt = (value, fallback) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const sanitizeSettings = (settings = {}) => ({
+    enabled: settings.enabled !== false,
+    perMinute: toPositiveInt(settings.perMinute, DEFAULT_SETTINGS.perMinute),
+    perDay: toPositiveInt(settings.perDay, DEFAULT_SETTINGS.perDay),
+    muteMinutes: toPositiveInt(settings.muteMinutes, DEFAULT_SETTINGS.muteMinutes)
+});
+
+/**
+ * Get rate limit settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'settings', 'rate_limit_config'));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting rate limit settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update rate limit settings (fields left undefined keep their current value)
+ */
+const updateSettings = async (userId, settings = {}) => {
+    try {
+        const current = await getSettings(userId);
+        const changes = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+        const sanitized = sanitizeSettings({ ...current, ...changes });
+        await setDoc(doc(db, 'users', userId, 'settings', 'rate_limit_config'), {
+            ...sanitized,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error updating rate limit settings:', error);
+        return false;
+    }
+};
+
+/**
+ * Log a blocked event (only when a contact trips a limit, not for every muted message)
+ */
+const logEvent = async (userId, event) => {
+    try {
+        await addDoc(collection(db, 'users', userId, 'rate_limit_events'), {
+            ...event,
+            createdAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error logging rate limit event:', error);
+    }
+};
+
+/**
+ * Count an inbound message and decide whether the bot should process it
+ * @param {number} count - Messages represented (merged fragments count individually)
+ * @returns {Promise<{ allowed: boolean, notify?: boolean, reason?: string, mutedUntil?: string }>}
+ *   notify is true only on the message that trips the limit (send the throttle notice once)
+ */
+const checkMessage = async (userId, phone, count = 1) => {
+    const settings = await getSettings(userId);
+    if (!settings.enabled) return { allowed: true };
+
+    const now = Date.now();
+    const key = getCounterKey(userId, phone);
+    const counter = counters.get(key) || { minute: [], day: getDayKey(now), dayCount: 0, mutedUntil: 0 };
+    counter.lastSeen = now;
+    counters.set(key, counter);
+
+    if (counter.mutedUntil > now) {
+        return { allowed: false, notify: false, reason: 'muted', mutedUntil: new Date(counter.mutedUntil).toISOString() };
+    }
+
+    const today = getDayKey(now);
+    if (counter.day !== today) {
+        counter.day = today;
+        counter.dayCount = 0;
+    }
+
+    counter.minute = counter.minute.filter(time => now - time < 60 * 1000);
+    for (let i = 0; i < count; i++) counter.minute.push(now);
+    counter.dayCount += count;
+
+    let reason = null;
+    if (counter.dayCount > settings.perDay) reason = 'per_day';
+    else if (counter.minute.length > settings.perMinute) reason = 'per_minute';
+    if (!reason) return { allowed: true };
+
+    // The daily limit holds until the day counter resets, so its notice goes out once a day
+    counter.mutedUntil = reason === 'per_day'
+        ? getNextDayStart(now)
+        : now + settings.muteMinutes * 60 * 1000;
+    counter.minute = [];
+    const mutedUntil = new Date(counter.mutedUntil).toISOString();
+
+    console.log(`[RateLimit] User ${userId}: ${phone} exceeded ${reason} limit, muted until ${mutedUntil}`);
+    await logEvent(userId, {
+        phone,
+        reason,
+        limit: reason === 'per_day' ? settings.perDay : settings.perMinute,
+        dayCount: counter.dayCount,
+        mutedUntil
+    });
+
+    return { allowed: false, notify: true, reason, mutedUntil };
+};
+
+/**
+ * Contacts currently muted for a user
+ */
+const getMutedContacts = (userId) => {
+    const now = Date.now();
+    const muted = [];
+    for (const [key, counter] of counters.entries()) {
+        const [ownerId, phone] = key.split('::');
+        if (ownerId === userId && counter.mutedUntil > now) {
+            muted.push({ phone, mutedUntil: new Date(counter.mutedUntil).toISOString() });
+        }
+    }
+    return muted;
+};
+
+/**
+ * Lift a mute early (e.g., a genuine customer was caught by the limit)
+ */
+const unmute = (userId, phone) => {
+    const counter = counters.get(getCounterKey(userId, phone));
+    if (!counter || counter.mutedUntil <= Date.now()) return false;
+    counter.mutedUntil = 0;
+    counter.minute = [];
+    // Otherwise a daily-limit mute trips again on the next message
+    counter.dayCount = 0;
+    return true;
+};
+
+/**
+ * Recent blocked events, newest first
+ */
+const getEvents = async (userId, pageSize = 50) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'users', userId, 'rate_limit_events'),
+            orderBy('createdAt', 'desc'),
+            limit(pageSize)
+        ));
+        const events = [];
+        snapshot.forEach((eventDoc) => {
+            const data = eventDoc.data();
+            events.push({
+                id: eventDoc.id,
+                ...data,
+                createdAt: data.createdAt?.toDate?.().toISOString() || null
+            });
+        });
+        return events;
+    } catch (error) {
+        console.error('Error getting rate limit events:', error);
+        return [];
+    }
+};
+
+/**
+ * Drop counters for contacts that have been quiet for a day
+ */
+const pruneCounters = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters.entries()) {
+        if (counter.mutedUntil <= now && now - counter.lastSeen > 24 * 60 * 60 * 1000) {
+            counters.delete(key);
+        }
+    }
+};
+
+setInterval(pruneCounters, 60 * 60 * 1000);
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getSettings,
+    updateSettings,
+    checkMessage,
+    getMutedContacts,
+    unmute,
+    getEvents
+};
@@ -0,0 +1,347 @@
+/**
+ * Scheduled Message Service
+ * One-off outbound WhatsApp messages sent at a later time (or after a delay)
+ * Messages are stored in Firestore so pending ones are picked up again after a restart
+ */
+
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, updateDoc, collection, addDoc, getDocs,
+    query, where, increment, serverTimestamp, Timestamp, runTransaction
+} = require('firebase/firestore');
+const messagePayload = require('../utils/messagePayload');
+const templateService = require('./templateService');
+const optOutService = require('./optOutService');
+const { resolveSessionId } = require('./whatsappSessionService');
+
+const SESSION_RETRY_MS = 60 * 1000; // Wait before retrying when WhatsApp is offline
+const MAX_ATTEMPTS = Number(process.env.SCHEDULED_MESSAGE_MAX_ATTEMPTS || 3);
+const MAX_SCHEDULE_DAYS = 365;
+const ACTIVE_STATUSES = ['scheduled', 'sending'];
+const MESSAGE_STATUSES = [...ACTIVE_STATUSES, 'sent', 'failed', 'skipped', 'cancelled'];
+
+// userId::messageId -> timeout handle
+const messageTimers = new Map();
+
+const getTimerKey = (userId, messageId) => `${userId}::${messageId}`;
+
+const getMessagesCollection = (userId) => collection(db, 'users', userId, 'scheduled_messages');
+
+const getMessageRef = (userId, messageId) => doc(db, 'users', userId, 'scheduled_messages', messageId);
+
+const toMillis = (value) => value?.toMillis?.() || (value ? new Date(value).getTime() : 0);
+
+/**
+ * Work out the send time from an absolute sendAt or a delay in minutes
+ * @returns {{ date?: Date, error?: string }}
+ */
+const resolveSendAt = ({ sendAt, delayMinutes }, now = Date.now()) => {
+    if (delayMinutes !== undefined && delayMinutes !== null && delayMinutes !== '') {
+        const minutes = Number(delayMinutes);
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            return { error: 'delayMinutes must be a positive number' };
+        }
+        return { date: new Date(now + minutes * 60 * 1000) };
+    }
+
+    if (!sendAt) return { error: 'sendAt or delayMinutes is required' };
+
+    const date = new Date(sendAt);
+    if (Number.isNaN(date.getTime())) return { error: 'Invalid sendAt date' };
+    // A little slack for clocks and request latency
+    if (date.getTime() < now - 60 * 1000) return { error: 'sendAt must be in the future' };
+    if (date.getTime() > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `sendAt must be within ${MAX_SCHEDULE_DAYS} days` };
+    }
+    return { date };
+};
+
+/**
+ * Schedule a message
+ * @param {object} data - { phone, sendAt | delayMinutes, sessionId, templateId + variables | type + payload fields }
+ * @returns {Promise<{ success: boolean, message?: object, error?: string }>}
+ */
+const createScheduledMessage = async (userId, data = {}) => {
+    const { phone, sendAt, delayMinutes, sessionId: requestedSessionId, templateId, variables, ...payload } = data;
+
+    const cleanPhone = messagePayload.normalizePhone(phone);
+    if (!cleanPhone) return { success: false, error: 'Phone number required' };
+
+    const sessionId = resolveSessionId(requestedSessionId);
+    if (!sessionId) return { success: false, error: 'Invalid session ID' };
+
+    const { date, error } = resolveSendAt({ sendAt, delayMinutes });
+    if (error) return { success: false, error };
+
+    if (templateId) {
+        if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables) || variables === null)) {
+            return { success: false, error: 'variables must be an object' };
+        }
+        if (!(await templateService.getTemplate(userId, templateId))) {
+            return { success: false, error: 'Template not found' };
+        }
+    } else {
+        const validationError = messagePayload.validatePayload(payload);
+        if (validationError) return { success: false, error: validationError };
+        // Keeps the stored document well under Firestore's 1 MB limit
+        if (payload.base64) return { success: false, error: 'Use a url for media in scheduled messages' };
+    }
+
+    try {
+        const message = {
+            phone: cleanPhone,
+            sessionId,
+            templateId: templateId || null,
+            variables: templateId ? variables || {} : null,
+            payload: templateId ? null : payload,
+            sendAt: Timestamp.fromDate(date),
+            status: 'scheduled',
+            attempts: 0,
+            lastError: null,
+            createdAt: serverTimestamp(),
+            sentAt: null,
+            messageId: null
+        };
+
+        const messageRef = await addDoc(getMessagesCollection(userId), message);
+        scheduleMessage(userId, messageRef.id, date.getTime());
+        console.log(`[Scheduled] User ${userId}: Message ${messageRef.id} to ${cleanPhone} scheduled for ${date.toISOString()}`);
+
+        return {
+            success: true,
+            message: { id: messageRef.id, ...message, sendAt: date.toISOString(), createdAt: new Date().toISOString() }
+        };
+    } catch (err) {
+        console.error('Error creating scheduled message:', err);
+        return { success: false, error: 'Failed to schedule message' };
+    }
+};
+
+/**
+ * Build the outbound payload, rendering the template at send time so edits still apply
+ */
+const buildPayload = async (userId, message) => {
+    if (!message.templateId) return message.payload;
+    return {
+        type: 'text',
+        text: await templateService.render(userId, message.templateId, message.variables || {})
+    };
+};
+
+/**
+ * Move a message from scheduled to sending in a transaction, so it can't race a cancel
+ * @returns {Promise<boolean>} false if it was cancelled (or claimed by another send) first
+ */
+const claimForSending = (messageRef) => runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(messageRef);
+    if (!snapshot.exists() || snapshot.data().status !== 'scheduled') return false;
+
+    transaction.update(messageRef, { status: 'sending' });
+    return true;
+});
+
+/**
+ * Send a due message through the tenant's WhatsApp session
+ * Skipped for opted-out contacts; retries later while the session is offline and
+ * send errors count towards MAX_ATTEMPTS
+ */
+const sendScheduledMessage = async (userId, messageId) => {
+    const whatsappService = require('./whatsappService');
+    messageTimers.delete(getTimerKey(userId, messageId));
+
+    const messageRef = getMessageRef(userId, messageId);
+    const snapshot = await getDoc(messageRef);
+    if (!snapshot.exists()) return;
+
+    const message = snapshot.data();
+    if (message.status !== 'scheduled') return;
+
+    // Checked at send time, so a contact who opts back in before then still gets it
+    let optedOut;
+    try {
+        optedOut = await optOutService.isOptedOut(userId, message.phone);
+    } catch (error) {
+        console.error(`[Scheduled] User ${userId}: Could not check opt-out for message ${messageId}, retrying later:`, error.message);
+        await updateDoc(messageRef, { lastError: 'Could not check opt-out status' });
+        scheduleMessage(userId, messageId, Date.now() + SESSION_RETRY_MS);
+        return;
+    }
+    if (optedOut) {
+        console.log(`[Scheduled] User ${userId}: Skipping message ${messageId}, ${message.phone} opted out`);
+        await updateDoc(messageRef, { status: 'skipped', lastError: 'Opted out' });
+        return;
+    }
+
+    const session = whatsappService.getSession(userId, message.sessionId);
+    if (!session || session.status !== 'connected') {
+        console.log(`[Scheduled] User ${userId}: WhatsApp offline, retrying message ${messageId} later`);
+        await updateDoc(messageRef, { lastError: 'WhatsApp not connected' });
+        scheduleMessage(userId, messageId, Date.now() + SESSION_RETRY_MS);
+        return;
+    }
+
+    // Marked before sending so it can no longer be cancelled mid-send
+    if (!(await claimForSending(messageRef))) {
+        console.log(`[Scheduled] User ${userId}: Message ${messageId} is no longer scheduled, skipping`);
+        return;
+    }
+
+    try {
+        const payload = await buildPayload(userId, message);
+        const result = await whatsappService.sendOutboundMessage(userId, message.phone, payload, message.sessionId);
+        await updateDoc(messageRef, {
+            status: 'sent',
+            attempts: increment(1),
+            lastError: null,
+            sentAt: serverTimestamp(),
+            messageId: result?.messageId || null
+        });
+        console.log(`[Scheduled] User ${userId}: Message ${messageId} sent to ${message.phone}`);
+    } catch (error) {
+        const attempts = (message.attempts || 0) + 1;
+        console.error(`[Scheduled] User ${userId}: Failed to send message ${messageId} (attempt ${attempts}):`, error.message);
+
+        if (attempts >= MAX_ATTEMPTS) {
+            await updateDoc(messageRef, { status: 'failed', attempts: increment(1), lastError: error.message });
+            return;
+        }
+
+        await updateDoc(messageRef, { status: 'scheduled', attempts: increment(1), lastError: error.message });
+        scheduleMessage(userId, messageId, Date.now() + SESSION_RETRY_MS * attempts);
+    }
+};
+
+/**
+ * Schedule a send at a given time (runs immediately if due)
+ */
+const scheduleMessage = (userId, messageId, runAtMs) => {
+    const timerKey = getTimerKey(userId, messageId);
+    if (messageTimers.has(timerKey)) {
+        clearTimeout(messageTimers.get(timerKey));
+    }
+
+    // setTimeout overflows past ~24.8 days, so re-check long waits daily
+    const waitMs = Math.max(0, runAtMs - Date.now());
+    const timer = waitMs > 24 * 60 * 60 * 1000
+        ? setTimeout(() => scheduleMessage(userId, messageId, runAtMs), 24 * 60 * 60 * 1000)
+        : setTimeout(() => {
+            sendScheduledMessage(userId, messageId).catch(error => {
+                console.error(`[Scheduled] User ${userId}: Message ${messageId} failed:`, error);
+            });
+        }, waitMs);
+
+    messageTimers.set(timerKey, timer);
+};
+
+/**
+ * Cancel a message that hasn't been sent yet
+ */
+const cancelScheduledMessage = async (userId, messageId) => {
+    try {
+        const messageRef = getMessageRef(userId, messageId);
+        // Same transaction guard as the send, so whichever lands first wins
+        const result = await runTransaction(db, async (transaction) => {
+            const snapshot = await transaction.get(messageRef);
+            if (!snapshot.exists()) return { success: false, error: 'Scheduled message not found' };
+
+            const { status } = snapshot.data();
+            if (status !== 'scheduled') {
+                return { success: false, error: `Message is already ${status}` };
+            }
+
+            transaction.update(messageRef, { status: 'cancelled' });
+            return { success: true };
+        });
+        if (!result.success) return result;
+
+        const timerKey = getTimerKey(userId, messageId);
+        if (messageTimers.has(timerKey)) {
+            clearTimeout(messageTimers.get(timerKey));
+            messageTimers.delete(timerKey);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        return { success: false, error: 'Failed to cancel message' };
+    }
+};
+
+const formatMessage = (messageDoc) => {
+    const data = messageDoc.data();
+    return {
+        id: messageDoc.id,
+        ...data,
+        sendAt: data.sendAt?.toDate?.().toISOString() || null,
+        createdAt: data.createdAt?.toDate?.().toISOString() || null,
+        sentAt: data.sentAt?.toDate?.().toISOString() || null
+    };
+};
+
+/**
+ * Get one scheduled message
+ */
+const getScheduledMessage = async (userId, messageId) => {
+    try {
+        const snapshot = await getDoc(getMessageRef(userId, messageId));
+        return snapshot.exists() ? formatMessage(snapshot) : null;
+    } catch (error) {
+        console.error('Error getting scheduled message:', error);
+        return null;
+    }
+};
+
+/**
+ * List scheduled messages, soonest first
+ * @param {string|null} status - Optional filter (scheduled, sending, sent, failed, skipped, cancelled)
+ */
+const listScheduledMessages = async (userId, status = null) => {
+    try {
+        const messagesRef = getMessagesCollection(userId);
+        const snapshot = await getDocs(status ? query(messagesRef, where('status', '==', status)) : messagesRef);
+        const messages = [];
+        snapshot.forEach((messageDoc) => messages.push(formatMessage(messageDoc)));
+        return messages.sort((a, b) => toMillis(a.sendAt) - toMillis(b.sendAt));
+    } catch (error) {
+        console.error('Error listing scheduled messages:', error);
+        return [];
+    }
+};
+
+/**
+ * Re-schedule pending messages after a restart (overdue ones are sent right away)
+ */
+const resumeScheduledMessages = async () => {
+    try {
+        const usersSnapshot = await getDocs(collection(db, 'users'));
+        let resumed = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            const snapshot = await getDocs(query(getMessagesCollection(userDoc.id), where('status', 'in', ACTIVE_STATUSES)));
+            for (const messageDoc of snapshot.docs) {
+                // A send interrupted by the restart goes back to scheduled so it can be claimed again
+                if (messageDoc.data().status === 'sending') {
+                    await updateDoc(getMessageRef(userDoc.id, messageDoc.id), { status: 'scheduled' });
+                }
+                scheduleMessage(userDoc.id, messageDoc.id, toMillis(messageDoc.data().sendAt));
+                resumed++;
+            }
+        }
+
+        if (resumed > 0) {
+            console.log(`[Scheduled] Resumed ${resumed} pending message(s)`);
+        }
+    } catch (error) {
+        console.error('[Scheduled] Error resuming scheduled messages:', error);
+    }
+};
+
+module.exports = {
+    MESSAGE_STATUSES,
+    resolveSendAt,
+    createScheduledMessage,
+    sendScheduledMessage,
+    cancelScheduledMessage,
+    getScheduledMessage,
+    listScheduledMessages,
+    resumeScheduledMessages
+};
@@ -0,0 +1,146 @@
+/**
+ * Human Takeover Service
+ * Tracks conversations where a staff member has paused the bot to reply manually
+ */
+
+const firebaseService = require('./firebaseService');
+
+const DEFAULT_IDLE_MINUTES = Number(process.env.HUMAN_TAKEOVER_IDLE_MINUTES || 30);
+const INACTIVE_CACHE_TTL = 5 * 60 * 1000; // Conversations the bot is handling are re-read (and evicted) after this
+
+// userId::conversationKey -> { state: { active, claimedBy, claimedAt, lastActivityAt, idleMinutes }, cachedAt }
+const takeovers = new Map();
+
+const getTakeoverKey = (userId, conversationKey) => `${userId}::${conversationKey}`;
+
+const isExpired = (state, now = Date.now()) => {
+    if (!state?.active) return false;
+    const idleMs = (state.idleMinutes || DEFAULT_IDLE_MINUTES) * 60 * 1000;
+    return now - new Date(state.lastActivityAt).getTime() > idleMs;
+};
+
+// Active takeovers stay cached until released; the rest expire so the map doesn't grow with every contact
+const isStale = (entry, now = Date.now()) => !entry.state.active && now - entry.cachedAt > INACTIVE_CACHE_TTL;
+
+const cacheState = (userId, conversationKey, state) => {
+    takeovers.set(getTakeoverKey(userId, conversationKey), { state, cachedAt: Date.now() });
+    return state;
+};
+
+/**
+ * Load takeover state from memory, falling back to the conversation document
+ */
+const getState = async (userId, conversationKey) => {
+    const cached = takeovers.get(getTakeoverKey(userId, conversationKey));
+    if (cached && !isStale(cached)) return cached.state;
+
+    const conversation = await firebaseService.getConversation(userId, conversationKey);
+    const state = conversation?.handoff?.active ? conversation.handoff : { active: false };
+    return cacheState(userId, conversationKey, state);
+};
+
+/**
+ * Claim a conversation for a staff member - suppresses AI replies
+ * @param {string} staffId - Staff identifier (email or uid)
+ * @param {number} idleMinutes - Minutes of staff inactivity before the bot resumes
+ */
+const claim = async (userId, conversationKey, staffId, idleMinutes = DEFAULT_IDLE_MINUTES) => {
+    const now = new Date().toISOString();
+    const minutes = Number(idleMinutes);
+    const state = {
+        active: true,
+        claimedBy: staffId,
+        claimedAt: now,
+        lastActivityAt: now,
+        idleMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_IDLE_MINUTES
+    };
+
+    cacheState(userId, conversationKey, state);
+    await firebaseService.updateConversationHandoff(userId, conversationKey, state, {
+        event: 'claimed',
+        by: staffId,
+        at: now
+    });
+
+    console.log(`[Takeover] User ${userId}: ${conversationKey} claimed by ${staffId}`);
+    return state;
+};
+
+/**
+ * Release a conversation back to the bot
+ * @param {string} event - Log event name ('released' or 'auto_released')
+ */
+const release = async (userId, conversationKey, releasedBy, event = 'released') => {
+    const now = new Date().toISOString();
+    const previous = await getState(userId, conversationKey);
+    const state = {
+        active: false,
+        claimedBy: null,
+        releasedAt: now,
+        releasedBy
+    };
+
+    cacheState(userId, conversationKey, state);
+    if (previous.active) {
+        await firebaseService.updateConversationHandoff(userId, conversationKey, state, {
+            event,
+            by: releasedBy,
+            at: now
+        });
+        console.log(`[Takeover] User ${userId}: ${conversationKey} ${event} by ${releasedBy}`);
+    }
+    return state;
+};
+
+/**
+ * Record staff activity so the idle timer restarts
+ */
+const touch = async (userId, conversationKey) => {
+    const state = await getState(userId, conversationKey);
+    if (!state.active) return;
+    state.lastActivityAt = new Date().toISOString();
+    await firebaseService.updateConversationHandoff(userId, conversationKey, state);
+};
+
+/**
+ * Check if the bot is paused for a conversation (auto-resumes after idle period)
+ */
+const isPaused = async (userId, conversationKey) => {
+    const state = await getState(userId, conversationKey);
+    if (!state.active) return false;
+
+    if (isExpired(state)) {
+        await release(userId, conversationKey, 'system', 'auto_released');
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Release conversations whose staff has been idle too long (and drop stale cache entries)
+ */
+const releaseIdleConversations = async () => {
+    for (const [key, entry] of takeovers.entries()) {
+        if (isStale(entry)) {
+            takeovers.delete(key);
+            continue;
+        }
+        if (!isExpired(entry.state)) continue;
+        const [userId, conversationKey] = key.split('::');
+        await release(userId, conversationKey, 'system', 'auto_released')
+            .catch(error => console.error('[Takeover] Auto-release failed:', error));
+    }
+};
+
+// Check for idle takeovers every minute
+setInterval(releaseIdleConversations, 60 * 1000);
+
+module.exports = {
+    DEFAULT_IDLE_MINUTES,
+    getState,
+    claim,
+    release,
+    touch,
+    isPaused,
+    releaseIdleConversations
+};
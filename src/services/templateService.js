@@ -0,0 +1,320 @@
+/**
+ * Template Service
+ * Tenant-managed message templates with {{variable}} placeholders
+ * System templates (booking flow, notifications, notices) can be customized or reset to their defaults;
+ * tenants can also add their own templates
+ */
+
+const { db } = require('../config/firebase');
+const { doc, getDocs, setDoc, deleteDoc, collection, serverTimestamp } = require('firebase/firestore');
+const firebaseService = require('./firebaseService');
+
+const SYSTEM_TEMPLATES = {
+    greeting: {
+        description: 'Welcome message with the main menu buttons',
+        body: 'Welcome! How can I help you today?'
+    },
+    booking_ask_reason: {
+        description: 'Booking flow: ask for the consultation reason',
+        body: '📝 *What is the reason for consultation?*'
+    },
+    booking_ask_reason_followup: {
+        description: 'Booking flow: ask for the reason after the slot or name was chosen',
+        body: '📝 *Please share reason for consultation:*'
+    },
+    booking_reason_too_short: {
+        description: 'Booking flow: reason was too short',
+        body: '📝 Please provide a short reason (at least 3 characters).'
+    },
+    booking_ask_name: {
+        description: 'Booking flow: ask for the customer name',
+        body: '👤 *Please enter your name:*\n\n_Just type your name to continue..._'
+    },
+    booking_name_required: {
+        description: 'Booking flow: confirm tapped before a name was given',
+        body: '👤 Please share your name first.'
+    },
+    booking_reason_required: {
+        description: 'Booking flow: confirm tapped before a reason was given',
+        body: '📝 Please share the reason for consultation first.'
+    },
+    booking_select_date: {
+        description: 'Booking flow: date list',
+        body: '📅 *Select a date:*'
+    },
+    booking_select_time: {
+        description: 'Booking flow: time slot list ({{summary}}: e.g. "Showing 10 of 14 slots")',
+        body: '⏰ *Available times for {{date}}:*\n\n{{summary}}'
+    },
+    booking_no_dates: {
+        description: 'Booking flow: no open dates',
+        body: 'Sorry, no available slots right now. Please try again later.'
+    },
+    booking_no_slots: {
+        description: 'Booking flow: chosen date is full',
+        body: 'No available slots for this date. Please select another date.'
+    },
+    booking_confirm_prompt: {
+        description: 'Booking flow: summary with confirm/cancel buttons',
+        body: '📋 *Confirm your booking:*\n\n👤 Name: {{name}}\n📅 Date: {{date}}\n⏰ Time: {{time}}\n📝 Reason: {{reason}}'
+    },
+    booking_created: {
+        description: 'Booking flow: request saved',
+        body: "✅ *Booking Confirmed!*\n\n👤 Name: {{name}}\n🎫 Token: #{{token}}\n📅 {{date}}\n⏰ {{time}}\n\nYou'll receive a confirmation soon!"
+    },
+    booking_failed: {
+        description: 'Booking flow: booking could not be saved ({{error}}: the reason)',
+        body: '❌ {{error}}'
+    },
+    booking_cancelled: {
+        description: 'Booking flow: customer cancelled',
+        body: 'Booking cancelled. Let me know if you need anything else!'
+    },
+    booking_confirmed_notification: {
+        description: 'Sent when staff confirm a booking (followed by the QR code)',
+        body: '✅ *BOOKING CONFIRMED!*\n\n━━━━━━━━━━━━━━━━━━━━━\n🎫 *Token:* #{{token}}\n👤 *Name:* {{name}}\n📅 *Date:* {{date}}\n⏰ *Time:* {{time}}\n📝 *Reason:* {{reason}}\n━━━━━━━━━━━━━━━━━━━━━\n\nPlease show this QR code at check-in.\n_Thank you for booking with us!_'
+    },
+    booking_qr_caption: {
+        description: 'Caption of the booking QR code image',
+        body: '📱 *Your Booking QR Code*\nShow this at check-in'
+    },
+    booking_rejected_notification: {
+        description: 'Sent when staff reject a booking ({{note}}: staff note line, empty if none)',
+        body: "❌ *BOOKING UPDATE*\n\nSorry {{name}}, your booking request could not be confirmed.\n\n📅 Date: {{date}}\n⏰ Time: {{time}}\n🎫 Token: #{{token}}\n\n{{note}}\n\nPlease try booking another slot or contact us for assistance."
+    },
+    rate_limit_notice: {
+        description: 'Sent once when a contact exceeds the message rate limit',
+        body: "You're sending messages faster than we can reply. Please wait a little while and we'll be right with you."
+    },
+    voice_note_failed: {
+        description: 'Voice note could not be transcribed',
+        body: "Sorry, I couldn't catch that voice note. Could you type your message?"
+    },
+    opt_out_confirmation: {
+        description: 'Reply to an opt-out keyword such as STOP ({{keyword}}: the first opt-in keyword)',
+        body: "You've been unsubscribed from our messages. Reply {{keyword}} to subscribe again."
+    },
+    opt_in_confirmation: {
+        description: 'Reply to an opt-in keyword such as START ({{keyword}}: the first opt-out keyword)',
+        body: "You're subscribed to our messages again. Reply {{keyword}} to unsubscribe at any time."
+    },
+    consent_update_failed: {
+        description: 'An opt-out or opt-in keyword could not be saved ({{keyword}}: the keyword the customer sent)',
+        body: "Sorry, we couldn't update your subscription just now. Please send {{keyword}} again in a few minutes."
+    }
+};
+
+const TEMPLATE_VARIABLES = ['name', 'phone', 'date', 'time', 'token', 'reason', 'businessName', 'note', 'error', 'summary', 'keyword'];
+const PREVIEW_VARIABLES = {
+    name: 'Priya Sharma',
+    phone: '919876543210',
+    date: '2026-01-15',
+    time: '10:30',
+    token: '12',
+    reason: 'General Consultation',
+    note: '📝 *Note:* Please call us to reschedule.',
+    error: 'This slot was just booked. Please choose another time.',
+    summary: '8 slots available',
+    keyword: 'START'
+};
+const MAX_TEMPLATES = 100;
+const MAX_BODY_LENGTH = 4096;
+const TEMPLATE_ID_PATTERN = /^[a-z0-9_]{2,40}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// ==================== CACHING LAYER ====================
+const templatesCache = new Map();
+const TEMPLATES_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const getTemplatesCollection = (userId) => collection(db, 'users', userId, 'message_templates');
+
+/**
+ * Replace {{variable}} placeholders; missing variables render as empty text
+ */
+const renderTemplate = (body, variables = {}) => String(body || '')
+    .replace(PLACEHOLDER_PATTERN, (match, key) =>
+        (variables[key] === undefined || variables[key] === null ? '' : String(variables[key])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Placeholder names used in a template body
+ */
+const getPlaceholders = (body) => [...new Set([...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+/**
+ * Load the tenant's saved templates and business name
+ * @returns {Promise<{ templates: Map<string, object>, businessName: string }>}
+ */
+const loadTenantData = async (userId) => {
+    const cached = templatesCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < TEMPLATES_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const [snapshot, profile] = await Promise.all([
+            getDocs(getTemplatesCollection(userId)),
+            firebaseService.getUserProfile(userId)
+        ]);
+        const templates = new Map();
+        snapshot.forEach(docSnap => templates.set(docSnap.id, docSnap.data()));
+
+        const data = { templates, businessName: profile?.businessName || '' };
+        templatesCache.set(userId, { data, timestamp: Date.now() });
+        return data;
+    } catch (error) {
+        console.error('Error loading message templates:', error);
+        return { templates: new Map(), businessName: '' };
+    }
+};
+
+const toTemplate = (id, saved) => {
+    const system = SYSTEM_TEMPLATES[id];
+    return {
+        id,
+        body: saved?.body || system?.body || '',
+        description: saved?.description || system?.description || '',
+        isSystem: Boolean(system),
+        isCustomized: Boolean(system && saved),
+        defaultBody: system?.body || null,
+        placeholders: getPlaceholders(saved?.body || system?.body)
+    };
+};
+
+/**
+ * Render a template for sending
+ * Falls back to the built-in text if the tenant hasn't customized it (or it can't be loaded)
+ * @param {string} templateId - System or custom template ID
+ * @param {object} variables - Placeholder values; businessName is filled in from the profile
+ * @returns {Promise<string>}
+ */
+const render = async (userId, templateId, variables = {}) => {
+    const { templates, businessName } = await loadTenantData(userId);
+    const body = templates.get(templateId)?.body || SYSTEM_TEMPLATES[templateId]?.body || '';
+    return renderTemplate(body, { businessName, ...variables });
+};
+
+/**
+ * Render ad-hoc text (e.g., a broadcast written for one campaign) like a saved template
+ * @returns {Promise<string>}
+ */
+const renderText = async (userId, body, variables = {}) => {
+    const { businessName } = await loadTenantData(userId);
+    return renderTemplate(body, { businessName, ...variables });
+};
+
+/**
+ * All templates: system ones (default or customized) first, then custom ones
+ */
+const listTemplates = async (userId) => {
+    const { templates } = await loadTenantData(userId);
+    const custom = [...templates.keys()].filter(id => !SYSTEM_TEMPLATES[id]).sort();
+    return [...Object.keys(SYSTEM_TEMPLATES), ...custom].map(id => toTemplate(id, templates.get(id)));
+};
+
+/**
+ * Get one template
+ * @returns {Promise<object|null>}
+ */
+const getTemplate = async (userId, templateId) => {
+    const { templates } = await loadTenantData(userId);
+    if (!SYSTEM_TEMPLATES[templateId] && !templates.has(templateId)) return null;
+    return toTemplate(templateId, templates.get(templateId));
+};
+
+/**
+ * Create or update a template (customizing a system template keeps its ID)
+ * @param {object} data - { body, description }
+ * @returns {Promise<{ success: boolean, template?: object, error?: string }>}
+ */
+const saveTemplate = async (userId, templateId, { body, description } = {}) => {
+    if (!TEMPLATE_ID_PATTERN.test(String(templateId || ''))) {
+        return { success: false, error: 'Template ID must be 2-40 lowercase letters, numbers or underscores' };
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+        return { success: false, error: 'body is required' };
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+        return { success: false, error: `body must be at most ${MAX_BODY_LENGTH} characters` };
+    }
+
+    try {
+        const { templates } = await loadTenantData(userId);
+        if (!SYSTEM_TEMPLATES[templateId] && !templates.has(templateId) && templates.size >= MAX_TEMPLATES) {
+            return { success: false, error: `You can save up to ${MAX_TEMPLATES} templates` };
+        }
+
+        const data = {
+            body,
+            description: String(description || templates.get(templateId)?.description || '').trim().slice(0, 200),
+            updatedAt: serverTimestamp()
+        };
+        await setDoc(doc(db, 'users', userId, 'message_templates', templateId), data);
+        templatesCache.delete(userId);
+
+        return { success: true, template: toTemplate(templateId, data) };
+    } catch (error) {
+        console.error('Error saving message template:', error);
+        return { success: false, error: 'Failed to save template' };
+    }
+};
+
+/**
+ * Delete a custom template, or reset a system template to its default text
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const deleteTemplate = async (userId, templateId) => {
+    try {
+        const { templates } = await loadTenantData(userId);
+        if (!templates.has(templateId)) {
+            return SYSTEM_TEMPLATES[templateId]
+                ? { success: true }
+                : { success: false, error: 'Template not found' };
+        }
+
+        await deleteDoc(doc(db, 'users', userId, 'message_templates', templateId));
+        templatesCache.delete(userId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting message template:', error);
+        return { success: false, error: 'Failed to delete template' };
+    }
+};
+
+/**
+ * Render a saved template or a draft body with sample values (overridable) for the editor
+ * @param {object} data - { templateId } or { body }, plus optional variables
+ * @returns {Promise<{ success: boolean, text?: string, placeholders?: string[], unknownPlaceholders?: string[], error?: string }>}
+ */
+const previewTemplate = async (userId, { templateId, body, variables = {} } = {}) => {
+    let source = body;
+    if (typeof source !== 'string') {
+        const template = templateId ? await getTemplate(userId, templateId) : null;
+        if (!template) return { success: false, error: 'Template not found' };
+        source = template.body;
+    }
+
+    const { businessName } = await loadTenantData(userId);
+    const placeholders = getPlaceholders(source);
+    return {
+        success: true,
+        text: renderTemplate(source, { ...PREVIEW_VARIABLES, businessName: businessName || 'Your Business', ...variables }),
+        placeholders,
+        unknownPlaceholders: placeholders.filter(name => !TEMPLATE_VARIABLES.includes(name) && variables[name] === undefined)
+    };
+};
+
+module.exports = {
+    SYSTEM_TEMPLATES,
+    TEMPLATE_VARIABLES,
+    renderTemplate,
+    render,
+    renderText,
+    listTemplates,
+    getTemplate,
+    saveTemplate,
+    deleteTemplate,
+    previewTemplate
+};
@@ -0,0 +1,111 @@
+/**
+ * Transcription Service
+ * Converts WhatsApp voice notes to text through a pluggable provider
+ *
+ * A provider is any object with transcribe(audioBuffer, { mimeType, seconds }) -> Promise<string>.
+ * Built-in providers: 'gemini' (default) and 'stub' (offline, for local testing).
+ */
+const { GoogleGenAI } = require('@google/genai');
+
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'gemini-2.5-flash';
+const TRANSCRIPTION_PROMPT = 'Transcribe this voice note exactly as spoken, in its original language. ' +
+    'Return only the transcript text. If there is no speech, return an empty response.';
+
+const providers = new Map();
+let activeProviderName = process.env.TRANSCRIPTION_PROVIDER || 'gemini';
+
+/**
+ * Gemini provider - sends the audio inline and asks for a plain transcript
+ */
+const createGeminiProvider = () => {
+    let ai = null;
+
+    return {
+        transcribe: async (audioBuffer, { mimeType }) => {
+            if (!process.env.GEMINI_API_KEY) {
+                throw new Error('GEMINI_API_KEY is not set');
+            }
+            if (!ai) {
+                ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+            }
+
+            const result = await ai.models.generateContent({
+                model: TRANSCRIPTION_MODEL,
+                contents: [{
+                    role: 'user',
+                    parts: [
+                        { text: TRANSCRIPTION_PROMPT },
+                        { inlineData: { mimeType, data: audioBuffer.toString('base64') } }
+                    ]
+                }]
+            });
+
+            const parts = result?.candidates?.[0]?.content?.parts || [];
+            return parts.map(part => part.text || '').join('');
+        }
+    };
+};
+
+/**
+ * Stub provider - returns fixed text without any network call
+ * Set TRANSCRIPTION_STUB_TEXT to control what every voice note "says"
+ */
+const createStubProvider = (text = process.env.TRANSCRIPTION_STUB_TEXT) => ({
+    transcribe: async (audioBuffer, { seconds } = {}) =>
+        text || `Voice note (${Number(seconds) || 0}s)`
+});
+
+/**
+ * Register (or replace) a provider by name
+ */
+const registerProvider = (name, provider) => {
+    if (!provider || typeof provider.transcribe !== 'function') {
+        throw new Error('Transcription provider must implement transcribe()');
+    }
+    providers.set(name, provider);
+};
+
+/**
+ * Select the provider used by transcribe()
+ */
+const setProvider = (name) => {
+    activeProviderName = name;
+};
+
+const getProviderName = () => activeProviderName;
+
+/**
+ * Transcribe an audio buffer
+ * @param {Buffer} audioBuffer
+ * @param {object} options - { mimeType, seconds }
+ * @returns {Promise<string|null>} Transcript, or null if transcription failed or was empty
+ */
+const transcribe = async (audioBuffer, options = {}) => {
+    const provider = providers.get(activeProviderName);
+    if (!provider) {
+        console.warn(`[Transcription] Unknown provider "${activeProviderName}"`);
+        return null;
+    }
+
+    try {
+        // WhatsApp voice notes report "audio/ogg; codecs=opus" - providers want the bare type
+        const mimeType = String(options.mimeType || 'audio/ogg').split(';')[0].trim();
+        const text = await provider.transcribe(audioBuffer, { ...options, mimeType });
+        const transcript = String(text || '').trim();
+        return transcript || null;
+    } catch (error) {
+        console.error('Error transcribing voice note:', error?.message || error);
+        return null;
+    }
+};
+
+registerProvider('gemini', createGeminiProvider());
+registerProvider('stub', createStubProvider());
+
+module.exports = {
+    registerProvider,
+    setProvider,
+    getProviderName,
+    createStubProvider,
+    transcribe
+};
@@ -0,0 +1,401 @@
+/**
+ * Webhook Service
+ * Delivers platform events (messages, bookings, sessions) to tenant-configured HTTP endpoints
+ * with HMAC-signed payloads, retries with exponential backoff and a delivery log
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, addDoc, updateDoc, deleteDoc, getDocs, collection,
+    query, where, orderBy, limit, serverTimestamp
+} = require('firebase/firestore');
+const eventBus = require('./eventBus');
+const {
+    INTERNAL_ADDRESS_ERROR, parseHttpUrl, isInternalHost, resolvesToInternal, lookupPublic
+} = require('../utils/networkAddress');
+
+const EVENT_TYPES = [
+    'message.received',
+    'message.sent',
+    'booking.created',
+    'booking.status_changed',
+    'session.disconnected'
+];
+const MAX_WEBHOOKS = 10;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000); // 1s, 2s, 4s, 8s...
+const REQUEST_TIMEOUT_MS = 10000;
+
+// ==================== CACHING LAYER ====================
+const webhooksCache = new Map();
+const WEBHOOKS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+let unsubscribe = null;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getWebhooksCollection = (userId) => collection(db, 'users', userId, 'webhooks');
+
+/**
+ * Signature of a delivery: HMAC-SHA256 over "<timestamp>.<raw body>" with the webhook secret
+ * Receivers recompute it and compare with the X-ConnectSphere-Signature header
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const INTERNAL_URL_ERROR = 'Webhook URL must not point to a local or private network address';
+
+/**
+ * Validate webhook input
+ * @returns {string|null} Error message
+ */
+const validateWebhook = ({ url, events }) => {
+    if (url !== undefined) {
+        const parsed = parseHttpUrl(url);
+        if (!parsed) return 'A valid http(s) URL is required';
+        if (isInternalHost(parsed.hostname)) return INTERNAL_URL_ERROR;
+    }
+    if (events !== undefined) {
+        if (!Array.isArray(events)) return 'events must be an array';
+        const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            return `Unknown event type(s): ${unknown.join(', ')}. Must be: ${EVENT_TYPES.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check where a (valid) webhook URL's hostname resolves to
+ * @returns {Promise<string|null>} Error message
+ */
+const checkResolvedHost = async (url) => {
+    try {
+        return (await resolvesToInternal(parseHttpUrl(url).hostname)) ? INTERNAL_URL_ERROR : null;
+    } catch (error) {
+        return 'Webhook URL host could not be resolved';
+    }
+};
+
+// The secret is only returned when a webhook is created
+const toPublicWebhook = (id, data) => ({
+    id,
+    url: data.url,
+    events: data.events || [],
+    enabled: data.enabled !== false,
+    description: data.description || '',
+    secretPreview: data.secret ? `...${data.secret.slice(-4)}` : null,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null
+});
+
+/**
+ * All webhooks of a user (including secrets, for delivery)
+ */
+const getWebhooks = async (userId) => {
+    const cached = webhooksCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < WEBHOOKS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDocs(getWebhooksCollection(userId));
+        const webhooks = [];
+        snapshot.forEach((webhookDoc) => {
+            webhooks.push({ id: webhookDoc.id, ...webhookDoc.data() });
+        });
+        webhooksCache.set(userId, { data: webhooks, timestamp: Date.now() });
+        return webhooks;
+    } catch (error) {
+        console.error('Error getting webhooks:', error);
+        return [];
+    }
+};
+
+/**
+ * List webhooks for the dashboard
+ */
+const listWebhooks = async (userId) => {
+    const webhooks = await getWebhooks(userId);
+    return webhooks.map(webhook => toPublicWebhook(webhook.id, webhook));
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {object} data - { url, events (empty = all), description }
+ * @returns {Promise<{ success: boolean, webhook?: object, error?: string }>}
+ */
+const createWebhook = async (userId, { url, events = [], description = '' } = {}) => {
+    const validationError = validateWebhook({ url: url || '', events }) || await checkResolvedHost(url);
+    if (validationError) return { success: false, error: validationError };
+
+    try {
+        const existing = await getWebhooks(userId);
+        if (existing.length >= MAX_WEBHOOKS) {
+            return { success: false, error: `You can register up to ${MAX_WEBHOOKS} webhooks` };
+        }
+
+        const webhook = {
+            url,
+            events: [...new Set(events)],
+            description: String(description || '').trim().slice(0, 200),
+            enabled: true,
+            secret: crypto.randomBytes(24).toString('hex'),
+            createdAt: serverTimestamp()
+        };
+        const docRef = await addDoc(getWebhooksCollection(userId), webhook);
+        webhooksCache.delete(userId);
+
+        return {
+            success: true,
+            webhook: { ...toPublicWebhook(docRef.id, webhook), secret: webhook.secret }
+        };
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        return { success: false, error: 'Failed to create webhook' };
+    }
+};
+
+/**
+ * Update a webhook's URL, events, description or enabled flag
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const updateWebhook = async (userId, webhookId, updates = {}) => {
+    const validationError = validateWebhook(updates) ||
+        (updates.url !== undefined ? await checkResolvedHost(updates.url) : null);
+    if (validationError) return { success: false, error: validationError };
+
+    const data = {};
+    if (updates.url !== undefined) data.url = updates.url;
+    if (updates.events !== undefined) data.events = [...new Set(updates.events)];
+    if (updates.description !== undefined) data.description = String(updates.description || '').trim().slice(0, 200);
+    if (updates.enabled !== undefined) data.enabled = updates.enabled === true;
+
+    try {
+        const webhookRef = doc(db, 'users', userId, 'webhooks', webhookId);
+        const snapshot = await getDoc(webhookRef);
+        if (!snapshot.exists()) return { success: false, error: 'Webhook not found' };
+
+        await updateDoc(webhookRef, { ...data, updatedAt: serverTimestamp() });
+        webhooksCache.delete(userId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        return { success: false, error: 'Failed to update webhook' };
+    }
+};
+
+/**
+ * Remove a webhook
+ */
+const deleteWebhook = async (userId, webhookId) => {
+    try {
+        await deleteDoc(doc(db, 'users', userId, 'webhooks', webhookId));
+        webhooksCache.delete(userId);
+        return true;
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        return false;
+    }
+};
+
+/**
+ * Whether a delivery failure is worth retrying (network errors, timeouts, 429 and 5xx)
+ */
+const isRetryable = (status) => !status || status === 429 || status >= 500;
+
+/**
+ * POST one event to one webhook, retrying with exponential backoff
+ * The host is checked again on delivery (a name can be re-pointed after the webhook was saved)
+ * and internal addresses are never connected to
+ * @param {object} options - { maxAttempts, baseDelayMs, allowInternal (tests with a local receiver) }
+ * @returns {Promise<{ delivered: boolean, attempts: number, responseStatus: number|null, error: string|null }>}
+ */
+const deliver = async (webhook, event, options = {}) => {
+    const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    const baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : RETRY_BASE_MS;
+    const deliveryId = event.id || crypto.randomUUID();
+    const body = JSON.stringify({ id: deliveryId, ...event });
+
+    const parsed = parseHttpUrl(webhook.url);
+    if (!options.allowInternal && (!parsed || isInternalHost(parsed.hostname))) {
+        return { delivered: false, attempts: 0, responseStatus: null, error: INTERNAL_ADDRESS_ERROR };
+    }
+
+    let attempts = 0;
+    let responseStatus = null;
+    let lastError = null;
+
+    while (attempts < maxAttempts) {
+        attempts++;
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ConnectSphere-Webhooks/1.0',
+                    'X-ConnectSphere-Event': event.type,
+                    'X-ConnectSphere-Delivery': deliveryId,
+                    'X-ConnectSphere-Timestamp': String(timestamp),
+                    'X-ConnectSphere-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                timeout: REQUEST_TIMEOUT_MS,
+                maxRedirects: 0,
+                lookup: options.allowInternal ? undefined : lookupPublic,
+                validateStatus: () => true
+            });
+
+            responseStatus = response.status;
+            if (response.status >= 200 && response.status < 300) {
+                return { delivered: true, attempts, responseStatus, error: null };
+            }
+            lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            responseStatus = null;
+            lastError = error.code || error.message;
+            if (error.code === INTERNAL_ADDRESS_ERROR) break;
+        }
+
+        if (!isRetryable(responseStatus) || attempts >= maxAttempts) break;
+        await delay(baseDelayMs * 2 ** (attempts - 1));
+    }
+
+    return { delivered: false, attempts, responseStatus, error: lastError };
+};
+
+/**
+ * Record a delivery attempt in users/{uid}/webhook_deliveries
+ */
+const logDelivery = async (userId, delivery) => {
+    try {
+        await addDoc(collection(db, 'users', userId, 'webhook_deliveries'), {
+            ...delivery,
+            createdAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error logging webhook delivery:', error);
+    }
+};
+
+/**
+ * Deliver an event to one webhook and log the outcome
+ */
+const deliverAndLog = async (userId, webhook, event, options = {}) => {
+    const startTime = Date.now();
+    const result = await deliver(webhook, event, options);
+
+    await logDelivery(userId, {
+        webhookId: webhook.id,
+        url: webhook.url,
+        eventType: event.type,
+        status: result.delivered ? 'delivered' : 'failed',
+        attempts: result.attempts,
+        responseStatus: result.responseStatus,
+        error: result.error,
+        durationMs: Date.now() - startTime
+    });
+
+    if (!result.delivered) {
+        console.log(`[Webhooks] User ${userId}: ${event.type} to ${webhook.url} failed after ${result.attempts} attempt(s): ${result.error}`);
+    }
+    return result;
+};
+
+/**
+ * Fan an event out to every enabled webhook subscribed to its type
+ */
+const handleEvent = async (event, options = {}) => {
+    if (!event?.userId || !EVENT_TYPES.includes(event.type)) return [];
+
+    const webhooks = (await getWebhooks(event.userId)).filter(webhook =>
+        webhook.enabled !== false &&
+        (!webhook.events?.length || webhook.events.includes(event.type)));
+
+    return Promise.all(webhooks.map(webhook => deliverAndLog(event.userId, webhook, event, options)));
+};
+
+/**
+ * Send a test event to one webhook (from the dashboard)
+ * @returns {Promise<{ success: boolean, result?: object, error?: string }>}
+ */
+const sendTestEvent = async (userId, webhookId) => {
+    const webhook = (await getWebhooks(userId)).find(item => item.id === webhookId);
+    if (!webhook) return { success: false, error: 'Webhook not found' };
+
+    const event = {
+        type: 'webhook.test',
+        userId,
+        data: { message: 'Test event from ConnectSphere' },
+        timestamp: new Date().toISOString()
+    };
+    const result = await deliverAndLog(userId, webhook, event, { maxAttempts: 1 });
+    return { success: true, result };
+};
+
+/**
+ * Delivery log, newest first
+ * @param {object} filters - { webhookId, limit }
+ */
+const getDeliveries = async (userId, filters = {}) => {
+    const pageSize = Math.min(Math.max(Number(filters.limit) || 50, 1), 200);
+
+    try {
+        const deliveriesRef = collection(db, 'users', userId, 'webhook_deliveries');
+        // Filtering by webhook uses a single-field query (no composite index) and sorts in memory
+        const snapshot = filters.webhookId
+            ? await getDocs(query(deliveriesRef, where('webhookId', '==', filters.webhookId)))
+            : await getDocs(query(deliveriesRef, orderBy('createdAt', 'desc'), limit(pageSize)));
+
+        const deliveries = [];
+        snapshot.forEach((deliveryDoc) => {
+            const data = deliveryDoc.data();
+            deliveries.push({
+                id: deliveryDoc.id,
+                ...data,
+                createdAt: data.createdAt?.toDate?.().toISOString() || null
+            });
+        });
+
+        return deliveries
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+            .slice(0, pageSize);
+    } catch (error) {
+        console.error('Error getting webhook deliveries:', error);
+        return [];
+    }
+};
+
+/**
+ * Start forwarding platform events to webhooks (called once on server start)
+ */
+const start = () => {
+    if (unsubscribe) return;
+    unsubscribe = eventBus.subscribeAll((event) => {
+        handleEvent(event).catch((error) => {
+            console.error('[Webhooks] Error handling event:', error);
+        });
+    });
+};
+
+const stop = () => {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+};
+
+module.exports = {
+    EVENT_TYPES,
+    signPayload,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    deliver,
+    handleEvent,
+    sendTestEvent,
+    getDeliveries,
+    start,
+    stop
+};
@@ -1,416 +1,158 @@
 const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, makeCacheableSignalKeyStore } = require('@kelvdra/baileys');
 const useFirebaseAuthState = require('./firebaseAuthState');
-const aiService = require('./aiService');
 const firebaseService = require('./firebaseService');
-const bookingState = require('./bookingStateManager');
+const takeoverService = require('./takeoverService');
+const messageAggregator = require('./messageAggregator');
+const messageDedupeService = require('./messageDedupeService');
+const messageQueueService = require('./messageQueueService');
+const whatsappSessionService = require('./whatsappSessionService');
+const messagePipeline = require('./messagePipeline');
+const templateService = require('./templateService');
+const eventBus = require('./eventBus');
+const { createWhatsAppChannel } = require('../channels/whatsappChannel');
+const messagePayload = require('../utils/messagePayload');
+const { INTERNAL_ADDRESS_ERROR, parseHttpUrl, isInternalHost, lookupPublic } = require('../utils/networkAddress');
+const axios = require('axios');
 const pino = require('pino');
 
-const sessions = new Map(); // userId -> { sock, qr, status, retryCount }
-const processedMessages = new Map(); // messageId -> timestamp (for deduplication)
-const MESSAGE_DEDUPE_TTL = 60000; // 60 seconds
-const ENABLE_PRESENCE_UPDATES = process.env.WHATSAPP_PRESENCE_UPDATES === 'true';
+const sessions = new Map(); // userId:sessionId -> { sock, qr, status, retryCount }
+const { DEFAULT_SESSION_ID } = whatsappSessionService;
+const { getConversationKey } = messagePipeline;
 const logger = pino({ level: 'silent' });
 
-// Cleanup old processed message IDs periodically
-setInterval(() => {
-    const now = Date.now();
-    for (const [msgId, timestamp] of processedMessages) {
-        if (now - timestamp > MESSAGE_DEDUPE_TTL) {
-            processedMessages.delete(msgId);
-        }
-    }
-}, 30000);
-
-const getConversationKey = (senderPhone) => `wa_${String(senderPhone || 'unknown').replace(/[^0-9a-zA-Z_-]/g, '')}`;
-const getBookingKey = (userId, senderPhone) => `${userId}::${getConversationKey(senderPhone)}`;
-
-const updatePresence = async (sock, state, jid) => {
-    if (!ENABLE_PRESENCE_UPDATES) return;
-    try {
-        await sock.sendPresenceUpdate(state, jid);
-    } catch (_) {
-        // Presence updates are optional; ignore failures.
-    }
-};
+const MEDIA_DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024; // WhatsApp's document size limit
 
-/**
- * Send a message with interactive buttons
- */
-const sendButtonMessage = async (sock, jid, text, footer = '', buttons = []) => {
-    const formattedButtons = buttons.map((btn, index) => ({
-        buttonId: btn.id || `btn_${index}`,
-        buttonText: { displayText: btn.text },
-        type: 1
-    }));
+// One account can connect several numbers; 'default' is the original single session
+const getSessionKey = (userId, sessionId = DEFAULT_SESSION_ID) => `${userId}:${sessionId}`;
+const getLogId = (userId, sessionId = DEFAULT_SESSION_ID) =>
+    (sessionId === DEFAULT_SESSION_ID ? userId : `${userId}/${sessionId}`);
 
-    await sock.sendMessage(jid, {
-        text,
-        footer,
-        buttons: formattedButtons,
-        headerType: 1
-    });
+// Reverse of getConversationKey / getGroupConversationKey
+const getJidForConversationKey = (conversationKey) => {
+    const key = String(conversationKey);
+    if (key.startsWith('wa_group_')) return `${key.replace(/^wa_group_/, '')}@g.us`;
+    return `${key.replace(/^wa_/, '')}@s.whatsapp.net`;
 };
 
 /**
- * Send a list message with options
+ * Handle one inbound Baileys message (or a merged batch) through the message pipeline
+ * @param {object} options - { sessionId, replyPreface } (see messagePipeline.processMessage)
  */
-const sendListMessage = async (sock, jid, text, buttonText, sections) => {
-    await sock.sendMessage(jid, {
-        text,
-        buttonText,
-        sections,
-        footer: 'ConnectSphere Bot'
-    });
-};
+const processMessage = (sock, msg, userId, options = {}) => messagePipeline.processMessage(
+    createWhatsAppChannel(sock, userId, options.sessionId || DEFAULT_SESSION_ID), msg, userId, options);
 
 /**
- * Send date selection buttons
+ * Claim a (possibly merged) message in the persistent dedupe store right before it is processed
+ * Same IDs for live and queued messages, so neither path answers a message twice
+ * @returns {Promise<boolean>} false if every message in it was already processed
  */
-const sendDateButtons = async (sock, jid, userId) => {
-    const consultantService = require('./consultantService');
-    const dates = await consultantService.getNextAvailableDates(userId, 3);
-
-    if (dates.length === 0) {
-        await sock.sendMessage(jid, { text: "Sorry, no available slots right now. Please try again later." });
-        return;
+const claimForProcessing = async (userId, msg) => {
+    let claimed = false;
+    for (const key of msg.aggregatedKeys || [msg.key]) {
+        if (await messageDedupeService.claim(userId, key?.id)) claimed = true;
     }
-
-    const buttons = dates.map(d => ({
-        id: `date_${d.date}`,
-        text: `${d.dayName.charAt(0).toUpperCase() + d.dayName.slice(1)} (${d.date.slice(5)})`
-    }));
-
-    await sendButtonMessage(sock, jid,
-        "📅 *Select a date:*",
-        `${dates[0].availableSlots}+ slots available`,
-        buttons
-    );
+    return claimed;
 };
 
-/**
- * Send time slot buttons for a date
- */
-const sendTimeSlotButtons = async (sock, jid, userId, date) => {
-    const consultantService = require('./consultantService');
-    const result = await consultantService.getAvailableSlots(userId, date);
-
-    if (!result.available || result.slots.length === 0) {
-        await sock.sendMessage(jid, { text: "No available slots for this date. Please select another date." });
-        await sendDateButtons(sock, jid, userId);
-        return;
-    }
-
-    // Take first 3 slots (WhatsApp button limit)
-    const slots = result.slots.slice(0, 3);
-    const buttons = slots.map(s => ({
-        id: `slot_${s}`,
-        text: `🕐 ${s}`
-    }));
-
-    await sendButtonMessage(sock, jid,
-        `⏰ *Available times for ${date}:*\n\n${result.slots.length} slots available`,
-        'Select a time',
-        buttons
-    );
-};
+const processQueuedMessages = async (userId, sessionId = DEFAULT_SESSION_ID) => {
+    const session = sessions.get(getSessionKey(userId, sessionId));
+    if (!session || session.status !== 'connected') return;
 
-/**
- * Send booking confirmation buttons
- */
-const sendConfirmationButtons = async (sock, jid, phone, date, timeSlot, reason, name) => {
-    const buttons = [
-        { id: `confirm_yes`, text: '✅ Confirm Booking' },
-        { id: `cancel_booking`, text: '❌ Cancel' }
-    ];
-
-    await sendButtonMessage(sock, jid,
-        `📋 *Confirm your booking:*\n\n👤 Name: ${name}\n📅 Date: ${date}\n⏰ Time: ${timeSlot}\n📝 Reason: ${reason || 'General'}`,
-        'Tap to confirm or cancel',
-        buttons
-    );
-};
+    console.log(`User ${getLogId(userId, sessionId)}: Processing queued messages...`);
 
-/**
- * Handle booking button interactions
- */
-const handleBookingButton = async (sock, jid, userId, bookingKey, phone, buttonId) => {
-    const action = bookingState.parseButtonAction(buttonId);
-    if (!action) return false;
+    const queuedMessages = (await firebaseService.getQueuedMessages(userId))
+        .filter(queuedMsg => (queuedMsg.sessionId || DEFAULT_SESSION_ID) === sessionId);
 
-    const consultantService = require('./consultantService');
-    const state = bookingState.getState(bookingKey);
+    // Oldest-first per conversation, consecutive messages merged, stale ones prefaced or dropped
+    const settings = await messageQueueService.getSettings(userId);
+    const { batches, dropped } = messageQueueService.planReplay(queuedMessages, settings);
 
-    switch (action.type) {
-        case 'date':
-            bookingState.setDate(bookingKey, action.value);
-            await sendTimeSlotButtons(sock, jid, userId, action.value);
-            return true;
+    for (const id of dropped) {
+        await firebaseService.clearQueuedMessage(userId, id, { dropped: true });
+    }
+    if (dropped.length > 0) {
+        console.log(`User ${userId}: Dropped ${dropped.length} queued messages (stale or over the per-contact limit)`);
+    }
 
-        case 'slot':
-            bookingState.setTimeSlot(bookingKey, action.value);
-            
-            // SMART: Check if we already have the name from WhatsApp
-            const slotState = bookingState.getState(bookingKey);
-            if (slotState.name) {
-                // We have name, check if we have reason too
-                if (slotState.reason) {
-                    // We have everything! Show confirmation directly
-                    await sendConfirmationButtons(sock, jid, phone, slotState.date, action.value, slotState.reason, slotState.name);
-                } else {
-                    // Need reason
-                    bookingState.setState(bookingKey, {
-                        step: bookingState.BOOKING_STEPS.AWAITING_REASON
-                    });
-                    await sock.sendMessage(jid, {
-                        text: '📝 *Please share reason for consultation:*'
-                    });
+    // Claimed batch by batch, so a crash partway through leaves the rest queued
+    for (const batch of batches) {
+        try {
+            if (!(await claimForProcessing(userId, batch.message))) {
+                for (const id of batch.ids) {
+                    await firebaseService.clearQueuedMessage(userId, id);
                 }
-            } else {
-                // Need name
-                await sock.sendMessage(jid, {
-                    text: '👤 *Please enter your name:*\n\n_Just type your name to continue..._'
-                });
-            }
-            return true;
-
-        case 'confirm':
-            const currentState = bookingState.getState(bookingKey);
-            if (!currentState.name) {
-                await sock.sendMessage(jid, { text: '👤 Please share your name first.' });
-                return true;
-            }
-            if (!currentState.reason) {
-                await sock.sendMessage(jid, { text: '📝 Please share the reason for consultation first.' });
-                return true;
+                console.log(`User ${userId}: Skipping already processed queued messages ${batch.ids.join(', ')}`);
+                continue;
             }
-            const result = await consultantService.createBooking(userId, {
-                phone,
-                name: currentState.name || 'WhatsApp Customer',
-                reason: currentState.reason,
-                date: currentState.date,
-                timeSlot: currentState.timeSlot
+            await processMessage(session.sock, batch.message, userId, {
+                sessionId,
+                replyPreface: batch.stale ? settings.stalePreface : null
             });
-
-            if (result.success) {
-                await sock.sendMessage(jid, {
-                    text: `✅ *Booking Confirmed!*\n\n👤 Name: ${currentState.name}\n🎫 Token: #${result.tokenNumber}\n📅 ${currentState.date}\n⏰ ${currentState.timeSlot}\n\nYou'll receive a confirmation soon!`
-                });
-            } else {
-                await sock.sendMessage(jid, { text: `❌ ${result.error}` });
+            for (const id of batch.ids) {
+                await firebaseService.clearQueuedMessage(userId, id);
             }
-            bookingState.clearState(bookingKey);
-            return true;
-
-        case 'cancel':
-            bookingState.clearState(bookingKey);
-            await sock.sendMessage(jid, { text: "Booking cancelled. Let me know if you need anything else!" });
-            return true;
+            console.log(`User ${userId}: Processed queued messages ${batch.ids.join(', ')}`);
+        } catch (error) {
+            console.error(`User ${userId}: Error processing queued message:`, error);
+        }
     }
-
-    return false;
 };
 
-/**
- * Handle text input during booking flow (e.g., name entry)
- */
-const handleBookingTextInput = async (sock, jid, userId, bookingKey, phone, text) => {
-    const state = bookingState.getState(bookingKey);
-
-    if (state.step === bookingState.BOOKING_STEPS.AWAITING_REASON) {
-        const reason = text.trim();
-        if (reason.length < 3) {
-            await sock.sendMessage(jid, { text: '📝 Please provide a short reason (at least 3 characters).' });
-            return true;
-        }
-        bookingState.setState(bookingKey, {
-            step: bookingState.BOOKING_STEPS.AWAITING_DATE,
-            reason
-        });
-        await sendDateButtons(sock, jid, userId);
-        return true;
+const clearReconnectTimer = (session) => {
+    if (session && session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
     }
+};
 
-    if (state.step === bookingState.BOOKING_STEPS.AWAITING_NAME) {
-        // User entered their name
-        bookingState.setName(bookingKey, text.trim());
-        const updatedState = bookingState.getState(bookingKey);
-
-        if (!updatedState.reason) {
-            bookingState.setState(bookingKey, {
-                step: bookingState.BOOKING_STEPS.AWAITING_REASON
-            });
-            await sock.sendMessage(jid, {
-                text: '📝 *Please share reason for consultation:*'
-            });
-            return true;
-        }
-
-        // Show confirmation with name
-        await sendConfirmationButtons(sock, jid, phone, updatedState.date, updatedState.timeSlot, updatedState.reason, updatedState.name);
-        return true;
-    }
+const RECONNECT_DELAY_MS = 5000;
+const PAIRING_CODE_WAIT_MS = 15000; // How long the pairing route waits for the socket to be ready
 
-    return false;
+/**
+ * Publish a connection change for live dashboards (GET /api/status/stream)
+ */
+const publishStatus = (userId, sessionId, data) => {
+    eventBus.publish(userId, 'session.status', { sessionId, ...data });
 };
 
-const processMessage = async (sock, msg, userId) => {
-    // Handle button responses
-    const buttonResponse = msg.message?.buttonsResponseMessage?.selectedButtonId;
-    const listResponse = msg.message?.listResponseMessage?.singleSelectReply?.selectedRowId;
-
-    const messageContent =
-        buttonResponse ||
-        listResponse ||
-        msg.message?.conversation ||
-        msg.message?.extendedTextMessage?.text;
+/**
+ * Readable name for a Baileys disconnect status code (e.g., 401 -> loggedOut)
+ */
+const getDisconnectReason = (statusCode) => (statusCode && DisconnectReason[statusCode]) || 'unknown';
 
-    if (!messageContent) return;
+/**
+ * Request a phone-number pairing code for a session (alternative to scanning the QR)
+ * Only possible once the socket is talking to WhatsApp, i.e. after its first QR
+ */
+const issuePairingCode = async (userId, sessionId, session) => {
+    if (!session.pairingPhone || session.pairingCode || session.pairingRequested) return;
+    if (session.sock.authState?.creds?.registered) return;
 
+    session.pairingRequested = true;
     try {
-        // Fire-and-forget: read messages and show composing immediately (non-blocking)
-        sock.readMessages([msg.key]).catch(() => {});
-        updatePresence(sock, 'composing', msg.key.remoteJid);
-
-        // Extract sender's phone number
-        let senderPhone = 'Unknown';
-        const senderName = msg.pushName || msg.message?.extendedTextMessage?.contextInfo?.participant || null;
-        const remoteJid = msg.key.remoteJid || '';
-
-        if (msg.key.participant) {
-            senderPhone = msg.key.participant.replace('@s.whatsapp.net', '').replace('@lid', '');
-        } else if (remoteJid.includes('@s.whatsapp.net')) {
-            senderPhone = remoteJid.replace('@s.whatsapp.net', '');
-        } else if (remoteJid.includes('@lid')) {
-            senderPhone = remoteJid.replace('@lid', '');
-        } else {
-            senderPhone = remoteJid.split('@')[0];
-        }
-
-        const conversationKey = getConversationKey(senderPhone);
-        const bookingKey = getBookingKey(userId, senderPhone);
-
-        // Check if this is a booking button response
-        if (bookingState.isBookingAction(messageContent)) {
-            const handled = await handleBookingButton(sock, remoteJid, userId, bookingKey, senderPhone, messageContent);
-            if (handled) {
-                updatePresence(sock, 'paused', remoteJid);
-                return;
-            }
-        }
-
-        // Check if user is in a booking flow and typing text (e.g., name)
-        const textHandled = await handleBookingTextInput(sock, remoteJid, userId, bookingKey, senderPhone, messageContent);
-        if (textHandled) {
-            updatePresence(sock, 'paused', remoteJid);
-            return;
-        }
-
-        // Generate AI response
-        const response = await aiService.generateResponse(messageContent, userId, senderPhone, senderName, conversationKey);
-
-        // Check for booking trigger in AI response
-        // Format: [BOOKING:start] or [BOOKING:dates]
-        const bookingMatch = response.match(/\[BOOKING:(\w+)\]/);
-
-        if (bookingMatch) {
-            const action = bookingMatch[1];
-            const cleanText = response.replace(/\[BOOKING:\w+\]/, '').trim();
-
-            if (cleanText) {
-                await sock.sendMessage(remoteJid, { text: cleanText });
-            }
-
-            if (action === 'dates') {
-                // SMART BOOKING: Try to extract reason from the original message
-                const extractedReason = bookingState.extractReasonFromMessage(messageContent);
-                
-                // Use WhatsApp pushName as default name if available
-                const defaultName = senderName && senderName.length >= 2 ? senderName : null;
-                
-                // Start booking with whatever info we already have
-                bookingState.startBooking(bookingKey, extractedReason, defaultName);
-                
-                const state = bookingState.getState(bookingKey);
-                
-                if (!state.reason) {
-                    // Need to ask for reason
-                    await sock.sendMessage(remoteJid, {
-                        text: '📝 *What is the reason for consultation?*'
-                    });
-                } else {
-                    // We have reason, show dates directly
-                    console.log(`[Booking] Auto-extracted reason: "${state.reason}"${defaultName ? `, name: "${defaultName}"` : ''}`);
-                    await sendDateButtons(sock, remoteJid, userId);
-                }
-            }
-
-            updatePresence(sock, 'paused', remoteJid);
-            return;
-        }
-
-        // Check for button markers
-        const buttonMatch = response.match(/\[BUTTONS:(.+?)\]/);
-
-        if (buttonMatch) {
-            const buttonTexts = buttonMatch[1].split('|');
-            const cleanText = response.replace(/\[BUTTONS:.+?\]/, '').trim();
-
-            const buttons = buttonTexts.map((text, i) => ({
-                id: `option_${i + 1}`,
-                text: text.trim()
-            }));
-
-            await sendButtonMessage(sock, remoteJid, cleanText, 'ConnectSphere', buttons);
-        } else {
-            // Send regular text message
-            const shouldQuote = aiService.shouldReplyToMessage(messageContent);
-            const messageOptions = { text: response };
-            if (shouldQuote) messageOptions.quoted = msg;
-            await sock.sendMessage(remoteJid, messageOptions);
-        }
-
-        updatePresence(sock, 'paused', remoteJid);
-
+        session.pairingCode = await session.sock.requestPairingCode(session.pairingPhone);
+        session.pairingError = null;
+        console.log(`User ${getLogId(userId, sessionId)}: Pairing code issued for ${session.pairingPhone}`);
+        publishStatus(userId, sessionId, { status: session.status, pairingCode: session.pairingCode });
     } catch (error) {
-        console.error(`User ${userId}: Error processing message:`, error);
-        updatePresence(sock, 'paused', msg.key.remoteJid);
-    }
-};
-
-
-const processQueuedMessages = async (userId) => {
-    const session = sessions.get(userId);
-    if (!session || session.status !== 'connected') return;
-
-    console.log(`User ${userId}: Processing queued messages...`);
-
-    const queuedMessages = await firebaseService.getQueuedMessages(userId);
-
-    for (const queuedMsg of queuedMessages) {
-        try {
-            await processMessage(session.sock, queuedMsg.message, userId);
-            await firebaseService.clearQueuedMessage(userId, queuedMsg.id);
-            console.log(`User ${userId}: Processed queued message ${queuedMsg.id}`);
-        } catch (error) {
-            console.error(`User ${userId}: Error processing queued message:`, error);
-        }
-    }
-};
-
-const clearReconnectTimer = (session) => {
-    if (session && session.reconnectTimer) {
-        clearTimeout(session.reconnectTimer);
-        session.reconnectTimer = null;
+        console.error(`User ${getLogId(userId, sessionId)}: Error requesting pairing code:`, error);
+        session.pairingError = error.message || 'Failed to get pairing code';
+        session.pairingRequested = false;
     }
 };
 
-const initialize = async (userId) => {
-    const session = sessions.get(userId);
+const initialize = async (userId, sessionId = DEFAULT_SESSION_ID) => {
+    const sessionKey = getSessionKey(userId, sessionId);
+    const logId = getLogId(userId, sessionId);
+    const session = sessions.get(sessionKey);
     if (session && ['connected', 'connecting', 'scanning'].includes(session.status)) {
         return;
     }
+    // Automatic reconnects keep counting until the connection opens again
+    const retryCount = session?.retryCount || 0;
 
-    const { state, saveCreds } = await useFirebaseAuthState(userId);
+    const { state, saveCreds } = await useFirebaseAuthState(userId, sessionId);
 
     const sock = makeWASocket({
         auth: {
@@ -426,26 +168,32 @@ const initialize = async (userId) => {
     });
 
     // Initialize session state
-    sessions.set(userId, {
+    sessions.set(sessionKey, {
+        userId,
+        sessionId,
         sock,
         qr: null,
         status: 'connecting',
-        retryCount: 0,
+        retryCount,
+        lastDisconnect: session?.lastDisconnect || null,
         manualDisconnect: false,
         reconnectTimer: null
     });
+    publishStatus(userId, sessionId, { status: 'connecting', reconnectAttempt: retryCount });
 
     sock.ev.on('creds.update', saveCreds);
 
     sock.ev.on('connection.update', async (update) => {
         const { connection, lastDisconnect, qr } = update;
-        const session = sessions.get(userId);
+        const session = sessions.get(sessionKey);
         if (!session) return;
 
         if (qr) {
             session.qr = qr;
             session.status = 'scanning';
-            sessions.set(userId, session);
+            sessions.set(sessionKey, session);
+            publishStatus(userId, sessionId, { status: 'scanning', qr });
+            await issuePairingCode(userId, sessionId, session);
         }
 
         if (connection === 'close') {
@@ -455,40 +203,65 @@ const initialize = async (userId) => {
                 statusCode !== DisconnectReason.loggedOut &&
                 statusCode !== 408;
 
-            console.log(`User ${userId}: connection closed due to `, lastDisconnect.error, ', reconnecting ', shouldReconnect);
+            console.log(`User ${logId}: connection closed due to `, lastDisconnect.error, ', reconnecting ', shouldReconnect);
 
             session.status = 'disconnected';
             session.qr = null;
-            sessions.set(userId, session);
+            session.pairingCode = null;
+            session.lastDisconnect = {
+                reason: getDisconnectReason(statusCode),
+                statusCode: statusCode || null,
+                at: new Date().toISOString()
+            };
+            if (shouldReconnect) session.retryCount += 1;
+            sessions.set(sessionKey, session);
+            publishStatus(userId, sessionId, {
+                status: 'disconnected',
+                ...session.lastDisconnect,
+                reconnecting: shouldReconnect,
+                reconnectAttempt: shouldReconnect ? session.retryCount : null,
+                reconnectInMs: shouldReconnect ? RECONNECT_DELAY_MS : null
+            });
+            eventBus.publish(userId, 'session.disconnected', {
+                sessionId,
+                statusCode: statusCode || null,
+                reconnecting: shouldReconnect,
+                manual: false
+            });
 
             if (shouldReconnect) {
                 clearReconnectTimer(session);
                 session.reconnectTimer = setTimeout(() => {
-                    const latest = sessions.get(userId);
+                    const latest = sessions.get(sessionKey);
                     if (latest) {
                         latest.reconnectTimer = null;
                         latest.manualDisconnect = false;
-                        sessions.set(userId, latest);
+                        sessions.set(sessionKey, latest);
                     }
-                    initialize(userId);
-                }, 5000);
-                sessions.set(userId, session);
+                    initialize(userId, sessionId);
+                }, RECONNECT_DELAY_MS);
+                sessions.set(sessionKey, session);
             } else {
                 clearReconnectTimer(session);
                 if (statusCode === 408) {
-                    console.log(`User ${userId}: QR scan timed out. Please try again.`);
+                    console.log(`User ${logId}: QR scan timed out. Please try again.`);
                 }
-                sessions.delete(userId);
+                sessions.delete(sessionKey);
             }
         } else if (connection === 'open') {
-            console.log(`User ${userId}: opened connection`);
+            console.log(`User ${logId}: opened connection`);
             session.status = 'connected';
             session.qr = null;
+            session.pairingCode = null;
             session.retryCount = 0;
-            sessions.set(userId, session);
+            sessions.set(sessionKey, session);
+            publishStatus(userId, sessionId, {
+                status: 'connected',
+                phone: sock.user?.id?.split(':')[0] || null
+            });
 
             // Process any queued messages from when bot was offline
-            await processQueuedMessages(userId);
+            await processQueuedMessages(userId, sessionId);
         }
     });
 
@@ -497,71 +270,147 @@ const initialize = async (userId) => {
             // Skip messages from self or non-notify types
             if (msg.key.fromMe || m.type !== 'notify') continue;
             
-            // Deduplication: skip if already processed
             const msgId = msg.key.id;
-            if (processedMessages.has(msgId)) {
-                console.log(`User ${userId}: Skipping duplicate message ${msgId}`);
-                continue;
-            }
-            processedMessages.set(msgId, Date.now());
-            
-            const session = sessions.get(userId);
+            const session = sessions.get(sessionKey);
 
             if (session && session.status === 'connected') {
-                await processMessage(sock, msg, userId);
+                // Redeliveries while the message waits in the aggregator
+                if (!(await messageDedupeService.markReceived(userId, msgId))) {
+                    console.log(`User ${logId}: Skipping duplicate message ${msgId}`);
+                    continue;
+                }
+
+                // Rapid text fragments from the same sender are merged into one AI turn;
+                // claimed (persisted) on flush, which also skips messages processed before a restart
+                const aggregationKey = `${sessionKey}::${msg.key.remoteJid}::${msg.key.participant || ''}`;
+                await messageAggregator.enqueue(aggregationKey, msg, async (merged) => {
+                    if (!(await claimForProcessing(userId, merged))) {
+                        console.log(`User ${logId}: Skipping already processed message ${merged.key.id}`);
+                        return;
+                    }
+                    await processMessage(sock, merged, userId, { sessionId });
+                });
             } else {
-                console.log(`User ${userId}: Bot offline, queuing message...`);
+                console.log(`User ${logId}: Bot offline, queuing message...`);
                 await firebaseService.queueMessage(userId, {
                     message: msg,
-                    remoteJid: msg.key.remoteJid
+                    remoteJid: msg.key.remoteJid,
+                    sessionId
                 });
             }
         }
     });
 };
 
-const getQR = (userId) => {
-    return sessions.get(userId)?.qr || null;
+const getQR = (userId, sessionId = DEFAULT_SESSION_ID) => {
+    return sessions.get(getSessionKey(userId, sessionId))?.qr || null;
+};
+
+const getStatus = (userId, sessionId = DEFAULT_SESSION_ID) => {
+    return sessions.get(getSessionKey(userId, sessionId))?.status || 'disconnected';
+};
+
+/**
+ * Link a session by phone number instead of QR: starts the session if needed and
+ * waits (briefly) for WhatsApp to issue the code, which is also published on the status stream
+ * @param {string} phone - Phone number with country code (e.g., 919876543210)
+ * @returns {Promise<{ status: string, pairingCode: string|null }>} pairingCode is null if still pending
+ */
+const requestPairingCode = async (userId, phone, sessionId = DEFAULT_SESSION_ID) => {
+    const sessionKey = getSessionKey(userId, sessionId);
+    const cleanPhone = messagePayload.normalizePhone(phone);
+
+    if (getStatus(userId, sessionId) === 'connected') {
+        throw new Error('WhatsApp is already connected');
+    }
+
+    await initialize(userId, sessionId);
+    const session = sessions.get(sessionKey);
+    if (!session) throw new Error('Failed to start WhatsApp session');
+
+    if (session.pairingPhone !== cleanPhone) {
+        session.pairingPhone = cleanPhone;
+        session.pairingCode = null;
+        session.pairingRequested = false;
+    }
+    session.pairingError = null;
+    if (session.status === 'scanning') {
+        await issuePairingCode(userId, sessionId, session);
+    }
+
+    // Still connecting: the first QR event requests the code
+    const deadline = Date.now() + PAIRING_CODE_WAIT_MS;
+    while (!session.pairingCode && !session.pairingError && Date.now() < deadline &&
+        sessions.get(sessionKey) === session) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (session.pairingError) throw new Error(session.pairingError);
+    return { status: session.status, pairingCode: session.pairingCode || null };
 };
 
-const getStatus = (userId) => {
-    return sessions.get(userId)?.status || 'disconnected';
+/**
+ * Current connection details (first message of the status stream)
+ */
+const getConnectionState = (userId, sessionId = DEFAULT_SESSION_ID) => {
+    const session = sessions.get(getSessionKey(userId, sessionId));
+    return {
+        sessionId,
+        status: session?.status || 'disconnected',
+        qr: session?.qr || null,
+        pairingCode: session?.pairingCode || null,
+        reconnectAttempt: session?.retryCount || 0,
+        lastDisconnect: session?.lastDisconnect || null
+    };
 };
 
-const disconnect = async (userId) => {
-    const session = sessions.get(userId);
+const disconnect = async (userId, sessionId = DEFAULT_SESSION_ID) => {
+    const sessionKey = getSessionKey(userId, sessionId);
+    const logId = getLogId(userId, sessionId);
+    const session = sessions.get(sessionKey);
     if (session && session.sock) {
         try {
             session.manualDisconnect = true;
             clearReconnectTimer(session);
-            sessions.set(userId, session);
+            sessions.set(sessionKey, session);
             session.sock.end();
-            console.log(`User ${userId}: WhatsApp connection closed`);
+            console.log(`User ${logId}: WhatsApp connection closed`);
+            publishStatus(userId, sessionId, { status: 'disconnected', reason: 'manual', reconnecting: false });
+            eventBus.publish(userId, 'session.disconnected', {
+                sessionId,
+                statusCode: null,
+                reconnecting: false,
+                manual: true
+            });
         } catch (error) {
-            console.error(`User ${userId}: Error closing connection:`, error);
+            console.error(`User ${logId}: Error closing connection:`, error);
         }
     }
-    sessions.delete(userId);
-    console.log(`User ${userId}: Session removed from memory`);
+    sessions.delete(sessionKey);
+    console.log(`User ${logId}: Session removed from memory`);
 };
 
-const clearCredentials = async (userId) => {
+const clearCredentials = async (userId, sessionId = DEFAULT_SESSION_ID) => {
     const { db } = require('../config/firebase');
     const { collection, getDocs, deleteDoc } = require('firebase/firestore');
+    const logId = getLogId(userId, sessionId);
 
-    await disconnect(userId);
+    await disconnect(userId, sessionId);
 
     try {
         const credsCollectionRef = collection(db, 'users', userId, 'whatsapp_creds');
         const snapshot = await getDocs(credsCollectionRef);
 
-        const deletePromises = snapshot.docs.map(doc => deleteDoc(doc.ref));
+        // Only this session's docs - other numbers on the account stay connected
+        const sessionDocs = snapshot.docs.filter(doc =>
+            whatsappSessionService.getSessionIdFromCredsDoc(doc.id) === sessionId);
+        const deletePromises = sessionDocs.map(doc => deleteDoc(doc.ref));
         await Promise.all(deletePromises);
 
-        console.log(`User ${userId}: Cleared ${snapshot.docs.length} credential documents from Firebase`);
-        return { deleted: snapshot.docs.length };
+        console.log(`User ${logId}: Cleared ${sessionDocs.length} credential documents from Firebase`);
+        return { deleted: sessionDocs.length };
     } catch (error) {
-        console.error(`User ${userId}: Error clearing credentials:`, error);
+        console.error(`User ${logId}: Error clearing credentials:`, error);
         throw error;
     }
 };
@@ -571,42 +420,167 @@ const clearCredentials = async (userId) => {
  * @param {string} userId - User ID
  * @param {string} phone - Phone number with country code (e.g., 919876543210)
  */
-const sendTestButtons = async (userId, phone) => {
-    const session = sessions.get(userId);
+const sendTestButtons = async (userId, phone, sessionId = DEFAULT_SESSION_ID) => {
+    const session = sessions.get(getSessionKey(userId, sessionId));
     if (!session || session.status !== 'connected') {
         throw new Error('WhatsApp not connected');
     }
 
     const jid = `${phone}@s.whatsapp.net`;
 
-    await sendButtonMessage(
-        session.sock,
+    await createWhatsAppChannel(session.sock, userId, sessionId).sendButtons(
         jid,
-        'Welcome! How can I help you today?',
-        'ConnectSphere Bot',
+        await templateService.render(userId, 'greeting'),
         [
             { id: 'book', text: '📅 Book Appointment' },
             { id: 'faq', text: '❓ FAQ' },
             { id: 'support', text: '💬 Contact Support' }
-        ]
+        ],
+        'ConnectSphere Bot'
     );
 };
 
+/**
+ * Download URL media here instead of letting Baileys fetch it, so the connection goes through
+ * the public-address lookup and a tenant URL can't reach this machine or the private network
+ * @returns {Promise<object>} Payload with the media as base64
+ */
+const downloadMedia = async (payload) => {
+    const url = parseHttpUrl(payload.url);
+    if (!url || isInternalHost(url.hostname)) {
+        throw new Error('Media url must be a public http(s) address');
+    }
+
+    try {
+        const response = await axios.get(url.href, {
+            responseType: 'arraybuffer',
+            timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: MAX_MEDIA_BYTES,
+            lookup: lookupPublic
+        });
+        return {
+            ...payload,
+            url: undefined,
+            base64: Buffer.from(response.data).toString('base64'),
+            mimetype: payload.mimetype || response.headers?.['content-type'] || undefined
+        };
+    } catch (error) {
+        if (error.code === INTERNAL_ADDRESS_ERROR) {
+            throw new Error('Media url must be a public http(s) address');
+        }
+        throw new Error(`Could not download media: ${error.message}`);
+    }
+};
+
+/**
+ * Send an outbound message (text, media, location, contact or buttons) and record it in history
+ * @param {string} phone - Phone number with country code (e.g., 919876543210)
+ * @param {object} payload - Validated payload (see utils/messagePayload)
+ * @param {string} sessionId - Which of the account's numbers sends it
+ */
+const sendOutboundMessage = async (userId, phone, payload, sessionId = DEFAULT_SESSION_ID) => {
+    const session = sessions.get(getSessionKey(userId, sessionId));
+    if (!session || session.status !== 'connected') {
+        throw new Error('WhatsApp not connected');
+    }
+
+    const cleanPhone = messagePayload.normalizePhone(phone);
+    const fetchesUrl = ['image', 'document'].includes(payload.type) && payload.url && !payload.base64;
+    const outbound = fetchesUrl ? await downloadMedia(payload) : payload;
+    const content = messagePayload.buildMessageContent(outbound);
+    const sent = await createWhatsAppChannel(session.sock, userId, sessionId).sendMedia(`${cleanPhone}@s.whatsapp.net`, outbound);
+
+    // Stored as a model turn so the AI has it as context on the customer's next message
+    const conversationKey = getConversationKey(cleanPhone);
+    await firebaseService.saveMessage(userId, 'model', messagePayload.describeContent(content), conversationKey, {
+        source: 'api',
+        type: payload.type
+    });
+
+    return { messageId: sent?.key?.id || null, conversationId: conversationKey };
+};
+
+/**
+ * Number the customer last wrote to in a conversation
+ */
+const getConversationSessionId = async (userId, conversationKey) => {
+    const conversation = await firebaseService.getConversation(userId, conversationKey);
+    const lastInbound = [...(conversation?.messages || [])].reverse().find(message => message.role === 'user');
+    return lastInbound?.sessionId || DEFAULT_SESSION_ID;
+};
+
+/**
+ * Send a staff-written reply to a conversation taken over from the bot
+ * @param {string} conversationKey - Conversation key (e.g., wa_919876543210)
+ * @param {string} staffId - Staff identifier recorded on the message
+ * @param {string|null} sessionId - Number to reply from (defaults to the one the customer last wrote to)
+ */
+const sendStaffReply = async (userId, conversationKey, text, staffId, sessionId = null) => {
+    const replySessionId = sessionId || await getConversationSessionId(userId, conversationKey);
+    const session = sessions.get(getSessionKey(userId, replySessionId));
+    if (!session || session.status !== 'connected') {
+        throw new Error('WhatsApp not connected');
+    }
+
+    await createWhatsAppChannel(session.sock, userId, replySessionId).sendText(getJidForConversationKey(conversationKey), text);
+    await firebaseService.saveMessage(userId, 'model', text, conversationKey, { source: 'staff', staffId });
+    await takeoverService.touch(userId, conversationKey);
+};
+
 /**
  * Get session for a user (for external services)
  */
-const getSession = (userId) => {
-    return sessions.get(userId);
+const getSession = (userId, sessionId = DEFAULT_SESSION_ID) => {
+    return sessions.get(getSessionKey(userId, sessionId));
+};
+
+/**
+ * A connected session to send from when the caller doesn't name one (the default number first)
+ * @returns {string|null}
+ */
+const getConnectedSessionId = (userId) => {
+    if (getSession(userId)?.status === 'connected') return DEFAULT_SESSION_ID;
+    for (const session of sessions.values()) {
+        if (session.userId === userId && session.status === 'connected') return session.sessionId;
+    }
+    return null;
+};
+
+/**
+ * All of a user's numbers with their settings and live connection status
+ */
+const listSessions = async (userId) => {
+    const configs = await whatsappSessionService.listSessionConfigs(userId);
+    const known = new Set(configs.map(config => config.sessionId));
+
+    // Include sessions that are connected but have no saved settings yet
+    for (const session of sessions.values()) {
+        if (session.userId === userId && !known.has(session.sessionId)) {
+            configs.push({ sessionId: session.sessionId, ...(await whatsappSessionService.getSessionConfig(userId, session.sessionId)) });
+        }
+    }
+
+    return configs.map(config => ({
+        ...config,
+        status: getStatus(userId, config.sessionId),
+        phone: getSession(userId, config.sessionId)?.sock?.user?.id?.split(':')[0] || null
+    }));
 };
 
 module.exports = {
     initialize,
     getQR,
     getStatus,
+    getConnectionState,
+    requestPairingCode,
     disconnect,
     clearCredentials,
-    sendButtonMessage,
-    sendListMessage,
     sendTestButtons,
-    getSession
+    sendOutboundMessage,
+    sendStaffReply,
+    getSession,
+    getConnectedSessionId,
+    listSessions,
+    getConversationKey,
+    processMessage
 };
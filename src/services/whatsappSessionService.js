@@ -0,0 +1,143 @@
+/**
+ * WhatsApp Session Service
+ * Named WhatsApp numbers per account (e.g., "reception", "sales") and their per-number settings
+ */
+
+const { db } = require('../config/firebase');
+const {
+    doc, getDoc, setDoc, getDocs, deleteDoc, collection, serverTimestamp
+} = require('firebase/firestore');
+
+const DEFAULT_SESSION_ID = 'default';
+// No underscores, so an ID can never contain the creds separator
+const SESSION_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const CREDS_SEPARATOR = '__'; // Named sessions prefix their whatsapp_creds doc IDs: "<sessionId>__creds"
+
+const DEFAULT_CONFIG = {
+    label: '',
+    persona: '', // Extra AI instructions for this number
+    bookingEnabled: true
+};
+
+// ==================== CACHING LAYER ====================
+const configCache = new Map();
+const CONFIG_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const isValidSessionId = (sessionId) => SESSION_ID_PATTERN.test(String(sessionId || ''));
+
+/**
+ * Normalize a session ID from a request (missing -> default)
+ * @returns {string|null} null if invalid
+ */
+const resolveSessionId = (sessionId) => {
+    if (sessionId === undefined || sessionId === null || sessionId === '') return DEFAULT_SESSION_ID;
+    const clean = String(sessionId).trim().toLowerCase();
+    return isValidSessionId(clean) ? clean : null;
+};
+
+/**
+ * Doc ID prefix for a session's credentials (the default session keeps the original unprefixed IDs)
+ */
+const getCredsPrefix = (sessionId = DEFAULT_SESSION_ID) =>
+    (sessionId === DEFAULT_SESSION_ID ? '' : `${sessionId}${CREDS_SEPARATOR}`);
+
+/**
+ * Which session a whatsapp_creds doc belongs to
+ */
+const getSessionIdFromCredsDoc = (docId) => {
+    const index = String(docId).indexOf(CREDS_SEPARATOR);
+    const prefix = index > 0 ? String(docId).slice(0, index) : null;
+    return prefix && isValidSessionId(prefix) ? prefix : DEFAULT_SESSION_ID;
+};
+
+const sanitizeConfig = (config = {}) => ({
+    label: typeof config.label === 'string' ? config.label.trim().slice(0, 60) : DEFAULT_CONFIG.label,
+    persona: typeof config.persona === 'string' ? config.persona.trim().slice(0, 2000) : DEFAULT_CONFIG.persona,
+    bookingEnabled: config.bookingEnabled !== false
+});
+
+/**
+ * Get per-number settings for a session
+ */
+const getSessionConfig = async (userId, sessionId = DEFAULT_SESSION_ID) => {
+    const cacheKey = `${userId}:${sessionId}`;
+    const cached = configCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CONFIG_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(doc(db, 'users', userId, 'whatsapp_sessions', sessionId));
+        const config = snapshot.exists() ? sanitizeConfig(snapshot.data()) : { ...DEFAULT_CONFIG };
+        configCache.set(cacheKey, { data: config, timestamp: Date.now() });
+        return config;
+    } catch (error) {
+        console.error('Error getting session config:', error);
+        return { ...DEFAULT_CONFIG };
+    }
+};
+
+/**
+ * Create or update a session's settings (fields left undefined keep their current value)
+ */
+const saveSessionConfig = async (userId, sessionId, config = {}) => {
+    try {
+        const current = await getSessionConfig(userId, sessionId);
+        const changes = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+        const sanitized = sanitizeConfig({ ...current, ...changes });
+        await setDoc(doc(db, 'users', userId, 'whatsapp_sessions', sessionId), {
+            ...sanitized,
+            sessionId,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        configCache.delete(`${userId}:${sessionId}`);
+        return sanitized;
+    } catch (error) {
+        console.error('Error saving session config:', error);
+        return null;
+    }
+};
+
+/**
+ * Remove a session's settings
+ */
+const deleteSessionConfig = async (userId, sessionId) => {
+    try {
+        await deleteDoc(doc(db, 'users', userId, 'whatsapp_sessions', sessionId));
+        configCache.delete(`${userId}:${sessionId}`);
+        return true;
+    } catch (error) {
+        console.error('Error deleting session config:', error);
+        return false;
+    }
+};
+
+/**
+ * All configured sessions for a user (the default session is always included)
+ */
+const listSessionConfigs = async (userId) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'users', userId, 'whatsapp_sessions'));
+        const sessions = new Map([[DEFAULT_SESSION_ID, { sessionId: DEFAULT_SESSION_ID, ...DEFAULT_CONFIG }]]);
+        snapshot.forEach((sessionDoc) => {
+            sessions.set(sessionDoc.id, { sessionId: sessionDoc.id, ...sanitizeConfig(sessionDoc.data()) });
+        });
+        return [...sessions.values()];
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        return [{ sessionId: DEFAULT_SESSION_ID, ...DEFAULT_CONFIG }];
+    }
+};
+
+module.exports = {
+    DEFAULT_SESSION_ID,
+    isValidSessionId,
+    resolveSessionId,
+    getCredsPrefix,
+    getSessionIdFromCredsDoc,
+    getSessionConfig,
+    saveSessionConfig,
+    deleteSessionConfig,
+    listSessionConfigs
+};
@@ -0,0 +1,205 @@
+/**
+ * Widget Service
+ * Settings and public tenant keys for the embeddable website chat widget (frontend/widget.js)
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const { doc, getDoc, setDoc, deleteDoc, serverTimestamp } = require('firebase/firestore');
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    key: null,
+    title: 'Chat with us',
+    greeting: 'Hi! How can we help you today?',
+    color: '#128c7e',
+    allowedOrigins: [] // empty = any website
+};
+const MAX_VISITOR_ID_LENGTH = 64;
+const REQUESTS_PER_MINUTE = Number(process.env.WIDGET_REQUESTS_PER_MINUTE || 20); // per IP address
+
+// ip -> { windowStart, count } (visitor IDs are client-generated, so the public endpoint is also limited per IP)
+const ipCounters = new Map();
+
+// ==================== CACHING LAYER ====================
+const settingsCache = new Map();
+const keyCache = new Map();
+const SETTINGS_CACHE_TTL = 120000; // 2 minutes
+// ========================================================
+
+const getSettingsDocRef = (userId) => doc(db, 'users', userId, 'settings', 'widget_config');
+
+// Keys are looked up without a signed-in user, so they live in a top-level collection
+const getKeyDocRef = (key) => doc(db, 'widget_keys', key);
+
+const generateKey = () => `wk_${crypto.randomBytes(16).toString('hex')}`;
+
+const normalizeOrigin = (origin) => {
+    try {
+        return new URL(String(origin).trim()).origin;
+    } catch (error) {
+        return null;
+    }
+};
+
+const sanitizeSettings = (settings = {}) => ({
+    enabled: settings.enabled === true,
+    key: settings.key || null,
+    title: String(settings.title || DEFAULT_SETTINGS.title).trim().slice(0, 60),
+    greeting: String(settings.greeting || DEFAULT_SETTINGS.greeting).trim().slice(0, 300),
+    color: /^#[0-9a-f]{6}$/i.test(settings.color || '') ? settings.color : DEFAULT_SETTINGS.color,
+    allowedOrigins: Array.isArray(settings.allowedOrigins)
+        ? [...new Set(settings.allowedOrigins.map(normalizeOrigin).filter(Boolean))]
+        : []
+});
+
+/**
+ * Conversation key for a website visitor (kept apart from wa_ WhatsApp conversations)
+ * @returns {string|null} null if the visitor ID is missing or malformed
+ */
+const getVisitorConversationKey = (visitorId) => {
+    const clean = String(visitorId || '').replace(/[^0-9a-zA-Z_-]/g, '');
+    if (!clean || clean.length > MAX_VISITOR_ID_LENGTH) return null;
+    return `web_${clean}`;
+};
+
+/**
+ * Check a request's Origin header against the tenant's allowed websites
+ */
+const isOriginAllowed = (settings, origin) => {
+    if (!settings.allowedOrigins?.length) return true;
+    return settings.allowedOrigins.includes(normalizeOrigin(origin));
+};
+
+/**
+ * Count a public chat request from an IP address
+ * @returns {boolean} false once the address exceeds the per-minute limit
+ */
+const checkRequestRate = (ip, now = Date.now()) => {
+    const counter = ipCounters.get(ip);
+    if (!counter || now - counter.windowStart >= 60 * 1000) {
+        ipCounters.set(ip, { windowStart: now, count: 1 });
+        return true;
+    }
+    counter.count += 1;
+    return counter.count <= REQUESTS_PER_MINUTE;
+};
+
+const pruneCounters = () => {
+    const oneMinuteAgo = Date.now() - 60 * 1000;
+    for (const [ip, counter] of ipCounters.entries()) {
+        if (counter.windowStart < oneMinuteAgo) ipCounters.delete(ip);
+    }
+};
+
+setInterval(pruneCounters, 5 * 60 * 1000);
+
+/**
+ * Get widget settings for a user
+ */
+const getSettings = async (userId) => {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+        return cached.data;
+    }
+
+    try {
+        const snapshot = await getDoc(getSettingsDocRef(userId));
+        const settings = snapshot.exists() ? sanitizeSettings(snapshot.data()) : { ...DEFAULT_SETTINGS };
+        settingsCache.set(userId, { data: settings, timestamp: Date.now() });
+        return settings;
+    } catch (error) {
+        console.error('Error getting widget settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Update widget settings (the key is managed by rotateKey)
+ * A key is issued the first time the widget is enabled
+ */
+const updateSettings = async (userId, updates = {}) => {
+    try {
+        const current = await getSettings(userId);
+        const changes = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+        const settings = sanitizeSettings({ ...current, ...changes, key: current.key });
+
+        await setDoc(getSettingsDocRef(userId), {
+            ...settings,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        settingsCache.delete(userId);
+
+        if (settings.enabled && !settings.key) {
+            await rotateKey(userId);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error updating widget settings:', error);
+        return false;
+    }
+};
+
+/**
+ * Issue a new public key, revoking the previous one (embed snippets must be updated)
+ * @returns {Promise<string|null>} The new key
+ */
+const rotateKey = async (userId) => {
+    try {
+        const current = await getSettings(userId);
+        const key = generateKey();
+
+        await setDoc(getKeyDocRef(key), { userId, createdAt: serverTimestamp() });
+        await setDoc(getSettingsDocRef(userId), { key, updatedAt: serverTimestamp() }, { merge: true });
+        if (current.key) {
+            await deleteDoc(getKeyDocRef(current.key));
+            keyCache.delete(current.key);
+        }
+        settingsCache.delete(userId);
+
+        console.log(`[Widget] User ${userId}: widget key rotated`);
+        return key;
+    } catch (error) {
+        console.error('Error rotating widget key:', error);
+        return null;
+    }
+};
+
+/**
+ * Resolve a public widget key to its tenant
+ * @returns {Promise<{ userId: string, settings: object }|null>} null if unknown, revoked or disabled
+ */
+const resolveKey = async (key) => {
+    if (!/^wk_[0-9a-f]{32}$/.test(String(key || ''))) return null;
+
+    try {
+        let userId;
+        const cached = keyCache.get(key);
+        if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+            userId = cached.userId;
+        } else {
+            const snapshot = await getDoc(getKeyDocRef(key));
+            userId = snapshot.exists() ? snapshot.data().userId : null;
+            keyCache.set(key, { userId, timestamp: Date.now() });
+        }
+        if (!userId) return null;
+
+        const settings = await getSettings(userId);
+        if (!settings.enabled || settings.key !== key) return null;
+        return { userId, settings };
+    } catch (error) {
+        console.error('Error resolving widget key:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    getVisitorConversationKey,
+    isOriginAllowed,
+    checkRequestRate,
+    getSettings,
+    updateSettings,
+    rotateKey,
+    resolveKey
+};
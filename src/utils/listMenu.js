@@ -0,0 +1,92 @@
+/**
+ * List Menus
+ * Builds WhatsApp list message sections for booking dates and time slots,
+ * and the numbered text menu used when interactive messages can't be sent
+ */
+
+const MAX_LIST_ROWS = 10; // WhatsApp list row limit (across all sections)
+
+const SLOT_PERIODS = [
+    { id: 'morning', title: '🌅 Morning', before: 12 * 60 },
+    { id: 'afternoon', title: '☀️ Afternoon', before: 17 * 60 },
+    { id: 'evening', title: '🌙 Evening', before: 24 * 60 }
+];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+const getSlotPeriod = (slot) => SLOT_PERIODS.find(period => toMinutes(slot) < period.before) || SLOT_PERIODS[2];
+
+/**
+ * Pick up to maxRows slots, spread across morning/afternoon/evening
+ * (the earliest slots of each period first, so later periods are never cut off)
+ */
+const limitSlots = (slots, maxRows = MAX_LIST_ROWS) => {
+    if (slots.length <= maxRows) return [...slots];
+
+    const groups = SLOT_PERIODS.map(period => slots.filter(slot => getSlotPeriod(slot) === period));
+    const picked = [];
+    for (let index = 0; picked.length < maxRows; index++) {
+        for (const group of groups) {
+            if (group[index] && picked.length < maxRows) picked.push(group[index]);
+        }
+    }
+    return picked.sort((a, b) => toMinutes(a) - toMinutes(b));
+};
+
+/**
+ * List sections for time slots, grouped by period
+ * @returns {{ title: string, rows: { title: string, rowId: string }[] }[]}
+ */
+const buildSlotSections = (slots, maxRows = MAX_LIST_ROWS) => {
+    const picked = limitSlots(slots, maxRows);
+
+    return SLOT_PERIODS
+        .map(period => ({
+            title: period.title,
+            rows: picked
+                .filter(slot => getSlotPeriod(slot) === period)
+                .map(slot => ({ title: `🕐 ${slot}`, rowId: `slot_${slot}` }))
+        }))
+        .filter(section => section.rows.length > 0);
+};
+
+/**
+ * List sections for dates ({ date, dayName, availableSlots } from consultantService.getNextAvailableDates)
+ */
+const buildDateSections = (dates, maxRows = MAX_LIST_ROWS) => [{
+    title: '📅 Available dates',
+    rows: dates.slice(0, maxRows).map(d => ({
+        title: `${d.dayName.charAt(0).toUpperCase() + d.dayName.slice(1)} (${d.date.slice(5)})`,
+        rowId: `date_${d.date}`,
+        description: `${d.availableSlots} slot${d.availableSlots === 1 ? '' : 's'} available`
+    }))
+}];
+
+/**
+ * Flatten list sections into menu options ({ id, text })
+ */
+const getSectionOptions = (sections) => sections.flatMap(section =>
+    section.rows.map(row => ({ id: row.rowId, text: row.title })));
+
+/**
+ * Numbered text version of a menu ("1. Monday (10-20)") - the customer replies with the number
+ */
+const formatNumberedMenu = (text, options) => [
+    text,
+    '',
+    ...options.map((option, index) => `${index + 1}. ${option.text}`),
+    '',
+    '_Reply with the number of your choice._'
+].join('\n');
+
+module.exports = {
+    MAX_LIST_ROWS,
+    limitSlots,
+    buildSlotSections,
+    buildDateSections,
+    getSectionOptions,
+    formatNumberedMenu
+};
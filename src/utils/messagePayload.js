@@ -0,0 +1,153 @@
+/**
+ * Outbound Message Payloads
+ * Validates API payloads and converts them to WhatsApp (Baileys) message content
+ */
+
+const { parseHttpUrl, isInternalHost } = require('./networkAddress');
+
+const MESSAGE_TYPES = ['text', 'image', 'document', 'location', 'contact', 'buttons'];
+const MAX_BUTTONS = 3; // WhatsApp button limit
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+const hasMediaSource = (payload) => Boolean(payload.url || payload.base64);
+
+/**
+ * Check a media source - URLs are downloaded by this server, so they must be public http(s) addresses
+ * (hostnames are checked again when the media is fetched; see whatsappService.sendOutboundMessage)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateMediaSource = (payload, kind) => {
+    if (!hasMediaSource(payload)) return `url or base64 is required for ${kind}`;
+    if (payload.base64) return null;
+
+    const url = parseHttpUrl(payload.url);
+    return url && !isInternalHost(url.hostname) ? null : 'url must be a public http(s) address';
+};
+
+const toMediaSource = (payload) => (payload.base64
+    ? Buffer.from(payload.base64, 'base64')
+    : { url: payload.url });
+
+/**
+ * Format { id, text } buttons into WhatsApp button objects
+ */
+const formatButtons = (buttons = []) => buttons.map((btn, index) => ({
+    buttonId: btn.id || `btn_${index}`,
+    buttonText: { displayText: btn.text },
+    type: 1
+}));
+
+/**
+ * Validate an outbound payload
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePayload = (payload = {}) => {
+    if (!MESSAGE_TYPES.includes(payload.type)) {
+        return `Invalid type. Must be one of: ${MESSAGE_TYPES.join(', ')}`;
+    }
+
+    switch (payload.type) {
+        case 'text':
+            return payload.text && String(payload.text).trim() ? null : 'text is required';
+        case 'image':
+            return validateMediaSource(payload, 'images');
+        case 'document': {
+            const mediaError = validateMediaSource(payload, 'documents');
+            if (mediaError) return mediaError;
+            return payload.fileName ? null : 'fileName is required for documents';
+        }
+        case 'location': {
+            const lat = Number(payload.latitude);
+            const lng = Number(payload.longitude);
+            if (!Number.isFinite(lat) || Math.abs(lat) > 90) return 'latitude must be between -90 and 90';
+            if (!Number.isFinite(lng) || Math.abs(lng) > 180) return 'longitude must be between -180 and 180';
+            return null;
+        }
+        case 'contact':
+            if (!payload.name) return 'name is required for contact cards';
+            return normalizePhone(payload.phone) ? null : 'phone is required for contact cards';
+        case 'buttons':
+            if (!payload.text) return 'text is required for button messages';
+            if (!Array.isArray(payload.buttons) || payload.buttons.length === 0) return 'buttons must be a non-empty array';
+            if (payload.buttons.length > MAX_BUTTONS) return `A maximum of ${MAX_BUTTONS} buttons is allowed`;
+            return payload.buttons.every(btn => btn && btn.text) ? null : 'Each button needs text';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Build WhatsApp message content from a validated payload
+ */
+const buildMessageContent = (payload) => {
+    switch (payload.type) {
+        case 'text':
+            return { text: String(payload.text).trim() };
+        case 'image':
+            return {
+                image: toMediaSource(payload),
+                caption: payload.caption || undefined,
+                mimetype: payload.mimetype || undefined
+            };
+        case 'document':
+            return {
+                document: toMediaSource(payload),
+                fileName: payload.fileName,
+                mimetype: payload.mimetype || 'application/octet-stream',
+                caption: payload.caption || undefined
+            };
+        case 'location':
+            return {
+                location: {
+                    degreesLatitude: Number(payload.latitude),
+                    degreesLongitude: Number(payload.longitude),
+                    name: payload.name || undefined,
+                    address: payload.address || undefined
+                }
+            };
+        case 'contact': {
+            const phone = normalizePhone(payload.phone);
+            const vcard = [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `FN:${payload.name}`,
+                payload.organization ? `ORG:${payload.organization};` : null,
+                `TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`,
+                'END:VCARD'
+            ].filter(Boolean).join('\n');
+            return { contacts: { displayName: payload.name, contacts: [{ vcard }] } };
+        }
+        case 'buttons':
+            return {
+                text: payload.text,
+                footer: payload.footer || '',
+                buttons: formatButtons(payload.buttons),
+                headerType: 1
+            };
+        default:
+            throw new Error(`Unsupported message type: ${payload.type}`);
+    }
+};
+
+/**
+ * Short text description of message content (for history and the live inbox)
+ */
+const describeContent = (content = {}) => {
+    if (content.text) return content.text;
+    if (content.image) return content.caption ? `[Image] ${content.caption}` : '[Image]';
+    if (content.document) return `[Document] ${content.fileName || ''}`.trim();
+    if (content.location) return `[Location] ${content.location.name || ''}`.trim();
+    if (content.contacts) return `[Contact] ${content.contacts.displayName || ''}`.trim();
+    if (content.caption) return content.caption;
+    return '[Message]';
+};
+
+module.exports = {
+    MESSAGE_TYPES,
+    normalizePhone,
+    formatButtons,
+    validatePayload,
+    buildMessageContent,
+    describeContent
+};
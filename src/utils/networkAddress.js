@@ -0,0 +1,92 @@
+/**
+ * Network Address Checks
+ * Keeps server-side requests to tenant-supplied URLs (webhooks, media) off this machine
+ * and the private network, including hostnames that resolve there
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private and link-local ranges (e.g., the 169.254.169.254 cloud metadata endpoint)
+const internalAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const INTERNAL_ADDRESS_ERROR = 'EINTERNALADDRESS';
+
+/**
+ * Parse an http(s) URL
+ * @returns {URL|null} null for invalid URLs and other protocols
+ */
+const parseHttpUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const normalizeHost = (hostname) => String(hostname).replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+/**
+ * Check if an IP address is loopback, private or link-local
+ */
+const isInternalAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && internalAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check if a URL host is this machine or a private network, without DNS (IP literals and localhost)
+ */
+const isInternalHost = (hostname) => {
+    const host = normalizeHost(hostname);
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return isInternalAddress(host);
+};
+
+/**
+ * Check a URL host, resolving names to every address they point at
+ * @returns {Promise<boolean>} true if any address is internal
+ * @throws {Error} If the hostname doesn't resolve
+ */
+const resolvesToInternal = async (hostname) => {
+    const host = normalizeHost(hostname);
+    if (isInternalHost(host)) return true;
+    if (net.isIP(host)) return false;
+
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.some(({ address }) => isInternalAddress(address));
+};
+
+/**
+ * dns.lookup replacement for HTTP clients: fails with EINTERNALADDRESS instead of connecting
+ * to an internal address, so a name re-pointed after it was validated is still refused
+ */
+const lookupPublic = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const internal = addresses.find(({ address }) => isInternalAddress(address));
+        if (internal) {
+            const blocked = new Error(`${hostname} resolves to an internal address (${internal.address})`);
+            blocked.code = INTERNAL_ADDRESS_ERROR;
+            return callback(blocked);
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = {
+    INTERNAL_ADDRESS_ERROR,
+    parseHttpUrl,
+    isInternalAddress,
+    isInternalHost,
+    resolvesToInternal,
+    lookupPublic
+};
@@ -0,0 +1,37 @@
+/**
+ * Server-Sent Events helper
+ * Opens a text/event-stream response with heartbeats
+ */
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Start an SSE stream on an Express response
+ * @returns {{ send: Function, onClose: Function }}
+ */
+const openEventStream = (req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    // Comment lines keep proxies from closing idle connections
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => clearInterval(heartbeat));
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const onClose = (callback) => req.on('close', callback);
+
+    return { send, onClose };
+};
+
+module.exports = {
+    openEventStream
+};
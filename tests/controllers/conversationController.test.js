@@ -0,0 +1,82 @@
+const mockIsPaused = jest.fn();
+const mockClaim = jest.fn();
+const mockSendStaffReply = jest.fn();
+
+jest.mock('../../src/services/firebaseService', () => ({}));
+
+jest.mock('../../src/services/businessHoursService', () => ({}));
+
+jest.mock('../../src/services/takeoverService', () => ({
+  isPaused: (...args) => mockIsPaused(...args),
+  claim: (...args) => mockClaim(...args),
+}));
+
+jest.mock('../../src/services/whatsappService', () => ({
+  sendStaffReply: (...args) => mockSendStaffReply(...args),
+}));
+
+const loadController = () => {
+  jest.resetModules();
+  return require('../../src/controllers/conversationController');
+};
+
+const makeRequest = (text) => ({
+  user: { uid: 'tenant-1', email: 'staff@clinic.test' },
+  params: { id: 'wa_919800000001' },
+  body: { text },
+});
+
+const makeResponse = () => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+  };
+  return res;
+};
+
+describe('conversationController.replyToConversation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockIsPaused.mockResolvedValue(false);
+    mockClaim.mockResolvedValue({ active: true });
+    mockSendStaffReply.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('claims the conversation once the reply is sent', async () => {
+    const { replyToConversation } = loadController();
+    const res = makeResponse();
+
+    await replyToConversation(makeRequest(' On my way '), res);
+
+    expect(mockSendStaffReply).toHaveBeenCalledWith('tenant-1', 'wa_919800000001', 'On my way', 'staff@clinic.test');
+    expect(mockClaim).toHaveBeenCalledWith('tenant-1', 'wa_919800000001', 'staff@clinic.test');
+    expect(res.json).toHaveBeenCalledWith({ message: 'Reply sent' });
+  });
+
+  test('leaves the bot in charge when the reply fails', async () => {
+    const { replyToConversation } = loadController();
+    mockSendStaffReply.mockRejectedValue(new Error('WhatsApp not connected'));
+    const res = makeResponse();
+
+    await replyToConversation(makeRequest('On my way'), res);
+
+    expect(mockClaim).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ error: 'WhatsApp not connected' });
+  });
+
+  test('does not re-claim a conversation staff already hold', async () => {
+    const { replyToConversation } = loadController();
+    mockIsPaused.mockResolvedValue(true);
+
+    await replyToConversation(makeRequest('Done'), makeResponse());
+
+    expect(mockSendStaffReply).toHaveBeenCalled();
+    expect(mockClaim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,200 @@
+const { EventEmitter } = require('events');
+
+const mockGetConnectionState = jest.fn();
+const mockRequestPairingCode = jest.fn();
+const mockGetQueueDepth = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({}));
+
+jest.mock('../../src/services/firebaseService', () => ({}));
+
+jest.mock('../../src/services/whatsappService', () => ({
+  getConnectionState: (...args) => mockGetConnectionState(...args),
+  requestPairingCode: (...args) => mockRequestPairingCode(...args),
+}));
+
+jest.mock('../../src/services/messageQueueService', () => ({
+  getQueueDepth: (...args) => mockGetQueueDepth(...args),
+  getSettings: () => Promise.resolve({ maxAgeMinutes: 60 }),
+}));
+
+const loadController = () => {
+  jest.resetModules();
+  return require('../../src/controllers/whatsappController');
+};
+
+const makeRequest = ({ params = {}, query = {}, body = {} } = {}) =>
+  Object.assign(new EventEmitter(), { user: { uid: 'tenant-1' }, params, query, body });
+
+const makeResponse = () => {
+  const res = {
+    status: jest.fn(() => res),
+    set: jest.fn(() => res),
+    json: jest.fn(() => res),
+    flushHeaders: jest.fn(),
+    write: jest.fn(),
+  };
+  return res;
+};
+
+// SSE frames written to the response, parsed back into { event, data }
+const sentEvents = (res) => res.write.mock.calls
+  .map(([chunk]) => chunk.match(/^event: (.+)\ndata: (.+)\n\n$/))
+  .filter(Boolean)
+  .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+
+describe('whatsappController.streamStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+    jest.spyOn(global, 'clearInterval').mockImplementation(() => {});
+    mockGetConnectionState.mockReturnValue({ sessionId: 'sales', status: 'scanning', qr: 'qr-1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the current state first, then status changes for the requested session', () => {
+    const { streamStatus } = loadController();
+    const eventBus = require('../../src/services/eventBus');
+    const req = makeRequest({ query: { sessionId: 'sales' } });
+    const res = makeResponse();
+
+    streamStatus(req, res);
+    eventBus.publish('tenant-1', 'session.status', { sessionId: 'sales', status: 'connected', phone: '919800000009' });
+    eventBus.publish('tenant-1', 'session.status', { sessionId: 'default', status: 'disconnected' });
+    eventBus.publish('tenant-1', 'message.received', { sessionId: 'sales' });
+    eventBus.publish('tenant-2', 'session.status', { sessionId: 'sales', status: 'disconnected' });
+
+    expect(mockGetConnectionState).toHaveBeenCalledWith('tenant-1', 'sales');
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(sentEvents(res)).toEqual([
+      { event: 'status', data: { sessionId: 'sales', status: 'scanning', qr: 'qr-1', timestamp: expect.any(String) } },
+      { event: 'status', data: { sessionId: 'sales', status: 'connected', phone: '919800000009', timestamp: expect.any(String) } },
+    ]);
+  });
+
+  test('stops sending once the client disconnects', () => {
+    const { streamStatus } = loadController();
+    const eventBus = require('../../src/services/eventBus');
+    const req = makeRequest();
+    const res = makeResponse();
+
+    streamStatus(req, res);
+    req.emit('close');
+    eventBus.publish('tenant-1', 'session.status', { sessionId: 'default', status: 'connected' });
+
+    expect(sentEvents(res)).toHaveLength(1);
+  });
+
+  test('rejects an invalid session ID without opening a stream', () => {
+    const { streamStatus } = loadController();
+    const res = makeResponse();
+
+    streamStatus(makeRequest({ query: { sessionId: 'Front Desk' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
+
+describe('whatsappController.requestPairingCode', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates the session ID and phone number', async () => {
+    const { requestPairingCode } = loadController();
+
+    const badSession = makeResponse();
+    await requestPairingCode(makeRequest({ params: { sessionId: 'front_desk' }, body: { phone: '919876543210' } }), badSession);
+    expect(badSession.status).toHaveBeenCalledWith(400);
+
+    for (const phone of [undefined, '98765', '+91 98765 43210 12345']) {
+      const res = makeResponse();
+      await requestPairingCode(makeRequest({ body: { phone } }), res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Phone number with country code required (e.g., 919876543210)',
+      });
+    }
+
+    expect(mockRequestPairingCode).not.toHaveBeenCalled();
+  });
+
+  test('returns the pairing code once WhatsApp issues it', async () => {
+    const { requestPairingCode } = loadController();
+    mockRequestPairingCode.mockResolvedValue({ status: 'scanning', pairingCode: 'ABCD1234' });
+    const res = makeResponse();
+
+    await requestPairingCode(makeRequest({ params: { sessionId: 'sales' }, body: { phone: '+91 98765 43210' } }), res);
+
+    expect(mockRequestPairingCode).toHaveBeenCalledWith('tenant-1', '919876543210', 'sales');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, sessionId: 'sales', status: 'scanning', pairingCode: 'ABCD1234' });
+  });
+
+  test('answers 202 when the code is still pending after the wait', async () => {
+    const { requestPairingCode } = loadController();
+    mockRequestPairingCode.mockResolvedValue({ status: 'connecting', pairingCode: null });
+    const res = makeResponse();
+
+    await requestPairingCode(makeRequest({ body: { phone: '919876543210' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ success: true, sessionId: 'default', status: 'connecting', pairingCode: null });
+  });
+
+  test('answers 409 for a connected session and 500 for other failures', async () => {
+    const { requestPairingCode } = loadController();
+
+    mockRequestPairingCode.mockRejectedValueOnce(new Error('WhatsApp is already connected'));
+    const connected = makeResponse();
+    await requestPairingCode(makeRequest({ body: { phone: '919876543210' } }), connected);
+    expect(connected.status).toHaveBeenCalledWith(409);
+
+    mockRequestPairingCode.mockRejectedValueOnce(new Error('Connection Closed'));
+    const failed = makeResponse();
+    await requestPairingCode(makeRequest({ body: { phone: '919876543210' } }), failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+    expect(failed.json).toHaveBeenCalledWith({ success: false, error: 'Connection Closed' });
+  });
+});
+
+describe('whatsappController.getQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetQueueDepth.mockResolvedValue({ depth: 0, contacts: [] });
+  });
+
+  test('covers every number unless a session is requested', async () => {
+    const { getQueue } = loadController();
+
+    await getQueue(makeRequest(), makeResponse());
+    await getQueue(makeRequest({ query: { sessionId: 'sales' } }), makeResponse());
+
+    expect(mockGetQueueDepth.mock.calls).toEqual([['tenant-1', null], ['tenant-1', 'sales']]);
+  });
+
+  test('rejects an invalid session ID', async () => {
+    const { getQueue } = loadController();
+    const res = makeResponse();
+
+    await getQueue(makeRequest({ query: { sessionId: 'Front Desk' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGetQueueDepth).not.toHaveBeenCalled();
+  });
+});
@@ -8,6 +8,7 @@ const makeDocSnapshot = ({ id = 'doc-id', data = {}, exists = true, ref = null }
 const makeQuerySnapshot = (rows = []) => ({
   size: rows.length,
   empty: rows.length === 0,
+  docs: rows,
   forEach: (cb) => rows.forEach((row) => cb(row)),
 });
 
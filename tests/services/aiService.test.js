@@ -0,0 +1,102 @@
+const mockGetAISettings = jest.fn();
+const mockGetConversationHistory = jest.fn();
+const mockSaveConversationExchange = jest.fn();
+const mockLogTokenUsage = jest.fn();
+const mockBuildContext = jest.fn();
+
+jest.mock('@google/genai', () => ({
+  GoogleGenAI: jest.fn(),
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getAISettings: (...args) => mockGetAISettings(...args),
+  getConversationHistory: (...args) => mockGetConversationHistory(...args),
+  saveConversationExchange: (...args) => mockSaveConversationExchange(...args),
+  logTokenUsage: (...args) => mockLogTokenUsage(...args),
+  formatAttributedContent: (msg) => msg.content,
+}));
+
+jest.mock('../../src/services/knowledgeService', () => ({
+  buildContext: (...args) => mockBuildContext(...args),
+}));
+
+jest.mock('../../src/services/consultantService', () => ({
+  getSettings: jest.fn().mockResolvedValue({ enabled: false }),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/aiService');
+};
+
+const modelReply = (text) => ({
+  candidates: [{ content: { parts: [{ text }] } }],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 },
+});
+
+describe('aiService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetAISettings.mockResolvedValue({ context: 'Phone repair shop' });
+    mockGetConversationHistory.mockResolvedValue([]);
+    mockSaveConversationExchange.mockResolvedValue(true);
+    mockLogTokenUsage.mockResolvedValue(true);
+    mockBuildContext.mockResolvedValue('');
+  });
+
+  test('generateResponse returns the offline message without a model provider', async () => {
+    const aiService = loadService();
+
+    await expect(aiService.generateResponse('What does a screen repair cost?', 'user-1')).resolves.toBe(
+      "I'm currently offline. Please try again later."
+    );
+  });
+
+  test('generateResponse sends inbound photos as inline image parts', async () => {
+    const aiService = loadService();
+    const generateContent = jest.fn().mockResolvedValue(modelReply('That screen is cracked. A replacement is 2,500.'));
+    aiService.setModelProvider({ generateContent });
+
+    const response = await aiService.generateResponse('[Image] my phone', 'user-1', '919876543210', 'Asha', 'wa_919876543210', {
+      images: [{ mimeType: 'image/jpeg', data: 'aGVsbG8=' }],
+    });
+
+    expect(response).toBe('That screen is cracked. A replacement is 2,500.');
+    const request = generateContent.mock.calls[0][0];
+    const userTurn = request.contents[request.contents.length - 1];
+    expect(userTurn.role).toBe('user');
+    expect(userTurn.parts).toEqual([
+      { text: '[Image] my phone' },
+      { inlineData: { mimeType: 'image/jpeg', data: 'aGVsbG8=' } },
+    ]);
+    expect(mockSaveConversationExchange).toHaveBeenCalledWith(
+      'user-1', '[Image] my phone', 'That screen is cracked. A replacement is 2,500.', 'wa_919876543210', {}
+    );
+  });
+
+  test('generateResponse skips pre-built replies when a photo is attached', async () => {
+    const aiService = loadService();
+    const generateContent = jest.fn().mockResolvedValue(modelReply('Nice to meet you! How can I help with this device?'));
+    aiService.setModelProvider({ generateContent });
+
+    await aiService.generateResponse('hi', 'user-1', '919876543210', null, null, {
+      images: [{ mimeType: 'image/png', data: 'aGVsbG8=' }],
+    });
+
+    expect(generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  test('generateResponse tells the model about the photo on the lightweight prompt too', async () => {
+    const aiService = loadService();
+    const generateContent = jest.fn().mockResolvedValue(modelReply('That looks like water damage on the charging port.'));
+    aiService.setModelProvider({ generateContent });
+
+    await aiService.generateResponse('ok', 'user-1', '919876543210', null, null, {
+      images: [{ mimeType: 'image/jpeg', data: 'aGVsbG8=' }],
+    });
+
+    const systemPrompt = generateContent.mock.calls[0][0].config.systemInstruction[0].text;
+    expect(systemPrompt).toContain('Keep responses SHORT (1-2 sentences max)');
+    expect(systemPrompt).toContain('The customer attached a photo');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+
+const mockGetSession = jest.fn();
+const mockGetConnectedSessionId = jest.fn();
+const mockSendOutboundMessage = jest.fn();
+
+jest.mock('../../src/services/whatsappService', () => ({
+  getSession: (...args) => mockGetSession(...args),
+  getConnectedSessionId: (...args) => mockGetConnectedSessionId(...args),
+  sendOutboundMessage: (...args) => mockSendOutboundMessage(...args),
+}));
+
+jest.mock('../../src/services/templateService', () => ({
+  render: async (userId, templateId) => `<${templateId}>`,
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/bookingNotificationService');
+};
+
+const booking = {
+  id: 'b1',
+  phone: '919800000001',
+  name: 'Asha',
+  date: '2026-10-20',
+  timeSlot: '10:00',
+  tokenNumber: 3,
+};
+
+describe('bookingNotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockGetSession.mockReturnValue(null);
+    mockGetConnectedSessionId.mockReturnValue(null);
+    mockSendOutboundMessage.mockResolvedValue({ messageId: 'm1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('confirmations go out from the number the booking came in on', async () => {
+    const { sendConfirmationNotification } = loadService();
+    mockGetSession.mockReturnValue({ status: 'connected' });
+
+    expect(await sendConfirmationNotification('tenant-1', { ...booking, sessionId: 'reception' })).toEqual({ success: true });
+
+    expect(mockGetSession).toHaveBeenCalledWith('tenant-1', 'reception');
+    expect(mockSendOutboundMessage).toHaveBeenCalledWith(
+      'tenant-1', '919800000001', { type: 'text', text: '<booking_confirmed_notification>' }, 'reception'
+    );
+    expect(mockSendOutboundMessage).toHaveBeenCalledWith(
+      'tenant-1', '919800000001',
+      { type: 'image', base64: expect.any(String), caption: '<booking_qr_caption>' },
+      'reception'
+    );
+  });
+
+  test('falls back to any connected number, or reports that none is connected', async () => {
+    const { sendRejectionNotification } = loadService();
+
+    mockGetConnectedSessionId.mockReturnValue('sales');
+    expect(await sendRejectionNotification('tenant-1', booking, 'Fully booked')).toEqual({ success: true });
+    expect(mockSendOutboundMessage).toHaveBeenCalledWith(
+      'tenant-1', '919800000001', { type: 'text', text: '<booking_rejected_notification>' }, 'sales'
+    );
+
+    mockGetConnectedSessionId.mockReturnValue(null);
+    expect(await sendRejectionNotification('tenant-1', booking)).toEqual({ success: false, error: 'WhatsApp not connected' });
+    expect(mockSendOutboundMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('web chat bookings without a phone number are not notified over WhatsApp', async () => {
+    const { sendConfirmationNotification, sendRejectionNotification } = loadService();
+    mockGetConnectedSessionId.mockReturnValue('default');
+    const webBooking = { ...booking, phone: null, channel: 'web', visitorKey: 'web_v44' };
+
+    expect(await sendConfirmationNotification('tenant-1', webBooking)).toEqual({ success: false, error: 'No phone number' });
+    expect(await sendRejectionNotification('tenant-1', webBooking)).toEqual({ success: false, error: 'No phone number' });
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+  });
+});
@@ -9,6 +9,7 @@ describe('bookingStateManager', () => {
   let setName;
   let isBookingAction;
   let parseButtonAction;
+  let resolveMenuReply;
   const phone = `999${Date.now()}`;
 
   beforeAll(() => {
@@ -24,6 +25,7 @@ describe('bookingStateManager', () => {
       setName,
       isBookingAction,
       parseButtonAction,
+      resolveMenuReply,
     } = require('../../src/services/bookingStateManager'));
   });
 
@@ -103,4 +105,36 @@ describe('bookingStateManager', () => {
     expect(parseButtonAction('unsupported')).toBeNull();
     expect(parseButtonAction('')).toBeNull();
   });
+
+  test('resolveMenuReply maps numbered and typed replies to the last menu', () => {
+    setState(phone, {
+      step: BOOKING_STEPS.AWAITING_DATE,
+      menu: [
+        { id: 'date_2026-10-20', text: 'Tuesday (10-20)' },
+        { id: 'date_2026-10-21', text: 'Wednesday (10-21)' },
+      ],
+    });
+
+    expect(resolveMenuReply(phone, '2')).toBe('date_2026-10-21');
+    expect(resolveMenuReply(phone, ' 1. ')).toBe('date_2026-10-20');
+    expect(resolveMenuReply(phone, 'Tuesday')).toBe('date_2026-10-20');
+    expect(resolveMenuReply(phone, 'wed')).toBe('date_2026-10-21');
+    expect(parseButtonAction(resolveMenuReply(phone, '2'))).toEqual({ type: 'date', value: '2026-10-21' });
+  });
+
+  test('resolveMenuReply ignores replies that do not pick exactly one option', () => {
+    expect(resolveMenuReply(phone, '1')).toBeNull();
+
+    setState(phone, {
+      menu: [
+        { id: 'slot_14:00', text: '🕐 14:00' },
+        { id: 'slot_14:30', text: '🕐 14:30' },
+      ],
+    });
+
+    expect(resolveMenuReply(phone, '3')).toBeNull();
+    expect(resolveMenuReply(phone, '14:')).toBeNull();
+    expect(resolveMenuReply(phone, '14:30')).toBe('slot_14:30');
+    expect(resolveMenuReply(phone, 'what time do you close?')).toBeNull();
+  });
 });
@@ -0,0 +1,219 @@
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+const mockUpdateDoc = jest.fn();
+const mockSendOutboundMessage = jest.fn();
+const mockGetSession = jest.fn();
+const mockGetConnectedSessionId = jest.fn();
+const mockIsOptedOut = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => (args[0] && args[0].path
+    ? { path: `${args[0].path}/${args[1]}` }
+    : { path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  updateDoc: (...args) => mockUpdateDoc(...args),
+  addDoc: jest.fn(),
+  query: (ref) => ref,
+  where: jest.fn(),
+  increment: (value) => ({ increment: value }),
+  serverTimestamp: () => 'SERVER_TS',
+  writeBatch: jest.fn(),
+  Timestamp: { fromDate: (date) => date },
+}));
+
+jest.mock('../../src/services/whatsappService', () => ({
+  getSession: (...args) => mockGetSession(...args),
+  getConnectedSessionId: (...args) => mockGetConnectedSessionId(...args),
+  sendOutboundMessage: (...args) => mockSendOutboundMessage(...args),
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getUserProfile: async () => ({ businessName: 'Sunrise Clinic' }),
+}));
+
+jest.mock('../../src/services/optOutService', () => ({
+  isOptedOut: (...args) => mockIsOptedOut(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/broadcastService');
+};
+
+describe('broadcastService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUpdateDoc.mockResolvedValue(undefined);
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([]));
+    mockSendOutboundMessage.mockResolvedValue({ messageId: 'm1' });
+    mockGetSession.mockReturnValue({ status: 'connected' });
+    mockGetConnectedSessionId.mockReturnValue('default');
+    mockIsOptedOut.mockResolvedValue(false);
+  });
+
+  test('renderCampaignMessage fills placeholders with recipient data through the template library', async () => {
+    const { renderCampaignMessage } = loadService();
+
+    expect(await renderCampaignMessage('user-1', { template: 'Hi {{name}}, we are closed on Sunday' }, { name: 'Aflah' }))
+      .toBe('Hi Aflah, we are closed on Sunday');
+    expect(await renderCampaignMessage('user-1', { template: 'Hi {{ name }}! ({{phone}})' }, { phone: '9199' })).toBe('Hi there! (9199)');
+    expect(await renderCampaignMessage('user-1', { template: '{{businessName}} is closed on Sunday' }, {}))
+      .toBe('Sunrise Clinic is closed on Sunday');
+  });
+
+  test('renderCampaignMessage uses a saved template when the campaign names one', async () => {
+    const { renderCampaignMessage } = loadService();
+    mockGetDocs.mockResolvedValueOnce(makeQuerySnapshot([
+      makeDocSnapshot({ id: 'diwali_offer', data: { body: 'Happy Diwali {{name}}! 20% off at {{businessName}}.' } }),
+    ]));
+
+    expect(await renderCampaignMessage('user-1', { templateId: 'diwali_offer' }, { name: 'Asha', phone: '9111' }))
+      .toBe('Happy Diwali Asha! 20% off at Sunrise Clinic.');
+  });
+
+  test('parseRecipientsFile reads phone and name columns from CSV', () => {
+    const { parseRecipientsFile } = loadService();
+    const csv = Buffer.from('name,phone\nAflah,+91 98765 43210\nNo Phone,\n');
+
+    expect(parseRecipientsFile(csv)).toEqual([{ phone: '919876543210', name: 'Aflah' }]);
+  });
+
+  test('runCampaign skips opted-out contacts and records delivery status', async () => {
+    const service = loadService();
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn) => {
+      fn();
+      return 0;
+    });
+
+    mockGetDoc.mockResolvedValueOnce(
+      makeDocSnapshot({ id: 'c1', data: { status: 'scheduled', template: 'Hello {{name}}', ratePerMinute: 60 } })
+    );
+    mockGetDocs.mockResolvedValueOnce(
+      makeQuerySnapshot([
+        makeDocSnapshot({ data: { phone: '911111111111', name: 'Asha', status: 'pending' } }),
+        makeDocSnapshot({ data: { phone: '912222222222', name: null, status: 'pending' } }),
+      ])
+    );
+    mockIsOptedOut.mockImplementation(async (userId, phone) => phone === '912222222222');
+
+    await service.runCampaign('user-1', 'c1');
+
+    expect(mockIsOptedOut).toHaveBeenCalledWith('user-1', '912222222222');
+    expect(mockSendOutboundMessage).toHaveBeenCalledTimes(1);
+    expect(mockSendOutboundMessage).toHaveBeenCalledWith('user-1', '911111111111', { type: 'text', text: 'Hello Asha' }, 'default');
+
+    const updates = mockUpdateDoc.mock.calls.map(([ref, payload]) => [ref.path, payload]);
+    expect(updates).toContainEqual([
+      'users/user-1/broadcasts/c1/recipients/912222222222',
+      { status: 'skipped', error: 'Opted out' },
+    ]);
+    expect(updates[updates.length - 1][1].status).toBe('completed');
+
+    global.setTimeout.mockRestore();
+  });
+
+  test('runCampaign pauses instead of sending when opt-outs cannot be checked', async () => {
+    const service = loadService();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation(() => 0);
+
+    mockGetDoc.mockResolvedValueOnce(
+      makeDocSnapshot({ id: 'c1', data: { status: 'sending', template: 'Hello {{name}}', ratePerMinute: 60 } })
+    );
+    mockGetDocs.mockResolvedValueOnce(
+      makeQuerySnapshot([makeDocSnapshot({ data: { phone: '911111111111', name: 'Asha', status: 'pending' } })])
+    );
+    mockIsOptedOut.mockRejectedValue(new Error('unavailable'));
+
+    await service.runCampaign('user-1', 'c1');
+
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), expect.any(Number));
+
+    setTimeoutSpy.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('runCampaign sends from the campaign session, or any connected one when unnamed', async () => {
+    const service = loadService();
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn) => {
+      fn();
+      return 0;
+    });
+    const recipients = () => makeQuerySnapshot([
+      makeDocSnapshot({ data: { phone: '911111111111', name: 'Asha', status: 'pending' } }),
+    ]);
+
+    mockGetDoc.mockResolvedValueOnce(
+      makeDocSnapshot({ id: 'c1', data: { status: 'scheduled', template: 'Hi', ratePerMinute: 60, sessionId: 'sales' } })
+    );
+    mockGetDocs.mockResolvedValueOnce(recipients());
+    await service.runCampaign('user-1', 'c1');
+
+    expect(mockGetSession).toHaveBeenCalledWith('user-1', 'sales');
+    expect(mockSendOutboundMessage).toHaveBeenLastCalledWith('user-1', '911111111111', { type: 'text', text: 'Hi' }, 'sales');
+
+    mockGetConnectedSessionId.mockReturnValue('support');
+    mockGetDoc.mockResolvedValueOnce(
+      makeDocSnapshot({ id: 'c2', data: { status: 'scheduled', template: 'Hi', ratePerMinute: 60, sessionId: null } })
+    );
+    mockGetDocs.mockResolvedValueOnce(recipients());
+    await service.runCampaign('user-1', 'c2');
+
+    expect(mockSendOutboundMessage).toHaveBeenLastCalledWith('user-1', '911111111111', { type: 'text', text: 'Hi' }, 'support');
+
+    global.setTimeout.mockRestore();
+  });
+
+  test('a cancel during the last throttle delay is not overwritten by completed', async () => {
+    const service = loadService();
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn) => {
+      service.cancelCampaign('user-1', 'c1').then(fn);
+      return 0;
+    });
+
+    mockGetDoc
+      .mockResolvedValueOnce(makeDocSnapshot({ id: 'c1', data: { status: 'sending', template: 'Hello', ratePerMinute: 60 } }))
+      .mockResolvedValueOnce(makeDocSnapshot({ id: 'c1', data: { status: 'sending' } }));
+    mockGetDocs.mockResolvedValueOnce(
+      makeQuerySnapshot([makeDocSnapshot({ data: { phone: '911111111111', name: 'Asha', status: 'pending' } })])
+    );
+
+    await service.runCampaign('user-1', 'c1');
+
+    const statuses = mockUpdateDoc.mock.calls
+      .filter(([ref]) => ref.path === 'users/user-1/broadcasts/c1')
+      .map(([, payload]) => payload.status)
+      .filter(Boolean);
+    expect(statuses).toEqual(['cancelled', 'cancelled']);
+
+    global.setTimeout.mockRestore();
+  });
+
+  test('runCampaign waits for the session when WhatsApp is offline', async () => {
+    const service = loadService();
+    const timeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation(() => 0);
+
+    mockGetConnectedSessionId.mockReturnValue(null);
+    mockGetDoc.mockResolvedValueOnce(
+      makeDocSnapshot({ id: 'c1', data: { status: 'scheduled', template: 'Hello', ratePerMinute: 20 } })
+    );
+
+    await service.runCampaign('user-1', 'c1');
+
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+    expect(timeoutSpy).toHaveBeenCalledWith(expect.any(Function), expect.any(Number));
+
+    timeoutSpy.mockRestore();
+  });
+});
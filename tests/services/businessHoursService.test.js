@@ -0,0 +1,131 @@
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockUpdateConversationFollowUp = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: jest.fn(),
+  getDoc: (...args) => mockGetDoc(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  getDocs: jest.fn(),
+  addDoc: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  updateDoc: jest.fn(),
+  serverTimestamp: () => 'SERVER_TS',
+  writeBatch: jest.fn(),
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  updateConversationFollowUp: (...args) => mockUpdateConversationFollowUp(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/businessHoursService');
+};
+
+const weekdays = { enabled: true, start: '09:00', end: '17:00', breakStart: '13:00', breakEnd: '14:00' };
+const schedule = {
+  monday: weekdays,
+  tuesday: weekdays,
+  wednesday: weekdays,
+  thursday: weekdays,
+  friday: weekdays,
+  saturday: { enabled: true, start: '10:00', end: '14:00' },
+  sunday: { enabled: false },
+};
+
+// 2026-10-18 is a Sunday, 2026-10-19 a Monday
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 9, day, hours, minutes);
+};
+
+describe('businessHoursService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUpdateConversationFollowUp.mockResolvedValue(true);
+    mockSetDoc.mockResolvedValue(undefined);
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { enabled: true, schedule } }));
+  });
+
+  test('isOpenAt follows the schedule including breaks and closed days', () => {
+    const service = loadService();
+
+    expect(service.isOpenAt(schedule, at(19, '10:30'))).toBe(true);
+    expect(service.isOpenAt(schedule, at(19, '13:15'))).toBe(false);
+    expect(service.isOpenAt(schedule, at(19, '17:00'))).toBe(false);
+    expect(service.isOpenAt(schedule, at(18, '11:00'))).toBe(false);
+  });
+
+  test('getNextOpening skips closed days and returns after breaks', () => {
+    const service = loadService();
+
+    expect(service.getNextOpening(schedule, at(18, '11:00'))).toEqual({
+      date: '2026-10-19', day: 'monday', time: '09:00', daysAhead: 1,
+    });
+    expect(service.getNextOpening(schedule, at(19, '13:15'))).toMatchObject({ date: '2026-10-19', time: '14:00' });
+    expect(service.describeOpening(service.getNextOpening(schedule, at(17, '15:00')))).toBe('on Monday at 09:00');
+  });
+
+  test('checkAway replies once per closed period and flags a follow-up', async () => {
+    const service = loadService();
+
+    const first = await service.checkAway('user-1', 'wa_911111111111', at(18, '11:00'));
+    const second = await service.checkAway('user-1', 'wa_911111111111', at(18, '11:05'));
+
+    expect(first).toEqual({
+      message: "Thanks for your message! We're closed right now and will get back to you tomorrow at 09:00.",
+      answerFromKnowledge: true,
+      nextOpening: 'tomorrow at 09:00',
+    });
+    expect(second.message).toBeNull();
+    expect(mockUpdateConversationFollowUp).toHaveBeenCalledTimes(1);
+    expect(mockUpdateConversationFollowUp).toHaveBeenCalledWith('user-1', 'wa_911111111111', expect.objectContaining({
+      pending: true,
+      reason: 'after_hours',
+      dueAt: '2026-10-19T09:00',
+    }));
+  });
+
+  test('checkAway does nothing during opening hours or when disabled', async () => {
+    const service = loadService();
+
+    await expect(service.checkAway('user-1', 'wa_1', at(19, '10:00'))).resolves.toBeNull();
+
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+    const disabled = loadService();
+    await expect(disabled.checkAway('user-1', 'wa_1', at(18, '11:00'))).resolves.toBeNull();
+  });
+
+  test('updateSettings rejects invalid schedules', async () => {
+    const service = loadService();
+
+    const result = await service.updateSettings('user-1', {
+      enabled: true,
+      schedule: { monday: { enabled: true, start: '18:00', end: '09:00' } },
+    });
+
+    expect(result).toEqual({ success: false, error: 'Invalid schedule for monday: start/end time' });
+  });
+
+  test('updateSettings keeps the schedule and away mode on a partial update', async () => {
+    const service = loadService();
+
+    expect(await service.updateSettings('user-1', { awayMessage: 'Back at 9!', enabled: undefined })).toEqual({ success: true });
+
+    const [ref, saved, options] = mockSetDoc.mock.calls[0];
+    expect(ref).toEqual({ path: 'users/user-1/settings/business_hours' });
+    expect(saved).toMatchObject({ enabled: true, awayMessage: 'Back at 9!' });
+    expect(saved.schedule.saturday).toMatchObject({ enabled: true, start: '10:00', end: '14:00' });
+    expect(saved.schedule.sunday.enabled).toBe(false);
+    expect(options).toEqual({ merge: true });
+  });
+});
@@ -0,0 +1,70 @@
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+const mockSetDoc = jest.fn();
+const mockDeleteDoc = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  deleteDoc: (...args) => mockDeleteDoc(...args),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/contactListService');
+};
+
+const entries = (rows) => makeQuerySnapshot(
+  rows.map(([phone, list]) => makeDocSnapshot({ id: phone, data: { phone, list } }))
+);
+
+describe('contactListService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSetDoc.mockResolvedValue(undefined);
+    mockDeleteDoc.mockResolvedValue(undefined);
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+    mockGetDocs.mockResolvedValue(entries([['911111111111', 'block'], ['912222222222', 'allow']]));
+  });
+
+  test('checkContact blocks blocklisted numbers', async () => {
+    const service = loadService();
+
+    await expect(service.checkContact('user-1', '911111111111')).resolves.toEqual({ allowed: false, reason: 'blocked' });
+    await expect(service.checkContact('user-1', '913333333333')).resolves.toEqual({ allowed: true });
+  });
+
+  test('sandbox mode only allows allowlisted numbers', async () => {
+    const service = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { sandboxMode: true } }));
+
+    await expect(service.checkContact('user-1', '912222222222')).resolves.toEqual({ allowed: true });
+    await expect(service.checkContact('user-1', '913333333333')).resolves.toEqual({ allowed: false, reason: 'sandbox' });
+  });
+
+  test('addEntry validates input and refreshes the cached lists', async () => {
+    const service = loadService();
+
+    await expect(service.addEntry('user-1', '', 'block')).resolves.toEqual({ success: false, error: 'phone is required' });
+    await expect(service.addEntry('user-1', '9133', 'mute')).resolves.toMatchObject({ success: false });
+
+    await service.checkContact('user-1', '913333333333');
+    const result = await service.addEntry('user-1', '+91 33333 33333', 'block', 'Supplier');
+
+    expect(result).toEqual({ success: true, entry: { phone: '913333333333', list: 'block', note: 'Supplier' } });
+    expect(mockSetDoc.mock.calls[0][0].path).toBe('users/user-1/contact_lists/913333333333');
+
+    mockGetDocs.mockResolvedValue(entries([['913333333333', 'block']]));
+    await expect(service.checkContact('user-1', '913333333333')).resolves.toEqual({ allowed: false, reason: 'blocked' });
+  });
+});
@@ -0,0 +1,196 @@
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+const mockSetDoc = jest.fn();
+const mockUpdateDoc = jest.fn();
+const mockGetConversation = jest.fn();
+const mockGetBookings = jest.fn();
+const mockListScheduledMessages = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  updateDoc: (...args) => mockUpdateDoc(...args),
+  increment: (value) => ({ increment: value }),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getConversation: (...args) => mockGetConversation(...args),
+}));
+
+jest.mock('../../src/services/consultantService', () => ({
+  getBookings: (...args) => mockGetBookings(...args),
+}));
+
+jest.mock('../../src/services/scheduledMessageService', () => ({
+  listScheduledMessages: (...args) => mockListScheduledMessages(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/contactService');
+};
+
+const notFound = () => Object.assign(new Error('No document to update'), { code: 'not-found' });
+
+describe('contactService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSetDoc.mockResolvedValue(undefined);
+    mockUpdateDoc.mockResolvedValue(undefined);
+    mockGetConversation.mockResolvedValue(null);
+    mockGetBookings.mockResolvedValue([]);
+    mockListScheduledMessages.mockResolvedValue([]);
+  });
+
+  test('recordMessage bumps counters on an existing contact', async () => {
+    const { recordMessage } = loadService();
+
+    expect(await recordMessage('tenant-1', '+91 98000 00001', 'Asha', 3)).toBe(true);
+
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/contacts/919800000001' },
+      { messageCount: { increment: 3 }, lastSeenAt: 'SERVER_TS', name: 'Asha' }
+    );
+    expect(mockSetDoc).not.toHaveBeenCalled();
+  });
+
+  test('recordMessage creates the contact on first contact', async () => {
+    const { recordMessage } = loadService();
+    mockUpdateDoc.mockRejectedValueOnce(notFound());
+
+    await recordMessage('tenant-1', '919800000001', 'Asha');
+
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/contacts/919800000001' },
+      expect.objectContaining({
+        phone: '919800000001',
+        name: 'Asha',
+        messageCount: 1,
+        bookingCount: 0,
+        tags: [],
+        firstSeenAt: 'SERVER_TS',
+        lastSeenAt: 'SERVER_TS',
+      }),
+      { merge: true }
+    );
+  });
+
+  test('booking.created events are counted on the contact', async () => {
+    const { start, stop } = loadService();
+    const eventBus = require('../../src/services/eventBus');
+    start();
+
+    eventBus.publish('tenant-1', 'booking.created', { phone: '919800000001', name: 'Asha' });
+    eventBus.publish('tenant-1', 'booking.created', { phone: null, channel: 'web', name: 'Lena' });
+    eventBus.publish('tenant-1', 'message.sent', { phone: '919800000001' });
+    await Promise.resolve();
+    stop();
+
+    expect(mockUpdateDoc).toHaveBeenCalledTimes(1);
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/contacts/919800000001' },
+      { bookingCount: { increment: 1 }, lastBookingAt: 'SERVER_TS' }
+    );
+  });
+
+  test('setConsent stores the opt-out state on the contact', async () => {
+    const { setConsent, getContact } = loadService();
+
+    await setConsent('tenant-1', '919800000001', { status: 'opted_out', keyword: 'stop' });
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/contacts/919800000001' },
+      { consent: { status: 'opted_out', keyword: 'stop', updatedAt: 'SERVER_TS' } }
+    );
+
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: {} }));
+    expect((await getContact('tenant-1', '919800000001')).consent).toEqual({ status: 'unknown', keyword: null, updatedAt: null });
+  });
+
+  test('listContacts searches names, tags and fields, most recent first', async () => {
+    const { listContacts } = loadService();
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([
+      makeDocSnapshot({ id: '911', data: { name: 'Asha', tags: ['vip'], lastSeenAt: '2026-10-01T10:00:00.000Z' } }),
+      makeDocSnapshot({ id: '912', data: { name: 'Ravi', fields: { city: 'Kochi' }, lastSeenAt: '2026-10-18T10:00:00.000Z' } }),
+      makeDocSnapshot({ id: '913', data: { name: 'Meera', tags: ['vip'], lastSeenAt: '2026-10-10T10:00:00.000Z' } }),
+    ]));
+
+    expect((await listContacts('tenant-1', { search: 'kochi' })).contacts.map(c => c.phone)).toEqual(['912']);
+    expect((await listContacts('tenant-1', { tag: 'VIP' })).contacts.map(c => c.phone)).toEqual(['913', '911']);
+
+    const page = await listContacts('tenant-1', { limit: 1, offset: 1 });
+    expect(page.total).toBe(3);
+    expect(page.contacts.map(c => c.phone)).toEqual(['913']);
+  });
+
+  test('updateContact validates and replaces tags and fields', async () => {
+    const { updateContact } = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { tags: ['old'], fields: { city: 'Kochi' } } }));
+
+    expect((await updateContact('tenant-1', '919800000001', { tags: 'vip' })).error).toBe('tags must be an array');
+    expect((await updateContact('tenant-1', '919800000001', { fields: { '1bad': 'x' } })).success).toBe(false);
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+
+    const result = await updateContact('tenant-1', '919800000001', { tags: [' VIP ', 'vip', 'Lead'], fields: { plan: 'gold', city: '' } });
+
+    expect(result.success).toBe(true);
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/contacts/919800000001' },
+      { phone: '919800000001', tags: ['vip', 'lead'], fields: { plan: 'gold' }, updatedAt: 'SERVER_TS' }
+    );
+  });
+
+  test('addNote and deleteNote manage staff notes', async () => {
+    const { addNote, deleteNote } = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { notes: [{ id: 'n1', text: 'Prefers mornings' }] } }));
+
+    const added = await addNote('tenant-1', '919800000001', '  Called about refund ', 'staff@clinic.test');
+    expect(added.note).toMatchObject({ text: 'Called about refund', author: 'staff@clinic.test' });
+    expect(mockUpdateDoc.mock.calls[0][1].notes).toHaveLength(2);
+
+    expect(await deleteNote('tenant-1', '919800000001', 'n1')).toEqual({ success: true });
+    expect(mockUpdateDoc.mock.calls[1][1].notes).toEqual([]);
+    expect(await deleteNote('tenant-1', '919800000001', 'missing')).toEqual({ success: false, error: 'Note not found' });
+
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+    expect((await addNote('tenant-1', '919800000002', 'Hi')).error).toBe('Contact not found');
+  });
+
+  test('getContactHistory gathers the conversation, bookings and scheduled messages', async () => {
+    const { getContactHistory } = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { name: 'Asha', messageCount: 4 } }));
+    mockGetConversation.mockResolvedValue({ id: 'wa_919800000001', messages: [{ role: 'user', content: 'Hi' }] });
+    mockGetBookings.mockResolvedValue([
+      { id: 'b1', phone: '+91 98000 00001', date: '2026-10-20' },
+      { id: 'b2', phone: '919800000009', date: '2026-10-21' },
+    ]);
+    mockListScheduledMessages.mockResolvedValue([
+      { id: 's1', phone: '919800000001' },
+      { id: 's2', phone: '919800000009' },
+    ]);
+
+    const history = await getContactHistory('tenant-1', '919800000001');
+
+    expect(mockGetConversation).toHaveBeenCalledWith('tenant-1', 'wa_919800000001');
+    expect(history.contact).toMatchObject({ phone: '919800000001', name: 'Asha', messageCount: 4 });
+    expect(history.conversation.messages).toHaveLength(1);
+    expect(history.bookings.map(b => b.id)).toEqual(['b1']);
+    expect(history.scheduledMessages.map(m => m.id)).toEqual(['s1']);
+  });
+
+  test('getContactHistory returns null for unknown numbers', async () => {
+    const { getContactHistory } = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+
+    expect(await getContactHistory('tenant-1', '919800000001')).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  serverTimestamp: jest.fn(),
+}));
+
+const firestore = require('firebase/firestore');
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+const {
+  isGroupJid,
+  getGroupConversationKey,
+  shouldRespond,
+  stripMentions,
+  updateSettings,
+} = require('../../src/services/groupPolicyService');
+
+const botUser = { id: '919000000000:12@s.whatsapp.net', lid: '55500011122:12@lid' };
+
+const groupMessage = (contextInfo = null, remoteJid = '120363001@g.us') => ({
+  key: { remoteJid, participant: '918111111111@s.whatsapp.net' },
+  message: contextInfo
+    ? { extendedTextMessage: { text: '@919000000000 price?', contextInfo } }
+    : { conversation: 'price?' },
+});
+
+describe('groupPolicyService', () => {
+  test('detects group JIDs and builds one conversation key per group', () => {
+    expect(isGroupJid('120363001@g.us')).toBe(true);
+    expect(isGroupJid('919876543210@s.whatsapp.net')).toBe(false);
+    expect(getGroupConversationKey('120363001@g.us')).toBe('wa_group_120363001');
+  });
+
+  test('ignore policy never replies', () => {
+    const msg = groupMessage({ mentionedJid: ['919000000000@s.whatsapp.net'] });
+    expect(shouldRespond(msg, { policy: 'ignore' }, botUser)).toBe(false);
+  });
+
+  test('mention policy replies only when the bot is mentioned or quoted', () => {
+    expect(shouldRespond(groupMessage(), { policy: 'mention' }, botUser)).toBe(false);
+    expect(shouldRespond(groupMessage({ mentionedJid: ['919000000000@s.whatsapp.net'] }), { policy: 'mention' }, botUser))
+      .toBe(true);
+    expect(shouldRespond(groupMessage({ mentionedJid: ['55500011122@lid'] }), { policy: 'mention' }, botUser)).toBe(true);
+    expect(shouldRespond(
+      groupMessage({ quotedMessage: { conversation: 'Hi' }, participant: '919000000000@s.whatsapp.net' }),
+      { policy: 'mention' },
+      botUser
+    )).toBe(true);
+    expect(shouldRespond(
+      groupMessage({ quotedMessage: { conversation: 'Hi' }, participant: '918222222222@s.whatsapp.net' }),
+      { policy: 'mention' },
+      botUser
+    )).toBe(false);
+  });
+
+  test('allowlist policy replies only in allowed groups', () => {
+    const settings = { policy: 'allowlist', allowedGroups: ['120363001@g.us'] };
+    expect(shouldRespond(groupMessage(), settings, botUser)).toBe(true);
+    expect(shouldRespond(groupMessage(null, '120363999@g.us'), settings, botUser)).toBe(false);
+  });
+
+  test('stripMentions removes mention tokens', () => {
+    expect(stripMentions('@919000000000 what is the  price?')).toBe('what is the price?');
+  });
+
+  test('updateSettings keeps the current policy when only allowedGroups changes', async () => {
+    firestore.getDoc.mockResolvedValue(makeDocSnapshot({ data: { policy: 'allowlist', allowedGroups: ['120363001@g.us'] } }));
+    firestore.setDoc.mockResolvedValue(undefined);
+
+    await expect(updateSettings('user-1', { policy: undefined, allowedGroups: ['120363001', '120363002'] })).resolves.toBe(true);
+    expect(firestore.setDoc).toHaveBeenCalledWith(
+      { path: 'users/user-1/settings/group_config' },
+      expect.objectContaining({ policy: 'allowlist', allowedGroups: ['120363001@g.us', '120363002@g.us'] }),
+      { merge: true }
+    );
+  });
+});
@@ -0,0 +1,80 @@
+const loadAggregator = () => {
+  jest.resetModules();
+  return require('../../src/services/messageAggregator');
+};
+
+const textMessage = (id, text) => ({
+  key: { id, remoteJid: '919876543210@s.whatsapp.net' },
+  pushName: 'Asha',
+  message: { conversation: text },
+});
+
+describe('messageAggregator', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('merges messages that arrive within the window into one turn', async () => {
+    const aggregator = loadAggregator();
+    const handler = jest.fn();
+
+    await aggregator.enqueue('c1', textMessage('m1', 'hi'), handler, 3000);
+    jest.advanceTimersByTime(2000);
+    await aggregator.enqueue('c1', textMessage('m2', 'i need'), handler, 3000);
+    jest.advanceTimersByTime(2000);
+    await aggregator.enqueue('c1', textMessage('m3', 'price of ssd upgrade'), handler, 3000);
+
+    expect(handler).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(3000);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    const merged = handler.mock.calls[0][0];
+    expect(merged.message.extendedTextMessage.text).toBe('hi\ni need\nprice of ssd upgrade');
+    expect(merged.key.id).toBe('m3');
+    expect(merged.aggregatedKeys.map(key => key.id)).toEqual(['m1', 'm2', 'm3']);
+    expect(aggregator.getPendingCount()).toBe(0);
+  });
+
+  test('button responses bypass the buffer after flushing pending text', async () => {
+    const aggregator = loadAggregator();
+    const handler = jest.fn();
+    const button = {
+      key: { id: 'b1', remoteJid: '919876543210@s.whatsapp.net' },
+      message: { buttonsResponseMessage: { selectedButtonId: 'book_date_2026-10-20' } },
+    };
+
+    await aggregator.enqueue('c1', textMessage('m1', 'yes'), handler, 3000);
+    await aggregator.enqueue('c1', button, handler, 3000);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[0][0].key.id).toBe('m1');
+    expect(handler.mock.calls[1][0]).toBe(button);
+  });
+
+  test('conversations are buffered independently', async () => {
+    const aggregator = loadAggregator();
+    const handler = jest.fn();
+
+    await aggregator.enqueue('c1', textMessage('m1', 'hello'), handler, 3000);
+    await aggregator.enqueue('c2', textMessage('m2', 'hey'), handler, 3000);
+    jest.advanceTimersByTime(3000);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls.map(([msg]) => msg.key.id)).toEqual(['m1', 'm2']);
+  });
+
+  test('a zero window disables aggregation', async () => {
+    const aggregator = loadAggregator();
+    const handler = jest.fn();
+
+    await aggregator.enqueue('c1', textMessage('m1', 'hi'), handler, 0);
+
+    expect(handler).toHaveBeenCalledWith(textMessage('m1', 'hi'));
+  });
+});
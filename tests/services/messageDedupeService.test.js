@@ -0,0 +1,101 @@
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockDocs = new Map();
+const mockRunTransaction = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  runTransaction: (...args) => mockRunTransaction(...args),
+  serverTimestamp: () => 'SERVER_TS',
+  Timestamp: { fromDate: (date) => ({ toMillis: () => date.getTime() }) },
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/messageDedupeService');
+};
+
+describe('messageDedupeService', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockDocs.clear();
+    mockRunTransaction.mockReset();
+    mockRunTransaction.mockImplementation(async (db, fn) => fn({
+      get: async (ref) => (mockDocs.has(ref.path)
+        ? makeDocSnapshot({ data: mockDocs.get(ref.path) })
+        : makeDocSnapshot({ exists: false })),
+      set: (ref, data) => mockDocs.set(ref.path, data),
+    }));
+  });
+
+  test('memory store claims each message ID once per user', async () => {
+    const { createMemoryStore } = loadService();
+    const store = createMemoryStore(60000);
+
+    await expect(store.claim('user-1', 'MSG1')).resolves.toBe(true);
+    await expect(store.claim('user-1', 'MSG1')).resolves.toBe(false);
+    await expect(store.claim('user-2', 'MSG1')).resolves.toBe(true);
+  });
+
+  test('firestore store survives a restart (new process, same docs)', async () => {
+    const first = loadService().createFirestoreStore();
+    await expect(first.claim('user-1', 'MSG1')).resolves.toBe(true);
+    expect(mockDocs.has('users/user-1/processed_messages/MSG1')).toBe(true);
+
+    const afterRestart = loadService().createFirestoreStore();
+    await expect(afterRestart.claim('user-1', 'MSG1')).resolves.toBe(false);
+  });
+
+  test('firestore store allows an ID again once it has expired', async () => {
+    const store = loadService().createFirestoreStore();
+    mockDocs.set('users/user-1/processed_messages/MSG1', { expiresAt: { toMillis: () => Date.now() - 1000 } });
+
+    await expect(store.claim('user-1', 'MSG1')).resolves.toBe(true);
+  });
+
+  test('claim uses the configured store and fails open on errors', async () => {
+    const service = loadService();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    service.setStore({ claim: jest.fn().mockResolvedValue(false) });
+    await expect(service.claim('user-1', 'MSG1')).resolves.toBe(false);
+
+    service.setStore({ claim: jest.fn().mockRejectedValue(new Error('unavailable')) });
+    await expect(service.claim('user-1', 'MSG1')).resolves.toBe(true);
+
+    console.error.mockRestore();
+  });
+
+  test('layered store only reaches the durable store for new IDs', async () => {
+    const { createMemoryStore, createLayeredStore } = loadService();
+    const durable = { claim: jest.fn().mockResolvedValue(true) };
+    const store = createLayeredStore(createMemoryStore(), durable);
+
+    await store.claim('user-1', 'MSG1');
+    await expect(store.claim('user-1', 'MSG1')).resolves.toBe(false);
+    expect(durable.claim).toHaveBeenCalledTimes(1);
+  });
+
+  test('markReceived catches redeliveries without claiming the ID', async () => {
+    const service = loadService();
+    const durable = { claim: jest.fn().mockResolvedValue(true) };
+    service.setStore(durable);
+
+    await expect(service.markReceived('user-1', 'MSG1')).resolves.toBe(true);
+    await expect(service.markReceived('user-1', 'MSG1')).resolves.toBe(false);
+    expect(durable.claim).not.toHaveBeenCalled();
+
+    await expect(service.claim('user-1', 'MSG1')).resolves.toBe(true);
+  });
+});
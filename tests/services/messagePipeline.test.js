@@ -0,0 +1,289 @@
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: jest.fn(async () => ({ exists: () => false, data: () => ({}) })),
+  getDocs: jest.fn(async () => ({ size: 0, empty: true, docs: [], forEach: () => {} })),
+  setDoc: jest.fn(async () => {}),
+  addDoc: jest.fn(async () => ({ id: 'doc-1' })),
+  updateDoc: jest.fn(async () => {}),
+  deleteDoc: jest.fn(async () => {}),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  saveMessage: jest.fn(async () => {}),
+  getAISettings: jest.fn(async () => ({})),
+  getConversation: jest.fn(async () => null),
+  getUserProfile: jest.fn(async () => null),
+  updateConversationFollowUp: jest.fn(async () => {}),
+}));
+
+jest.mock('../../src/services/aiService', () => ({
+  generateResponse: jest.fn(),
+  shouldReplyToMessage: jest.fn(() => false),
+}));
+
+jest.mock('../../src/services/transcriptionService', () => ({
+  transcribe: jest.fn(),
+}));
+
+jest.mock('../../src/services/contactService', () => ({
+  recordMessage: jest.fn(async () => true),
+  setConsent: jest.fn(async () => true),
+}));
+
+jest.mock('../../src/services/consultantService', () => ({
+  ...jest.requireActual('../../src/services/consultantService'),
+  getNextAvailableDates: jest.fn(),
+  getAvailableSlots: jest.fn(),
+  createBooking: jest.fn(),
+}));
+
+describe('messagePipeline (simulator channel)', () => {
+  let processMessage;
+  let createSimulatorChannel;
+  let assertChannel;
+  let aiService;
+  let consultantService;
+  let transcriptionService;
+  let bookingState;
+  let channel;
+  const userId = 'tenant-1';
+
+  beforeAll(() => {
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+    ({ processMessage } = require('../../src/services/messagePipeline'));
+    ({ createSimulatorChannel } = require('../../src/channels/simulatorChannel'));
+    ({ assertChannel } = require('../../src/channels/channelAdapter'));
+    aiService = require('../../src/services/aiService');
+    consultantService = require('../../src/services/consultantService');
+    transcriptionService = require('../../src/services/transcriptionService');
+    bookingState = require('../../src/services/bookingStateManager');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    channel = createSimulatorChannel();
+    aiService.generateResponse.mockReset();
+    consultantService.getNextAvailableDates.mockReset();
+    consultantService.getAvailableSlots.mockReset();
+    consultantService.createBooking.mockReset();
+  });
+
+  const send = (message) => processMessage(channel, message, userId);
+
+  test('replies with the AI response', async () => {
+    aiService.generateResponse.mockResolvedValue('Our plans start at $10/month.');
+
+    await send({ from: '919800000001', name: 'Asha', text: 'What are your prices?' });
+
+    expect(aiService.generateResponse).toHaveBeenCalledWith(
+      'What are your prices?', userId, '919800000001', 'Asha', 'wa_919800000001', expect.any(Object)
+    );
+    expect(channel.takeOutbox()).toEqual([
+      { chatId: '919800000001@sim', type: 'text', text: 'Our plans start at $10/month.', quoted: null },
+    ]);
+    expect(channel.readMessages).toHaveLength(1);
+  });
+
+  test('runs a booking from the AI trigger to confirmation with typed menu replies', async () => {
+    const phone = '919800000002';
+    bookingState.clearState(`${userId}::wa_${phone}`);
+    aiService.generateResponse.mockResolvedValue('Happy to help! [BOOKING:dates]');
+    consultantService.getNextAvailableDates.mockResolvedValue([
+      { date: '2026-10-20', dayName: 'tuesday', availableSlots: 2 },
+      { date: '2026-10-21', dayName: 'wednesday', availableSlots: 1 },
+    ]);
+    consultantService.getAvailableSlots.mockResolvedValue({ available: true, slots: ['10:00', '15:30'] });
+    consultantService.createBooking.mockResolvedValue({ success: true, tokenNumber: 7 });
+
+    await send({ from: phone, name: 'Ravi', text: 'I want to book a consultation regarding tax filing' });
+    const [greeting, dateList] = channel.takeOutbox();
+    expect(greeting.text).toBe('Happy to help!');
+    expect(dateList.type).toBe('list');
+    expect(dateList.sections[0].rows.map(row => row.rowId)).toEqual(['date_2026-10-20', 'date_2026-10-21']);
+
+    await send({ from: phone, text: '1' });
+    const [slotList] = channel.takeOutbox();
+    expect(consultantService.getAvailableSlots).toHaveBeenCalledWith(userId, '2026-10-20');
+    expect(slotList.type).toBe('list');
+
+    await send({ from: phone, text: '15:30' });
+    const [confirmation] = channel.takeOutbox();
+    expect(confirmation.type).toBe('buttons');
+    expect(confirmation.text).toContain('Ravi');
+
+    await send({ from: phone, text: '1' });
+    expect(consultantService.createBooking).toHaveBeenCalledWith(userId, {
+      phone,
+      name: 'Ravi',
+      reason: 'a consultation regarding tax filing',
+      date: '2026-10-20',
+      timeSlot: '15:30',
+      sessionId: 'default',
+    });
+    expect(channel.takeOutbox()[0].text).toContain('Token: #7');
+    expect(aiService.generateResponse).toHaveBeenCalledTimes(1);
+  });
+
+  test('replies in groups only when the bot is mentioned, quoting the message', async () => {
+    aiService.generateResponse.mockResolvedValue('Hi team!');
+
+    await send({ from: '919800000003', group: '120363000000', text: 'Anyone around?' });
+    expect(aiService.generateResponse).not.toHaveBeenCalled();
+    expect(channel.outbox).toHaveLength(0);
+
+    await send({ id: 'group-msg', from: '919800000003', group: '120363000000', mentionsBot: true, text: '@919800000009 hello' });
+    expect(aiService.generateResponse.mock.calls[0][0]).toBe('hello');
+    expect(aiService.generateResponse.mock.calls[0][4]).toBe('wa_group_120363000000');
+    expect(channel.takeOutbox()).toEqual([
+      { chatId: '120363000000@g.us', type: 'text', text: 'Hi team!', quoted: 'group-msg' },
+    ]);
+  });
+
+  test('answers a transcribed voice note and apologises when transcription fails', async () => {
+    aiService.generateResponse.mockResolvedValue('We open at 9am.');
+    transcriptionService.transcribe.mockResolvedValueOnce('When do you open?');
+
+    await send({ from: '919800000004', audio: { seconds: 3, data: Buffer.from('ogg') } });
+    expect(aiService.generateResponse.mock.calls[0][0]).toBe('When do you open?');
+    expect(channel.takeOutbox()[0].text).toBe('We open at 9am.');
+
+    transcriptionService.transcribe.mockResolvedValueOnce(null);
+    await send({ from: '919800000004', audio: { seconds: 3, data: Buffer.from('ogg') } });
+    expect(channel.takeOutbox()[0].text).toMatch(/couldn't catch that voice note/);
+    expect(aiService.generateResponse).toHaveBeenCalledTimes(1);
+  });
+
+  test('web channel keeps visitors in their own conversation and turns lists into buttons', async () => {
+    const { createWebChannel } = require('../../src/channels/webChannel');
+    const web = createWebChannel();
+    aiService.generateResponse.mockResolvedValue('Sure, pick a day. [BOOKING:dates]');
+    consultantService.getNextAvailableDates.mockResolvedValue([
+      { date: '2026-10-20', dayName: 'tuesday', availableSlots: 2 },
+    ]);
+
+    await processMessage(web, { visitorId: 'v42', text: 'Book a consultation regarding visas' }, userId);
+
+    expect(aiService.generateResponse.mock.calls[0][4]).toBe('web_v42');
+    expect(web.replies).toEqual([
+      { text: 'Sure, pick a day.', buttons: [] },
+      { text: expect.stringContaining('Select a date'), buttons: [{ id: 'date_2026-10-20', text: 'Tuesday (10-20)' }] },
+    ]);
+    bookingState.clearState(`${userId}::web_v42`);
+  });
+
+  test('web bookings keep the visitor conversation instead of a phone number', async () => {
+    const { createWebChannel } = require('../../src/channels/webChannel');
+    const visit = (text) => processMessage(createWebChannel(), { visitorId: 'v44', name: 'Lena', text }, userId);
+    bookingState.clearState(`${userId}::web_v44`);
+    aiService.generateResponse.mockResolvedValue('Sure! [BOOKING:dates]');
+    consultantService.getNextAvailableDates.mockResolvedValue([
+      { date: '2026-10-20', dayName: 'tuesday', availableSlots: 1 },
+    ]);
+    consultantService.getAvailableSlots.mockResolvedValue({ available: true, slots: ['10:00'] });
+    consultantService.createBooking.mockResolvedValue({ success: true, tokenNumber: 8 });
+
+    await visit('I want to book a consultation regarding visas');
+    await visit('1');
+    await visit('10:00');
+    await visit('1');
+
+    expect(consultantService.createBooking).toHaveBeenCalledWith(userId, {
+      phone: null,
+      channel: 'web',
+      visitorKey: 'web_v44',
+      name: 'Lena',
+      reason: 'a consultation regarding visas',
+      date: '2026-10-20',
+      timeSlot: '10:00',
+    });
+  });
+
+  test('records direct contacts in the contact directory, but not groups or web visitors', async () => {
+    const contactService = require('../../src/services/contactService');
+    contactService.recordMessage.mockClear();
+    aiService.generateResponse.mockResolvedValue('Hello!');
+
+    await send({ from: '919800000005', name: 'Meera', text: 'Hi', count: 2 });
+    await send({ from: '919800000005', group: '120363000000', mentionsBot: true, text: 'hello' });
+    await processMessage(require('../../src/channels/webChannel').createWebChannel(), { visitorId: 'v43', text: 'Hi' }, userId);
+
+    expect(contactService.recordMessage).toHaveBeenCalledTimes(1);
+    expect(contactService.recordMessage).toHaveBeenCalledWith(userId, '919800000005', 'Meera', 2);
+  });
+
+  test('STOP and START update consent and confirm without asking the AI', async () => {
+    const contactService = require('../../src/services/contactService');
+    const firestore = require('firebase/firestore');
+    contactService.setConsent.mockClear();
+
+    await send({ from: '919800000006', text: 'Stop' });
+    expect(channel.takeOutbox()[0].text).toBe("You've been unsubscribed from our messages. Reply START to subscribe again.");
+    expect(firestore.setDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/opt_outs/919800000006' },
+      expect.objectContaining({ keyword: 'stop' })
+    );
+    expect(contactService.setConsent).toHaveBeenCalledWith(userId, '919800000006', { status: 'opted_out', keyword: 'stop' });
+
+    await send({ from: '919800000006', text: 'START' });
+    expect(channel.takeOutbox()[0].text).toBe("You're subscribed to our messages again. Reply STOP to unsubscribe at any time.");
+    expect(firestore.deleteDoc).toHaveBeenCalledWith({ path: 'users/tenant-1/opt_outs/919800000006' });
+    expect(contactService.setConsent).toHaveBeenLastCalledWith(userId, '919800000006', { status: 'opted_in', keyword: 'start' });
+    expect(aiService.generateResponse).not.toHaveBeenCalled();
+  });
+
+  test('STOP takes effect for muted and blocked contacts', async () => {
+    const rateLimitService = require('../../src/services/rateLimitService');
+    const contactListService = require('../../src/services/contactListService');
+    const contactService = require('../../src/services/contactService');
+    const checkMessage = jest.spyOn(rateLimitService, 'checkMessage').mockResolvedValue({ allowed: false, notify: false });
+    contactService.setConsent.mockClear();
+
+    await send({ from: '919800000007', text: 'STOP' });
+    expect(contactService.setConsent).toHaveBeenCalledWith(userId, '919800000007', { status: 'opted_out', keyword: 'stop' });
+    expect(channel.takeOutbox()[0].text).toBe("You've been unsubscribed from our messages. Reply START to subscribe again.");
+    expect(checkMessage).not.toHaveBeenCalled();
+
+    jest.spyOn(contactListService, 'checkContact').mockResolvedValue({ allowed: false, reason: 'blocked' });
+    await send({ from: '919800000008', text: 'unsubscribe' });
+    expect(contactService.setConsent).toHaveBeenLastCalledWith(userId, '919800000008', { status: 'opted_out', keyword: 'unsubscribe' });
+    expect(channel.takeOutbox()).toEqual([]);
+    expect(channel.readMessages).toHaveLength(1);
+
+    checkMessage.mockRestore();
+    contactListService.checkContact.mockRestore();
+  });
+
+  test('STOP is only confirmed once the opt-out is saved', async () => {
+    const optOutService = require('../../src/services/optOutService');
+    const recordOptOut = jest.spyOn(optOutService, 'recordOptOut').mockResolvedValue(false);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await send({ from: '919800000009', text: 'STOP' });
+
+    expect(recordOptOut).toHaveBeenCalledTimes(2);
+    expect(channel.takeOutbox().map(msg => msg.text)).toEqual([
+      "Sorry, we couldn't update your subscription just now. Please send STOP again in a few minutes.",
+    ]);
+
+    recordOptOut.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('assertChannel rejects adapters missing interface methods', () => {
+    expect(() => assertChannel({ receive: () => null, sendText: async () => {} }))
+      .toThrow('Channel adapter is missing: sendButtons, sendList, sendMedia, presence, markRead, downloadMedia');
+  });
+});
@@ -0,0 +1,144 @@
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetQueuedMessages = jest.fn();
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getQueuedMessages: (...args) => mockGetQueuedMessages(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/messageQueueService');
+};
+
+const NOW = Date.UTC(2026, 9, 19, 9, 0, 0);
+const minutesAgo = (minutes) => Math.floor((NOW - minutes * 60 * 1000) / 1000);
+
+const queued = (id, phone, minutes, message = { conversation: `message ${id}` }) => ({
+  id,
+  message: {
+    key: { id, remoteJid: `${phone}@s.whatsapp.net` },
+    messageTimestamp: minutesAgo(minutes),
+    message,
+  },
+});
+
+const settings = { maxAgeMinutes: 60, stalePolicy: 'preface', maxPerContact: 5 };
+
+describe('messageQueueService', () => {
+  test('planReplay merges consecutive messages and replays conversations oldest-first', () => {
+    const { planReplay } = loadService();
+
+    const { batches, dropped } = planReplay([
+      queued('b1', '912222222222', 5),
+      queued('a2', '911111111111', 9),
+      queued('a1', '911111111111', 10),
+    ], settings, NOW);
+
+    expect(dropped).toEqual([]);
+    expect(batches.map(batch => batch.ids)).toEqual([['a1', 'a2'], ['b1']]);
+    expect(batches[0].message.message.extendedTextMessage.text).toBe('message a1\nmessage a2');
+    expect(batches.every(batch => !batch.stale)).toBe(true);
+  });
+
+  test('button replies are not merged with surrounding text', () => {
+    const { planReplay } = loadService();
+
+    const { batches } = planReplay([
+      queued('a1', '911111111111', 10),
+      queued('a2', '911111111111', 9, { buttonsResponseMessage: { selectedButtonId: 'book_confirm' } }),
+      queued('a3', '911111111111', 8),
+    ], settings, NOW);
+
+    expect(batches.map(batch => batch.ids)).toEqual([['a1'], ['a2'], ['a3']]);
+  });
+
+  test('stale messages are prefaced or dropped by policy', () => {
+    const { planReplay } = loadService();
+    const entries = [queued('old', '911111111111', 120), queued('new', '912222222222', 10)];
+
+    const prefaced = planReplay(entries, settings, NOW);
+    expect(prefaced.batches.map(batch => [batch.ids[0], batch.stale])).toEqual([['old', true], ['new', false]]);
+
+    const dropped = planReplay(entries, { ...settings, stalePolicy: 'drop' }, NOW);
+    expect(dropped.batches.map(batch => batch.ids)).toEqual([['new']]);
+    expect(dropped.dropped).toEqual(['old']);
+  });
+
+  test('only the latest messages per contact are replayed', () => {
+    const { planReplay } = loadService();
+
+    const { batches, dropped } = planReplay([
+      queued('a1', '911111111111', 10),
+      queued('a2', '911111111111', 9),
+      queued('a3', '911111111111', 8),
+    ], { ...settings, maxPerContact: 2 }, NOW);
+
+    expect(dropped).toEqual(['a1']);
+    expect(batches.map(batch => batch.ids)).toEqual([['a2', 'a3']]);
+  });
+
+  test('getQueueDepth counts queued messages per contact', async () => {
+    const { getQueueDepth } = loadService();
+    mockGetQueuedMessages.mockResolvedValueOnce([
+      queued('a1', '911111111111', 10),
+      queued('a2', '911111111111', 9),
+      queued('b1', '912222222222', 5),
+    ]);
+
+    const queue = await getQueueDepth('user-1');
+
+    expect(queue.depth).toBe(3);
+    expect(queue.contacts.map(contact => [contact.remoteJid, contact.count])).toEqual([
+      ['911111111111@s.whatsapp.net', 2],
+      ['912222222222@s.whatsapp.net', 1],
+    ]);
+  });
+
+  test('getQueueDepth keeps each number\'s queue for a contact apart and can filter by number', async () => {
+    const { getQueueDepth } = loadService();
+    const entries = [
+      queued('a1', '911111111111', 10),
+      { ...queued('s1', '911111111111', 9), sessionId: 'sales' },
+      { ...queued('s2', '911111111111', 8), sessionId: 'sales' },
+    ];
+    mockGetQueuedMessages.mockResolvedValue(entries);
+
+    const all = await getQueueDepth('user-1');
+    expect(all.depth).toBe(3);
+    expect(all.contacts.map(contact => [contact.sessionId, contact.remoteJid, contact.count])).toEqual([
+      ['default', '911111111111@s.whatsapp.net', 1],
+      ['sales', '911111111111@s.whatsapp.net', 2],
+    ]);
+
+    const sales = await getQueueDepth('user-1', 'sales');
+    expect(sales.depth).toBe(2);
+    expect(sales.contacts.map(contact => [contact.sessionId, contact.count])).toEqual([['sales', 2]]);
+  });
+
+  test('updateSettings keeps current values for fields left undefined', async () => {
+    const { updateSettings } = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { ...settings, stalePolicy: 'drop' } }));
+    mockSetDoc.mockResolvedValue(undefined);
+
+    await expect(updateSettings('user-1', { maxPerContact: 10, stalePolicy: undefined, maxAgeMinutes: undefined })).resolves.toBe(true);
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/user-1/settings/queue_config' },
+      expect.objectContaining({ maxAgeMinutes: 60, stalePolicy: 'drop', maxPerContact: 10 }),
+      { merge: true }
+    );
+  });
+});
@@ -0,0 +1,100 @@
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockDeleteDoc = jest.fn();
+const mockSetConsent = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: jest.fn(),
+  setDoc: (...args) => mockSetDoc(...args),
+  deleteDoc: (...args) => mockDeleteDoc(...args),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/contactService', () => ({
+  setConsent: (...args) => mockSetConsent(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/optOutService');
+};
+
+describe('optOutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSetDoc.mockResolvedValue(undefined);
+    mockDeleteDoc.mockResolvedValue(undefined);
+    mockSetConsent.mockResolvedValue(true);
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('matchKeyword matches whole messages against the default keywords', async () => {
+    const { matchKeyword } = loadService();
+
+    expect(await matchKeyword('tenant-1', ' Stop! ')).toEqual({ action: 'opt_out', keyword: 'stop' });
+    expect(await matchKeyword('tenant-1', 'UNSUBSCRIBE')).toEqual({ action: 'opt_out', keyword: 'unsubscribe' });
+    expect(await matchKeyword('tenant-1', 'start')).toEqual({ action: 'opt_in', keyword: 'start' });
+    expect(await matchKeyword('tenant-1', 'please stop the car')).toBeNull();
+    expect(await matchKeyword('tenant-1', '')).toBeNull();
+  });
+
+  test('matchKeyword uses the tenant keywords', async () => {
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ data: { optOutKeywords: ['Band karo', 'STOP'], optInKeywords: ['shuru'] } }));
+    const { matchKeyword } = loadService();
+
+    expect(await matchKeyword('tenant-1', 'band   karo')).toEqual({ action: 'opt_out', keyword: 'band karo' });
+    expect(await matchKeyword('tenant-1', 'Shuru')).toEqual({ action: 'opt_in', keyword: 'shuru' });
+    expect(await matchKeyword('tenant-1', 'start')).toBeNull();
+  });
+
+  test('updateSettings cleans keywords and keeps a word from meaning both', async () => {
+    const { updateSettings } = loadService();
+
+    expect(await updateSettings('tenant-1', { optOutKeywords: [' STOP ', 'stop', 'cancel'], optInKeywords: ['cancel', 'Yes'] })).toBe(true);
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/settings/opt_out_config' },
+      { optOutKeywords: ['stop', 'cancel'], optInKeywords: ['yes'], updatedAt: 'SERVER_TS' },
+      { merge: true }
+    );
+  });
+
+  test('recordOptOut and recordOptIn update the suppression list and contact consent', async () => {
+    const { recordOptOut, recordOptIn } = loadService();
+
+    expect(await recordOptOut('tenant-1', '+91 98000 00001', 'stop')).toBe(true);
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/opt_outs/919800000001' },
+      { phone: '919800000001', keyword: 'stop', optedOutAt: 'SERVER_TS' }
+    );
+    expect(mockSetConsent).toHaveBeenCalledWith('tenant-1', '919800000001', { status: 'opted_out', keyword: 'stop' });
+
+    expect(await recordOptIn('tenant-1', '919800000001', 'start')).toBe(true);
+    expect(mockDeleteDoc).toHaveBeenCalledWith({ path: 'users/tenant-1/opt_outs/919800000001' });
+    expect(mockSetConsent).toHaveBeenLastCalledWith('tenant-1', '919800000001', { status: 'opted_in', keyword: 'start' });
+  });
+
+  test('isOptedOut fails closed when the suppression list cannot be read', async () => {
+    const { isOptedOut } = loadService();
+
+    mockGetDoc.mockResolvedValueOnce(makeDocSnapshot({ data: { phone: '919800000001' } }));
+    await expect(isOptedOut('tenant-1', '+91 98000 00001')).resolves.toBe(true);
+    expect(mockGetDoc).toHaveBeenCalledWith({ path: 'users/tenant-1/opt_outs/919800000001' });
+
+    mockGetDoc.mockRejectedValueOnce(new Error('unavailable'));
+    await expect(isOptedOut('tenant-1', '919800000001')).rejects.toThrow('unavailable');
+  });
+});
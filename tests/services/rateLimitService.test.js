@@ -0,0 +1,136 @@
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockAddDoc = jest.fn();
+const mockSetDoc = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  addDoc: (...args) => mockAddDoc(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  getDocs: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/rateLimitService');
+};
+
+describe('rateLimitService', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockGetDoc.mockReset();
+    mockAddDoc.mockReset();
+    mockSetDoc.mockReset();
+    mockAddDoc.mockResolvedValue({ id: 'e1' });
+    mockGetDoc.mockResolvedValue(
+      makeDocSnapshot({ exists: true, data: { perMinute: 3, perDay: 100, muteMinutes: 10 } })
+    );
+  });
+
+  test('allows messages under the per-minute limit', async () => {
+    const service = loadService();
+
+    for (let i = 0; i < 3; i++) {
+      await expect(service.checkMessage('user-1', '911111111111')).resolves.toEqual({ allowed: true });
+    }
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  test('notifies once when the limit trips, then mutes silently', async () => {
+    const service = loadService();
+
+    for (let i = 0; i < 3; i++) await service.checkMessage('user-1', '911111111111');
+    const tripped = await service.checkMessage('user-1', '911111111111');
+    const muted = await service.checkMessage('user-1', '911111111111');
+
+    expect(tripped).toMatchObject({ allowed: false, notify: true, reason: 'per_minute' });
+    expect(muted).toMatchObject({ allowed: false, notify: false, reason: 'muted' });
+    expect(mockAddDoc).toHaveBeenCalledTimes(1);
+    expect(mockAddDoc.mock.calls[0][0].path).toBe('users/user-1/rate_limit_events');
+    expect(mockAddDoc.mock.calls[0][1]).toMatchObject({ phone: '911111111111', reason: 'per_minute', limit: 3 });
+
+    expect(service.getMutedContacts('user-1')).toEqual([
+      { phone: '911111111111', mutedUntil: tripped.mutedUntil },
+    ]);
+    await expect(service.checkMessage('user-1', '912222222222')).resolves.toEqual({ allowed: true });
+  });
+
+  test('the daily limit mutes until the day resets and notifies once', async () => {
+    const service = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: true, data: { perMinute: 100, perDay: 5, muteMinutes: 10 } }));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T09:00:00Z'));
+
+    await service.checkMessage('user-1', '911111111111', 5);
+    const tripped = await service.checkMessage('user-1', '911111111111');
+    expect(tripped).toMatchObject({ allowed: false, notify: true, reason: 'per_day', mutedUntil: '2026-10-20T00:00:00.000Z' });
+
+    now.mockReturnValue(Date.parse('2026-10-19T23:59:00Z'));
+    await expect(service.checkMessage('user-1', '911111111111')).resolves.toMatchObject({ allowed: false, notify: false });
+
+    now.mockReturnValue(Date.parse('2026-10-20T00:01:00Z'));
+    await expect(service.checkMessage('user-1', '911111111111')).resolves.toEqual({ allowed: true });
+    expect(mockAddDoc).toHaveBeenCalledTimes(1);
+
+    now.mockRestore();
+  });
+
+  test('unmute lets the contact through again', async () => {
+    const service = loadService();
+
+    await service.checkMessage('user-1', '911111111111', 4);
+    expect(service.unmute('user-1', '911111111111')).toBe(true);
+
+    await expect(service.checkMessage('user-1', '911111111111')).resolves.toEqual({ allowed: true });
+    expect(service.unmute('user-1', '911111111111')).toBe(false);
+  });
+
+  test('unmute also lifts a daily-limit mute', async () => {
+    const service = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: true, data: { perMinute: 100, perDay: 5, muteMinutes: 10 } }));
+
+    await service.checkMessage('user-1', '911111111111', 6);
+    expect(service.unmute('user-1', '911111111111')).toBe(true);
+
+    await expect(service.checkMessage('user-1', '911111111111')).resolves.toEqual({ allowed: true });
+    expect(mockAddDoc).toHaveBeenCalledTimes(1);
+  });
+
+  test('limits can be disabled per tenant', async () => {
+    const service = loadService();
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: true, data: { enabled: false, perMinute: 1 } }));
+
+    await service.checkMessage('user-1', '911111111111');
+    await expect(service.checkMessage('user-1', '911111111111')).resolves.toEqual({ allowed: true });
+  });
+
+  test('updateSettings keeps current values for fields left undefined', async () => {
+    const service = loadService();
+    mockSetDoc.mockResolvedValue(undefined);
+
+    await expect(service.updateSettings('user-1', { perDay: 50, perMinute: undefined, muteMinutes: undefined })).resolves.toBe(true);
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/user-1/settings/rate_limit_config' },
+      { enabled: true, perMinute: 3, perDay: 50, muteMinutes: 10, updatedAt: 'SERVER_TS' },
+      { merge: true }
+    );
+  });
+});
@@ -0,0 +1,281 @@
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+const mockUpdateDoc = jest.fn();
+const mockAddDoc = jest.fn();
+const mockSendOutboundMessage = jest.fn();
+const mockGetSession = jest.fn();
+const mockRender = jest.fn();
+const mockGetTemplate = jest.fn();
+const mockIsOptedOut = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  updateDoc: (...args) => mockUpdateDoc(...args),
+  addDoc: (...args) => mockAddDoc(...args),
+  query: (ref) => ref,
+  where: jest.fn(),
+  increment: (value) => ({ increment: value }),
+  serverTimestamp: () => 'SERVER_TS',
+  Timestamp: { fromDate: (date) => date },
+  runTransaction: (db, fn) => fn({
+    get: (...args) => mockGetDoc(...args),
+    update: (...args) => mockUpdateDoc(...args),
+  }),
+}));
+
+jest.mock('../../src/services/whatsappService', () => ({
+  getSession: (...args) => mockGetSession(...args),
+  sendOutboundMessage: (...args) => mockSendOutboundMessage(...args),
+}));
+
+jest.mock('../../src/services/templateService', () => ({
+  render: (...args) => mockRender(...args),
+  getTemplate: (...args) => mockGetTemplate(...args),
+}));
+
+jest.mock('../../src/services/optOutService', () => ({
+  isOptedOut: (...args) => mockIsOptedOut(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/scheduledMessageService');
+};
+
+const mockScheduledDoc = (data) => {
+  mockGetDoc.mockResolvedValue(makeDocSnapshot({ id: 's1', data: { status: 'scheduled', attempts: 0, sessionId: 'default', ...data } }));
+};
+
+describe('scheduledMessageService', () => {
+  let setTimeoutSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation(() => 0);
+    mockUpdateDoc.mockResolvedValue(undefined);
+    mockAddDoc.mockResolvedValue({ id: 's1' });
+    mockSendOutboundMessage.mockResolvedValue({ messageId: 'wamid-1' });
+    mockGetSession.mockReturnValue({ status: 'connected' });
+    mockGetTemplate.mockResolvedValue({ id: 'reminder' });
+    mockIsOptedOut.mockResolvedValue(false);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolveSendAt accepts a delay or a future date', () => {
+    const { resolveSendAt } = loadService();
+    const now = Date.parse('2026-10-19T10:00:00Z');
+
+    expect(resolveSendAt({ delayMinutes: 30 }, now).date.toISOString()).toBe('2026-10-19T10:30:00.000Z');
+    expect(resolveSendAt({ sendAt: '2026-10-20T09:00:00Z' }, now).date.toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    expect(resolveSendAt({ sendAt: '2026-10-18T09:00:00Z' }, now).error).toBe('sendAt must be in the future');
+    expect(resolveSendAt({ sendAt: 'tomorrow-ish' }, now).error).toBe('Invalid sendAt date');
+    expect(resolveSendAt({}, now).error).toBe('sendAt or delayMinutes is required');
+    expect(resolveSendAt({ delayMinutes: -5 }, now).error).toBe('delayMinutes must be a positive number');
+  });
+
+  test('createScheduledMessage stores the message and starts a timer', async () => {
+    const { createScheduledMessage } = loadService();
+
+    const result = await createScheduledMessage('tenant-1', {
+      phone: '+91 98765 43210',
+      delayMinutes: 10,
+      type: 'text',
+      text: 'Your report is ready',
+    });
+
+    expect(result.success).toBe(true);
+    expect(mockAddDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/scheduled_messages' },
+      expect.objectContaining({
+        phone: '919876543210',
+        sessionId: 'default',
+        payload: { type: 'text', text: 'Your report is ready' },
+        status: 'scheduled',
+        attempts: 0,
+      })
+    );
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), expect.any(Number));
+    expect(setTimeoutSpy.mock.calls[0][1]).toBeGreaterThan(9 * 60 * 1000);
+  });
+
+  test('createScheduledMessage validates the payload and template', async () => {
+    const { createScheduledMessage } = loadService();
+    mockGetTemplate.mockResolvedValue(null);
+
+    expect((await createScheduledMessage('tenant-1', { delayMinutes: 5, type: 'text', text: 'Hi' })).error)
+      .toBe('Phone number required');
+    expect((await createScheduledMessage('tenant-1', { phone: '919876543210', delayMinutes: 5, type: 'text' })).error)
+      .toBe('text is required');
+    expect((await createScheduledMessage('tenant-1', { phone: '919876543210', delayMinutes: 5, templateId: 'nope' })).error)
+      .toBe('Template not found');
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  test('a due message is sent through its session and marked sent', async () => {
+    const { sendScheduledMessage } = loadService();
+    mockScheduledDoc({ phone: '919876543210', sessionId: 'sales', templateId: 'reminder', variables: { name: 'Asha' } });
+    mockRender.mockResolvedValue('Hi Asha, see you tomorrow!');
+
+    await sendScheduledMessage('tenant-1', 's1');
+
+    expect(mockGetSession).toHaveBeenCalledWith('tenant-1', 'sales');
+    expect(mockRender).toHaveBeenCalledWith('tenant-1', 'reminder', { name: 'Asha' });
+    expect(mockSendOutboundMessage).toHaveBeenCalledWith(
+      'tenant-1', '919876543210', { type: 'text', text: 'Hi Asha, see you tomorrow!' }, 'sales'
+    );
+    expect(mockUpdateDoc).toHaveBeenLastCalledWith(
+      { path: 'users/tenant-1/scheduled_messages/s1' },
+      expect.objectContaining({ status: 'sent', messageId: 'wamid-1' })
+    );
+  });
+
+  test('retries later without sending while the session is offline', async () => {
+    const { sendScheduledMessage } = loadService();
+    mockScheduledDoc({ phone: '919876543210', payload: { type: 'text', text: 'Hello' } });
+    mockGetSession.mockReturnValue({ status: 'disconnected' });
+
+    await sendScheduledMessage('tenant-1', 's1');
+
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/scheduled_messages/s1' },
+      { lastError: 'WhatsApp not connected' }
+    );
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 60 * 1000);
+  });
+
+  test('skips contacts who have opted out', async () => {
+    const { sendScheduledMessage } = loadService();
+    mockScheduledDoc({ phone: '919876543210', payload: { type: 'text', text: 'Hello' } });
+    mockIsOptedOut.mockResolvedValue(true);
+
+    await sendScheduledMessage('tenant-1', 's1');
+
+    expect(mockIsOptedOut).toHaveBeenCalledWith('tenant-1', '919876543210');
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/scheduled_messages/s1' },
+      { status: 'skipped', lastError: 'Opted out' }
+    );
+    expect(setTimeoutSpy).not.toHaveBeenCalled();
+  });
+
+  test('retries later without sending when opt-outs cannot be checked', async () => {
+    const { sendScheduledMessage } = loadService();
+    mockScheduledDoc({ phone: '919876543210', payload: { type: 'text', text: 'Hello' } });
+    mockIsOptedOut.mockRejectedValue(new Error('unavailable'));
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T10:00:00Z'));
+
+    await sendScheduledMessage('tenant-1', 's1');
+
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).toHaveBeenCalledTimes(1);
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/scheduled_messages/s1' },
+      { lastError: 'Could not check opt-out status' }
+    );
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 60 * 1000);
+  });
+
+  test('send errors are retried until the attempt limit, then marked failed', async () => {
+    const { sendScheduledMessage } = loadService();
+    mockSendOutboundMessage.mockRejectedValue(new Error('Connection Closed'));
+
+    mockScheduledDoc({ phone: '919876543210', payload: { type: 'text', text: 'Hello' }, attempts: 0 });
+    await sendScheduledMessage('tenant-1', 's1');
+    expect(mockUpdateDoc).toHaveBeenLastCalledWith(
+      expect.anything(),
+      { status: 'scheduled', attempts: { increment: 1 }, lastError: 'Connection Closed' }
+    );
+    expect(setTimeoutSpy).toHaveBeenCalledTimes(1);
+
+    mockScheduledDoc({ phone: '919876543210', payload: { type: 'text', text: 'Hello' }, attempts: 2 });
+    await sendScheduledMessage('tenant-1', 's1');
+    expect(mockUpdateDoc).toHaveBeenLastCalledWith(
+      expect.anything(),
+      { status: 'failed', attempts: { increment: 1 }, lastError: 'Connection Closed' }
+    );
+    expect(setTimeoutSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancelled messages are skipped and only unsent messages can be cancelled', async () => {
+    const { sendScheduledMessage, cancelScheduledMessage } = loadService();
+
+    mockScheduledDoc({ status: 'cancelled', phone: '919876543210' });
+    await sendScheduledMessage('tenant-1', 's1');
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+
+    mockScheduledDoc({ status: 'sent' });
+    expect(await cancelScheduledMessage('tenant-1', 's1')).toEqual({ success: false, error: 'Message is already sent' });
+
+    mockScheduledDoc({ status: 'scheduled' });
+    expect(await cancelScheduledMessage('tenant-1', 's1')).toEqual({ success: true });
+    expect(mockUpdateDoc).toHaveBeenCalledWith({ path: 'users/tenant-1/scheduled_messages/s1' }, { status: 'cancelled' });
+  });
+
+  test('a cancel that lands after the due check stops the send', async () => {
+    const { sendScheduledMessage } = loadService();
+    const ref = { path: 'users/tenant-1/scheduled_messages/s1' };
+    mockGetDoc
+      .mockResolvedValueOnce(makeDocSnapshot({ id: 's1', data: { status: 'scheduled', phone: '919876543210', payload: { type: 'text', text: 'Hi' } } }))
+      .mockResolvedValueOnce(makeDocSnapshot({ id: 's1', data: { status: 'cancelled' } }));
+
+    await sendScheduledMessage('tenant-1', 's1');
+
+    expect(mockSendOutboundMessage).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).not.toHaveBeenCalledWith(ref, { status: 'sending' });
+  });
+
+  test('a message already being sent can no longer be cancelled', async () => {
+    const { cancelScheduledMessage } = loadService();
+    mockScheduledDoc({ status: 'sending' });
+
+    expect(await cancelScheduledMessage('tenant-1', 's1')).toEqual({ success: false, error: 'Message is already sending' });
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+  });
+
+  test('resumeScheduledMessages reschedules pending messages after a restart', async () => {
+    const { resumeScheduledMessages } = loadService();
+    const overdue = new Date(Date.now() - 5 * 60 * 1000);
+    mockGetDocs
+      .mockResolvedValueOnce({ docs: [makeDocSnapshot({ id: 'tenant-1' })] })
+      .mockResolvedValueOnce(makeQuerySnapshot([
+        makeDocSnapshot({ id: 's1', data: { status: 'scheduled', sendAt: { toMillis: () => overdue.getTime() } } }),
+      ]));
+
+    await resumeScheduledMessages();
+
+    expect(mockGetDocs).toHaveBeenLastCalledWith({ path: 'users/tenant-1/scheduled_messages' });
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 0);
+  });
+
+  test('resumeScheduledMessages puts sends interrupted by a restart back to scheduled', async () => {
+    const { resumeScheduledMessages } = loadService();
+    const sendAt = { toMillis: () => Date.now() };
+    mockGetDocs
+      .mockResolvedValueOnce({ docs: [makeDocSnapshot({ id: 'tenant-1' })] })
+      .mockResolvedValueOnce(makeQuerySnapshot([
+        makeDocSnapshot({ id: 's1', data: { status: 'scheduled', sendAt } }),
+        makeDocSnapshot({ id: 's2', data: { status: 'sending', sendAt } }),
+      ]));
+
+    await resumeScheduledMessages();
+
+    expect(mockUpdateDoc.mock.calls).toEqual([[{ path: 'users/tenant-1/scheduled_messages/s2' }, { status: 'scheduled' }]]);
+    expect(setTimeoutSpy).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,97 @@
+const mockGetConversation = jest.fn();
+const mockUpdateConversationHandoff = jest.fn();
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getConversation: (...args) => mockGetConversation(...args),
+  updateConversationHandoff: (...args) => mockUpdateConversationHandoff(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/takeoverService');
+};
+
+describe('takeoverService', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockGetConversation.mockReset();
+    mockUpdateConversationHandoff.mockReset();
+    mockGetConversation.mockResolvedValue(null);
+    mockUpdateConversationHandoff.mockResolvedValue(true);
+  });
+
+  test('conversations are not paused by default', async () => {
+    const service = loadService();
+
+    await expect(service.isPaused('user-1', 'wa_123')).resolves.toBe(false);
+    expect(mockGetConversation).toHaveBeenCalledWith('user-1', 'wa_123');
+  });
+
+  test('claim pauses the bot and logs the handoff', async () => {
+    const service = loadService();
+
+    const state = await service.claim('user-1', 'wa_123', 'staff@example.com', 15);
+
+    expect(state.active).toBe(true);
+    expect(state.idleMinutes).toBe(15);
+    await expect(service.isPaused('user-1', 'wa_123')).resolves.toBe(true);
+
+    const [, conversationKey, handoff, logEntry] = mockUpdateConversationHandoff.mock.calls[0];
+    expect(conversationKey).toBe('wa_123');
+    expect(handoff.claimedBy).toBe('staff@example.com');
+    expect(logEntry.event).toBe('claimed');
+  });
+
+  test('release resumes the bot', async () => {
+    const service = loadService();
+
+    await service.claim('user-1', 'wa_123', 'staff@example.com');
+    await service.release('user-1', 'wa_123', 'staff@example.com');
+
+    await expect(service.isPaused('user-1', 'wa_123')).resolves.toBe(false);
+    const [, , , logEntry] = mockUpdateConversationHandoff.mock.calls[1];
+    expect(logEntry.event).toBe('released');
+  });
+
+  test('auto-releases after the idle period', async () => {
+    const service = loadService();
+    const longAgo = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+
+    mockGetConversation.mockResolvedValueOnce({
+      id: 'wa_123',
+      handoff: { active: true, claimedBy: 'staff', claimedAt: longAgo, lastActivityAt: longAgo, idleMinutes: 10 },
+    });
+
+    await expect(service.isPaused('user-1', 'wa_123')).resolves.toBe(false);
+
+    const [, , handoff, logEntry] = mockUpdateConversationHandoff.mock.calls[0];
+    expect(handoff.active).toBe(false);
+    expect(logEntry).toEqual(expect.objectContaining({ event: 'auto_released', by: 'system' }));
+  });
+
+  test('only active takeovers stay cached', async () => {
+    const service = loadService();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T10:00:00Z'));
+
+    await service.isPaused('user-1', 'wa_123');
+    await service.claim('user-1', 'wa_456', 'staff@example.com', 60);
+    await service.isPaused('user-1', 'wa_123');
+    expect(mockGetConversation).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(Date.parse('2026-10-19T10:06:00Z'));
+    await service.releaseIdleConversations();
+    await service.isPaused('user-1', 'wa_123');
+    await expect(service.isPaused('user-1', 'wa_456')).resolves.toBe(true);
+
+    expect(mockGetConversation).toHaveBeenCalledTimes(2);
+    expect(mockGetConversation).toHaveBeenLastCalledWith('user-1', 'wa_123');
+    now.mockRestore();
+  });
+});
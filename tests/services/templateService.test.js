@@ -0,0 +1,133 @@
+const mockGetDocs = jest.fn();
+const mockSetDoc = jest.fn();
+const mockDeleteDoc = jest.fn();
+const mockGetUserProfile = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDocs: (...args) => mockGetDocs(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  deleteDoc: (...args) => mockDeleteDoc(...args),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  getUserProfile: (...args) => mockGetUserProfile(...args),
+}));
+
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/templateService');
+};
+
+const mockSavedTemplates = (templates) => {
+  mockGetDocs.mockResolvedValue(makeQuerySnapshot(
+    Object.entries(templates).map(([id, data]) => makeDocSnapshot({ id, data }))
+  ));
+};
+
+describe('templateService', () => {
+  beforeEach(() => {
+    mockGetDocs.mockReset();
+    mockSetDoc.mockReset();
+    mockDeleteDoc.mockReset();
+    mockGetUserProfile.mockReset();
+    mockGetUserProfile.mockResolvedValue({ businessName: 'Glow Clinic' });
+  });
+
+  test('renderTemplate fills placeholders and drops empty ones', () => {
+    const { renderTemplate } = loadService();
+
+    expect(renderTemplate('Hi {{name}}, token #{{ token }}', { name: 'Asha', token: 4 })).toBe('Hi Asha, token #4');
+    expect(renderTemplate('Line 1\n\n{{note}}\n\nLine 2', {})).toBe('Line 1\n\nLine 2');
+  });
+
+  test('render uses the built-in text until the tenant customizes a template', async () => {
+    mockSavedTemplates({});
+    const { render, SYSTEM_TEMPLATES } = loadService();
+
+    expect(await render('tenant-1', 'booking_cancelled')).toBe(SYSTEM_TEMPLATES.booking_cancelled.body);
+    expect(await render('tenant-1', 'booking_confirm_prompt', { name: 'Asha', date: '2026-10-20', time: '10:00', reason: 'Skin' }))
+      .toBe('📋 *Confirm your booking:*\n\n👤 Name: Asha\n📅 Date: 2026-10-20\n⏰ Time: 10:00\n📝 Reason: Skin');
+  });
+
+  test('render applies tenant templates with the business name from the profile', async () => {
+    mockSavedTemplates({ booking_cancelled: { body: 'No problem, {{name}}! {{businessName}} is here when you need us.' } });
+    const { render } = loadService();
+
+    expect(await render('tenant-1', 'booking_cancelled', { name: 'Asha' }))
+      .toBe('No problem, Asha! Glow Clinic is here when you need us.');
+  });
+
+  test('render falls back to defaults when templates cannot be loaded', async () => {
+    mockGetDocs.mockRejectedValue(new Error('offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { render } = loadService();
+
+    expect(await render('tenant-1', 'voice_note_failed')).toMatch(/couldn't catch that voice note/);
+    console.error.mockRestore();
+  });
+
+  test('listTemplates marks customized system templates and includes custom ones', async () => {
+    mockSavedTemplates({
+      greeting: { body: 'Hello from {{businessName}}!' },
+      diwali_offer: { body: 'Happy Diwali {{name}}!', description: 'Festival offer' },
+    });
+    const { listTemplates, SYSTEM_TEMPLATES } = loadService();
+
+    const templates = await listTemplates('tenant-1');
+    const greeting = templates.find(t => t.id === 'greeting');
+    const custom = templates.find(t => t.id === 'diwali_offer');
+
+    expect(templates).toHaveLength(Object.keys(SYSTEM_TEMPLATES).length + 1);
+    expect(greeting).toMatchObject({ isSystem: true, isCustomized: true, placeholders: ['businessName'] });
+    expect(greeting.defaultBody).toBe(SYSTEM_TEMPLATES.greeting.body);
+    expect(custom).toMatchObject({ isSystem: false, isCustomized: false, description: 'Festival offer' });
+  });
+
+  test('saveTemplate validates the ID and body', async () => {
+    mockSavedTemplates({});
+    const { saveTemplate } = loadService();
+
+    expect((await saveTemplate('tenant-1', 'Bad ID', { body: 'x' })).success).toBe(false);
+    expect((await saveTemplate('tenant-1', 'offer', { body: '  ' })).error).toBe('body is required');
+
+    const result = await saveTemplate('tenant-1', 'offer', { body: 'Hi {{name}}' });
+    expect(result.success).toBe(true);
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/tenant-1/message_templates/offer' },
+      expect.objectContaining({ body: 'Hi {{name}}' })
+    );
+  });
+
+  test('deleteTemplate resets system templates and 404s unknown custom ones', async () => {
+    mockSavedTemplates({ greeting: { body: 'Custom hello' } });
+    const { deleteTemplate } = loadService();
+
+    expect(await deleteTemplate('tenant-1', 'greeting')).toEqual({ success: true });
+    expect(mockDeleteDoc).toHaveBeenCalledWith({ path: 'users/tenant-1/message_templates/greeting' });
+    expect(await deleteTemplate('tenant-1', 'missing')).toEqual({ success: false, error: 'Template not found' });
+  });
+
+  test('previewTemplate renders drafts with sample values and flags unknown placeholders', async () => {
+    mockSavedTemplates({});
+    const { previewTemplate } = loadService();
+
+    const preview = await previewTemplate('tenant-1', { body: '{{businessName}}: see you {{date}} {{floor}}', variables: { date: 'Friday' } });
+
+    expect(preview).toEqual({
+      success: true,
+      text: 'Glow Clinic: see you Friday',
+      placeholders: ['businessName', 'date', 'floor'],
+      unknownPlaceholders: ['floor'],
+    });
+    expect((await previewTemplate('tenant-1', { templateId: 'nope' })).error).toBe('Template not found');
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('@google/genai', () => ({
+  GoogleGenAI: jest.fn(),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/transcriptionService');
+};
+
+describe('transcriptionService', () => {
+  test('stub provider transcribes offline', async () => {
+    const service = loadService();
+    service.registerProvider('stub', service.createStubProvider('I want to book for Tuesday'));
+    service.setProvider('stub');
+
+    await expect(service.transcribe(Buffer.from('audio'), { mimeType: 'audio/ogg; codecs=opus', seconds: 4 }))
+      .resolves.toBe('I want to book for Tuesday');
+  });
+
+  test('custom providers receive the bare mime type', async () => {
+    const service = loadService();
+    const transcribe = jest.fn().mockResolvedValue('  hello there  ');
+    service.registerProvider('custom', { transcribe });
+    service.setProvider('custom');
+
+    const buffer = Buffer.from('audio');
+    await expect(service.transcribe(buffer, { mimeType: 'audio/ogg; codecs=opus', seconds: 2 })).resolves.toBe('hello there');
+    expect(transcribe).toHaveBeenCalledWith(buffer, { mimeType: 'audio/ogg', seconds: 2 });
+  });
+
+  test('transcribe returns null when the provider fails or hears nothing', async () => {
+    const service = loadService();
+    service.registerProvider('broken', { transcribe: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+    service.registerProvider('silent', { transcribe: jest.fn().mockResolvedValue('') });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    service.setProvider('broken');
+    await expect(service.transcribe(Buffer.from('audio'))).resolves.toBeNull();
+    service.setProvider('silent');
+    await expect(service.transcribe(Buffer.from('audio'))).resolves.toBeNull();
+    service.setProvider('missing');
+    await expect(service.transcribe(Buffer.from('audio'))).resolves.toBeNull();
+
+    console.error.mockRestore();
+  });
+
+  test('registerProvider rejects objects without transcribe()', () => {
+    const service = loadService();
+
+    expect(() => service.registerProvider('bad', {})).toThrow('Transcription provider must implement transcribe()');
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * @jest-environment node
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+
+const mockGetDocs = jest.fn();
+const mockAddDoc = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: jest.fn(),
+  addDoc: (...args) => mockAddDoc(...args),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  getDocs: (...args) => mockGetDocs(...args),
+  query: jest.fn(),
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  limit: jest.fn(),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/webhookService');
+};
+
+// Local receiver: replies with the queued status codes in order (then 200) and records requests
+const startReceiver = (statuses = []) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hooks` });
+  });
+});
+
+const event = {
+  type: 'booking.created',
+  userId: 'user-1',
+  data: { bookingId: 'b1', tokenNumber: 3 },
+  timestamp: '2026-10-19T09:00:00.000Z',
+};
+
+describe('webhookService', () => {
+  let receiver;
+
+  beforeEach(() => {
+    mockGetDocs.mockReset();
+    mockAddDoc.mockReset();
+    mockAddDoc.mockResolvedValue({ id: 'delivery-1' });
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  afterEach((done) => {
+    jest.restoreAllMocks();
+    if (!receiver) return done();
+    receiver.server.close(() => done());
+    receiver = null;
+  });
+
+  test('deliver signs the payload so the receiver can verify it', async () => {
+    receiver = await startReceiver();
+    const { deliver } = loadService();
+
+    const result = await deliver({ url: receiver.url, secret: 'shh' }, event, { baseDelayMs: 0, allowInternal: true });
+
+    expect(result).toEqual({ delivered: true, attempts: 1, responseStatus: 200, error: null });
+    const [request] = receiver.requests;
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(`${request.headers['x-connectsphere-timestamp']}.${request.body}`)
+      .digest('hex');
+    expect(request.headers['x-connectsphere-signature']).toBe(`sha256=${expected}`);
+    expect(request.headers['x-connectsphere-event']).toBe('booking.created');
+    expect(JSON.parse(request.body)).toMatchObject({ type: 'booking.created', data: { bookingId: 'b1' } });
+  });
+
+  test('deliver retries server errors with the same delivery ID', async () => {
+    receiver = await startReceiver([500, 503]);
+    const { deliver } = loadService();
+
+    const result = await deliver({ url: receiver.url, secret: 'shh' }, event, { baseDelayMs: 1, allowInternal: true });
+
+    expect(result.delivered).toBe(true);
+    expect(result.attempts).toBe(3);
+    const deliveryIds = receiver.requests.map(request => request.headers['x-connectsphere-delivery']);
+    expect(new Set(deliveryIds).size).toBe(1);
+  });
+
+  test('deliver gives up on client errors and after the last attempt', async () => {
+    receiver = await startReceiver([400, 500, 500, 500]);
+    const { deliver } = loadService();
+    const webhook = { url: receiver.url, secret: 'shh' };
+
+    const rejected = await deliver(webhook, event, { baseDelayMs: 0, allowInternal: true });
+    const exhausted = await deliver(webhook, event, { baseDelayMs: 0, maxAttempts: 3, allowInternal: true });
+
+    expect(rejected).toEqual({ delivered: false, attempts: 1, responseStatus: 400, error: 'HTTP 400' });
+    expect(exhausted).toEqual({ delivered: false, attempts: 3, responseStatus: 500, error: 'HTTP 500' });
+  });
+
+  test('handleEvent only delivers to enabled webhooks subscribed to the event and logs each delivery', async () => {
+    receiver = await startReceiver();
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([
+      makeDocSnapshot({ id: 'all', data: { url: receiver.url, secret: 'a', events: [] } }),
+      makeDocSnapshot({ id: 'bookings', data: { url: receiver.url, secret: 'b', events: ['booking.created'] } }),
+      makeDocSnapshot({ id: 'messages', data: { url: receiver.url, secret: 'c', events: ['message.sent'] } }),
+      makeDocSnapshot({ id: 'off', data: { url: receiver.url, secret: 'd', events: [], enabled: false } }),
+    ]));
+    const { handleEvent } = loadService();
+
+    const results = await handleEvent(event, { baseDelayMs: 0, allowInternal: true });
+
+    expect(results).toHaveLength(2);
+    expect(receiver.requests).toHaveLength(2);
+    expect(mockAddDoc).toHaveBeenCalledTimes(2);
+    expect(mockAddDoc).toHaveBeenCalledWith(
+      { path: 'users/user-1/webhook_deliveries' },
+      expect.objectContaining({ webhookId: 'bookings', eventType: 'booking.created', status: 'delivered', attempts: 1 })
+    );
+  });
+
+  test('createWebhook validates the URL and event types and returns the secret once', async () => {
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([]));
+    mockAddDoc.mockResolvedValue({ id: 'hook-1' });
+    const { createWebhook } = loadService();
+
+    expect(await createWebhook('user-1', { url: 'ftp://example.com' }))
+      .toEqual({ success: false, error: 'A valid http(s) URL is required' });
+    expect((await createWebhook('user-1', { url: 'https://crm.example.com', events: ['nope'] })).success).toBe(false);
+
+    const result = await createWebhook('user-1', { url: 'https://crm.example.com', events: ['message.received'] });
+
+    expect(result.success).toBe(true);
+    expect(result.webhook).toMatchObject({ id: 'hook-1', url: 'https://crm.example.com', events: ['message.received'], enabled: true });
+    expect(result.webhook.secret).toHaveLength(48);
+    expect(result.webhook.secretPreview).toBe(`...${result.webhook.secret.slice(-4)}`);
+  });
+
+  test('createWebhook rejects loopback, private and link-local addresses', async () => {
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([]));
+    mockAddDoc.mockResolvedValue({ id: 'hook-1' });
+    const { createWebhook } = loadService();
+    const internalUrls = [
+      'http://localhost:3000/hook',
+      'http://api.localhost/hook',
+      'http://127.0.0.1/hook',
+      'http://0x7f.1/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.5/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[fd12::1]/hook',
+      'http://[fe80::1]/hook',
+    ];
+
+    for (const url of internalUrls) {
+      expect(await createWebhook('user-1', { url }))
+        .toEqual({ success: false, error: 'Webhook URL must not point to a local or private network address' });
+    }
+    expect(mockAddDoc).not.toHaveBeenCalled();
+    expect((await createWebhook('user-1', { url: 'https://172.32.0.1/hook' })).success).toBe(true);
+  });
+
+  test('createWebhook rejects hostnames that resolve to internal addresses', async () => {
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([]));
+    const { createWebhook, updateWebhook } = loadService();
+    dns.promises.lookup.mockResolvedValue([
+      { address: '93.184.215.14', family: 4 },
+      { address: '127.0.0.1', family: 4 },
+    ]);
+
+    expect(await createWebhook('user-1', { url: 'http://127.0.0.1.nip.io/hook' }))
+      .toEqual({ success: false, error: 'Webhook URL must not point to a local or private network address' });
+    expect(dns.promises.lookup).toHaveBeenCalledWith('127.0.0.1.nip.io', { all: true });
+    expect(await updateWebhook('user-1', 'hook-1', { url: 'https://localtest.me/hook' }))
+      .toEqual({ success: false, error: 'Webhook URL must not point to a local or private network address' });
+
+    dns.promises.lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    expect(await createWebhook('user-1', { url: 'https://nowhere.invalid/hook' }))
+      .toEqual({ success: false, error: 'Webhook URL host could not be resolved' });
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  test('deliver never connects to internal addresses', async () => {
+    receiver = await startReceiver();
+    const { deliver } = loadService();
+    const port = receiver.server.address().port;
+    // A name that passed validation but now points at this machine
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+
+    const rebound = await deliver({ url: `http://hooks.example.com:${port}/hooks`, secret: 'shh' }, event, { baseDelayMs: 0 });
+    const literal = await deliver({ url: receiver.url, secret: 'shh' }, event, { baseDelayMs: 0 });
+
+    expect(rebound).toEqual({ delivered: false, attempts: 1, responseStatus: null, error: 'EINTERNALADDRESS' });
+    expect(literal).toEqual({ delivered: false, attempts: 0, responseStatus: null, error: 'EINTERNALADDRESS' });
+    expect(receiver.requests).toHaveLength(0);
+  });
+});
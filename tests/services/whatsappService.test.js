@@ -0,0 +1,338 @@
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const mockGetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+const mockDownloadMediaMessage = jest.fn();
+const mockTranscribe = jest.fn();
+const mockGenerateResponse = jest.fn();
+const mockSaveMessage = jest.fn();
+const mockIsPaused = jest.fn();
+const mockGetQueuedMessages = jest.fn();
+const mockClearQueuedMessage = jest.fn();
+
+jest.mock('@kelvdra/baileys', () => ({
+  default: jest.fn(),
+  DisconnectReason: {},
+  useMultiFileAuthState: jest.fn(),
+  makeCacheableSignalKeyStore: jest.fn(),
+  downloadMediaMessage: (...args) => mockDownloadMediaMessage(...args),
+}), { virtual: true });
+
+jest.mock('pino', () => () => ({ level: 'silent' }));
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  setDoc: () => Promise.resolve(),
+  updateDoc: () => Promise.resolve(),
+  deleteDoc: () => Promise.resolve(),
+  increment: (value) => ({ increment: value }),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+jest.mock('../../src/services/firebaseAuthState', () => jest.fn());
+
+jest.mock('../../src/services/aiService', () => ({
+  generateResponse: (...args) => mockGenerateResponse(...args),
+  shouldReplyToMessage: () => false,
+}));
+
+jest.mock('../../src/services/firebaseService', () => ({
+  saveMessage: (...args) => mockSaveMessage(...args),
+  getUserProfile: () => Promise.resolve(null),
+  getQueuedMessages: (...args) => mockGetQueuedMessages(...args),
+  clearQueuedMessage: (...args) => mockClearQueuedMessage(...args),
+}));
+
+jest.mock('../../src/services/takeoverService', () => ({
+  isPaused: (...args) => mockIsPaused(...args),
+}));
+
+jest.mock('../../src/services/transcriptionService', () => ({
+  transcribe: (...args) => mockTranscribe(...args),
+}));
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/whatsappService');
+};
+
+const makeSocket = () => ({
+  user: { id: '919800000009:1@s.whatsapp.net' },
+  sendMessage: jest.fn().mockResolvedValue({ key: { id: 'out-1' } }),
+  readMessages: jest.fn().mockResolvedValue(undefined),
+  sendPresenceUpdate: jest.fn().mockResolvedValue(undefined),
+  updateMediaMessage: jest.fn(),
+});
+
+const sentTexts = (sock) => sock.sendMessage.mock.calls.map(([jid, content]) => [jid, content.text]);
+
+const voiceNote = {
+  key: { remoteJid: '919800000001@s.whatsapp.net', id: 'voice-1' },
+  pushName: 'Asha',
+  message: { audioMessage: { mimetype: 'audio/ogg; codecs=opus', seconds: 4 } },
+};
+
+const textMessage = (id, phone, text) => ({
+  key: { remoteJid: `${phone}@s.whatsapp.net`, id },
+  pushName: 'Asha',
+  messageTimestamp: Math.floor(Date.now() / 1000),
+  message: { conversation: text },
+});
+
+const setDefaults = () => {
+  jest.clearAllMocks();
+  jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+  mockGetDocs.mockResolvedValue(makeQuerySnapshot([]));
+  mockDownloadMediaMessage.mockResolvedValue(Buffer.from('audio'));
+  mockGenerateResponse.mockResolvedValue('Tuesday works, see you then!');
+  mockSaveMessage.mockResolvedValue(true);
+  mockIsPaused.mockResolvedValue(false);
+  mockGetQueuedMessages.mockResolvedValue([]);
+  mockClearQueuedMessage.mockResolvedValue(true);
+};
+
+describe('whatsappService.processMessage', () => {
+  beforeEach(setDefaults);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a transcribed voice note is answered like a typed message', async () => {
+    const { processMessage } = loadService();
+    const sock = makeSocket();
+    mockTranscribe.mockResolvedValue('I want to book for Tuesday');
+
+    await processMessage(sock, voiceNote, 'tenant-1');
+
+    expect(mockTranscribe).toHaveBeenCalledWith(Buffer.from('audio'), { mimeType: 'audio/ogg; codecs=opus', seconds: 4 });
+    expect(mockGenerateResponse).toHaveBeenCalledWith(
+      'I want to book for Tuesday', 'tenant-1', '919800000001', 'Asha', 'wa_919800000001',
+      expect.objectContaining({ userMeta: { type: 'voice', transcribed: true, durationSeconds: 4 } })
+    );
+    expect(sentTexts(sock)).toEqual([['919800000001@s.whatsapp.net', 'Tuesday works, see you then!']]);
+  });
+
+  test('an untranscribable voice note asks the customer to type instead', async () => {
+    const { processMessage } = loadService();
+    const sock = makeSocket();
+    mockTranscribe.mockResolvedValue(null);
+
+    await processMessage(sock, voiceNote, 'tenant-1');
+
+    expect(mockGenerateResponse).not.toHaveBeenCalled();
+    expect(mockSaveMessage).toHaveBeenCalledWith(
+      'tenant-1', 'user', '[Voice note]', 'wa_919800000001', { type: 'voice', transcribed: false, durationSeconds: 4 }
+    );
+    expect(sentTexts(sock)).toEqual([
+      ['919800000001@s.whatsapp.net', "Sorry, I couldn't catch that voice note. Could you type your message?"],
+    ]);
+  });
+});
+
+describe('whatsappService message dedupe', () => {
+  let store;
+
+  // Starts a session on a fake socket and returns its event handlers
+  const connect = async () => {
+    const whatsappService = loadService();
+    const messageDedupeService = require('../../src/services/messageDedupeService');
+    store = { claim: jest.fn(messageDedupeService.createMemoryStore().claim) };
+    messageDedupeService.setStore(store);
+
+    const handlers = {};
+    const sock = { ...makeSocket(), ev: { on: (event, handler) => { handlers[event] = handler; } } };
+    require('@kelvdra/baileys').default.mockReturnValue(sock);
+    require('../../src/services/firebaseAuthState').mockResolvedValue({ state: { creds: {}, keys: {} }, saveCreds: jest.fn() });
+
+    await whatsappService.initialize('tenant-1');
+    return { sock, handlers };
+  };
+
+  beforeEach(setDefaults);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queued messages are claimed batch by batch as they are replayed', async () => {
+    mockGetQueuedMessages.mockResolvedValue([
+      { id: 'q1', message: textMessage('wamid-1', '919800000001', 'Is Tuesday free?') },
+      { id: 'q2', message: textMessage('wamid-2', '919800000002', 'Hello') },
+    ]);
+    const { sock, handlers } = await connect();
+    await store.claim('tenant-1', 'wamid-2'); // answered before a restart
+    store.claim.mockClear();
+    let claimedBeforeFirstReply = null;
+    mockGenerateResponse.mockImplementation(async () => {
+      claimedBeforeFirstReply = claimedBeforeFirstReply || store.claim.mock.calls.map(([, id]) => id);
+      return 'Tuesday works, see you then!';
+    });
+
+    await handlers['connection.update']({ connection: 'open' });
+
+    expect(claimedBeforeFirstReply).toEqual(['wamid-1']);
+    expect(store.claim.mock.calls.map(([, id]) => id)).toEqual(['wamid-1', 'wamid-2']);
+    expect(sentTexts(sock)).toEqual([['919800000001@s.whatsapp.net', 'Tuesday works, see you then!']]);
+    expect(mockClearQueuedMessage).toHaveBeenCalledWith('tenant-1', 'q1');
+    expect(mockClearQueuedMessage).toHaveBeenCalledWith('tenant-1', 'q2');
+  });
+
+  test('live messages are claimed when the aggregator flushes them, not on arrival', async () => {
+    const { sock, handlers } = await connect();
+    await handlers['connection.update']({ connection: 'open' });
+    const messageAggregator = require('../../src/services/messageAggregator');
+    const message = textMessage('wamid-3', '919800000001', 'Is Tuesday free?');
+
+    await handlers['messages.upsert']({ type: 'notify', messages: [message] });
+    await handlers['messages.upsert']({ type: 'notify', messages: [message] });
+    expect(store.claim).not.toHaveBeenCalled();
+
+    await messageAggregator.flush('tenant-1:default::919800000001@s.whatsapp.net::');
+    expect(store.claim).toHaveBeenCalledWith('tenant-1', 'wamid-3');
+    expect(sentTexts(sock)).toEqual([['919800000001@s.whatsapp.net', 'Tuesday works, see you then!']]);
+  });
+});
+
+describe('whatsappService.requestPairingCode', () => {
+  let now;
+  let handlers;
+  let sock;
+  let onWait;
+
+  beforeEach(() => {
+    setDefaults();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    now = Date.parse('2026-10-19T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    // The polling wait runs instantly on a simulated clock
+    onWait = () => {};
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+      now += ms;
+      onWait();
+      fn();
+      return 0;
+    });
+
+    handlers = {};
+    sock = {
+      ...makeSocket(),
+      ev: { on: (event, handler) => { handlers[event] = handler; } },
+      requestPairingCode: jest.fn().mockResolvedValue('ABCD1234'),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const loadWithSocket = () => {
+    const whatsappService = loadService();
+    require('@kelvdra/baileys').default.mockReturnValue(sock);
+    require('../../src/services/firebaseAuthState').mockResolvedValue({ state: { creds: {}, keys: {} }, saveCreds: jest.fn() });
+    return whatsappService;
+  };
+
+  test('requests the code for the phone once the first QR arrives', async () => {
+    const whatsappService = loadWithSocket();
+    onWait = () => {
+      onWait = () => {};
+      handlers['connection.update']({ qr: 'qr-1' });
+    };
+
+    const result = await whatsappService.requestPairingCode('tenant-1', '+91 98765 43210');
+
+    expect(sock.requestPairingCode).toHaveBeenCalledWith('919876543210');
+    expect(result).toEqual({ status: 'scanning', pairingCode: 'ABCD1234' });
+  });
+
+  test('gives up waiting after the timeout and leaves the code to the status stream', async () => {
+    const whatsappService = loadWithSocket();
+    const startedAt = now;
+
+    const result = await whatsappService.requestPairingCode('tenant-1', '919876543210');
+
+    expect(result).toEqual({ status: 'connecting', pairingCode: null });
+    expect(now - startedAt).toBeGreaterThanOrEqual(15000);
+    expect(sock.requestPairingCode).not.toHaveBeenCalled();
+  });
+
+  test('surfaces errors from WhatsApp and refuses connected sessions', async () => {
+    const whatsappService = loadWithSocket();
+    sock.requestPairingCode.mockRejectedValue(new Error('Rate limited'));
+    onWait = () => {
+      onWait = () => {};
+      handlers['connection.update']({ qr: 'qr-1' });
+    };
+
+    await expect(whatsappService.requestPairingCode('tenant-1', '919876543210')).rejects.toThrow('Rate limited');
+
+    await handlers['connection.update']({ connection: 'open' });
+    await expect(whatsappService.requestPairingCode('tenant-1', '919876543210'))
+      .rejects.toThrow('WhatsApp is already connected');
+  });
+});
+
+describe('whatsappService.sendOutboundMessage media urls', () => {
+  let sock;
+  let axiosGet;
+
+  beforeEach(() => {
+    setDefaults();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const loadConnected = async () => {
+    const whatsappService = loadService();
+    const handlers = {};
+    sock = { ...makeSocket(), ev: { on: (event, handler) => { handlers[event] = handler; } } };
+    require('@kelvdra/baileys').default.mockReturnValue(sock);
+    require('../../src/services/firebaseAuthState').mockResolvedValue({ state: { creds: {}, keys: {} }, saveCreds: jest.fn() });
+    axiosGet = jest.spyOn(require('axios'), 'get');
+    await whatsappService.initialize('tenant-1');
+    await handlers['connection.update']({ connection: 'open' });
+    return whatsappService;
+  };
+
+  test('downloads url media through the public-address lookup and sends the bytes', async () => {
+    const whatsappService = await loadConnected();
+    const { lookupPublic } = require('../../src/utils/networkAddress');
+    axiosGet.mockResolvedValue({ data: Buffer.from('png-bytes'), headers: { 'content-type': 'image/png' } });
+
+    await whatsappService.sendOutboundMessage('tenant-1', '919800000001', { type: 'image', url: 'https://cdn.example.com/a.png' });
+
+    expect(axiosGet).toHaveBeenCalledWith('https://cdn.example.com/a.png', expect.objectContaining({ lookup: lookupPublic }));
+    const [jid, content] = sock.sendMessage.mock.calls[0];
+    expect(jid).toBe('919800000001@s.whatsapp.net');
+    expect(content.image).toEqual(Buffer.from('png-bytes'));
+    expect(content.mimetype).toBe('image/png');
+  });
+
+  test('refuses media urls on internal addresses', async () => {
+    const whatsappService = await loadConnected();
+    const internal = new Error('files.example.com resolves to an internal address (10.0.0.5)');
+    internal.code = 'EINTERNALADDRESS';
+    axiosGet.mockRejectedValue(internal);
+
+    await expect(whatsappService.sendOutboundMessage('tenant-1', '919800000001', { type: 'image', url: 'http://169.254.169.254/latest' }))
+      .rejects.toThrow('Media url must be a public http(s) address');
+    expect(axiosGet).not.toHaveBeenCalled();
+
+    await expect(whatsappService.sendOutboundMessage('tenant-1', '919800000001', { type: 'image', url: 'http://files.example.com/a.png' }))
+      .rejects.toThrow('Media url must be a public http(s) address');
+    expect(sock.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockGetDocs = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  collection: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+  deleteDoc: jest.fn(),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+const { makeDocSnapshot, makeQuerySnapshot } = require('../helpers/firestoreSnapshots');
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/whatsappSessionService');
+};
+
+describe('whatsappSessionService', () => {
+  beforeEach(() => {
+    mockGetDoc.mockReset();
+    mockSetDoc.mockReset();
+    mockGetDocs.mockReset();
+  });
+
+  test('resolveSessionId defaults missing IDs and rejects invalid ones', () => {
+    const { resolveSessionId } = loadService();
+
+    expect(resolveSessionId(undefined)).toBe('default');
+    expect(resolveSessionId('')).toBe('default');
+    expect(resolveSessionId(' Sales ')).toBe('sales');
+    expect(resolveSessionId('front-desk-2')).toBe('front-desk-2');
+    expect(resolveSessionId('front_desk')).toBeNull();
+    expect(resolveSessionId('a__b')).toBeNull();
+    expect(resolveSessionId('../creds')).toBeNull();
+    expect(resolveSessionId('a'.repeat(33))).toBeNull();
+  });
+
+  test('default session keeps unprefixed creds docs, named sessions are prefixed', () => {
+    const { getCredsPrefix, getSessionIdFromCredsDoc } = loadService();
+
+    expect(getCredsPrefix('default')).toBe('');
+    expect(getCredsPrefix('sales')).toBe('sales__');
+    expect(getSessionIdFromCredsDoc('creds')).toBe('default');
+    expect(getSessionIdFromCredsDoc('pre-key-12')).toBe('default');
+    expect(getSessionIdFromCredsDoc('sales__creds')).toBe('sales');
+    expect(getSessionIdFromCredsDoc('sales__app-state-sync-key-AAA')).toBe('sales');
+  });
+
+  test('getSessionConfig falls back to defaults and caches the result', async () => {
+    mockGetDoc.mockResolvedValue(makeDocSnapshot({ exists: false }));
+    const { getSessionConfig } = loadService();
+
+    const config = await getSessionConfig('user-1', 'sales');
+    await getSessionConfig('user-1', 'sales');
+
+    expect(config).toEqual({ label: '', persona: '', bookingEnabled: true });
+    expect(mockGetDoc).toHaveBeenCalledTimes(1);
+  });
+
+  test('saveSessionConfig merges, sanitizes and clears the cache', async () => {
+    mockGetDoc
+      .mockResolvedValueOnce(makeDocSnapshot({ data: { label: 'Sales', persona: 'Be upbeat' } }))
+      .mockResolvedValueOnce(makeDocSnapshot({ data: { label: 'Sales', persona: 'Be upbeat', bookingEnabled: false } }));
+    mockSetDoc.mockResolvedValue();
+    const { saveSessionConfig, getSessionConfig } = loadService();
+
+    const saved = await saveSessionConfig('user-1', 'sales', { bookingEnabled: false, label: '  Sales  ', persona: undefined });
+
+    expect(saved).toEqual({ label: 'Sales', persona: 'Be upbeat', bookingEnabled: false });
+    expect(mockSetDoc).toHaveBeenCalledWith(
+      { path: 'users/user-1/whatsapp_sessions/sales' },
+      { ...saved, sessionId: 'sales', updatedAt: 'SERVER_TS' },
+      { merge: true }
+    );
+    expect((await getSessionConfig('user-1', 'sales')).bookingEnabled).toBe(false);
+    expect(mockGetDoc).toHaveBeenCalledTimes(2);
+  });
+
+  test('listSessionConfigs always includes the default session', async () => {
+    mockGetDocs.mockResolvedValue(makeQuerySnapshot([
+      makeDocSnapshot({ id: 'sales', data: { label: 'Sales', bookingEnabled: false } }),
+    ]));
+    const { listSessionConfigs } = loadService();
+
+    const sessions = await listSessionConfigs('user-1');
+
+    expect(sessions).toEqual([
+      { sessionId: 'default', label: '', persona: '', bookingEnabled: true },
+      { sessionId: 'sales', label: 'Sales', persona: '', bookingEnabled: false },
+    ]);
+  });
+});
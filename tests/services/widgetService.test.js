@@ -0,0 +1,131 @@
+const mockGetDoc = jest.fn();
+const mockSetDoc = jest.fn();
+const mockDeleteDoc = jest.fn();
+
+jest.mock('../../src/config/firebase', () => ({
+  db: { __db: true },
+}));
+
+jest.mock('firebase/firestore', () => ({
+  doc: (...args) => ({ path: args.slice(1).join('/') }),
+  getDoc: (...args) => mockGetDoc(...args),
+  setDoc: (...args) => mockSetDoc(...args),
+  deleteDoc: (...args) => mockDeleteDoc(...args),
+  serverTimestamp: () => 'SERVER_TS',
+}));
+
+const { makeDocSnapshot } = require('../helpers/firestoreSnapshots');
+
+const KEY = `wk_${'a'.repeat(32)}`;
+
+const loadService = () => {
+  jest.resetModules();
+  return require('../../src/services/widgetService');
+};
+
+describe('widgetService', () => {
+  beforeAll(() => {
+    jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockGetDoc.mockReset();
+    mockSetDoc.mockReset();
+    mockDeleteDoc.mockReset();
+  });
+
+  const mockDocs = (docs) => {
+    mockGetDoc.mockImplementation(async (ref) => (docs[ref.path]
+      ? makeDocSnapshot({ data: docs[ref.path] })
+      : makeDocSnapshot({ exists: false })));
+  };
+
+  test('resolveKey returns the tenant for an enabled widget with a current key', async () => {
+    mockDocs({
+      [`widget_keys/${KEY}`]: { userId: 'tenant-1' },
+      'users/tenant-1/settings/widget_config': { enabled: true, key: KEY, title: 'Ask us' },
+    });
+    const { resolveKey } = loadService();
+
+    const tenant = await resolveKey(KEY);
+
+    expect(tenant.userId).toBe('tenant-1');
+    expect(tenant.settings.title).toBe('Ask us');
+  });
+
+  test('resolveKey rejects malformed, unknown, revoked and disabled keys', async () => {
+    const otherKey = `wk_${'b'.repeat(32)}`;
+    mockDocs({
+      [`widget_keys/${KEY}`]: { userId: 'tenant-1' },
+      [`widget_keys/${otherKey}`]: { userId: 'tenant-2' },
+      'users/tenant-1/settings/widget_config': { enabled: true, key: `wk_${'c'.repeat(32)}` },
+      'users/tenant-2/settings/widget_config': { enabled: false, key: otherKey },
+    });
+    const { resolveKey } = loadService();
+
+    expect(await resolveKey('../../users')).toBeNull();
+    expect(await resolveKey(`wk_${'d'.repeat(32)}`)).toBeNull();
+    expect(await resolveKey(KEY)).toBeNull();
+    expect(await resolveKey(otherKey)).toBeNull();
+    expect(mockGetDoc).not.toHaveBeenCalledWith({ path: 'widget_keys/../../users' });
+  });
+
+  test('enabling the widget issues a key and rotating revokes the old one', async () => {
+    const docs = {};
+    mockDocs(docs);
+    mockSetDoc.mockImplementation(async (ref, data) => {
+      docs[ref.path] = { ...(docs[ref.path] || {}), ...data };
+    });
+    mockDeleteDoc.mockImplementation(async (ref) => {
+      delete docs[ref.path];
+    });
+    const { updateSettings, rotateKey, getSettings, resolveKey } = loadService();
+
+    expect(await updateSettings('tenant-1', { enabled: true, title: 'Hello', color: 'red' })).toBe(true);
+    const { key, title, color } = await getSettings('tenant-1');
+    expect(key).toMatch(/^wk_[0-9a-f]{32}$/);
+    expect(title).toBe('Hello');
+    expect(color).toBe('#128c7e');
+    expect(docs[`widget_keys/${key}`].userId).toBe('tenant-1');
+
+    const newKey = await rotateKey('tenant-1');
+
+    expect(newKey).not.toBe(key);
+    expect(docs[`widget_keys/${key}`]).toBeUndefined();
+    expect(await resolveKey(key)).toBeNull();
+    expect((await resolveKey(newKey)).userId).toBe('tenant-1');
+  });
+
+  test('isOriginAllowed allows any website unless origins are configured', () => {
+    const { isOriginAllowed } = loadService();
+
+    expect(isOriginAllowed({ allowedOrigins: [] }, 'https://anywhere.example')).toBe(true);
+    expect(isOriginAllowed({ allowedOrigins: ['https://shop.example'] }, 'https://shop.example')).toBe(true);
+    expect(isOriginAllowed({ allowedOrigins: ['https://shop.example'] }, 'https://evil.example')).toBe(false);
+    expect(isOriginAllowed({ allowedOrigins: ['https://shop.example'] }, undefined)).toBe(false);
+  });
+
+  test('getVisitorConversationKey keeps web visitors apart from WhatsApp conversations', () => {
+    const { getVisitorConversationKey } = loadService();
+
+    expect(getVisitorConversationKey('v1abc')).toBe('web_v1abc');
+    expect(getVisitorConversationKey('')).toBeNull();
+    expect(getVisitorConversationKey('x'.repeat(65))).toBeNull();
+  });
+
+  test('checkRequestRate limits requests per IP per minute', () => {
+    const { checkRequestRate } = loadService();
+    const now = Date.now();
+
+    for (let i = 0; i < 20; i++) {
+      expect(checkRequestRate('1.2.3.4', now)).toBe(true);
+    }
+    expect(checkRequestRate('1.2.3.4', now)).toBe(false);
+    expect(checkRequestRate('5.6.7.8', now)).toBe(true);
+    expect(checkRequestRate('1.2.3.4', now + 60 * 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  MAX_LIST_ROWS,
+  limitSlots,
+  buildSlotSections,
+  buildDateSections,
+  getSectionOptions,
+  formatNumberedMenu,
+} = require('../../src/utils/listMenu');
+
+// 09:00 to 19:30 every 30 minutes (22 slots)
+const daySlots = Array.from({ length: 22 }, (_, i) => {
+  const minutes = 9 * 60 + i * 30;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+});
+
+describe('listMenu', () => {
+  test('buildSlotSections groups slots into morning, afternoon and evening', () => {
+    const sections = buildSlotSections(['09:00', '11:30', '12:00', '16:30', '17:00']);
+
+    expect(sections.map(section => section.title)).toEqual(['🌅 Morning', '☀️ Afternoon', '🌙 Evening']);
+    expect(sections[1].rows).toEqual([
+      { title: '🕐 12:00', rowId: 'slot_12:00' },
+      { title: '🕐 16:30', rowId: 'slot_16:30' },
+    ]);
+  });
+
+  test('empty periods are left out', () => {
+    const sections = buildSlotSections(['13:00', '13:30']);
+
+    expect(sections).toHaveLength(1);
+    expect(sections[0].title).toBe('☀️ Afternoon');
+  });
+
+  test('limitSlots keeps the row limit without cutting off later periods', () => {
+    const picked = limitSlots(daySlots);
+
+    expect(picked).toHaveLength(MAX_LIST_ROWS);
+    expect(picked).toEqual([...picked].sort());
+    expect(picked.some(slot => slot >= '12:00' && slot < '17:00')).toBe(true);
+    expect(picked.some(slot => slot >= '17:00')).toBe(true);
+    expect(getSectionOptions(buildSlotSections(daySlots))).toHaveLength(MAX_LIST_ROWS);
+  });
+
+  test('buildDateSections uses date_ row IDs that booking actions understand', () => {
+    const [section] = buildDateSections([
+      { date: '2026-10-20', dayName: 'tuesday', availableSlots: 1 },
+      { date: '2026-10-21', dayName: 'wednesday', availableSlots: 8 },
+    ]);
+
+    expect(section.rows).toEqual([
+      { title: 'Tuesday (10-20)', rowId: 'date_2026-10-20', description: '1 slot available' },
+      { title: 'Wednesday (10-21)', rowId: 'date_2026-10-21', description: '8 slots available' },
+    ]);
+  });
+
+  test('formatNumberedMenu numbers the options in list order', () => {
+    const options = getSectionOptions(buildSlotSections(['09:00', '14:00']));
+
+    expect(options).toEqual([
+      { id: 'slot_09:00', text: '🕐 09:00' },
+      { id: 'slot_14:00', text: '🕐 14:00' },
+    ]);
+    expect(formatNumberedMenu('Pick a time', options))
+      .toBe('Pick a time\n\n1. 🕐 09:00\n2. 🕐 14:00\n\n_Reply with the number of your choice._');
+  });
+});
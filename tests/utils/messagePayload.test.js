@@ -0,0 +1,68 @@
+const {
+  validatePayload,
+  buildMessageContent,
+  describeContent,
+  normalizePhone,
+} = require('../../src/utils/messagePayload');
+
+describe('messagePayload', () => {
+  test('normalizePhone strips formatting characters', () => {
+    expect(normalizePhone('+91 98765-43210')).toBe('919876543210');
+    expect(normalizePhone(undefined)).toBe('');
+  });
+
+  test('validatePayload rejects unknown types and missing fields', () => {
+    expect(validatePayload({ type: 'sticker' })).toContain('Invalid type');
+    expect(validatePayload({ type: 'text', text: '   ' })).toBe('text is required');
+    expect(validatePayload({ type: 'document', url: 'https://x.test/a.pdf' })).toContain('fileName');
+    expect(validatePayload({ type: 'location', latitude: 120, longitude: 10 })).toContain('latitude');
+    expect(validatePayload({ type: 'buttons', text: 'Pick', buttons: [{ text: 'a' }, { text: 'b' }, { text: 'c' }, { text: 'd' }] }))
+      .toContain('maximum');
+    expect(validatePayload({ type: 'text', text: 'Hello' })).toBeNull();
+  });
+
+  test('validatePayload only accepts public http(s) media urls', () => {
+    expect(validatePayload({ type: 'image', url: 'https://cdn.example.com/a.png' })).toBeNull();
+    expect(validatePayload({ type: 'image', url: 'file:///etc/passwd' })).toBe('url must be a public http(s) address');
+    expect(validatePayload({ type: 'image', url: 'http://169.254.169.254/latest/meta-data' })).toBe('url must be a public http(s) address');
+    expect(validatePayload({ type: 'document', url: 'http://localhost:8080/a.pdf', fileName: 'a.pdf' }))
+      .toBe('url must be a public http(s) address');
+    expect(validatePayload({ type: 'image', url: 'not a url' })).toBe('url must be a public http(s) address');
+  });
+
+  test('builds media content from url or base64', () => {
+    const fromUrl = buildMessageContent({ type: 'image', url: 'https://x.test/a.png', caption: 'Label' });
+    expect(fromUrl.image).toEqual({ url: 'https://x.test/a.png' });
+    expect(fromUrl.caption).toBe('Label');
+
+    const fromBase64 = buildMessageContent({
+      type: 'document',
+      base64: Buffer.from('pdf').toString('base64'),
+      fileName: 'invoice.pdf',
+      mimetype: 'application/pdf',
+    });
+    expect(Buffer.isBuffer(fromBase64.document)).toBe(true);
+    expect(fromBase64.fileName).toBe('invoice.pdf');
+  });
+
+  test('builds location, contact card and button content', () => {
+    const location = buildMessageContent({ type: 'location', latitude: '10.5', longitude: 76.2, name: 'Shop' });
+    expect(location.location).toEqual(expect.objectContaining({ degreesLatitude: 10.5, degreesLongitude: 76.2 }));
+
+    const contact = buildMessageContent({ type: 'contact', name: 'Support', phone: '+91 555' });
+    expect(contact.contacts.displayName).toBe('Support');
+    expect(contact.contacts.contacts[0].vcard).toContain('waid=91555');
+
+    const buttons = buildMessageContent({ type: 'buttons', text: 'Pick one', buttons: [{ id: 'yes', text: 'Yes' }, { text: 'No' }] });
+    expect(buttons.buttons).toEqual([
+      { buttonId: 'yes', buttonText: { displayText: 'Yes' }, type: 1 },
+      { buttonId: 'btn_1', buttonText: { displayText: 'No' }, type: 1 },
+    ]);
+  });
+
+  test('describeContent summarizes non-text messages for history', () => {
+    expect(describeContent({ text: 'Hi' })).toBe('Hi');
+    expect(describeContent({ image: { url: 'x' }, caption: 'Label' })).toBe('[Image] Label');
+    expect(describeContent({ document: {}, fileName: 'a.pdf' })).toBe('[Document] a.pdf');
+  });
+});